@@ -0,0 +1,147 @@
+// Generates src/types/api.generated.ts from the backend's OpenAPI document (ADR 0008).
+//
+// src/openapi.json at the repository root is the one definition of the /transit and /status
+// response shapes: the handler serves it, the backend tests hold the handler's output to it,
+// and this script turns its component schemas into TypeScript types plus the schemas
+// themselves, which src/types/schema.ts checks response bodies against at runtime. It also
+// copies the backend's checker, src/json-schema.mjs, so both sides validate with one
+// implementation; the frontend image is built from frontend/ alone and cannot import it.
+//
+// The same buildApiTypes() and buildJsonSchemaModule() are imported by
+// tests/api-types.test.ts, so the drift test compares the committed files with exactly what
+// this script writes.
+
+import { readFileSync, realpathSync, writeFileSync } from 'node:fs'
+import { dirname, join, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const HEADER = `/* GENERATED FILE - DO NOT EDIT.
+ * Source of truth: src/openapi.json (components.schemas) at the repository root.
+ * Regenerate: npm run generate:api
+ */
+`
+
+const CHECKER_HEADER = `/* GENERATED FILE - DO NOT EDIT.
+ * Source of truth: src/json-schema.mjs at the repository root (copied unchanged).
+ * Regenerate: npm run generate:api
+ */
+`
+
+const projectRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+const documentPath = resolve(projectRoot, '..', 'src', 'openapi.json')
+const outputPath = join(projectRoot, 'src', 'types', 'api.generated.ts')
+const checkerPath = resolve(projectRoot, '..', 'src', 'json-schema.mjs')
+const checkerOutputPath = join(projectRoot, 'src', 'types', 'json-schema.generated.mjs')
+
+const PRIMITIVES = { string: 'string', integer: 'number', number: 'number', boolean: 'boolean', null: 'null' }
+
+/** `'text'` for a string, the JSON text for anything else. */
+function literal(value) {
+  return typeof value === 'string' ? `'${value.replace(/['\\]/g, '\\$&')}'` : JSON.stringify(value)
+}
+
+/** A JSDoc block for a description, indented; empty without one. */
+function doc(description, indent) {
+  return description ? `${indent}/** ${description} */\n` : ''
+}
+
+/** Members of an object type, one per line, optional unless required. */
+function members(schema, indent) {
+  const required = new Set(schema.required ?? [])
+  return Object.entries(schema.properties ?? {})
+    .map(([name, property]) => {
+      const optional = required.has(name) ? '' : '?'
+      return `${doc(property.description, indent)}${indent}${name}${optional}: ${typeOf(property, indent)}`
+    })
+    .join('\n')
+}
+
+/**
+ * The TypeScript type of a schema: a referenced schema by name, `const` and `enum` as literal
+ * unions, a `type` list as the union of its types.
+ *
+ * @param {object} schema
+ * @param {string} indent - indentation of the line the type starts on
+ * @returns {string}
+ */
+function typeOf(schema, indent = '') {
+  if (schema.$ref) return schema.$ref.split('/').at(-1)
+  if (schema.oneOf) return schema.oneOf.map(branch => typeOf(branch, indent)).join(' | ')
+  if ('const' in schema) return literal(schema.const)
+  if (schema.enum) return schema.enum.map(literal).join(' | ')
+  if (schema.type === undefined) return 'unknown'
+  return [schema.type].flat().map(type => {
+    if (type === 'array') return arrayType(schema, indent)
+    if (type === 'object') return objectType(schema, indent)
+    if (!(type in PRIMITIVES)) throw new Error(`Unsupported schema type ${type}`)
+    return PRIMITIVES[type]
+  }).join(' | ')
+}
+
+function arrayType(schema, indent) {
+  if (schema.prefixItems) return `[${schema.prefixItems.map(item => typeOf(item, indent)).join(', ')}]`
+  if (schema.maxItems === 0) return '[]'
+  const item = schema.items ? typeOf(schema.items, indent) : 'unknown'
+  return item.includes(' | ') ? `(${item})[]` : `${item}[]`
+}
+
+function objectType(schema, indent) {
+  if (schema.properties) return `{\n${members(schema, `${indent}  `)}\n${indent}}`
+  const { additionalProperties } = schema
+  return typeof additionalProperties === 'object' ? `Record<string, ${typeOf(additionalProperties, indent)}>` : 'Record<string, unknown>'
+}
+
+/**
+ * Renders every component schema as an exported type (an interface for an object schema),
+ * then `schemas` by name for the runtime check.
+ *
+ * @param {object} [openapi] - the OpenAPI document (read from src/openapi.json by default)
+ * @returns {string} the full contents of src/types/api.generated.ts
+ */
+export function buildApiTypes(openapi = JSON.parse(readFileSync(documentPath, 'utf-8'))) {
+  const schemas = openapi.components?.schemas
+  if (!schemas || Object.keys(schemas).length === 0) {
+    throw new Error('OpenAPI document has no component schemas - refusing to write')
+  }
+
+  const types = Object.entries(schemas).map(([name, schema]) => {
+    const declaration = schema.type === 'object' && schema.properties
+      ? `export interface ${name} {\n${members(schema, '  ')}\n}`
+      : `export type ${name} = ${typeOf(schema)}`
+    return `${doc(schema.description, '')}${declaration}\n`
+  })
+
+  return [
+    HEADER,
+    "import type { JsonSchema } from './schema'\n",
+    ...types,
+    `export type SchemaName = ${Object.keys(schemas).map(literal).join(' | ')}\n`,
+    `/** The component schemas, for conformsTo(). */\nexport const schemas: Record<SchemaName, JsonSchema> = ${JSON.stringify(schemas, null, 2)}\n`,
+  ].join('\n')
+}
+
+/**
+ * The backend's schema checker behind the DO NOT EDIT header.
+ *
+ * @param {string} [source] - src/json-schema.mjs (read from the repository root by default)
+ * @returns {string} the full contents of src/types/json-schema.generated.mjs
+ */
+export function buildJsonSchemaModule(source = readFileSync(checkerPath, 'utf-8')) {
+  return `${CHECKER_HEADER}${source}`
+}
+
+// realpathSync on both sides, as in export-design.mjs: a symlinked checkout would otherwise
+// skip the write and exit 0.
+function isInvokedDirectly() {
+  if (process.argv[1] === undefined) return false
+  try {
+    return realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url))
+  } catch {
+    return false
+  }
+}
+
+if (isInvokedDirectly()) {
+  writeFileSync(outputPath, buildApiTypes())
+  writeFileSync(checkerOutputPath, buildJsonSchemaModule())
+}
@@ -1,9 +1,12 @@
 import { useState } from 'react'
-import { ArrowRight, ArrowClockwise, Train, Spinner, Tray } from '@phosphor-icons/react'
-import { useTransit, useApiStatus } from './hooks/useTransit'
+import { ArrowRight, ArrowClockwise, CaretDown, ChartLine, Train, Spinner, Tray, Warning } from '@phosphor-icons/react'
+import { useTransit, useApiStatus, useProfiles, useHistory, calendarUrl } from './hooks/useTransit'
 import { TransitCard } from './components/TransitCard'
 import { StatusIndicator } from './components/StatusIndicator'
-import { parseSummary } from './types/transit'
+import { SearchTimePicker } from './components/SearchTimePicker'
+import { ProfileSwitcher } from './components/ProfileSwitcher'
+import { TrendsView } from './components/TrendsView'
+import { TransitSearch, isOriginFailure, retryHint, transitErrorMessage } from './types/transit'
 import styles from './App.module.css'
 
 /** Minutes since midnight for a strict `HH:MM` string; the caller filters `--:--` first. */
@@ -31,14 +34,27 @@ function deriveNextIndex(departureTimes: string[]): number | null {
 }
 
 function App() {
-  const { originRoutes, loading, error, lastUpdated, refresh } = useTransit()
+  const [search, setSearch] = useState<TransitSearch | null>(null)
+  const [profile, setProfile] = useState<string | null>(null)
+  const profiles = useProfiles()
+  const { originRoutes, more, loading, error, errorCode, lastUpdated, refresh, loadMore } = useTransit(search, profile)
   const apiStatus = useApiStatus()
+  // The trends view replaces the departure board; its history is only fetched while it is open.
+  const [showTrends, setShowTrends] = useState(false)
+  const history = useHistory(profile, showTrends)
 
   const origins = originRoutes.map(r => r.origin)
   const [selectedOrigin, setSelectedOrigin] = useState<string | null>(null)
-  const activeOrigin = selectedOrigin ?? origins[0] ?? null
-  const activeRoutes = originRoutes.find(r => r.origin === activeOrigin)?.transfers ?? []
-  const departureTimes = activeRoutes.map(route => parseSummary(route.summary).departureTime)
+  // A profile switch replaces the origin set; a tab picked under the old profile falls back to the
+  // first origin that has routes (a failed one only when all of them failed).
+  const fallbackOrigin = originRoutes.find(r => !isOriginFailure(r))?.origin ?? origins[0] ?? null
+  const activeOrigin = selectedOrigin && origins.includes(selectedOrigin) ? selectedOrigin : fallbackOrigin
+  const activeRoute = originRoutes.find(r => r.origin === activeOrigin)
+  const activeFailure = activeRoute && isOriginFailure(activeRoute) ? activeRoute : null
+  const activeCandidates = activeRoute && !isOriginFailure(activeRoute) ? activeRoute : null
+  const activeRoutes = activeRoute?.candidates ?? []
+  const activeMore = more?.origin === activeOrigin ? more.status : null
+  const departureTimes = activeRoutes.map(candidate => candidate.departureTime ?? '--:--')
   const nextIndex = deriveNextIndex(departureTimes)
 
   return (
@@ -48,6 +64,15 @@ function App() {
           <div className={styles.titleGroup}>
             <Train size={20} weight="bold" className={styles.logo} />
             <h1 className={styles.title}>Transit</h1>
+            {profiles && <ProfileSwitcher profiles={profiles} value={profile} onChange={setProfile} />}
+            <button
+              className={styles.viewToggle}
+              onClick={() => setShowTrends(shown => !shown)}
+              aria-pressed={showTrends}
+            >
+              <ChartLine size={16} aria-hidden="true" />
+              Trends
+            </button>
           </div>
           <StatusIndicator status={apiStatus} lastUpdated={lastUpdated} />
         </div>
@@ -55,88 +80,139 @@ function App() {
 
       <main className={styles.main}>
         <div className={styles.container}>
-          <div className={styles.routeHeader}>
-            <div className={styles.tabs}>
-              {origins.map(origin => (
+          {showTrends ? (
+            <TrendsView {...history} />
+          ) : (
+            <>
+              <SearchTimePicker value={search} onChange={setSearch} />
+
+              <div className={styles.routeHeader}>
+                <div className={styles.tabs}>
+                  {/* A failed origin keeps its tab, flagged rather than dropped, so selecting it says why
+                      it has no departures. */}
+                  {originRoutes.map(route => (
+                    <button
+                      key={route.origin}
+                      className={`${styles.tab} ${route.origin === activeOrigin ? styles.tabActive : ''} ${
+                        isOriginFailure(route) ? styles.tabFailed : ''
+                      }`}
+                      onClick={() => setSelectedOrigin(route.origin)}
+                      aria-pressed={route.origin === activeOrigin}
+                    >
+                      {isOriginFailure(route) && (
+                        <Warning size={12} weight="fill" className={styles.tabWarning} aria-hidden="true" />
+                      )}
+                      {route.origin}
+                      {isOriginFailure(route) && <span className="visually-hidden"> (unavailable)</span>}
+                    </button>
+                  ))}
+                </div>
                 <button
-                  key={origin}
-                  className={`${styles.tab} ${origin === activeOrigin ? styles.tabActive : ''}`}
-                  onClick={() => setSelectedOrigin(origin)}
-                  aria-pressed={origin === activeOrigin}
+                  className={styles.refreshButton}
+                  onClick={refresh}
+                  disabled={loading}
+                  aria-busy={loading}
+                  aria-label="Refresh"
                 >
-                  {origin}
+                  {loading ? (
+                    <Spinner size={16} className={styles.spinner} />
+                  ) : (
+                    <ArrowClockwise size={16} />
+                  )}
                 </button>
-              ))}
-            </div>
-            <button
-              className={styles.refreshButton}
-              onClick={refresh}
-              disabled={loading}
-              aria-busy={loading}
-              aria-label="Refresh"
-            >
-              {loading ? (
-                <Spinner size={16} className={styles.spinner} />
-              ) : (
-                <ArrowClockwise size={16} />
-              )}
-            </button>
-          </div>
-
-          {activeOrigin && (
-            <div className={styles.route}>
-              <span className={styles.station}>{activeOrigin}</span>
-              <ArrowRight size={16} className={styles.routeArrow} />
-              <span className={styles.station}>つつじヶ丘</span>
-            </div>
-          )}
+              </div>
 
-          <div className={styles.content}>
-            {/* The status branches (error / loading / empty) are condition-mounted, so the live
-                region has to be a container that outlives them - a role on the branch node itself
-                is only announced by some AT. The cards deliberately live OUTSIDE this region:
-                inside it, every tab switch would re-read the whole timetable. */}
-            <div className={styles.status} aria-live="polite">
-              {error && (
-                <div className={styles.error} role="alert">
-                  <span>Failed to load transit information</span>
+              {activeRoute && (
+                <div className={styles.route}>
+                  <span className={styles.station}>{activeRoute.origin}</span>
+                  <ArrowRight size={16} className={styles.routeArrow} />
+                  <span className={styles.station}>{activeRoute.destination}</span>
+                  {/* Jorudan failed and the backend fell back to the timetable: planned times, not live ones. */}
+                  {activeCandidates?.source === 'gtfs' && (
+                    <span className={styles.sourceBadge} title="Planned times from the timetable; live results are unavailable">
+                      Timetable
+                    </span>
+                  )}
                 </div>
               )}
 
-              {!error && activeRoutes.length === 0 && loading && (
-                <div className={styles.loading}>
-                  <Spinner size={24} className={styles.spinner} />
-                  <span>Loading transit information...</span>
-                </div>
-              )}
+              <div className={styles.content}>
+                {/* The status branches (error / failed origin / loading / empty) are condition-mounted, so the live
+                    region has to be a container that outlives them - a role on the branch node itself
+                    is only announced by some AT. The cards deliberately live OUTSIDE this region:
+                    inside it, every tab switch would re-read the whole timetable. */}
+                <div className={styles.status} aria-live="polite">
+                  {error && (
+                    <div className={styles.error} role="alert">
+                      <span>{transitErrorMessage(errorCode)}</span>
+                    </div>
+                  )}
 
-              {/* Empty state. Gated on lastUpdated: it is set only by a completed fetch, so
-                  the card cannot flash on the first paint (loading starts false). */}
-              {!error && !loading && lastUpdated && activeRoutes.length === 0 && (
-                <div className={styles.empty} role="status">
-                  <Tray size={24} className={styles.emptyIcon} />
-                  <span>No departures found</span>
+                  {!error && activeFailure && (
+                    <div className={styles.error} role="alert">
+                      <span>
+                        {[transitErrorMessage(activeFailure.code), retryHint(activeFailure.retryAfterSeconds)]
+                          .filter(Boolean)
+                          .join(' ')}
+                      </span>
+                    </div>
+                  )}
+
+                  {!error && !activeFailure && activeRoutes.length === 0 && loading && (
+                    <div className={styles.loading}>
+                      <Spinner size={24} className={styles.spinner} />
+                      <span>Loading transit information...</span>
+                    </div>
+                  )}
+
+                  {/* Empty state. Gated on lastUpdated: it is set only by a completed fetch, so
+                      the card cannot flash on the first paint (loading starts false). */}
+                  {!error && !activeFailure && !loading && lastUpdated && activeRoutes.length === 0 && (
+                    <div className={styles.empty} role="status">
+                      <Tray size={24} className={styles.emptyIcon} />
+                      <span>No departures found</span>
+                    </div>
+                  )}
                 </div>
-              )}
-            </div>
 
-            {!error && activeRoutes.length > 0 && (
-              <div className={styles.cards}>
-                {/* Key by the train's identity, not its position: React reuses instances by
-                    key and useState initializers only run on mount, so a positional key would
-                    leave a stale card expanded after a tab switch or refresh. The index
-                    tiebreaker only guards against two candidates sharing a departure time
-                    (duplicate keys); the origin + time prefix still forces the remount. */}
-                {activeRoutes.map((route, index) => (
-                  <TransitCard
-                    key={`${activeOrigin}-${departureTimes[index]}-${index}`}
-                    route={route}
-                    isNext={index === nextIndex}
-                  />
-                ))}
+                {!error && activeRoutes.length > 0 && (
+                  <div className={styles.cards}>
+                    {/* Key by the train's identity, not its position: React reuses instances by
+                        key and useState initializers only run on mount, so a positional key would
+                        leave a stale card expanded after a tab switch or refresh. The index
+                        tiebreaker only guards against two candidates sharing a departure time
+                        (duplicate keys); the origin + time prefix still forces the remount. */}
+                    {activeRoutes.map((candidate, index) => (
+                      <TransitCard
+                        key={`${activeOrigin}-${departureTimes[index]}-${index}`}
+                        candidate={candidate}
+                        isNext={index === nextIndex}
+                        calendarHref={
+                          activeRoute ? calendarUrl(activeRoute.origin, activeRoute.destination, candidate, search) : null
+                        }
+                      />
+                    ))}
+                    {/* Appends to this origin only; the other tabs keep what they have. */}
+                    {activeCandidates?.nextCursor && (
+                      <button
+                        className={styles.moreButton}
+                        onClick={() => loadMore(activeCandidates)}
+                        disabled={activeMore === 'loading'}
+                        aria-busy={activeMore === 'loading'}
+                      >
+                        {activeMore === 'loading' ? (
+                          <Spinner size={16} className={styles.spinner} />
+                        ) : (
+                          <CaretDown size={16} />
+                        )}
+                        {activeMore === 'error' ? 'Retry later trains' : 'Later trains'}
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
-            )}
-          </div>
+            </>
+          )}
         </div>
       </main>
 
@@ -0,0 +1,27 @@
+import { ProfilesResponse } from '../types/transit'
+import styles from './ProfileSwitcher.module.css'
+
+interface ProfileSwitcherProps {
+  profiles: ProfilesResponse
+  /** Selected profile name; `null` is the backend's default profile. */
+  value: string | null
+  onChange: (profile: string) => void
+}
+
+export function ProfileSwitcher({ profiles, value, onChange }: ProfileSwitcherProps) {
+  // A single commute leaves nothing to switch between.
+  if (profiles.profiles.length < 2) return null
+
+  return (
+    <select
+      className={styles.select}
+      value={value ?? profiles.defaultProfile}
+      onChange={event => onChange(event.target.value)}
+      aria-label="Commute profile"
+    >
+      {profiles.profiles.map(profile => (
+        <option key={profile.name} value={profile.name}>{profile.name}</option>
+      ))}
+    </select>
+  )
+}
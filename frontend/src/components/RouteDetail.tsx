@@ -1,44 +1,72 @@
-import { parseRoute } from '../types/transit'
+import { TransitLeg } from '../types/transit'
 import styles from './RouteDetail.module.css'
 
 interface RouteDetailProps {
-  route: string
+  legs: TransitLeg[]
 }
 
-export function RouteDetail({ route }: RouteDetailProps) {
-  const stations = parseRoute(route)
+/** `3番線着 → 1番線発` at a transfer, `1番線発` at the origin, `1・2番線着` at the destination. */
+function platformLabel({ arrivalPlatform, departurePlatform }: TransitLeg): string | null {
+  const parts = [arrivalPlatform && `${arrivalPlatform}着`, departurePlatform && `${departurePlatform}発`]
+  const label = parts.filter(Boolean).join(' → ')
+  return label || null
+}
+
+/** `乗換4分 + 待ち4分`; either half alone when Jorudan printed only one. */
+function transferLabel({ transferMinutes, waitMinutes }: TransitLeg): string | null {
+  const parts = [
+    transferMinutes !== null && `乗換${transferMinutes}分`,
+    waitMinutes !== null && `待ち${waitMinutes}分`,
+  ]
+  const label = parts.filter(Boolean).join(' + ')
+  return label || null
+}
 
-  if (stations.length === 0) {
+export function RouteDetail({ legs }: RouteDetailProps) {
+  // The backend found a summary but no ■/◇ station lines; say so rather than draw an empty timeline.
+  if (legs.length === 0) {
     return (
       <div className={styles.container}>
-        <pre className={styles.rawRoute}>{route}</pre>
+        <p className={styles.rawRoute}>Route details unavailable</p>
       </div>
     )
   }
 
   return (
     <div className={styles.container}>
-      <div className={styles.timeline}>
-        {stations.map((item, index) => {
+      <ol className={styles.timeline}>
+        {legs.map((item, index) => {
           const terminal = item.isTerminal
+          const platform = platformLabel(item)
+          const transfer = terminal ? null : transferLabel(item)
           return (
-            <div key={index} className={terminal ? styles.stop : styles.stopIntermediate}>
+            <li key={index} className={terminal ? styles.stop : styles.stopIntermediate}>
+              {/* Arrival above departure, so a transfer reads as the connection it is. */}
+              <div className={styles.times}>
+                {item.arrivalTime && <time className={styles.timeArrival}>{item.arrivalTime}</time>}
+                {item.departureTime && <time className={styles.timeDeparture}>{item.departureTime}</time>}
+              </div>
               <div className={styles.marker}>
                 <div className={terminal ? styles.dotTerminal : styles.dotTransfer} />
-                {index < stations.length - 1 && <div className={styles.line} />}
+                {index < legs.length - 1 && <div className={styles.line} />}
               </div>
               <div className={terminal ? styles.content : styles.contentIntermediate}>
                 <span className={terminal ? styles.station : styles.stationIntermediate}>
                   {item.station}
                 </span>
+                {(platform || transfer) && (
+                  <span className={styles.stationMeta}>
+                    {[platform, transfer].filter(Boolean).join(' ・ ')}
+                  </span>
+                )}
                 {item.line && (
                   <span className={styles.lineName}>{item.line}</span>
                 )}
               </div>
-            </div>
+            </li>
           )
         })}
-      </div>
+      </ol>
     </div>
   )
 }
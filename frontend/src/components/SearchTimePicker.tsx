@@ -0,0 +1,74 @@
+import { SearchMode, TransitSearch } from '../types/transit'
+import styles from './SearchTimePicker.module.css'
+
+interface SearchTimePickerProps {
+  /** `null` is "now": no date/time/mode is sent and Jorudan searches from the current time. */
+  value: TransitSearch | null
+  onChange: (value: TransitSearch | null) => void
+}
+
+const MODE_LABELS: Record<SearchMode | 'now', string> = {
+  now: 'Now',
+  depart: 'Depart at',
+  arrive: 'Arrive by',
+  first: 'First train',
+  last: 'Last train',
+}
+
+/** Local `YYYY-MM-DD` / `HH:MM`, the value formats of `<input type="date">` / `<input type="time">`. */
+function currentDateTime(): { date: string; time: string } {
+  const now = new Date()
+  const pad = (n: number) => String(n).padStart(2, '0')
+  return {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+  }
+}
+
+export function SearchTimePicker({ value, onChange }: SearchTimePickerProps) {
+  const mode = value?.mode ?? 'now'
+
+  const changeMode = (next: SearchMode | 'now') => {
+    if (next === 'now') {
+      onChange(null)
+      return
+    }
+    // Leaving "now" seeds the date and time from the clock, so the first search is unchanged.
+    onChange({ ...(value ?? currentDateTime()), mode: next })
+  }
+
+  return (
+    <div className={styles.picker}>
+      <select
+        className={styles.control}
+        value={mode}
+        onChange={event => changeMode(event.target.value as SearchMode | 'now')}
+        aria-label="Search mode"
+      >
+        {Object.entries(MODE_LABELS).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      {/* Cleared inputs report '' - ignored, so the controlled value snaps back to the last valid one. */}
+      {value && (
+        <input
+          type="date"
+          className={styles.control}
+          value={value.date}
+          onChange={event => event.target.value && onChange({ ...value, date: event.target.value })}
+          aria-label="Date"
+        />
+      )}
+      {/* First and last trains ignore the time of day. */}
+      {value && (value.mode === 'depart' || value.mode === 'arrive') && (
+        <input
+          type="time"
+          className={styles.control}
+          value={value.time}
+          onChange={event => event.target.value && onChange({ ...value, time: event.target.value })}
+          aria-label="Time"
+        />
+      )}
+    </div>
+  )
+}
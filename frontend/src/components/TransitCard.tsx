@@ -1,18 +1,33 @@
 import { useState } from 'react'
-import { Clock, ArrowsDownUp, CaretDown, CaretUp } from '@phosphor-icons/react'
-import { TransitRoute, parseSummary } from '../types/transit'
+import { Clock, ArrowsDownUp, CalendarPlus, CaretDown, CaretUp, CurrencyJpy, Warning } from '@phosphor-icons/react'
+import { TransitCandidate, TransitLeg, disruptedLegs, formatDuration, formatTransfers, formatYen } from '../types/transit'
 import { RouteDetail } from './RouteDetail'
 import styles from './TransitCard.module.css'
 
 interface TransitCardProps {
-  route: TransitRoute
+  candidate: TransitCandidate
   /** True on the earliest departure (derived from the data in App, never from card position). */
   isNext: boolean
+  /** `/transit/ics` download for this train; no link when null (times that did not parse). */
+  calendarHref: string | null
 }
 
-export function TransitCard({ route, isNext }: TransitCardProps) {
+/** Tooltip for the fare badge: the full IC / ticket totals behind the out-of-pocket figure. */
+function fareTitle({ ic, ticket }: TransitCandidate['fare']): string | undefined {
+  const parts = [ic !== null && `IC ${formatYen(ic)}`, ticket !== null && `切符 ${formatYen(ticket)}`].filter(Boolean)
+  return parts.length > 0 ? parts.join(' / ') : undefined
+}
+
+/** Tooltip for the disruption badge: each disrupted line and Jorudan's notice for it, one per line. */
+function disruptionTitle(legs: TransitLeg[]): string {
+  return legs.map(leg => (leg.lineStatus?.notice ? `${leg.line}: ${leg.lineStatus.notice}` : leg.line)).join('\n')
+}
+
+export function TransitCard({ candidate, isNext, calendarHref }: TransitCardProps) {
   const [expanded, setExpanded] = useState(isNext)
-  const summary = parseSummary(route.summary)
+  const { outOfPocket } = candidate.fare
+  const disrupted = disruptedLegs(candidate)
+  const suspended = disrupted.some(leg => leg.lineStatus?.status === 'suspended')
 
   return (
     <div className={`${styles.card} ${isNext ? styles.cardNext : ''}`}>
@@ -25,19 +40,33 @@ export function TransitCard({ route, isNext }: TransitCardProps) {
             marker's accessible equivalent. Global utility class, so no styles[...] here. */}
         {isNext && <span className="visually-hidden">Next departure </span>}
         <div className={styles.times}>
-          <span className={styles.departure}>{summary.departureTime}</span>
+          <span className={styles.departure}>{candidate.departureTime ?? '--:--'}</span>
           <span className={styles.arrow}>→</span>
-          <span className={styles.arrival}>{summary.arrivalTime}</span>
+          <span className={styles.arrival}>{candidate.arrivalTime ?? '--:--'}</span>
         </div>
         <div className={styles.meta}>
           <span className={styles.badge}>
             <Clock size={12} weight="bold" />
-            {summary.duration}
+            {formatDuration(candidate.durationMinutes)}
           </span>
           <span className={styles.badge}>
             <ArrowsDownUp size={12} weight="bold" />
-            {summary.transfers}
+            {formatTransfers(candidate.transferCount)}
           </span>
+          {/* Out-of-pocket, i.e. after the commuter pass; hidden when Jorudan printed no fare. */}
+          {outOfPocket !== null && (
+            <span className={styles.badge} title={fareTitle(candidate.fare)}>
+              <CurrencyJpy size={12} weight="bold" />
+              {formatYen(outOfPocket)}
+            </span>
+          )}
+          {/* 運行情報: the worst status among the lines ridden; the notices are in the tooltip. */}
+          {disrupted.length > 0 && (
+            <span className={`${styles.badge} ${styles.badgeWarning}`} title={disruptionTitle(disrupted)}>
+              <Warning size={12} weight="fill" aria-hidden="true" />
+              {suspended ? 'Suspended' : 'Delayed'}
+            </span>
+          )}
         </div>
         <div className={styles.expandIcon}>
           {expanded ? <CaretUp size={16} /> : <CaretDown size={16} />}
@@ -45,7 +74,13 @@ export function TransitCard({ route, isNext }: TransitCardProps) {
       </button>
       {expanded && (
         <div className={styles.body}>
-          <RouteDetail route={route.route} />
+          <RouteDetail legs={candidate.legs} />
+          {calendarHref && (
+            <a className={styles.calendarLink} href={calendarHref} download>
+              <CalendarPlus size={16} aria-hidden="true" />
+              Add to calendar
+            </a>
+          )}
         </div>
       )}
     </div>
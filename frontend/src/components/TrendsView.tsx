@@ -0,0 +1,139 @@
+import { useState } from 'react'
+import { ArrowRight, ChartLine, Spinner } from '@phosphor-icons/react'
+import {
+  HistoryBucket,
+  HistoryResponse,
+  HistoryTransferWins,
+  OriginHistory,
+  WEEKDAYS,
+  Weekday,
+  formatDuration,
+  historyErrorMessage,
+} from '../types/transit'
+import styles from './TrendsView.module.css'
+
+interface TrendsViewProps {
+  history: HistoryResponse | null
+  loading: boolean
+  /** Set when the request failed; `errorCode` picks the message. */
+  error: string | null
+  errorCode: string | null
+}
+
+const WEEKDAY_LABELS: Record<Weekday, string> = {
+  mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat', sun: 'Sun',
+}
+
+/** `1 transfer` / `2 transfers`. */
+function transfersLabel(count: number): string {
+  return `${count} ${count === 1 ? 'transfer' : 'transfers'}`
+}
+
+/** `2 transfers beat 1 transfer in 7 of 19 hours`: the hours of a day that had both routes. */
+function winsLabel({ transfers, against, wins, slots }: HistoryTransferWins): string {
+  return `${transfersLabel(transfers)} beat ${transfersLabel(against)} in ${wins} of ${slots} ${slots === 1 ? 'hour' : 'hours'}`
+}
+
+/** `1回 49分 · 2回 47分`: the median ride time per transfer count. */
+function byTransfersLabel({ byTransfers }: HistoryBucket): string {
+  return byTransfers.map(t => `${t.transfers}回 ${formatDuration(Math.round(t.medianDurationMinutes))}`).join(' · ')
+}
+
+/** One origin's median ride time per departure hour, over every day or one weekday. */
+function OriginTrends({ origin, destination, weekday }: { origin: OriginHistory; destination: string; weekday: Weekday | null }) {
+  const rows = weekday === null ? origin.byHour : origin.byWeekdayHour.filter(b => b.weekday === weekday)
+
+  return (
+    <section className={styles.origin}>
+      <h2 className={styles.route}>
+        <span>{origin.origin}</span>
+        <ArrowRight size={14} className={styles.routeArrow} aria-hidden="true" />
+        <span>{destination}</span>
+      </h2>
+      {origin.medianDurationMinutes !== undefined && (
+        <p className={styles.summary}>
+          Median {formatDuration(Math.round(origin.medianDurationMinutes))} over {origin.trips} trips
+        </p>
+      )}
+      {origin.transferWins.map(wins => (
+        <p key={`${wins.transfers}-${wins.against}`} className={styles.wins}>{winsLabel(wins)}</p>
+      ))}
+      {rows.length === 0 ? (
+        <p className={styles.none}>No trips recorded</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th scope="col">Departs</th>
+              <th scope="col">Median</th>
+              <th scope="col">Trips</th>
+              <th scope="col">By transfers</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.hour}>
+                <th scope="row">{String(row.hour).padStart(2, '0')}:xx</th>
+                <td>{formatDuration(Math.round(row.medianDurationMinutes))}</td>
+                <td>{row.trips}</td>
+                <td>{byTransfersLabel(row)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  )
+}
+
+/**
+ * Travel-time trends from `/history`: per origin, the median ride time by departure hour across
+ * every recorded day or one weekday, and how often a route with more transfers was faster.
+ */
+export function TrendsView({ history, loading, error, errorCode }: TrendsViewProps) {
+  const [weekday, setWeekday] = useState<Weekday | null>(null)
+  const recorded = history !== null && history.origins.some(origin => origin.trips > 0)
+
+  return (
+    <div className={styles.trends}>
+      <div className={styles.controls}>
+        <select
+          className={styles.select}
+          value={weekday ?? 'all'}
+          onChange={event => setWeekday(event.target.value === 'all' ? null : (event.target.value as Weekday))}
+          aria-label="Weekday"
+        >
+          <option value="all">Every day</option>
+          {WEEKDAYS.map(day => (
+            <option key={day} value={day}>{WEEKDAY_LABELS[day]}</option>
+          ))}
+        </select>
+        {history && <span className={styles.window}>Last {history.days} days</span>}
+      </div>
+
+      <div aria-live="polite">
+        {error && (
+          <div className={styles.error} role="alert">
+            {historyErrorMessage(errorCode)}
+          </div>
+        )}
+        {!error && loading && (
+          <div className={styles.loading}>
+            <Spinner size={24} className={styles.spinner} />
+            <span>Loading trip history...</span>
+          </div>
+        )}
+        {!error && !loading && history && !recorded && (
+          <div className={styles.empty} role="status">
+            <ChartLine size={24} className={styles.emptyIcon} />
+            <span>No trips recorded yet</span>
+          </div>
+        )}
+      </div>
+
+      {!error && !loading && history && recorded && history.origins.map(origin => (
+        <OriginTrends key={origin.origin} origin={origin} destination={history.destination} weekday={weekday} />
+      ))}
+    </div>
+  )
+}
@@ -1,65 +1,197 @@
 import { useState, useCallback, useEffect, useRef } from 'react'
-import { MultiTransitState, TransitResponse, parseTransitResponse } from '../types/transit'
+import {
+  ErrorResponse,
+  HistoryResponse,
+  MultiTransitState,
+  OriginCandidates,
+  ProfilesResponse,
+  TransitResponse,
+  TransitResponseV2,
+  TransitCandidate,
+  TransitSearch,
+  WEEKDAYS,
+  departureDate,
+  isOriginFailure,
+  searchQuery,
+} from '../types/transit'
+import { conformsTo } from '../types/schema'
 
 const API_BASE = '/api'
 
+/** Minutes before departure for the reminder on an exported calendar event. */
+const CALENDAR_ALARM_MINUTES = 5
+
+/**
+ * `/transit/ics` link for one candidate, or null when its times did not parse. The backend
+ * reruns the search departing at the candidate's time and answers that train as an `.ics` file.
+ */
+export function calendarUrl(
+  origin: string,
+  destination: string,
+  candidate: TransitCandidate,
+  search: TransitSearch | null,
+  now = new Date(),
+): string | null {
+  const { departureTime, arrivalTime } = candidate
+  if (!departureTime) return null
+  const params = new URLSearchParams({
+    from: origin,
+    to: destination,
+    date: departureDate(search, departureTime, now),
+    departure: departureTime,
+    alarm: String(CALENDAR_ALARM_MINUTES),
+  })
+  if (arrivalTime) params.set('arrival', arrivalTime)
+  return `${API_BASE}/transit/ics?${params}`
+}
+
+/**
+ * A v1 body as the contract (src/openapi.json) has it: a failed origin keeps its place with
+ * `status: 'error'`, a code, a retry hint and no transfers. Fields it does not list are ignored.
+ */
 export function isValidTransitResponse(data: unknown): data is TransitResponse {
-  if (typeof data !== 'object' || data === null || !('routes' in data)) return false
-  const routes = (data as TransitResponse).routes
-  if (!Array.isArray(routes)) return false
-  return routes.every((r) => {
-    if (r === null || typeof r !== 'object') return false
-    const route = r as { origin: unknown; destination: unknown; transfers: unknown }
-    if (typeof route.origin !== 'string' || typeof route.destination !== 'string') return false
-    if (!Array.isArray(route.transfers)) return false
-    return route.transfers.every(
-      (t) =>
-        Array.isArray(t) &&
-        t.length === 2 &&
-        typeof t[0] === 'string' &&
-        typeof t[1] === 'string'
+  return conformsTo('TransitResponse', data)
+}
+
+/** A v2 body as the contract has it, down to every leg's times, fare and line status. */
+export function isValidTransitResponseV2(data: unknown): data is TransitResponseV2 {
+  return conformsTo('TransitResponseV2', data)
+}
+
+export function isValidProfilesResponse(data: unknown): data is ProfilesResponse {
+  if (typeof data !== 'object' || data === null) return false
+  const { defaultProfile, profiles } = data as { defaultProfile: unknown; profiles: unknown }
+  if (typeof defaultProfile !== 'string' || !Array.isArray(profiles)) return false
+  return profiles.every((p) => {
+    if (p === null || typeof p !== 'object') return false
+    const profile = p as Record<string, unknown>
+    return (
+      typeof profile.name === 'string' &&
+      Array.isArray(profile.origins) &&
+      profile.origins.every((o) => typeof o === 'string') &&
+      typeof profile.destination === 'string' &&
+      typeof profile.maxCandidates === 'number'
     )
   })
 }
 
-export function useTransit() {
+const isCount = (v: unknown) => typeof v === 'number' && Number.isInteger(v) && v >= 0
+
+function isValidTransferStats(s: unknown): boolean {
+  if (s === null || typeof s !== 'object') return false
+  const stats = s as Record<string, unknown>
+  return isCount(stats.transfers) && isCount(stats.trips) && typeof stats.medianDurationMinutes === 'number'
+}
+
+/** A slice of an origin's history: trips, their median, and the same per transfer count. */
+function isValidHistoryBucket(b: unknown): boolean {
+  if (b === null || typeof b !== 'object') return false
+  const bucket = b as Record<string, unknown>
+  return (
+    isCount(bucket.trips) &&
+    typeof bucket.medianDurationMinutes === 'number' &&
+    Array.isArray(bucket.byTransfers) &&
+    bucket.byTransfers.every(isValidTransferStats) &&
+    isCount(bucket.hour) &&
+    (bucket.weekday === undefined || (WEEKDAYS as readonly unknown[]).includes(bucket.weekday))
+  )
+}
+
+export function isValidHistoryResponse(data: unknown): data is HistoryResponse {
+  if (typeof data !== 'object' || data === null) return false
+  const history = data as Record<string, unknown>
+  if (typeof history.destination !== 'string' || !isCount(history.days)) return false
+  if (typeof history.since !== 'string' || typeof history.until !== 'string' || !Array.isArray(history.origins)) return false
+  return history.origins.every((o) => {
+    if (o === null || typeof o !== 'object') return false
+    const origin = o as Record<string, unknown>
+    return (
+      typeof origin.origin === 'string' &&
+      isCount(origin.trips) &&
+      (origin.medianDurationMinutes === undefined || typeof origin.medianDurationMinutes === 'number') &&
+      Array.isArray(origin.byHour) &&
+      origin.byHour.every(isValidHistoryBucket) &&
+      Array.isArray(origin.byWeekdayHour) &&
+      origin.byWeekdayHour.every(isValidHistoryBucket) &&
+      Array.isArray(origin.transferWins) &&
+      origin.transferWins.every((w) => {
+        if (w === null || typeof w !== 'object') return false
+        const wins = w as Record<string, unknown>
+        return isCount(wins.transfers) && isCount(wins.against) && isCount(wins.slots) && isCount(wins.wins)
+      })
+    )
+  })
+}
+
+/** A non-2xx transit response, carrying the backend's error `code` when the body had one. */
+class TransitHttpError extends Error {
+  constructor(status: number, readonly code: string | null) {
+    super(`HTTP error: ${status}`)
+    this.name = 'TransitHttpError'
+  }
+}
+
+/** The `code` of an error body, or null when the body is not the backend's JSON error. */
+async function readErrorCode(response: Response): Promise<string | null> {
+  try {
+    const body = (await response.json()) as Partial<ErrorResponse> | null
+    return typeof body?.code === 'string' ? body.code : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Fetch transit for a commute profile (`null` = the backend's default profile) and search
+ * time (`null` = now). Refetches whenever either changes. `loadMore(route)` appends the trains
+ * after that origin's last candidate without refetching the other origins.
+ */
+export function useTransit(search: TransitSearch | null = null, profile: string | null = null) {
   const [state, setState] = useState<MultiTransitState>({
     originRoutes: [],
+    more: null,
     loading: false,
     error: null,
+    errorCode: null,
     lastUpdated: null,
   })
   const abortControllerRef = useRef<AbortController | null>(null)
+  const moreControllerRef = useRef<AbortController | null>(null)
+  const profilePath = profile ? `/${encodeURIComponent(profile)}` : ''
 
   const fetchTransit = useCallback(async () => {
     if (abortControllerRef.current) {
       abortControllerRef.current.abort()
     }
+    // A refresh replaces every origin's list, so a page still loading for the old one is moot
+    moreControllerRef.current?.abort()
     abortControllerRef.current = new AbortController()
 
-    setState(prev => ({ ...prev, loading: true, error: null }))
+    setState(prev => ({ ...prev, loading: true, error: null, errorCode: null }))
 
     try {
-      const response = await fetch(`${API_BASE}/transit`, {
+      // Always with 運行情報, so a card can flag a candidate riding a disrupted line
+      const query = searchQuery(search)
+      const response = await fetch(`${API_BASE}/v2/transit${profilePath}${query ? `${query}&` : '?'}lineStatus=1`, {
         signal: abortControllerRef.current.signal,
       })
 
       if (!response.ok) {
-        throw new Error(`HTTP error: ${response.status}`)
+        throw new TransitHttpError(response.status, await readErrorCode(response))
       }
 
       const data: unknown = await response.json()
 
-      if (!isValidTransitResponse(data)) {
+      if (!isValidTransitResponseV2(data)) {
         throw new Error('Invalid API response format')
       }
 
-      const originRoutes = parseTransitResponse(data)
-
       setState({
-        originRoutes,
+        originRoutes: data.routes,
+        more: null,
         loading: false,
         error: null,
+        errorCode: null,
         lastUpdated: new Date(),
       })
     } catch (err) {
@@ -70,29 +202,129 @@ export function useTransit() {
         ...prev,
         loading: false,
         error: err instanceof Error ? err.message : 'Unknown error',
+        errorCode: err instanceof TransitHttpError ? err.code : null,
       }))
     }
-  }, [])
+  }, [search, profilePath])
+
+  const loadMore = useCallback(async (route: OriginCandidates) => {
+    if (!route.nextCursor) return
+    moreControllerRef.current?.abort()
+    const controller = new AbortController()
+    moreControllerRef.current = controller
+    setState(prev => ({ ...prev, more: { origin: route.origin, status: 'loading' } }))
+
+    // The cursor carries the time; the date keeps a picked day's later trains on that day
+    const params = new URLSearchParams({ from: route.origin, to: route.destination, cursor: route.nextCursor })
+    if (search) params.set('date', search.date)
+    params.set('lineStatus', '1')
+    try {
+      const response = await fetch(`${API_BASE}/v2/transit${profilePath}?${params}`, { signal: controller.signal })
+      const data: unknown = response.ok ? await response.json() : null
+      const page = isValidTransitResponseV2(data) ? data.routes[0] : undefined
+      if (!page || isOriginFailure(page)) throw new Error('Failed to load later trains')
+
+      setState(prev => ({
+        ...prev,
+        more: null,
+        originRoutes: prev.originRoutes.map(r =>
+          r.origin === route.origin && !isOriginFailure(r)
+            ? { ...r, candidates: [...r.candidates, ...page.candidates], nextCursor: page.nextCursor ?? null }
+            : r
+        ),
+      }))
+    } catch (err) {
+      if (err instanceof Error && err.name === 'AbortError') {
+        return
+      }
+      setState(prev => ({ ...prev, more: { origin: route.origin, status: 'error' } }))
+    }
+  }, [search, profilePath])
 
   useEffect(() => {
     fetchTransit()
     return () => {
       abortControllerRef.current?.abort()
+      moreControllerRef.current?.abort()
     }
   }, [fetchTransit])
 
   return {
     ...state,
     refresh: fetchTransit,
+    loadMore,
   }
 }
 
+export interface HistoryState {
+  history: HistoryResponse | null
+  loading: boolean
+  /** Backend `code` of a failed request (`HISTORY_DISABLED` when the server records nothing). */
+  errorCode: string | null
+  error: string | null
+}
+
+/**
+ * Trip history of a commute profile (`null` = the default profile) from `/history`, fetched
+ * only while `enabled` (the trends view is open) and again when the profile changes.
+ */
+export function useHistory(profile: string | null, enabled: boolean) {
+  const [state, setState] = useState<HistoryState>({ history: null, loading: false, errorCode: null, error: null })
+  const profilePath = profile ? `/${encodeURIComponent(profile)}` : ''
+
+  useEffect(() => {
+    if (!enabled) return
+    const controller = new AbortController()
+    setState(prev => ({ ...prev, loading: true, error: null, errorCode: null }))
+    fetch(`${API_BASE}/history${profilePath}`, { signal: controller.signal })
+      .then(async response => {
+        if (!response.ok) throw new TransitHttpError(response.status, await readErrorCode(response))
+        const data: unknown = await response.json()
+        if (!isValidHistoryResponse(data)) throw new Error('Invalid API response format')
+        setState({ history: data, loading: false, errorCode: null, error: null })
+      })
+      .catch((err: unknown) => {
+        if (err instanceof Error && err.name === 'AbortError') return
+        setState({
+          history: null,
+          loading: false,
+          error: err instanceof Error ? err.message : 'Unknown error',
+          errorCode: err instanceof TransitHttpError ? err.code : null,
+        })
+      })
+    return () => controller.abort()
+  }, [profilePath, enabled])
+
+  return state
+}
+
+/** The configured commute profiles, or null until (or unless) `/profiles` answers. */
+export function useProfiles() {
+  const [profiles, setProfiles] = useState<ProfilesResponse | null>(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    fetch(`${API_BASE}/profiles`, { signal: controller.signal })
+      .then(response => (response.ok ? response.json() : null))
+      .then((data: unknown) => {
+        if (isValidProfilesResponse(data)) setProfiles(data)
+      })
+      // The switcher is optional chrome: without profiles the app shows the default commute.
+      .catch(() => {})
+    return () => controller.abort()
+  }, [])
+
+  return profiles
+}
+
 export function useApiStatus() {
   const [status, setStatus] = useState<'ok' | 'error' | 'loading'>('loading')
 
   const checkStatus = useCallback(async () => {
     try {
-      const response = await fetch(`${API_BASE}/status`)
+      // The deep check runs a live Jorudan search, so "Connected" means the transit path works;
+      // the backend caches its result, so polling it is cheap.
+      const response = await fetch(`${API_BASE}/status/deep`)
       setStatus(response.ok ? 'ok' : 'error')
     } catch {
       setStatus('error')
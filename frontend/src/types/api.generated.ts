@@ -0,0 +1,807 @@
+/* GENERATED FILE - DO NOT EDIT.
+ * Source of truth: src/openapi.json (components.schemas) at the repository root.
+ * Regenerate: npm run generate:api
+ */
+
+import type { JsonSchema } from './schema'
+
+/** `mode` query value: depart at / arrive by the given time, or the day's first / last train. */
+export type SearchMode = 'depart' | 'arrive' | 'first' | 'last'
+
+/** Where an origin's trains came from: live Jorudan results, or the GTFS timetable fallback. */
+export type TransitSource = 'jorudan' | 'gtfs'
+
+/** Error code of a failed request or origin; see the error taxonomy (docs/architecture.md). */
+export type ErrorCode = 'UPSTREAM_TIMEOUT' | 'UPSTREAM_UNAVAILABLE' | 'BOT_CHECK_REJECTED' | 'STRUCTURE_CHANGED' | 'NO_ROUTES' | 'SSRF_BLOCKED' | 'CIRCUIT_OPEN' | 'INTERNAL_ERROR' | 'INVALID_REQUEST' | 'UNKNOWN_PROFILE' | 'FORBIDDEN'
+
+/** Error body: a generic `error` for people plus the `code` to branch on. */
+export interface ErrorResponse {
+  error: string
+  code: ErrorCode
+}
+
+/** v1 `/transit`: each origin's trains as Jorudan's display strings. */
+export interface TransitResponse {
+  routes: (OriginTransfers | OriginTransfersFailure)[]
+  /** Set when every origin failed and the backend answered with its last good result. */
+  stale?: boolean
+}
+
+/** One origin's v1 trains, each a `[summary, route]` pair of display strings. */
+export interface OriginTransfers {
+  origin: string
+  destination: string
+  /** Absent from backends that predate partial failures. */
+  status?: 'ok'
+  source?: TransitSource
+  /** ISO time the trains were searched, when answered from the backend's precomputed results. */
+  fetchedAt?: string
+  transfers: [string, string][]
+  /** `cursor` value for the trains after the last one (`after:YYYY-MM-DDTHH:MM`, with `~N` when N trains left at that minute); null when there is none. */
+  nextCursor?: string | null
+}
+
+/** A v1 origin the backend could not fetch. It keeps its place in `routes` with an empty `transfers`. */
+export interface OriginTransfersFailure {
+  origin: string
+  destination: string
+  status: 'error'
+  code: ErrorCode
+  /** How long to wait before retrying; null when retrying will not help. */
+  retryAfterSeconds: number | null
+  transfers: []
+}
+
+/** `/v2/transit` (or `/transit?v=2`): typed fields instead of display strings. */
+export interface TransitResponseV2 {
+  version: 2
+  routes: OriginResult[]
+  /** Set when every origin failed and the backend answered with its last good result. */
+  stale?: boolean
+}
+
+/** One entry of v2 `routes`: the origin's candidates, or why it has none. */
+export type OriginResult = OriginCandidates | OriginCandidatesFailure
+
+/** One origin's v2 trains. */
+export interface OriginCandidates {
+  origin: string
+  destination: string
+  /** Absent from backends that predate partial failures. */
+  status?: 'ok'
+  source?: TransitSource
+  /** ISO time the trains were searched, when answered from the backend's precomputed results. */
+  fetchedAt?: string
+  candidates: TransitCandidate[]
+  /** `cursor` value for the trains after the last candidate (`after:YYYY-MM-DDTHH:MM`, with `~N` when N trains left at that minute); null when there is none. */
+  nextCursor?: string | null
+}
+
+/** A v2 origin the backend could not fetch. It keeps its place in `routes` with an empty `candidates`. */
+export interface OriginCandidatesFailure {
+  origin: string
+  destination: string
+  status: 'error'
+  code: ErrorCode
+  /** How long to wait before retrying; null when retrying will not help. */
+  retryAfterSeconds: number | null
+  candidates: []
+}
+
+/** One train. A field is null when Jorudan's page did not yield it. */
+export interface TransitCandidate {
+  departureTime: string | null
+  arrivalTime: string | null
+  durationMinutes: number | null
+  transferCount: number | null
+  legs: TransitLeg[]
+  fare: TransitFare
+}
+
+/** One station of an itinerary and the line ridden from it. Times and platforms are null where they do not apply (no arrival at the origin, no departure at the destination) or did not parse. */
+export interface TransitLeg {
+  station: string
+  line: string | null
+  isTerminal: boolean
+  arrivalTime: string | null
+  departureTime: string | null
+  arrivalPlatform: string | null
+  departurePlatform: string | null
+  /** Walk between platforms at a ◇ transfer station. */
+  transferMinutes: number | null
+  /** Wait on the platform after the walk. */
+  waitMinutes: number | null
+  /** Operation status of `line` (`?lineStatus=1`): null without a line or when the backend could not look it up; absent when not asked for. */
+  lineStatus?: LineStatus | null
+}
+
+/** 運行情報 of a line: `delayed` and `suspended` carry Jorudan's notice (why, and since when). */
+export interface LineStatus {
+  status: 'normal' | 'delayed' | 'suspended'
+  notice: string | null
+}
+
+/** Fares in yen. `outOfPocket` already excludes sections covered by the configured commuter pass. */
+export interface TransitFare {
+  ic: number | null
+  ticket: number | null
+  sections: TransitFareSection[]
+  outOfPocket: number | null
+}
+
+/** One through-ticketed stretch of a trip and the fare Jorudan prints for it. */
+export interface TransitFareSection {
+  from: string
+  to: string
+  amount: number
+}
+
+/** `/status`: the function is up, with the circuit breaker of each upstream host. */
+export interface StatusResponse {
+  status: 'ok'
+  timestamp: string
+  /** Breaker per upstream host (e.g. `www.jorudan.co.jp`). */
+  circuitBreakers: Record<string, CircuitBreakerStatus>
+}
+
+/** Circuit breaker of one upstream host; `retryAt` is when an open breaker lets a probe through. */
+export interface CircuitBreakerStatus {
+  state: 'closed' | 'open' | 'half-open'
+  consecutiveFailures: number
+  retryAt?: string
+}
+
+/** `/status/deep`: a live handshake and parse, answered with `503` when a stage failed. */
+export interface DeepStatusResponse {
+  status: 'ok' | 'error'
+  checkedAt: string
+  origin: string
+  destination: string
+  stages: DeepStatusStage[]
+}
+
+/** One step of the `/status/deep` check; `invariant` names what broke when `ok` is false. */
+export interface DeepStatusStage {
+  stage: 'handshake' | 'blocks' | 'routes' | 'summary' | 'route'
+  ok: boolean
+  latencyMs: number
+  detail?: string
+  invariant?: string
+  /** Error code of the failed stage, as in a failed transit response. */
+  code?: ErrorCode
+}
+
+export type SchemaName = 'SearchMode' | 'TransitSource' | 'ErrorCode' | 'ErrorResponse' | 'TransitResponse' | 'OriginTransfers' | 'OriginTransfersFailure' | 'TransitResponseV2' | 'OriginResult' | 'OriginCandidates' | 'OriginCandidatesFailure' | 'TransitCandidate' | 'TransitLeg' | 'LineStatus' | 'TransitFare' | 'TransitFareSection' | 'StatusResponse' | 'CircuitBreakerStatus' | 'DeepStatusResponse' | 'DeepStatusStage'
+
+/** The component schemas, for conformsTo(). */
+export const schemas: Record<SchemaName, JsonSchema> = {
+  "SearchMode": {
+    "description": "`mode` query value: depart at / arrive by the given time, or the day's first / last train.",
+    "type": "string",
+    "enum": [
+      "depart",
+      "arrive",
+      "first",
+      "last"
+    ]
+  },
+  "TransitSource": {
+    "description": "Where an origin's trains came from: live Jorudan results, or the GTFS timetable fallback.",
+    "type": "string",
+    "enum": [
+      "jorudan",
+      "gtfs"
+    ]
+  },
+  "ErrorCode": {
+    "description": "Error code of a failed request or origin; see the error taxonomy (docs/architecture.md).",
+    "type": "string",
+    "enum": [
+      "UPSTREAM_TIMEOUT",
+      "UPSTREAM_UNAVAILABLE",
+      "BOT_CHECK_REJECTED",
+      "STRUCTURE_CHANGED",
+      "NO_ROUTES",
+      "SSRF_BLOCKED",
+      "CIRCUIT_OPEN",
+      "INTERNAL_ERROR",
+      "INVALID_REQUEST",
+      "UNKNOWN_PROFILE",
+      "FORBIDDEN"
+    ]
+  },
+  "ErrorResponse": {
+    "description": "Error body: a generic `error` for people plus the `code` to branch on.",
+    "type": "object",
+    "required": [
+      "error",
+      "code"
+    ],
+    "properties": {
+      "error": {
+        "type": "string"
+      },
+      "code": {
+        "$ref": "#/components/schemas/ErrorCode"
+      }
+    }
+  },
+  "TransitResponse": {
+    "description": "v1 `/transit`: each origin's trains as Jorudan's display strings.",
+    "type": "object",
+    "required": [
+      "routes"
+    ],
+    "properties": {
+      "routes": {
+        "type": "array",
+        "items": {
+          "oneOf": [
+            {
+              "$ref": "#/components/schemas/OriginTransfers"
+            },
+            {
+              "$ref": "#/components/schemas/OriginTransfersFailure"
+            }
+          ]
+        }
+      },
+      "stale": {
+        "description": "Set when every origin failed and the backend answered with its last good result.",
+        "type": "boolean"
+      }
+    }
+  },
+  "OriginTransfers": {
+    "description": "One origin's v1 trains, each a `[summary, route]` pair of display strings.",
+    "type": "object",
+    "required": [
+      "origin",
+      "destination",
+      "transfers"
+    ],
+    "properties": {
+      "origin": {
+        "type": "string"
+      },
+      "destination": {
+        "type": "string"
+      },
+      "status": {
+        "description": "Absent from backends that predate partial failures.",
+        "type": "string",
+        "enum": [
+          "ok"
+        ]
+      },
+      "source": {
+        "$ref": "#/components/schemas/TransitSource"
+      },
+      "fetchedAt": {
+        "description": "ISO time the trains were searched, when answered from the backend's precomputed results.",
+        "type": "string",
+        "format": "date-time"
+      },
+      "transfers": {
+        "type": "array",
+        "items": {
+          "type": "array",
+          "prefixItems": [
+            {
+              "type": "string"
+            },
+            {
+              "type": "string"
+            }
+          ],
+          "minItems": 2,
+          "maxItems": 2
+        }
+      },
+      "nextCursor": {
+        "description": "`cursor` value for the trains after the last one (`after:YYYY-MM-DDTHH:MM`, with `~N` when N trains left at that minute); null when there is none.",
+        "type": [
+          "string",
+          "null"
+        ]
+      }
+    }
+  },
+  "OriginTransfersFailure": {
+    "description": "A v1 origin the backend could not fetch. It keeps its place in `routes` with an empty `transfers`.",
+    "type": "object",
+    "required": [
+      "origin",
+      "destination",
+      "status",
+      "code",
+      "retryAfterSeconds",
+      "transfers"
+    ],
+    "properties": {
+      "origin": {
+        "type": "string"
+      },
+      "destination": {
+        "type": "string"
+      },
+      "status": {
+        "const": "error"
+      },
+      "code": {
+        "$ref": "#/components/schemas/ErrorCode"
+      },
+      "retryAfterSeconds": {
+        "description": "How long to wait before retrying; null when retrying will not help.",
+        "type": [
+          "integer",
+          "null"
+        ],
+        "minimum": 0
+      },
+      "transfers": {
+        "type": "array",
+        "maxItems": 0
+      }
+    }
+  },
+  "TransitResponseV2": {
+    "description": "`/v2/transit` (or `/transit?v=2`): typed fields instead of display strings.",
+    "type": "object",
+    "required": [
+      "version",
+      "routes"
+    ],
+    "properties": {
+      "version": {
+        "const": 2
+      },
+      "routes": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/OriginResult"
+        }
+      },
+      "stale": {
+        "description": "Set when every origin failed and the backend answered with its last good result.",
+        "type": "boolean"
+      }
+    }
+  },
+  "OriginResult": {
+    "description": "One entry of v2 `routes`: the origin's candidates, or why it has none.",
+    "oneOf": [
+      {
+        "$ref": "#/components/schemas/OriginCandidates"
+      },
+      {
+        "$ref": "#/components/schemas/OriginCandidatesFailure"
+      }
+    ]
+  },
+  "OriginCandidates": {
+    "description": "One origin's v2 trains.",
+    "type": "object",
+    "required": [
+      "origin",
+      "destination",
+      "candidates"
+    ],
+    "properties": {
+      "origin": {
+        "type": "string"
+      },
+      "destination": {
+        "type": "string"
+      },
+      "status": {
+        "description": "Absent from backends that predate partial failures.",
+        "type": "string",
+        "enum": [
+          "ok"
+        ]
+      },
+      "source": {
+        "$ref": "#/components/schemas/TransitSource"
+      },
+      "fetchedAt": {
+        "description": "ISO time the trains were searched, when answered from the backend's precomputed results.",
+        "type": "string",
+        "format": "date-time"
+      },
+      "candidates": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/TransitCandidate"
+        }
+      },
+      "nextCursor": {
+        "description": "`cursor` value for the trains after the last candidate (`after:YYYY-MM-DDTHH:MM`, with `~N` when N trains left at that minute); null when there is none.",
+        "type": [
+          "string",
+          "null"
+        ]
+      }
+    }
+  },
+  "OriginCandidatesFailure": {
+    "description": "A v2 origin the backend could not fetch. It keeps its place in `routes` with an empty `candidates`.",
+    "type": "object",
+    "required": [
+      "origin",
+      "destination",
+      "status",
+      "code",
+      "retryAfterSeconds",
+      "candidates"
+    ],
+    "properties": {
+      "origin": {
+        "type": "string"
+      },
+      "destination": {
+        "type": "string"
+      },
+      "status": {
+        "const": "error"
+      },
+      "code": {
+        "$ref": "#/components/schemas/ErrorCode"
+      },
+      "retryAfterSeconds": {
+        "description": "How long to wait before retrying; null when retrying will not help.",
+        "type": [
+          "integer",
+          "null"
+        ],
+        "minimum": 0
+      },
+      "candidates": {
+        "type": "array",
+        "maxItems": 0
+      }
+    }
+  },
+  "TransitCandidate": {
+    "description": "One train. A field is null when Jorudan's page did not yield it.",
+    "type": "object",
+    "required": [
+      "departureTime",
+      "arrivalTime",
+      "durationMinutes",
+      "transferCount",
+      "legs",
+      "fare"
+    ],
+    "properties": {
+      "departureTime": {
+        "type": [
+          "string",
+          "null"
+        ],
+        "pattern": "^\\d{1,2}:\\d{2}$"
+      },
+      "arrivalTime": {
+        "type": [
+          "string",
+          "null"
+        ],
+        "pattern": "^\\d{1,2}:\\d{2}$"
+      },
+      "durationMinutes": {
+        "type": [
+          "integer",
+          "null"
+        ],
+        "minimum": 0
+      },
+      "transferCount": {
+        "type": [
+          "integer",
+          "null"
+        ],
+        "minimum": 0
+      },
+      "legs": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/TransitLeg"
+        }
+      },
+      "fare": {
+        "$ref": "#/components/schemas/TransitFare"
+      }
+    }
+  },
+  "TransitLeg": {
+    "description": "One station of an itinerary and the line ridden from it. Times and platforms are null where they do not apply (no arrival at the origin, no departure at the destination) or did not parse.",
+    "type": "object",
+    "required": [
+      "station",
+      "line",
+      "isTerminal",
+      "arrivalTime",
+      "departureTime",
+      "arrivalPlatform",
+      "departurePlatform",
+      "transferMinutes",
+      "waitMinutes"
+    ],
+    "properties": {
+      "station": {
+        "type": "string"
+      },
+      "line": {
+        "type": [
+          "string",
+          "null"
+        ]
+      },
+      "isTerminal": {
+        "type": "boolean"
+      },
+      "arrivalTime": {
+        "type": [
+          "string",
+          "null"
+        ],
+        "pattern": "^\\d{1,2}:\\d{2}$"
+      },
+      "departureTime": {
+        "type": [
+          "string",
+          "null"
+        ],
+        "pattern": "^\\d{1,2}:\\d{2}$"
+      },
+      "arrivalPlatform": {
+        "type": [
+          "string",
+          "null"
+        ]
+      },
+      "departurePlatform": {
+        "type": [
+          "string",
+          "null"
+        ]
+      },
+      "transferMinutes": {
+        "description": "Walk between platforms at a ◇ transfer station.",
+        "type": [
+          "integer",
+          "null"
+        ],
+        "minimum": 0
+      },
+      "waitMinutes": {
+        "description": "Wait on the platform after the walk.",
+        "type": [
+          "integer",
+          "null"
+        ],
+        "minimum": 0
+      },
+      "lineStatus": {
+        "description": "Operation status of `line` (`?lineStatus=1`): null without a line or when the backend could not look it up; absent when not asked for.",
+        "oneOf": [
+          {
+            "$ref": "#/components/schemas/LineStatus"
+          },
+          {
+            "type": "null"
+          }
+        ]
+      }
+    }
+  },
+  "LineStatus": {
+    "description": "運行情報 of a line: `delayed` and `suspended` carry Jorudan's notice (why, and since when).",
+    "type": "object",
+    "required": [
+      "status",
+      "notice"
+    ],
+    "properties": {
+      "status": {
+        "type": "string",
+        "enum": [
+          "normal",
+          "delayed",
+          "suspended"
+        ]
+      },
+      "notice": {
+        "type": [
+          "string",
+          "null"
+        ]
+      }
+    }
+  },
+  "TransitFare": {
+    "description": "Fares in yen. `outOfPocket` already excludes sections covered by the configured commuter pass.",
+    "type": "object",
+    "required": [
+      "ic",
+      "ticket",
+      "sections",
+      "outOfPocket"
+    ],
+    "properties": {
+      "ic": {
+        "type": [
+          "integer",
+          "null"
+        ],
+        "minimum": 0
+      },
+      "ticket": {
+        "type": [
+          "integer",
+          "null"
+        ],
+        "minimum": 0
+      },
+      "sections": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/TransitFareSection"
+        }
+      },
+      "outOfPocket": {
+        "type": [
+          "integer",
+          "null"
+        ],
+        "minimum": 0
+      }
+    }
+  },
+  "TransitFareSection": {
+    "description": "One through-ticketed stretch of a trip and the fare Jorudan prints for it.",
+    "type": "object",
+    "required": [
+      "from",
+      "to",
+      "amount"
+    ],
+    "properties": {
+      "from": {
+        "type": "string"
+      },
+      "to": {
+        "type": "string"
+      },
+      "amount": {
+        "type": "integer",
+        "minimum": 0
+      }
+    }
+  },
+  "StatusResponse": {
+    "description": "`/status`: the function is up, with the circuit breaker of each upstream host.",
+    "type": "object",
+    "required": [
+      "status",
+      "timestamp",
+      "circuitBreakers"
+    ],
+    "properties": {
+      "status": {
+        "const": "ok"
+      },
+      "timestamp": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "circuitBreakers": {
+        "description": "Breaker per upstream host (e.g. `www.jorudan.co.jp`).",
+        "type": "object",
+        "additionalProperties": {
+          "$ref": "#/components/schemas/CircuitBreakerStatus"
+        }
+      }
+    }
+  },
+  "CircuitBreakerStatus": {
+    "description": "Circuit breaker of one upstream host; `retryAt` is when an open breaker lets a probe through.",
+    "type": "object",
+    "required": [
+      "state",
+      "consecutiveFailures"
+    ],
+    "properties": {
+      "state": {
+        "type": "string",
+        "enum": [
+          "closed",
+          "open",
+          "half-open"
+        ]
+      },
+      "consecutiveFailures": {
+        "type": "integer",
+        "minimum": 0
+      },
+      "retryAt": {
+        "type": "string",
+        "format": "date-time"
+      }
+    }
+  },
+  "DeepStatusResponse": {
+    "description": "`/status/deep`: a live handshake and parse, answered with `503` when a stage failed.",
+    "type": "object",
+    "required": [
+      "status",
+      "checkedAt",
+      "origin",
+      "destination",
+      "stages"
+    ],
+    "properties": {
+      "status": {
+        "type": "string",
+        "enum": [
+          "ok",
+          "error"
+        ]
+      },
+      "checkedAt": {
+        "type": "string",
+        "format": "date-time"
+      },
+      "origin": {
+        "type": "string"
+      },
+      "destination": {
+        "type": "string"
+      },
+      "stages": {
+        "type": "array",
+        "items": {
+          "$ref": "#/components/schemas/DeepStatusStage"
+        }
+      }
+    }
+  },
+  "DeepStatusStage": {
+    "description": "One step of the `/status/deep` check; `invariant` names what broke when `ok` is false.",
+    "type": "object",
+    "required": [
+      "stage",
+      "ok",
+      "latencyMs"
+    ],
+    "properties": {
+      "stage": {
+        "type": "string",
+        "enum": [
+          "handshake",
+          "blocks",
+          "routes",
+          "summary",
+          "route"
+        ]
+      },
+      "ok": {
+        "type": "boolean"
+      },
+      "latencyMs": {
+        "type": "integer",
+        "minimum": 0
+      },
+      "detail": {
+        "type": "string"
+      },
+      "invariant": {
+        "type": "string"
+      },
+      "code": {
+        "description": "Error code of the failed stage, as in a failed transit response.",
+        "$ref": "#/components/schemas/ErrorCode"
+      }
+    }
+  }
+}
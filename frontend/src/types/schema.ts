@@ -0,0 +1,36 @@
+import { schemas, type SchemaName } from './api.generated'
+import { schemaErrors } from './json-schema.generated.mjs'
+
+/** The subset of JSON Schema that src/openapi.json uses. */
+export interface JsonSchema {
+  $ref?: string
+  description?: string
+  type?: string | readonly string[]
+  const?: unknown
+  enum?: readonly unknown[]
+  pattern?: string
+  format?: string
+  minimum?: number
+  maximum?: number
+  maxLength?: number
+  items?: JsonSchema
+  prefixItems?: readonly JsonSchema[]
+  minItems?: number
+  maxItems?: number
+  properties?: Record<string, JsonSchema>
+  required?: readonly string[]
+  additionalProperties?: boolean | JsonSchema
+  oneOf?: readonly JsonSchema[]
+}
+
+/** Where the schemas' `#/components/schemas/…` references resolve. */
+const document = { components: { schemas } }
+
+/**
+ * Whether a response body conforms to one of the contract's component schemas. The check is the
+ * backend's own (a generated copy of src/json-schema.mjs) with objects open: a field the contract
+ * does not list yet is ignored, so a newer backend does not break this client.
+ */
+export function conformsTo(name: SchemaName, value: unknown): boolean {
+  return schemaErrors(schemas[name], value, { document, open: true }).length === 0
+}
@@ -1,3 +1,40 @@
+import type {
+  OriginCandidatesFailure,
+  OriginResult,
+  SearchMode,
+  TransitCandidate,
+  TransitLeg,
+  TransitResponse,
+} from './api.generated'
+
+/**
+ * The response shapes, generated from the backend's OpenAPI document (src/openapi.json) by
+ * `npm run generate:api`. Bodies are checked against the same document by conformsTo() in
+ * ./schema.ts, which runs the generated copy of the backend's checker (src/json-schema.mjs).
+ */
+export type {
+  CircuitBreakerStatus,
+  DeepStatusResponse,
+  DeepStatusStage,
+  ErrorCode,
+  ErrorResponse,
+  LineStatus,
+  OriginCandidates,
+  OriginCandidatesFailure,
+  OriginResult,
+  OriginTransfers,
+  OriginTransfersFailure,
+  SearchMode,
+  StatusResponse,
+  TransitCandidate,
+  TransitFare,
+  TransitFareSection,
+  TransitLeg,
+  TransitResponse,
+  TransitResponseV2,
+  TransitSource,
+} from './api.generated'
+
 export interface TransitRoute {
   summary: string
   route: string
@@ -9,19 +46,180 @@ export interface OriginRoute {
   transfers: TransitRoute[]
 }
 
-export interface TransitResponse {
-  routes: { origin: string; destination: string; transfers: [string, string][] }[]
+/** Legs whose line is delayed or suspended, in ride order. */
+export function disruptedLegs(candidate: TransitCandidate): TransitLeg[] {
+  return candidate.legs.filter(leg => leg.lineStatus && leg.lineStatus.status !== 'normal')
+}
+
+export function isOriginFailure(route: OriginResult): route is OriginCandidatesFailure {
+  return route.status === 'error'
+}
+
+/** Search time sent as `date` / `time` / `mode`; `null` means "now" (no parameters at all). */
+export interface TransitSearch {
+  date: string
+  time: string
+  mode: SearchMode
+}
+
+/** Query string for a search time, empty for "now". */
+export function searchQuery(search: TransitSearch | null): string {
+  if (!search) return ''
+  return `?${new URLSearchParams({ date: search.date, time: search.time, mode: search.mode })}`
+}
+
+/** The current date and time in Japan as ISO text (`YYYY-MM-DDTHH:MM...`), wherever the browser runs. */
+function jstIso(now: Date): string {
+  return new Date(now.getTime() + 9 * 60 * 60 * 1000).toISOString()
+}
+
+/** `YYYY-MM-DD` shifted by whole days. */
+function addDays(date: string, days: number): string {
+  const shifted = new Date(`${date}T00:00:00Z`)
+  shifted.setUTCDate(shifted.getUTCDate() + days)
+  return shifted.toISOString().slice(0, 10)
+}
+
+/**
+ * Calendar date (Japan) a candidate departs on, for the `.ics` export, which needs the day
+ * the search itself never states for a train past midnight.
+ * - "now" and depart-at: a departure earlier than the search time is the next day.
+ * - arrive-by: a departure later than the arrival time is the previous day.
+ * - last train: Jorudan lists trains until about 1am; one before 04:00 is the next day.
+ */
+export function departureDate(search: TransitSearch | null, departureTime: string, now = new Date()): string {
+  const date = search?.date ?? jstIso(now).slice(0, 10)
+  const reference = search?.time ?? jstIso(now).slice(11, 16)
+  switch (search?.mode ?? 'depart') {
+    case 'depart':
+      return departureTime < reference ? addDays(date, 1) : date
+    case 'arrive':
+      return departureTime > reference ? addDays(date, -1) : date
+    case 'last':
+      return departureTime < '04:00' ? addDays(date, 1) : date
+    default:
+      return date
+  }
+}
+
+/** A named commute from the backend's profile config (`/profiles`). */
+export interface CommuteProfile {
+  name: string
+  origins: string[]
+  destination: string
+  maxCandidates: number
+}
+
+export interface ProfilesResponse {
+  defaultProfile: string
+  profiles: CommuteProfile[]
+}
+
+/** Day of the week in Japan, as `/history` keys it. */
+export type Weekday = 'sun' | 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat'
+
+export const WEEKDAYS: readonly Weekday[] = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+
+/** Trips with one transfer count and their median ride time. */
+export interface HistoryTransferStats {
+  transfers: number
+  trips: number
+  medianDurationMinutes: number
+}
+
+/** Recorded trips of one slice of the history (an hour, a weekday's hour). */
+export interface HistoryBucket {
+  trips: number
+  medianDurationMinutes: number
+  byTransfers: HistoryTransferStats[]
+}
+
+/**
+ * How often routes with `transfers` beat ones with `against`: of the `slots` (hours of a day
+ * that had both), `wins` had the faster trip on the route with more transfers.
+ */
+export interface HistoryTransferWins {
+  transfers: number
+  against: number
+  slots: number
+  wins: number
 }
 
-export interface StatusResponse {
-  status: string
-  timestamp: string
+/** One origin's trends. Hours are departure hours in Japan; medians are absent with no trips. */
+export interface OriginHistory {
+  origin: string
+  trips: number
+  medianDurationMinutes?: number
+  byTransfers?: HistoryTransferStats[]
+  byHour: (HistoryBucket & { hour: number })[]
+  byWeekdayHour: (HistoryBucket & { weekday: Weekday; hour: number })[]
+  transferWins: HistoryTransferWins[]
+}
+
+/** `/history`: the recorded trips of the last `days` days (`since`..`until`, Japan dates). */
+export interface HistoryResponse {
+  destination: string
+  days: number
+  since: string
+  until: string
+  origins: OriginHistory[]
+}
+
+/** Message for a failed `/history` request; the backend answers `HISTORY_DISABLED` when it records nothing. */
+export function historyErrorMessage(code: string | null): string {
+  return code === 'HISTORY_DISABLED'
+    ? 'Trip history is not recorded on this server.'
+    : 'Failed to load trip history'
+}
+
+/** `code` of a failed transit request; see the backend's error taxonomy (docs/architecture.md). */
+export type TransitErrorCode =
+  | 'UPSTREAM_TIMEOUT'
+  | 'UPSTREAM_UNAVAILABLE'
+  | 'BOT_CHECK_REJECTED'
+  | 'STRUCTURE_CHANGED'
+  | 'NO_ROUTES'
+  | 'SSRF_BLOCKED'
+  | 'CIRCUIT_OPEN'
+
+const TRANSIT_ERROR_MESSAGES: Record<TransitErrorCode, string> = {
+  UPSTREAM_TIMEOUT: 'Jorudan is taking too long to respond. Try again in a moment.',
+  UPSTREAM_UNAVAILABLE: 'Jorudan could not be reached. Try again in a moment.',
+  BOT_CHECK_REJECTED: "Jorudan's bot check turned the search away. Try again later.",
+  STRUCTURE_CHANGED: "Jorudan's results page has changed and can no longer be read.",
+  NO_ROUTES: 'No routes found for this search. Try another time.',
+  SSRF_BLOCKED: 'Jorudan redirected somewhere unexpected, so the search was stopped.',
+  CIRCUIT_OPEN: 'Jorudan has been failing, so searches are paused briefly. Try again shortly.',
+}
+
+/** Retry hint under a failed origin's message; empty when retrying will not help. */
+export function retryHint(retryAfterSeconds: number | null): string {
+  if (retryAfterSeconds === null) return ''
+  return retryAfterSeconds < 60
+    ? `Retry in ${retryAfterSeconds} seconds.`
+    : `Retry in ${Math.round(retryAfterSeconds / 60)} min.`
+}
+
+/** Banner text for an error code; anything unknown (or no code at all) gets the generic message. */
+export function transitErrorMessage(code: string | null): string {
+  return code !== null && Object.hasOwn(TRANSIT_ERROR_MESSAGES, code)
+    ? TRANSIT_ERROR_MESSAGES[code as TransitErrorCode]
+    : 'Failed to load transit information'
+}
+
+/** "Later trains" for one origin: in flight, or failed (the button then offers a retry). */
+export interface LoadMoreState {
+  origin: string
+  status: 'loading' | 'error'
 }
 
 export interface MultiTransitState {
-  originRoutes: OriginRoute[]
+  originRoutes: OriginResult[]
+  more: LoadMoreState | null
   loading: boolean
   error: string | null
+  /** Backend `code` of the failed request, `null` when there is none (network error, bad body). */
+  errorCode: string | null
   lastUpdated: Date | null
 }
 
@@ -69,3 +267,20 @@ export function parseRoute(route: string): { station: string; line: string | nul
 
   return result
 }
+
+/** `49` -> `49分`, `135` -> `2時間15分`, `120` -> `2時間`; `--` when the backend could not parse it. */
+export function formatDuration(minutes: number | null): string {
+  if (minutes === null) return '--'
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes % 60
+  if (hours === 0) return `${rest}分`
+  return rest === 0 ? `${hours}時間` : `${hours}時間${rest}分`
+}
+
+export function formatTransfers(count: number | null): string {
+  return count === null ? '--' : `${count}回`
+}
+
+export function formatYen(amount: number): string {
+  return `${amount.toLocaleString('ja-JP')}円`
+}
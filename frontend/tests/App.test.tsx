@@ -1,7 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { render, screen, fireEvent } from '@testing-library/react'
-import type { OriginRoute } from '../src/types/transit'
+import type { ErrorCode, OriginCandidates, OriginResult, TransitCandidate } from '../src/types/transit'
 import cardStyles from '../src/components/TransitCard.module.css'
+import appStyles from '../src/App.module.css'
 
 /**
  * Guards the four mutually exclusive content branches of App: error / loading / empty / cards.
@@ -16,19 +17,24 @@ import cardStyles from '../src/components/TransitCard.module.css'
 
 // vi.hoisted: vi.mock is lifted above the imports, so the spies it closes over must be created
 // there too, or the factory would touch them in their temporal dead zone.
-const { useTransit, useApiStatus } = vi.hoisted(() => ({
+const { useTransit, useApiStatus, useProfiles, useHistory, calendarUrl } = vi.hoisted(() => ({
   useTransit: vi.fn(),
   useApiStatus: vi.fn(),
+  useProfiles: vi.fn(),
+  useHistory: vi.fn(),
+  calendarUrl: vi.fn(),
 }))
 
-vi.mock('../src/hooks/useTransit', () => ({ useTransit, useApiStatus }))
+vi.mock('../src/hooks/useTransit', () => ({ useTransit, useApiStatus, useProfiles, useHistory, calendarUrl }))
 
 import App from '../src/App'
 
 type TransitState = {
-  originRoutes: OriginRoute[]
+  originRoutes: OriginResult[]
+  more: { origin: string; status: 'loading' | 'error' } | null
   loading: boolean
   error: string | null
+  errorCode: string | null
   lastUpdated: Date | null
 }
 
@@ -36,19 +42,43 @@ type TransitState = {
 function mockTransit(state: Partial<TransitState> = {}) {
   useTransit.mockReturnValue({
     originRoutes: [],
+    more: null,
     loading: false,
     error: null,
+    errorCode: null,
     lastUpdated: new Date('2026-07-13T09:00:00Z'),
     refresh: vi.fn(),
+    loadMore: vi.fn(),
     ...state,
   })
 }
 
-const routes: OriginRoute[] = [
+const NO_DETAIL = {
+  arrivalTime: null,
+  departureTime: null,
+  arrivalPlatform: null,
+  departurePlatform: null,
+  transferMinutes: null,
+  waitMinutes: null,
+}
+
+const LEGS: TransitCandidate['legs'] = [
+  { ...NO_DETAIL, station: '六本木一丁目', line: '東京メトロ南北線', isTerminal: true },
+  { ...NO_DETAIL, station: 'つつじヶ丘', line: null, isTerminal: true },
+]
+
+const NO_FARE: TransitCandidate['fare'] = { ic: null, ticket: null, sections: [], outOfPocket: null }
+
+/** A candidate with only the times varying; `null` is a time the backend failed to parse. */
+function candidate(departureTime: string | null, arrivalTime: string | null): TransitCandidate {
+  return { departureTime, arrivalTime, durationMinutes: 49, transferCount: 1, legs: LEGS, fare: NO_FARE }
+}
+
+const routes: OriginCandidates[] = [
   {
     origin: '六本木一丁目',
     destination: 'つつじヶ丘',
-    transfers: [{ summary: '18:49発 → 19:38着(49分)(1回)', route: '■六本木一丁目\n｜東京メトロ南北線' }],
+    candidates: [candidate('18:49', '19:38')],
   },
 ]
 
@@ -59,6 +89,9 @@ const ERROR = 'Failed to load transit information'
 beforeEach(() => {
   vi.clearAllMocks()
   useApiStatus.mockReturnValue('ok')
+  useProfiles.mockReturnValue(null)
+  useHistory.mockReturnValue({ history: null, loading: false, errorCode: null, error: null })
+  calendarUrl.mockReturnValue(null)
 })
 
 describe('App content branches', () => {
@@ -114,6 +147,28 @@ describe('App content branches', () => {
     render(<App />)
     expect(screen.getByRole('alert').textContent).toContain(ERROR)
   })
+
+  it('says what went wrong when the backend names an error code', () => {
+    const cases = {
+      UPSTREAM_TIMEOUT: 'Jorudan is taking too long to respond',
+      BOT_CHECK_REJECTED: "Jorudan's bot check turned the search away",
+      STRUCTURE_CHANGED: "Jorudan's results page has changed",
+      NO_ROUTES: 'No routes found for this search',
+      SSRF_BLOCKED: 'Jorudan redirected somewhere unexpected',
+    }
+    for (const [errorCode, message] of Object.entries(cases)) {
+      mockTransit({ error: 'HTTP error: 502', errorCode })
+      const { unmount } = render(<App />)
+      expect(screen.getByRole('alert').textContent).toContain(message)
+      unmount()
+    }
+  })
+
+  it('falls back to the generic message for a code it does not know', () => {
+    mockTransit({ error: 'HTTP error: 500', errorCode: 'SOMETHING_NEW' })
+    render(<App />)
+    expect(screen.getByRole('alert').textContent).toBe(ERROR)
+  })
 })
 
 describe('App accessibility affordances', () => {
@@ -153,7 +208,7 @@ describe('App accessibility affordances', () => {
     mockTransit({
       originRoutes: [
         ...routes,
-        { origin: '東京', destination: 'つつじヶ丘', transfers: [] },
+        { origin: '東京', destination: 'つつじヶ丘', candidates: [] },
       ],
     })
     render(<App />)
@@ -170,14 +225,8 @@ describe('App accessibility affordances', () => {
  * that kills a regression back to `index === 0` (which every position-based test would miss).
  */
 describe('next-departure marker', () => {
-  const ROUTE_BODY = '■六本木一丁目\n｜東京メトロ南北線'
-
-  function transfer(summary: string) {
-    return { summary, route: ROUTE_BODY }
-  }
-
-  function origin(name: string, summaries: string[]): OriginRoute {
-    return { origin: name, destination: 'つつじヶ丘', transfers: summaries.map(transfer) }
+  function origin(name: string, times: [string | null, string | null][]): OriginCandidates {
+    return { origin: name, destination: 'つつじヶ丘', candidates: times.map(([dep, arr]) => candidate(dep, arr)) }
   }
 
   /** The visible marker: cards carrying the .cardNext keyline modifier. */
@@ -192,7 +241,7 @@ describe('next-departure marker', () => {
 
   it('marks the earliest departure, not the first card, when Jorudan ranks a later train first', () => {
     mockTransit({
-      originRoutes: [origin('六本木一丁目', ['19:04発 → 19:52着(48分)(1回)', '18:49発 → 19:38着(49分)(1回)'])],
+      originRoutes: [origin('六本木一丁目', [['19:04', '19:52'], ['18:49', '19:38']])],
     })
     const { container } = render(<App />)
 
@@ -203,13 +252,13 @@ describe('next-departure marker', () => {
   })
 
   it('marks exactly one card whenever at least one card renders', () => {
-    mockTransit({ originRoutes: [origin('六本木一丁目', ['18:49発 → 19:38着(49分)(1回)'])] })
+    mockTransit({ originRoutes: [origin('六本木一丁目', [['18:49', '19:38']])] })
     const single = render(<App />)
     expect(markedCards(single.container)).toHaveLength(1)
     single.unmount()
 
     mockTransit({
-      originRoutes: [origin('六本木一丁目', ['19:04発 → 19:52着(48分)(1回)', '18:49発 → 19:38着(49分)(1回)'])],
+      originRoutes: [origin('六本木一丁目', [['19:04', '19:52'], ['18:49', '19:38']])],
     })
     const double = render(<App />)
     expect(markedCards(double.container)).toHaveLength(1)
@@ -218,7 +267,7 @@ describe('next-departure marker', () => {
 
   it('marks the first card on a departure-time tie', () => {
     mockTransit({
-      originRoutes: [origin('六本木一丁目', ['18:49発 → 19:38着(49分)(1回)', '18:49発 → 19:45着(56分)(0回)'])],
+      originRoutes: [origin('六本木一丁目', [['18:49', '19:38'], ['18:49', '19:45']])],
     })
     const { container } = render(<App />)
 
@@ -231,7 +280,7 @@ describe('next-departure marker', () => {
     // A string compare would put '--:--' before every digit and falsely win; the guard
     // must drop the marker entirely instead.
     mockTransit({
-      originRoutes: [origin('六本木一丁目', ['18:49発 → 19:38着(49分)(1回)', 'no parsable times here'])],
+      originRoutes: [origin('六本木一丁目', [['18:49', '19:38'], [null, null]])],
     })
     const { container } = render(<App />)
 
@@ -241,7 +290,7 @@ describe('next-departure marker', () => {
 
   it('marks nothing when the times are more than 6 hours apart (suspected midnight wrap)', () => {
     mockTransit({
-      originRoutes: [origin('六本木一丁目', ['23:58発 → 0:45着(47分)(1回)', '0:12発 → 0:58着(46分)(1回)'])],
+      originRoutes: [origin('六本木一丁目', [['23:58', '0:45'], ['0:12', '0:58']])],
     })
     const { container } = render(<App />)
 
@@ -263,7 +312,7 @@ describe('next-departure marker', () => {
   })
 
   it('gives the marker a text equivalent inside the marked card header', () => {
-    mockTransit({ originRoutes: [origin('六本木一丁目', ['18:49発 → 19:38着(49分)(1回)'])] })
+    mockTransit({ originRoutes: [origin('六本木一丁目', [['18:49', '19:38']])] })
     render(<App />)
 
     // The keyline is a pseudo-element, invisible to assistive tech; the hidden text is what
@@ -280,8 +329,8 @@ describe('next-departure marker', () => {
     // key ever reverts to the index.
     mockTransit({
       originRoutes: [
-        origin('六本木一丁目', ['18:49発 → 19:38着(49分)(1回)', '19:04発 → 19:52着(48分)(1回)']),
-        origin('東京', ['19:10発 → 19:58着(48分)(1回)', '18:55発 → 19:40着(45分)(1回)']),
+        origin('六本木一丁目', [['18:49', '19:38'], ['19:04', '19:52']]),
+        origin('東京', [['19:10', '19:58'], ['18:55', '19:40']]),
       ],
     })
     render(<App />)
@@ -301,7 +350,7 @@ describe('next-departure marker', () => {
 
   it('expands the marked card by default and collapses the rest', () => {
     mockTransit({
-      originRoutes: [origin('六本木一丁目', ['19:04発 → 19:52着(48分)(1回)', '18:49発 → 19:38着(49分)(1回)'])],
+      originRoutes: [origin('六本木一丁目', [['19:04', '19:52'], ['18:49', '19:38']])],
     })
     render(<App />)
 
@@ -314,3 +363,288 @@ describe('next-departure marker', () => {
     expect(unmarked?.getAttribute('aria-expanded')).toBe('false')
   })
 })
+
+describe('fare badge', () => {
+  it('shows the out-of-pocket fare with the IC / ticket totals as its title', () => {
+    const fare = { ic: 402, ticket: 410, sections: [], outOfPocket: 230 }
+    mockTransit({
+      originRoutes: [{ ...routes[0], candidates: [{ ...candidate('18:49', '19:38'), fare }] }],
+    })
+    render(<App />)
+
+    const badge = screen.getByText('230円')
+    expect(badge.getAttribute('title')).toBe('IC 402円 / 切符 410円')
+  })
+
+  it('renders no fare badge when Jorudan printed no fare', () => {
+    mockTransit({ originRoutes: routes })
+    render(<App />)
+
+    expect(screen.queryByText(/円/)).toBeNull()
+  })
+})
+
+describe('disruption badge', () => {
+  const withStatus = (...statuses: TransitCandidate['legs'][number]['lineStatus'][]): TransitCandidate => ({
+    ...candidate('18:49', '19:38'),
+    legs: [
+      { ...LEGS[0], lineStatus: statuses[0] },
+      { ...NO_DETAIL, station: '永田町', line: '東京メトロ半蔵門線', isTerminal: false, lineStatus: statuses[1] },
+      { ...LEGS[1], lineStatus: null },
+    ],
+  })
+
+  it('warns of the worst status among the lines ridden, with each notice as its title', () => {
+    mockTransit({
+      originRoutes: [{
+        ...routes[0],
+        candidates: [withStatus({ status: 'delayed', notice: '信号確認の影響。' }, { status: 'suspended', notice: null })],
+      }],
+    })
+    const { container } = render(<App />)
+
+    const badge = container.querySelector(`.${cardStyles.badgeWarning}`)
+    expect(badge?.textContent).toBe('Suspended')
+    expect(badge?.getAttribute('title')).toBe('東京メトロ南北線: 信号確認の影響。\n東京メトロ半蔵門線')
+  })
+
+  it('shows no badge when every line runs normally or its status is unknown', () => {
+    mockTransit({
+      originRoutes: [{ ...routes[0], candidates: [withStatus({ status: 'normal', notice: null }, null)] }],
+    })
+    const { container } = render(<App />)
+
+    expect(container.querySelector(`.${cardStyles.badgeWarning}`)).toBeNull()
+  })
+})
+
+describe('calendar export', () => {
+  it('links the expanded card to its .ics download for the active origin and search', () => {
+    calendarUrl.mockImplementation((origin: string, _destination, candidate: TransitCandidate) =>
+      `/api/transit/ics?from=${origin}&departure=${candidate.departureTime}`)
+    mockTransit({ originRoutes: routes })
+    render(<App />)
+
+    const link = screen.getByRole('link', { name: 'Add to calendar' })
+    expect(link.getAttribute('href')).toBe('/api/transit/ics?from=六本木一丁目&departure=18:49')
+    expect(link.hasAttribute('download')).toBe(true)
+    expect(calendarUrl).toHaveBeenCalledWith('六本木一丁目', 'つつじヶ丘', routes[0].candidates[0], null)
+  })
+
+  it('offers no link when the card has no export', () => {
+    mockTransit({ originRoutes: routes })
+    render(<App />)
+
+    expect(screen.queryByRole('link', { name: 'Add to calendar' })).toBeNull()
+  })
+})
+
+describe('failed origins', () => {
+  const failed = (origin: string, code: ErrorCode, retryAfterSeconds: number | null): OriginResult => ({
+    origin,
+    destination: 'つつじヶ丘',
+    status: 'error',
+    code,
+    retryAfterSeconds,
+    candidates: [],
+  })
+
+  it('keeps a failed origin as a flagged tab and opens on the first origin with routes', () => {
+    mockTransit({ originRoutes: [failed('麻布十番', 'UPSTREAM_TIMEOUT', 30), ...routes] })
+    const { container } = render(<App />)
+
+    const tab = screen.getByRole('button', { name: '麻布十番 (unavailable)' })
+    expect(tab.className).toContain(appStyles.tabFailed)
+    expect(tab.querySelector('svg')).not.toBeNull()
+    expect(tab.getAttribute('aria-pressed')).toBe('false')
+    expect(screen.getByRole('button', { name: '六本木一丁目' }).getAttribute('aria-pressed')).toBe('true')
+    expect(container.querySelectorAll(`.${cardStyles.card}`)).toHaveLength(1)
+    expect(screen.queryByRole('alert')).toBeNull()
+  })
+
+  it('says why a selected failed origin has no departures, with the retry hint', () => {
+    mockTransit({ originRoutes: [...routes, failed('麻布十番', 'BOT_CHECK_REJECTED', 300)] })
+    const { container } = render(<App />)
+
+    fireEvent.click(screen.getByRole('button', { name: '麻布十番 (unavailable)' }))
+    expect(screen.getByRole('alert').textContent).toBe(
+      "Jorudan's bot check turned the search away. Try again later. Retry in 5 min.",
+    )
+    expect(screen.queryByText(EMPTY)).toBeNull()
+    expect(container.querySelectorAll(`.${cardStyles.card}`)).toHaveLength(0)
+  })
+
+  it('leaves out the retry hint when retrying will not help', () => {
+    mockTransit({ originRoutes: [failed('麻布十番', 'STRUCTURE_CHANGED', null)] })
+    render(<App />)
+
+    expect(screen.getByRole('alert').textContent).toBe("Jorudan's results page has changed and can no longer be read.")
+  })
+})
+
+describe('timetable fallback', () => {
+  it('flags an origin answered from the timetable, and only that one', () => {
+    mockTransit({
+      originRoutes: [
+        { ...routes[0], source: 'jorudan' },
+        { origin: '神谷町', destination: 'つつじヶ丘', source: 'gtfs', candidates: [candidate('18:52', '19:40')] },
+      ],
+    })
+    const { container } = render(<App />)
+    expect(container.querySelector(`.${appStyles.sourceBadge}`)).toBeNull()
+
+    fireEvent.click(screen.getByRole('button', { name: '神谷町' }))
+    expect(container.querySelector(`.${appStyles.sourceBadge}`)?.textContent).toBe('Timetable')
+  })
+})
+
+describe('later trains', () => {
+  const paged: OriginCandidates[] = [
+    { ...routes[0], nextCursor: 'after:2026-10-20T18:49' },
+    { origin: '神谷町', destination: 'つつじヶ丘', candidates: [candidate('18:52', '19:40')], nextCursor: null },
+  ]
+
+  it('asks for the trains after the active origin\'s last candidate', () => {
+    mockTransit({ originRoutes: paged })
+    render(<App />)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Later trains' }))
+    expect(useTransit.mock.results.at(-1)?.value.loadMore).toHaveBeenCalledWith(paged[0])
+  })
+
+  it('offers no button when the origin has no cursor', () => {
+    mockTransit({ originRoutes: paged })
+    render(<App />)
+
+    fireEvent.click(screen.getByRole('button', { name: '神谷町' }))
+    expect(screen.queryByRole('button', { name: 'Later trains' })).toBeNull()
+  })
+
+  it('shows the load in progress, and a retry after a failure, on that origin only', () => {
+    mockTransit({ originRoutes: paged, more: { origin: '六本木一丁目', status: 'loading' } })
+    const { unmount } = render(<App />)
+    const busy = screen.getByRole('button', { name: 'Later trains' })
+    expect(busy.getAttribute('aria-busy')).toBe('true')
+    expect((busy as HTMLButtonElement).disabled).toBe(true)
+    unmount()
+
+    mockTransit({ originRoutes: paged, more: { origin: '六本木一丁目', status: 'error' } })
+    render(<App />)
+    expect(screen.getByRole('button', { name: 'Retry later trains' })).toBeDefined()
+  })
+})
+
+describe('search time picker', () => {
+  /** The search App last handed to useTransit - the value that drives the fetch. */
+  const lastSearch = () => useTransit.mock.calls.at(-1)?.[0]
+
+  it('searches from "now" until a mode is picked', () => {
+    mockTransit({ originRoutes: routes })
+    render(<App />)
+
+    expect(lastSearch()).toBeNull()
+    expect(screen.queryByLabelText('Date')).toBeNull()
+    expect(screen.queryByLabelText('Time')).toBeNull()
+  })
+
+  it('drives useTransit with the picked mode, date and time', () => {
+    mockTransit({ originRoutes: routes })
+    render(<App />)
+
+    fireEvent.change(screen.getByLabelText('Search mode'), { target: { value: 'arrive' } })
+    fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2026-07-14' } })
+    fireEvent.change(screen.getByLabelText('Time'), { target: { value: '09:30' } })
+
+    expect(lastSearch()).toEqual({ date: '2026-07-14', time: '09:30', mode: 'arrive' })
+  })
+
+  it('hides the time for first and last trains and clears everything on "Now"', () => {
+    mockTransit({ originRoutes: routes })
+    render(<App />)
+
+    fireEvent.change(screen.getByLabelText('Search mode'), { target: { value: 'last' } })
+    expect(screen.getByLabelText('Date')).toBeDefined()
+    expect(screen.queryByLabelText('Time')).toBeNull()
+    expect(lastSearch()).toMatchObject({ mode: 'last' })
+
+    fireEvent.change(screen.getByLabelText('Search mode'), { target: { value: 'now' } })
+    expect(lastSearch()).toBeNull()
+  })
+})
+
+describe('profile switcher', () => {
+  const PROFILES = {
+    defaultProfile: 'to-home',
+    profiles: [
+      { name: 'to-home', origins: ['六本木一丁目'], destination: 'つつじヶ丘', maxCandidates: 2 },
+      { name: 'to-office', origins: ['つつじヶ丘'], destination: '六本木一丁目', maxCandidates: 3 },
+    ],
+  }
+  /** The profile App last handed to useTransit. */
+  const lastProfile = () => useTransit.mock.calls.at(-1)?.[1]
+
+  it('is absent until the profiles load, and with a single profile', () => {
+    mockTransit({ originRoutes: routes })
+    const { rerender } = render(<App />)
+    expect(screen.queryByLabelText('Commute profile')).toBeNull()
+
+    useProfiles.mockReturnValue({ ...PROFILES, profiles: PROFILES.profiles.slice(0, 1) })
+    rerender(<App />)
+    expect(screen.queryByLabelText('Commute profile')).toBeNull()
+  })
+
+  it('starts on the default profile and drives useTransit with the picked one', () => {
+    useProfiles.mockReturnValue(PROFILES)
+    mockTransit({ originRoutes: routes })
+    render(<App />)
+
+    const select = screen.getByLabelText('Commute profile') as HTMLSelectElement
+    expect(select.value).toBe('to-home')
+    expect(lastProfile()).toBeNull()
+
+    fireEvent.change(select, { target: { value: 'to-office' } })
+    expect(lastProfile()).toBe('to-office')
+  })
+
+  it('shows the destination the backend answered with, and falls back to the first tab of a new origin set', () => {
+    useProfiles.mockReturnValue(PROFILES)
+    mockTransit({
+      originRoutes: [
+        { origin: '六本木一丁目', destination: 'つつじヶ丘', candidates: [candidate('18:49', '19:38')] },
+        { origin: '神谷町', destination: 'つつじヶ丘', candidates: [candidate('18:55', '19:45')] },
+      ],
+    })
+    const { container, rerender } = render(<App />)
+    fireEvent.click(screen.getByRole('button', { name: '神谷町' }))
+
+    mockTransit({
+      originRoutes: [{ origin: 'つつじヶ丘', destination: '六本木一丁目', candidates: [candidate('08:10', '08:55')] }],
+    })
+    rerender(<App />)
+
+    expect(screen.getByRole('button', { name: 'つつじヶ丘', pressed: true })).toBeDefined()
+    expect(screen.getByText('08:10')).toBeDefined()
+    const routeHeader = [...container.querySelectorAll(`.${appStyles.station}`)].map(el => el.textContent)
+    expect(routeHeader).toEqual(['つつじヶ丘', '六本木一丁目'])
+  })
+})
+
+describe('trends toggle', () => {
+  it('fetches history only while open, and swaps the board for the trends view', () => {
+    mockTransit({ originRoutes: routes })
+    render(<App />)
+    expect(useHistory.mock.calls.at(-1)).toEqual([null, false])
+    expect(screen.queryByLabelText('Weekday')).toBeNull()
+
+    useHistory.mockReturnValue({ history: null, loading: true, errorCode: null, error: null })
+    fireEvent.click(screen.getByRole('button', { name: 'Trends' }))
+
+    expect(useHistory.mock.calls.at(-1)).toEqual([null, true])
+    expect(screen.getByRole('button', { name: 'Trends', pressed: true })).toBeDefined()
+    expect(screen.getByText('Loading trip history...')).toBeDefined()
+    expect(screen.queryByText('18:49')).toBeNull()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Trends' }))
+    expect(screen.getByText('18:49')).toBeDefined()
+  })
+})
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import { RouteDetail } from '../src/components/RouteDetail'
+import type { TransitLeg } from '../src/types/transit'
+
+const LEGS: TransitLeg[] = [
+  {
+    station: '六本木一丁目',
+    line: '東京メトロ南北線(浦和美園行)',
+    isTerminal: true,
+    arrivalTime: null,
+    departureTime: '06:30',
+    arrivalPlatform: null,
+    departurePlatform: '1番線',
+    transferMinutes: null,
+    waitMinutes: null,
+  },
+  {
+    station: '永田町',
+    line: '東京メトロ半蔵門線(中央林間行)',
+    isTerminal: false,
+    arrivalTime: '06:36',
+    departureTime: '06:44',
+    arrivalPlatform: '3番線',
+    departurePlatform: '1番線',
+    transferMinutes: 4,
+    waitMinutes: 4,
+  },
+  {
+    station: 'つつじヶ丘（東京）',
+    line: null,
+    isTerminal: true,
+    arrivalTime: '07:20',
+    departureTime: null,
+    arrivalPlatform: '1・2番線',
+    departurePlatform: null,
+    transferMinutes: null,
+    waitMinutes: null,
+  },
+]
+
+describe('RouteDetail timed itinerary', () => {
+  it('renders one list item per station, in travel order', () => {
+    render(<RouteDetail legs={LEGS} />)
+
+    const stops = screen.getAllByRole('listitem')
+    expect(stops).toHaveLength(3)
+    expect(stops[0].textContent).toContain('六本木一丁目')
+    expect(stops[2].textContent).toContain('つつじヶ丘（東京）')
+  })
+
+  it('shows arrival and departure times at a transfer station', () => {
+    render(<RouteDetail legs={LEGS} />)
+
+    const transfer = screen.getAllByRole('listitem')[1]
+    const times = [...transfer.querySelectorAll('time')].map(t => t.textContent)
+    expect(times).toEqual(['06:36', '06:44'])
+  })
+
+  it('shows only a departure at the origin and only an arrival at the destination', () => {
+    render(<RouteDetail legs={LEGS} />)
+
+    const [origin, , destination] = screen.getAllByRole('listitem')
+    expect([...origin.querySelectorAll('time')].map(t => t.textContent)).toEqual(['06:30'])
+    expect([...destination.querySelectorAll('time')].map(t => t.textContent)).toEqual(['07:20'])
+  })
+
+  it('labels platforms and the transfer walk and wait', () => {
+    render(<RouteDetail legs={LEGS} />)
+
+    expect(screen.getByText('1番線発')).toBeDefined()
+    expect(screen.getByText('3番線着 → 1番線発 ・ 乗換4分 + 待ち4分')).toBeDefined()
+    expect(screen.getByText('1・2番線着')).toBeDefined()
+  })
+
+  it('omits the time column entries and labels a leg has no data for', () => {
+    const bare = LEGS.map(leg => ({
+      ...leg,
+      arrivalTime: null,
+      departureTime: null,
+      arrivalPlatform: null,
+      departurePlatform: null,
+      transferMinutes: null,
+      waitMinutes: null,
+    }))
+    const { container } = render(<RouteDetail legs={bare} />)
+
+    expect(container.querySelectorAll('time')).toHaveLength(0)
+    expect(screen.queryByText(/番線/)).toBeNull()
+    expect(screen.getByText('東京メトロ南北線(浦和美園行)')).toBeDefined()
+  })
+
+  it('falls back to a text notice when there are no legs', () => {
+    render(<RouteDetail legs={[]} />)
+
+    expect(screen.getByText('Route details unavailable')).toBeDefined()
+    expect(screen.queryByRole('list')).toBeNull()
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { TrendsView } from '../src/components/TrendsView'
+import type { HistoryResponse, OriginHistory } from '../src/types/transit'
+
+const ORIGIN: OriginHistory = {
+  origin: 'つつじヶ丘',
+  trips: 12,
+  medianDurationMinutes: 47.5,
+  byTransfers: [
+    { transfers: 1, trips: 8, medianDurationMinutes: 49 },
+    { transfers: 2, trips: 4, medianDurationMinutes: 46 },
+  ],
+  byHour: [
+    {
+      hour: 8,
+      trips: 9,
+      medianDurationMinutes: 48,
+      byTransfers: [
+        { transfers: 1, trips: 6, medianDurationMinutes: 49 },
+        { transfers: 2, trips: 3, medianDurationMinutes: 46.5 },
+      ],
+    },
+    { hour: 9, trips: 3, medianDurationMinutes: 45, byTransfers: [{ transfers: 1, trips: 3, medianDurationMinutes: 45 }] },
+  ],
+  byWeekdayHour: [
+    { weekday: 'tue', hour: 9, trips: 3, medianDurationMinutes: 45, byTransfers: [{ transfers: 1, trips: 3, medianDurationMinutes: 45 }] },
+  ],
+  transferWins: [{ transfers: 2, against: 1, slots: 19, wins: 7 }],
+}
+
+const HISTORY: HistoryResponse = {
+  destination: '六本木一丁目',
+  days: 28,
+  since: '2026-09-23',
+  until: '2026-10-20',
+  origins: [ORIGIN],
+}
+
+const settled = { loading: false, error: null, errorCode: null }
+
+/** The `HH:xx` labels of the table rows, top to bottom. */
+const hours = () => screen.queryAllByRole('rowheader').map(cell => cell.textContent)
+
+describe('TrendsView', () => {
+  it('lists the median per departure hour with the per-transfer split and the wins', () => {
+    render(<TrendsView history={HISTORY} {...settled} />)
+
+    expect(screen.getByText('Last 28 days')).toBeDefined()
+    expect(screen.getByText('Median 48分 over 12 trips')).toBeDefined()
+    expect(screen.getByText('2 transfers beat 1 transfer in 7 of 19 hours')).toBeDefined()
+    expect(hours()).toEqual(['08:xx', '09:xx'])
+    expect(screen.getByText('1回 49分 · 2回 47分')).toBeDefined()
+  })
+
+  it('narrows the table to the picked weekday', () => {
+    render(<TrendsView history={HISTORY} {...settled} />)
+
+    fireEvent.change(screen.getByLabelText('Weekday'), { target: { value: 'tue' } })
+    expect(hours()).toEqual(['09:xx'])
+
+    fireEvent.change(screen.getByLabelText('Weekday'), { target: { value: 'mon' } })
+    expect(hours()).toEqual([])
+    expect(screen.getByText('No trips recorded')).toBeDefined()
+  })
+
+  it('shows the empty state when no origin has a trip yet', () => {
+    const empty = { ...HISTORY, origins: [{ origin: 'つつじヶ丘', trips: 0, byHour: [], byWeekdayHour: [], transferWins: [] }] }
+    render(<TrendsView history={empty} {...settled} />)
+
+    expect(screen.getByRole('status').textContent).toBe('No trips recorded yet')
+    expect(screen.queryByRole('table')).toBeNull()
+  })
+
+  it('says so when the server records no history', () => {
+    render(<TrendsView history={null} loading={false} error="HTTP error: 404" errorCode="HISTORY_DISABLED" />)
+
+    expect(screen.getByRole('alert').textContent).toBe('Trip history is not recorded on this server.')
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { buildApiTypes, buildJsonSchemaModule } from '../scripts/generate-api-types.mjs'
+import { conformsTo } from '../src/types/schema'
+
+/**
+ * Guards the src/openapi.json -> api.generated.ts pipeline (ADR 0008).
+ *
+ * buildApiTypes() and buildJsonSchemaModule() are the functions `npm run generate:api` writes
+ * with, so a contract or checker change that was not regenerated fails here rather than as a
+ * runtime validation error in the browser.
+ */
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+const generatedPath = join(root, 'src', 'types', 'api.generated.ts')
+const checkerPath = join(root, 'src', 'types', 'json-schema.generated.mjs')
+
+describe('generated API types', () => {
+  it('are byte-identical to a fresh generation from the contract', () => {
+    expect(readFileSync(generatedPath, 'utf-8')).toBe(buildApiTypes())
+  })
+
+  it('carry the DO NOT EDIT header', () => {
+    expect(readFileSync(generatedPath, 'utf-8')).toMatch(/^\/\* GENERATED FILE - DO NOT EDIT\./)
+    expect(readFileSync(checkerPath, 'utf-8')).toMatch(/^\/\* GENERATED FILE - DO NOT EDIT\./)
+  })
+
+  it('copy the backend\'s schema checker unchanged', () => {
+    expect(readFileSync(checkerPath, 'utf-8')).toBe(buildJsonSchemaModule())
+    expect(buildJsonSchemaModule()).toContain(readFileSync(join(root, '..', 'src', 'json-schema.mjs'), 'utf-8'))
+  })
+
+  it('refuse a document without component schemas', () => {
+    expect(() => buildApiTypes({ openapi: '3.1.0', paths: {} })).toThrow(/no component schemas/)
+  })
+})
+
+describe('conformsTo', () => {
+  const leg = {
+    station: '六本木一丁目',
+    line: null,
+    isTerminal: true,
+    arrivalTime: '19:38',
+    departureTime: null,
+    arrivalPlatform: '1番線',
+    departurePlatform: null,
+    transferMinutes: null,
+    waitMinutes: null,
+  }
+
+  it('ignores fields the contract does not list yet', () => {
+    expect(conformsTo('TransitLeg', leg)).toBe(true)
+    expect(conformsTo('TransitLeg', { ...leg, crowding: 'high' })).toBe(true)
+  })
+
+  it('follows $refs into the referenced schema', () => {
+    expect(conformsTo('TransitLeg', { ...leg, lineStatus: { status: 'delayed', notice: '遅延' } })).toBe(true)
+    expect(conformsTo('TransitLeg', { ...leg, lineStatus: { status: 'late', notice: null } })).toBe(false)
+  })
+
+  it('takes an origin result that matches exactly one oneOf branch', () => {
+    const failed = { origin: 'A', destination: 'B', status: 'error', code: 'UPSTREAM_TIMEOUT', retryAfterSeconds: 30, candidates: [] }
+    expect(conformsTo('OriginResult', failed)).toBe(true)
+    expect(conformsTo('OriginResult', { origin: 'A', destination: 'B', candidates: [] })).toBe(true)
+    expect(conformsTo('OriginResult', { ...failed, retryAfterSeconds: undefined })).toBe(false)
+  })
+
+  it('rejects what the backend\'s contract test rejects, apart from unlisted fields', () => {
+    expect(conformsTo('TransitLeg', { ...leg, transferMinutes: Number.NaN })).toBe(false)
+    expect(conformsTo('TransitLeg', { ...leg, lineStatus: undefined })).toBe(true)
+    expect(conformsTo('TransitLeg', { ...leg, transferMinutes: undefined })).toBe(false)
+  })
+
+  it('checks /status bodies too', () => {
+    expect(conformsTo('StatusResponse', { status: 'ok', timestamp: '2026-10-19T23:00:00.000Z', circuitBreakers: {} })).toBe(true)
+    expect(conformsTo('StatusResponse', { status: 'ok', timestamp: 'now', circuitBreakers: {} })).toBe(false)
+  })
+})
@@ -12,40 +12,64 @@ const TSUTSUJIGAOKA = 'つつじヶ丘'
 const ROPPONGI = '六本木一丁目'
 const TOKYO = '東京'
 
-const ROUTE_BODY = [
-  `■${ROPPONGI}`,
-  '｜東京メトロ南北線',
-  '◇溜池山王',
-  '｜東京メトロ銀座線・半蔵門線直通',
-  `■${TSUTSUJIGAOKA}`,
-].join('\n')
+/** A timed itinerary whose terminal times match the card header, as the backend emits them. */
+function legs(departureTime: string, arrivalTime: string) {
+  return [
+    {
+      station: ROPPONGI, line: '東京メトロ南北線', isTerminal: true,
+      arrivalTime: null, departureTime, arrivalPlatform: null, departurePlatform: '1番線',
+      transferMinutes: null, waitMinutes: null,
+    },
+    {
+      station: '溜池山王', line: '東京メトロ銀座線・半蔵門線直通', isTerminal: false,
+      arrivalTime: null, departureTime: null, arrivalPlatform: '2番線', departurePlatform: '1番線',
+      transferMinutes: 3, waitMinutes: 3,
+    },
+    {
+      station: TSUTSUJIGAOKA, line: null, isTerminal: true,
+      arrivalTime, departureTime: null, arrivalPlatform: '1・2番線', departurePlatform: null,
+      transferMinutes: null, waitMinutes: null,
+    },
+  ]
+}
+
+const FARE = { ic: 451, ticket: 460, sections: [], outOfPocket: 451 }
+
+function candidate(departureTime: string, arrivalTime: string, durationMinutes: number) {
+  return {
+    departureTime,
+    arrivalTime,
+    durationMinutes,
+    transferCount: 1,
+    legs: legs(departureTime, arrivalTime),
+    fare: FARE,
+  }
+}
 
 const TRANSIT_PAYLOAD = {
+  version: 2,
   routes: [
     {
       origin: ROPPONGI,
       destination: TSUTSUJIGAOKA,
-      transfers: [
-        ['18:49発 → 19:38着(49分)(1回)', ROUTE_BODY],
-        ['19:04発 → 19:52着(48分)(1回)', ROUTE_BODY],
-      ],
+      candidates: [candidate('18:49', '19:38', 49), candidate('19:04', '19:52', 48)],
     },
     {
       origin: TOKYO,
       destination: TSUTSUJIGAOKA,
-      transfers: [['18:55発 → 19:40着(45分)(1回)', ROUTE_BODY]],
+      candidates: [candidate('18:55', '19:40', 45)],
     },
   ],
 }
 
-const EMPTY_PAYLOAD = { routes: [] }
+const EMPTY_PAYLOAD = { version: 2, routes: [] }
 
 /** A tab strip wide enough to overflow a phone viewport - the case `overflow-x: auto` exists for. */
 const CROWDED_ORIGINS = ['六本木一丁目', '溜池山王', '東京', '大手町', '国会議事堂前', '新宿三丁目', '渋谷'].map(
   (origin) => ({
     origin,
     destination: TSUTSUJIGAOKA,
-    transfers: [['18:49発 → 19:38着(49分)(1回)', ROUTE_BODY]],
+    candidates: [candidate('18:49', '19:38', 49)],
   })
 )
 
@@ -66,16 +90,23 @@ async function mockApi(page: Page, options: MockOptions = {}) {
     statusDelayMs = 0,
   } = options
 
-  await page.route('**/api/status', async (route) => {
+  await page.route('**/api/status/deep', async (route) => {
     if (statusDelayMs) await sleep(statusDelayMs)
     await route.fulfill({
       status: 200,
       contentType: 'application/json',
-      body: JSON.stringify({ status: 'ok', timestamp: '2026-07-13T09:00:00Z' }),
+      body: JSON.stringify({
+        status: 'ok',
+        checkedAt: '2026-07-13T09:00:00Z',
+        origin: '六本木一丁目',
+        destination: 'つつじヶ丘（東京）',
+        stages: [{ stage: 'handshake', ok: true, latencyMs: 800 }],
+      }),
     })
   })
 
-  await page.route('**/api/transit', async (route) => {
+  // The dashboard always asks for 運行情報 (`?lineStatus=1`), so match the path with any query
+  await page.route(/\/api\/v2\/transit(?:\?|$)/, async (route) => {
     if (transitDelayMs) await sleep(transitDelayMs)
     await route.fulfill({
       status: transitStatus,
@@ -155,13 +186,13 @@ test.describe('Transit App', () => {
   test('should render transit cards once the fetch settles', async ({ page }) => {
     await page.goto('/')
 
-    await expect(page.getByText('18:49')).toBeVisible()
-    await expect(page.getByText('19:38')).toBeVisible()
+    await expect(page.getByText('18:49').first()).toBeVisible()
+    await expect(page.getByText('19:38').first()).toBeVisible()
   })
 
   test('paints the card outline at the outdoor-legibility border (issue #96)', async ({ page }) => {
     await page.goto('/')
-    await expect(page.getByText('18:49')).toBeVisible()
+    await expect(page.getByText('18:49').first()).toBeVisible()
 
     // The card fill rises to --bg-elevated (#1a1a1a) and the outline to --border-tertiary
     // (#666666), so the card keeps a perceivable edge under outdoor glare (ADR 0004).
@@ -179,7 +210,7 @@ test.describe('Transit App', () => {
 
     await page.getByRole('button', { name: TOKYO }).click()
     await expect(page.getByRole('button', { name: TOKYO })).toHaveAttribute('aria-pressed', 'true')
-    await expect(page.getByText('18:55')).toBeVisible()
+    await expect(page.getByText('18:55').first()).toBeVisible()
   })
 
   test('should display footer with data source', async ({ page }) => {
@@ -280,7 +311,7 @@ test.describe('Touch targets (Tech Debt #6)', () => {
     // the neighbours - while still passing the 44x44 check above. Crowd the strip and prove the
     // labels stay inside their own boxes and the strip scrolls instead.
     await page.setViewportSize({ width: 375, height: 667 })
-    await mockApi(page, { transit: { routes: CROWDED_ORIGINS } })
+    await mockApi(page, { transit: { version: 2, routes: CROWDED_ORIGINS } })
     await page.goto('/')
 
     const tabs = page.locator('[class*="_tab_"]')
@@ -359,18 +390,19 @@ test.describe('CJK typography', () => {
     }
   })
 
-  test('confines word-break: break-word to the raw <pre> fallback', async ({ page }) => {
+  test('confines word-break: break-word to the no-legs fallback', async ({ page }) => {
     // `word-break: normal` above is also the CSS initial value, so on its own it proves nothing.
-    // What has to hold is the *separation*: break-word is the raw fallback's alone and must not
+    // What has to hold is the *separation*: break-word is the fallback's alone and must not
     // reach the station and line labels, where it would break a name mid-glyph.
     await mockApi(page, {
       transit: {
+        version: 2,
         routes: [
           {
             origin: ROPPONGI,
             destination: TSUTSUJIGAOKA,
-            // No ■/◇ markers: parseRoute() yields nothing and RouteDetail drops to <pre>.
-            transfers: [['18:49発 → 19:38着(49分)(1回)', '六本木一丁目から溜池山王を経てつつじヶ丘まで']],
+            // No legs: RouteDetail drops to its text fallback.
+            candidates: [{ ...candidate('18:49', '19:38', 49), legs: [] }],
           },
         ],
       },
@@ -1,6 +1,28 @@
-import { describe, it, expect } from 'vitest'
-import { parseTransitResponse, parseSummary, parseRoute } from '../src/types/transit'
-import { isValidTransitResponse } from '../src/hooks/useTransit'
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { act, renderHook, waitFor } from '@testing-library/react'
+import {
+  parseTransitResponse,
+  parseSummary,
+  parseRoute,
+  formatDuration,
+  formatTransfers,
+  formatYen,
+  searchQuery,
+  departureDate,
+  transitErrorMessage,
+  historyErrorMessage,
+  retryHint,
+} from '../src/types/transit'
+import type { OriginCandidates } from '../src/types/transit'
+import {
+  isValidTransitResponse,
+  isValidTransitResponseV2,
+  isValidProfilesResponse,
+  isValidHistoryResponse,
+  calendarUrl,
+  useTransit,
+  useHistory,
+} from '../src/hooks/useTransit'
 
 describe('parseTransitResponse', () => {
   it('should parse multi-origin transit response correctly', () => {
@@ -301,6 +323,430 @@ describe('isValidTransitResponse', () => {
   })
 })
 
+describe('isValidTransitResponse with failed origins', () => {
+  const ok = { origin: '神谷町', destination: 'B', status: 'ok', transfers: [['s', 'r']] }
+  const failed = { origin: '麻布十番', destination: 'B', status: 'error', code: 'BOT_CHECK_REJECTED', retryAfterSeconds: 300, transfers: [] }
+
+  it('accepts a failed origin in place', () => {
+    expect(isValidTransitResponse({ routes: [ok, failed] })).toBe(true)
+  })
+
+  it('rejects a failed origin that still lists transfers or lacks a retry hint', () => {
+    expect(isValidTransitResponse({ routes: [ok, { ...failed, transfers: [['s', 'r']] }] })).toBe(false)
+    expect(isValidTransitResponse({ routes: [ok, { ...failed, retryAfterSeconds: undefined }] })).toBe(false)
+  })
+})
+
+describe('isValidTransitResponseV2', () => {
+  const candidate = {
+    departureTime: '18:49',
+    arrivalTime: '19:38',
+    durationMinutes: 49,
+    transferCount: 1,
+    legs: [
+      {
+        station: '六本木一丁目',
+        line: '東京メトロ南北線(浦和美園行)',
+        isTerminal: true,
+        arrivalTime: null,
+        departureTime: '18:49',
+        arrivalPlatform: null,
+        departurePlatform: '1番線',
+        transferMinutes: null,
+        waitMinutes: null,
+      },
+      {
+        station: 'つつじヶ丘（東京）',
+        line: null,
+        isTerminal: true,
+        arrivalTime: '19:38',
+        departureTime: null,
+        arrivalPlatform: '1・2番線',
+        departurePlatform: null,
+        transferMinutes: null,
+        waitMinutes: null,
+      },
+    ],
+    fare: { ic: 451, ticket: 460, sections: [{ from: '六本木一丁目', to: 'つつじヶ丘（東京）', amount: 460 }], outOfPocket: 451 },
+  }
+  const withCandidate = (c: unknown) => ({
+    version: 2,
+    routes: [{ origin: '六本木一丁目', destination: 'つつじヶ丘（東京）', candidates: [c] }],
+  })
+
+  it('accepts a well-formed v2 response', () => {
+    expect(isValidTransitResponseV2(withCandidate(candidate))).toBe(true)
+  })
+
+  it('accepts null for unparseable candidate fields', () => {
+    expect(
+      isValidTransitResponseV2(
+        withCandidate({ ...candidate, departureTime: null, durationMinutes: null, transferCount: null })
+      )
+    ).toBe(true)
+  })
+
+  it('rejects a v1 response and a missing version', () => {
+    expect(isValidTransitResponseV2({ routes: [{ origin: 'A', destination: 'B', transfers: [] }] })).toBe(false)
+    expect(isValidTransitResponseV2({ version: 1, routes: [] })).toBe(false)
+  })
+
+  it('rejects v1 tuples in place of candidates', () => {
+    expect(isValidTransitResponseV2(withCandidate(['s', 'r']))).toBe(false)
+  })
+
+  it('rejects a string duration and a non-array legs', () => {
+    expect(isValidTransitResponseV2(withCandidate({ ...candidate, durationMinutes: '49分' }))).toBe(false)
+    expect(isValidTransitResponseV2(withCandidate({ ...candidate, legs: 'none' }))).toBe(false)
+  })
+
+  it('rejects a missing fare and a fare section without an amount', () => {
+    expect(isValidTransitResponseV2(withCandidate({ ...candidate, fare: undefined }))).toBe(false)
+    expect(
+      isValidTransitResponseV2(
+        withCandidate({ ...candidate, fare: { ...candidate.fare, sections: [{ from: 'A', to: 'B' }] } })
+      )
+    ).toBe(false)
+  })
+
+  it('rejects a leg with a numeric time or a string wait', () => {
+    const [first, last] = candidate.legs
+    expect(isValidTransitResponseV2(withCandidate({ ...candidate, legs: [{ ...first, departureTime: 1849 }, last] }))).toBe(false)
+    expect(isValidTransitResponseV2(withCandidate({ ...candidate, legs: [{ ...first, waitMinutes: '4分' }, last] }))).toBe(false)
+  })
+
+  it('accepts a known or unknown line status, and rejects one it cannot read', () => {
+    const [first, last] = candidate.legs
+    const withStatus = (lineStatus: unknown) =>
+      isValidTransitResponseV2(withCandidate({ ...candidate, legs: [{ ...first, lineStatus }, { ...last, lineStatus: null }] }))
+    expect(withStatus({ status: 'suspended', notice: '人身事故の影響で運転を見合わせています。' })).toBe(true)
+    expect(withStatus(null)).toBe(true)
+    expect(withStatus({ status: 'closed', notice: null })).toBe(false)
+    expect(withStatus({ status: 'delayed' })).toBe(false)
+  })
+
+  it('rejects a leg without a boolean terminal flag', () => {
+    expect(
+      isValidTransitResponseV2(withCandidate({ ...candidate, legs: [{ station: 'A', line: null }] }))
+    ).toBe(false)
+  })
+
+  const failed = { origin: '麻布十番', destination: 'つつじヶ丘（東京）', status: 'error', code: 'UPSTREAM_TIMEOUT', retryAfterSeconds: 30, candidates: [] }
+  const withFailure = (f: unknown) => ({ version: 2, routes: [{ ...withCandidate(candidate).routes[0], status: 'ok' }, f] })
+
+  it('accepts a failed origin next to a successful one', () => {
+    expect(isValidTransitResponseV2(withFailure(failed))).toBe(true)
+    expect(isValidTransitResponseV2(withFailure({ ...failed, retryAfterSeconds: null }))).toBe(true)
+  })
+
+  it('accepts either source on a successful origin, and nothing else', () => {
+    const withSource = (source: unknown) => ({ version: 2, routes: [{ ...withCandidate(candidate).routes[0], source }] })
+    expect(isValidTransitResponseV2(withSource('jorudan'))).toBe(true)
+    expect(isValidTransitResponseV2(withSource('gtfs'))).toBe(true)
+    expect(isValidTransitResponseV2(withSource('navitime'))).toBe(false)
+  })
+
+  it('accepts the search time of a precomputed origin, and rejects one that is not a time', () => {
+    const withFetchedAt = (fetchedAt: unknown) => ({ version: 2, routes: [{ ...withCandidate(candidate).routes[0], fetchedAt }] })
+    expect(isValidTransitResponseV2(withFetchedAt('2026-10-19T23:00:00.000Z'))).toBe(true)
+    expect(isValidTransitResponseV2(withFetchedAt('yesterday'))).toBe(false)
+    expect(isValidTransitResponseV2(withFetchedAt(0))).toBe(false)
+  })
+
+  it('rejects a failed origin without a code, with a string retry hint, or with candidates', () => {
+    expect(isValidTransitResponseV2(withFailure({ ...failed, code: undefined }))).toBe(false)
+    expect(isValidTransitResponseV2(withFailure({ ...failed, retryAfterSeconds: '30' }))).toBe(false)
+    expect(isValidTransitResponseV2(withFailure({ ...failed, candidates: [candidate] }))).toBe(false)
+    expect(isValidTransitResponseV2(withFailure({ ...failed, status: 'partial' }))).toBe(false)
+  })
+})
+
+describe('formatDuration / formatTransfers / formatYen', () => {
+  it('formats minutes the way Jorudan prints durations', () => {
+    expect(formatDuration(49)).toBe('49分')
+    expect(formatDuration(120)).toBe('2時間')
+    expect(formatDuration(135)).toBe('2時間15分')
+    expect(formatDuration(null)).toBe('--')
+  })
+
+  it('formats transfer counts and falls back on null', () => {
+    expect(formatTransfers(0)).toBe('0回')
+    expect(formatTransfers(null)).toBe('--')
+  })
+
+  it('groups yen amounts', () => {
+    expect(formatYen(230)).toBe('230円')
+    expect(formatYen(1450)).toBe('1,450円')
+  })
+})
+
+describe('isValidProfilesResponse', () => {
+  const profiles = {
+    defaultProfile: 'to-home',
+    profiles: [{ name: 'to-home', origins: ['六本木一丁目'], destination: 'つつじヶ丘（東京）', maxCandidates: 2 }],
+  }
+
+  it('accepts a well-formed /profiles response', () => {
+    expect(isValidProfilesResponse(profiles)).toBe(true)
+  })
+
+  it('rejects a missing default, a non-array list and malformed profiles', () => {
+    expect(isValidProfilesResponse({ profiles: profiles.profiles })).toBe(false)
+    expect(isValidProfilesResponse({ ...profiles, profiles: {} })).toBe(false)
+    expect(isValidProfilesResponse({ ...profiles, profiles: [{ ...profiles.profiles[0], origins: [1] }] })).toBe(false)
+    expect(isValidProfilesResponse({ ...profiles, profiles: [{ ...profiles.profiles[0], maxCandidates: '2' }] })).toBe(false)
+    expect(isValidProfilesResponse(null)).toBe(false)
+  })
+})
+
+describe('isValidHistoryResponse', () => {
+  const bucket = { hour: 8, trips: 2, medianDurationMinutes: 42, byTransfers: [{ transfers: 0, trips: 2, medianDurationMinutes: 42 }] }
+  const history = {
+    destination: '六本木一丁目',
+    days: 28,
+    since: '2026-09-23',
+    until: '2026-10-20',
+    origins: [
+      {
+        origin: 'つつじヶ丘',
+        trips: 2,
+        medianDurationMinutes: 42,
+        byTransfers: bucket.byTransfers,
+        byHour: [bucket],
+        byWeekdayHour: [{ ...bucket, weekday: 'tue' }],
+        transferWins: [{ transfers: 1, against: 0, slots: 3, wins: 1 }],
+      },
+      { origin: '仙川', trips: 0, byHour: [], byWeekdayHour: [], transferWins: [] },
+    ],
+  }
+
+  it('accepts a well-formed /history response, including an origin with no trips', () => {
+    expect(isValidHistoryResponse(history)).toBe(true)
+  })
+
+  it('rejects an unknown weekday, a fractional hour and malformed wins', () => {
+    const [origin] = history.origins
+    const withOrigin = (patch: object) => ({ ...history, origins: [{ ...origin, ...patch }] })
+    expect(isValidHistoryResponse(withOrigin({ byWeekdayHour: [{ ...bucket, weekday: 'monday' }] }))).toBe(false)
+    expect(isValidHistoryResponse(withOrigin({ byHour: [{ ...bucket, hour: 8.5 }] }))).toBe(false)
+    expect(isValidHistoryResponse(withOrigin({ transferWins: [{ transfers: 1, against: 0, slots: 3 }] }))).toBe(false)
+    expect(isValidHistoryResponse({ ...history, days: '28' })).toBe(false)
+    expect(isValidHistoryResponse(null)).toBe(false)
+  })
+})
+
+describe('searchQuery', () => {
+  it('sends no parameters for "now"', () => {
+    expect(searchQuery(null)).toBe('')
+  })
+
+  it('encodes date, time and mode', () => {
+    expect(searchQuery({ date: '2026-07-14', time: '09:30', mode: 'arrive' }))
+      .toBe('?date=2026-07-14&time=09%3A30&mode=arrive')
+  })
+})
+
+describe('departureDate', () => {
+  // 2026-10-19T14:30Z is 23:30 on the 19th in Japan
+  const now = new Date('2026-10-19T14:30:00Z')
+
+  it('takes today in Japan for "now", and the next day for a train past midnight', () => {
+    expect(departureDate(null, '23:45', now)).toBe('2026-10-19')
+    expect(departureDate(null, '00:10', now)).toBe('2026-10-20')
+  })
+
+  it('rolls depart-at forward, arrive-by back and the last train forward across midnight', () => {
+    expect(departureDate({ date: '2026-10-31', time: '23:50', mode: 'depart' }, '00:05', now)).toBe('2026-11-01')
+    expect(departureDate({ date: '2026-10-20', time: '08:00', mode: 'depart' }, '08:10', now)).toBe('2026-10-20')
+    expect(departureDate({ date: '2026-11-01', time: '00:20', mode: 'arrive' }, '23:40', now)).toBe('2026-10-31')
+    expect(departureDate({ date: '2026-10-20', time: '12:00', mode: 'last' }, '00:05', now)).toBe('2026-10-21')
+    expect(departureDate({ date: '2026-10-20', time: '12:00', mode: 'first' }, '05:00', now)).toBe('2026-10-20')
+  })
+})
+
+describe('calendarUrl', () => {
+  const candidate = {
+    departureTime: '09:12',
+    arrivalTime: '09:54',
+    durationMinutes: 42,
+    transferCount: 0,
+    legs: [],
+    fare: { ic: null, ticket: null, sections: [], outOfPocket: null },
+  }
+
+  it('names the train by origin, destination, date and times, with a reminder', () => {
+    const url = calendarUrl('渋谷', '吉祥寺', candidate, { date: '2026-10-20', time: '09:00', mode: 'depart' })
+    const [path, query] = url!.split('?')
+    expect(path).toBe('/api/transit/ics')
+    expect(Object.fromEntries(new URLSearchParams(query))).toEqual({
+      from: '渋谷', to: '吉祥寺', date: '2026-10-20', departure: '09:12', alarm: '5', arrival: '09:54',
+    })
+  })
+
+  it('has no link for a departure time that did not parse', () => {
+    expect(calendarUrl('渋谷', '吉祥寺', { ...candidate, departureTime: null }, null)).toBeNull()
+  })
+})
+
+describe('transitErrorMessage', () => {
+  it('maps each backend code to its own message', () => {
+    expect(transitErrorMessage('UPSTREAM_TIMEOUT')).toMatch(/too long to respond/)
+    expect(transitErrorMessage('UPSTREAM_UNAVAILABLE')).toMatch(/could not be reached/)
+    expect(transitErrorMessage('NO_ROUTES')).toMatch(/No routes found/)
+    expect(transitErrorMessage('CIRCUIT_OPEN')).toMatch(/searches are paused/)
+  })
+
+  it('falls back to the generic message for no code, an unknown one or a prototype key', () => {
+    for (const code of [null, 'INTERNAL_ERROR', 'toString']) {
+      expect(transitErrorMessage(code)).toBe('Failed to load transit information')
+    }
+  })
+})
+
+describe('historyErrorMessage', () => {
+  it('tells a server without a history store apart from a failed request', () => {
+    expect(historyErrorMessage('HISTORY_DISABLED')).toMatch(/not recorded on this server/)
+    expect(historyErrorMessage('HISTORY_UNAVAILABLE')).toBe('Failed to load trip history')
+    expect(historyErrorMessage(null)).toBe('Failed to load trip history')
+  })
+})
+
+describe('retryHint', () => {
+  it('says seconds under a minute, whole minutes above, and nothing for null', () => {
+    expect(retryHint(30)).toBe('Retry in 30 seconds.')
+    expect(retryHint(300)).toBe('Retry in 5 min.')
+    expect(retryHint(null)).toBe('')
+  })
+})
+
+describe('useTransit loadMore', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  const candidateAt = (departureTime: string) => ({
+    departureTime,
+    arrivalTime: null,
+    durationMinutes: null,
+    transferCount: null,
+    legs: [],
+    fare: { ic: null, ticket: null, sections: [], outOfPocket: null },
+  })
+  const origin = (name: string, times: string[], nextCursor: string | null) => ({
+    origin: name,
+    destination: 'B',
+    status: 'ok',
+    candidates: times.map(candidateAt),
+    nextCursor,
+  })
+  const json = (body: unknown) => new Response(JSON.stringify(body))
+
+  it('appends the next page to one origin, fetching only that origin', async () => {
+    const fetchMock = vi.fn(async (url: string) =>
+      url.includes('cursor=')
+        ? json({ version: 2, routes: [origin('A', ['09:12', '09:20'], 'after:2026-10-20T09:20')] })
+        : json({ version: 2, routes: [origin('A', ['09:05'], 'after:2026-10-20T09:05'), origin('C', ['09:07'], 'after:2026-10-20T09:07')] })
+    )
+    vi.stubGlobal('fetch', fetchMock)
+    // One object for every render: useTransit refetches whenever the search identity changes
+    const search = { date: '2026-10-20', time: '09:00', mode: 'arrive' } as const
+    const { result } = renderHook(() => useTransit(search))
+    await waitFor(() => expect(result.current.originRoutes).toHaveLength(2))
+
+    await act(() => result.current.loadMore(result.current.originRoutes[0] as OriginCandidates))
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(new URL(fetchMock.mock.calls[0][0], 'http://localhost').searchParams.get('lineStatus')).toBe('1')
+    const url = new URL(fetchMock.mock.calls[1][0], 'http://localhost')
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      from: 'A',
+      to: 'B',
+      cursor: 'after:2026-10-20T09:05',
+      date: '2026-10-20',
+      lineStatus: '1',
+    })
+    const [a, c] = result.current.originRoutes as OriginCandidates[]
+    expect(a.candidates.map(x => x.departureTime)).toEqual(['09:05', '09:12', '09:20'])
+    expect(a.nextCursor).toBe('after:2026-10-20T09:20')
+    expect(c.candidates).toHaveLength(1)
+    expect(result.current.more).toBeNull()
+  })
+
+  it('keeps the cards and flags the origin when the next page fails', async () => {
+    const fetchMock = vi.fn(async (url: string) =>
+      url.includes('cursor=')
+        ? new Response('{}', { status: 504 })
+        : json({ version: 2, routes: [origin('A', ['09:05'], 'after:2026-10-20T09:05')] })
+    )
+    vi.stubGlobal('fetch', fetchMock)
+    const { result } = renderHook(() => useTransit())
+    await waitFor(() => expect(result.current.originRoutes).toHaveLength(1))
+
+    await act(() => result.current.loadMore(result.current.originRoutes[0] as OriginCandidates))
+
+    expect(result.current.more).toEqual({ origin: 'A', status: 'error' })
+    expect(result.current.error).toBeNull()
+    expect((result.current.originRoutes[0] as OriginCandidates).candidates).toHaveLength(1)
+  })
+})
+
+describe('useTransit error codes', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  async function settle(response: Response) {
+    vi.stubGlobal('fetch', vi.fn(async () => response))
+    const { result } = renderHook(() => useTransit())
+    await waitFor(() => expect(result.current.error).not.toBeNull())
+    return result.current
+  }
+
+  it('keeps the code from a JSON error body', async () => {
+    const body = JSON.stringify({ error: 'Failed to fetch transit information', code: 'UPSTREAM_TIMEOUT' })
+    const state = await settle(new Response(body, { status: 504 }))
+    expect(state.error).toBe('HTTP error: 504')
+    expect(state.errorCode).toBe('UPSTREAM_TIMEOUT')
+  })
+
+  it('leaves the code null when the error body is not JSON', async () => {
+    const state = await settle(new Response('<html>Bad Gateway</html>', { status: 502 }))
+    expect(state.error).toBe('HTTP error: 502')
+    expect(state.errorCode).toBeNull()
+  })
+})
+
+describe('useHistory', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  const history = { destination: 'B', days: 28, since: '2026-09-23', until: '2026-10-20', origins: [] }
+
+  it('fetches nothing until enabled, then the picked profile\'s history', async () => {
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify(history)))
+    vi.stubGlobal('fetch', fetchMock)
+    const { result, rerender } = renderHook(({ enabled }) => useHistory('to-office', enabled), {
+      initialProps: { enabled: false },
+    })
+    expect(fetchMock).not.toHaveBeenCalled()
+
+    rerender({ enabled: true })
+    await waitFor(() => expect(result.current.history).toEqual(history))
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(fetchMock).toHaveBeenCalledWith(expect.stringMatching(/\/history\/to-office$/), expect.anything())
+  })
+
+  it('keeps the code when the server records no history', async () => {
+    const body = JSON.stringify({ error: 'Trip history is not recorded (HISTORY_STORE is not set)', code: 'HISTORY_DISABLED' })
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(body, { status: 404 })))
+    const { result } = renderHook(() => useHistory(null, true))
+    await waitFor(() => expect(result.current.error).toBe('HTTP error: 404'))
+    expect(result.current.errorCode).toBe('HISTORY_DISABLED')
+    expect(result.current.history).toBeNull()
+  })
+})
+
 describe('parseSummary ReDoS regression', () => {
   it('completes quickly on a long whitespace-padded input', () => {
     const start = performance.now()
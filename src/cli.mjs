@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * `transit`: the next departures per origin in a terminal.
+ *
+ * With `--api` (or `TRANSIT_API_URL`) it asks a deployed API's `/v2/transit`;
+ * without, it calls the handler in-process, which scrapes Jorudan from this
+ * machine. Either way the results are the handler's: nothing is parsed here.
+ * The table reuses the text renderer's cells, coloured when stdout is a terminal.
+ */
+import { realpathSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { pathToFileURL } from 'node:url';
+import { displayWidth, routeHeading, trainCells } from './render.mjs';
+
+/** Process exit codes, so a script can tell an upstream failure from a search with no trains. */
+export const EXIT_CODES = Object.freeze({
+  ok: 0,
+  error: 1,       // anything unexpected, including an API that cannot be reached
+  usage: 2,       // bad flags, or a request the API rejects (400, unknown profile)
+  upstream: 3,    // Jorudan (and any fallback) failed for every origin
+  noRoutes: 4,    // every origin answered, with no routes
+  stale: 5,       // every origin failed just now; the departures shown are the last good result
+});
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+const USAGE = `Usage: transit [options]
+
+Next departures per origin, from the deployed API (--api) or the handler run locally.
+
+Options:
+  -p, --profile <name>    Commute profile (default: the default profile)
+  -f, --from <station>    Origin, repeatable (default: the profile's origins)
+  -t, --to <station>      Destination (default: the profile's)
+  -n, --limit <count>     Trains per origin, 1-5 (default: the profile's)
+  -w, --watch             Refresh until interrupted
+  -i, --interval <secs>   Seconds between refreshes with --watch (default: ${DEFAULT_INTERVAL_SECONDS})
+      --json              Print the v2 response as JSON
+      --api <url>         API base URL, e.g. https://d1234.cloudfront.net/api (or TRANSIT_API_URL)
+      --no-color          Plain output (also NO_COLOR, or when stdout is not a terminal)
+  -v, --verbose           Keep the handler's log lines in local mode
+  -h, --help              Show this help
+
+Exit codes: 0 departures found, 1 error, 2 usage, 3 upstream failure, 4 no routes, 5 stale departures.`;
+
+const OPTIONS = {
+  profile: { type: 'string', short: 'p' },
+  from: { type: 'string', short: 'f', multiple: true },
+  to: { type: 'string', short: 't' },
+  limit: { type: 'string', short: 'n' },
+  watch: { type: 'boolean', short: 'w' },
+  interval: { type: 'string', short: 'i' },
+  json: { type: 'boolean' },
+  api: { type: 'string' },
+  'no-color': { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Read the command line.
+ * @param {string[]} argv - Arguments after the script
+ * @param {Object} [env] - Environment (`TRANSIT_API_URL`)
+ * @returns {Object|{error: string}} Options, or the reason they are invalid
+ */
+export function parseCliArgs(argv, env = {}) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false }));
+  } catch (error) {
+    return { error: error.message };
+  }
+  if (values.help) return { help: true };
+
+  const interval = values.interval === undefined ? DEFAULT_INTERVAL_SECONDS : Number(values.interval);
+  if (!Number.isInteger(interval) || interval < 1) return { error: 'Invalid --interval (expected whole seconds, at least 1)' };
+
+  const api = values.api ?? env.TRANSIT_API_URL ?? null;
+  if (api !== null && !/^https?:\/\//.test(api)) return { error: 'Invalid --api (expected an http(s) URL)' };
+
+  const params = new URLSearchParams();
+  for (const origin of values.from ?? []) params.append('from', origin);
+  if (values.to !== undefined) params.set('to', values.to);
+  if (values.limit !== undefined) params.set('limit', values.limit);
+
+  return {
+    help: false,
+    path: `/v2/transit${values.profile === undefined ? '' : `/${encodeURIComponent(values.profile)}`}`,
+    params,
+    watch: values.watch ?? false,
+    interval,
+    json: values.json ?? false,
+    api: api?.replace(/\/+$/, '') ?? null,
+    color: !values['no-color'],
+    verbose: values.verbose ?? false,
+  };
+}
+
+/**
+ * Ask for the departures: over HTTP from the API, or from the handler itself.
+ * @param {Object} options - parseCliArgs() result
+ * @returns {Promise<{statusCode: number, data: Object|null}>} Status and parsed body (null when it is not JSON)
+ */
+async function requestDepartures({ api, path, params, verbose }) {
+  if (api !== null) {
+    const query = String(params);
+    const response = await fetch(`${api}${path}${query ? `?${query}` : ''}`, { headers: { Accept: 'application/json' } });
+    const body = await response.text();
+    let data = null;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      // Not the API answering (a proxy's error page): the status is all there is
+    }
+    return { statusCode: response.status, data };
+  }
+  // Loaded on first use: the handler reads its environment (profiles, stores) at import
+  const { handler } = await import('./index.mjs');
+  // Its one-JSON-line logs are for CloudWatch; in a terminal they bury the table
+  const log = console.error;
+  if (!verbose) console.error = () => {};
+  try {
+    const result = await handler({ path, rawQueryString: params.toString(), headers: { accept: 'application/json' } }, {});
+    return { statusCode: result.statusCode, data: JSON.parse(result.body) };
+  } finally {
+    console.error = log;
+  }
+}
+
+/**
+ * The exit code a response stands for. A success without a route list (a
+ * proxy's page, not the API) is an error.
+ * @param {number} statusCode - HTTP status
+ * @param {Object|null} data - Response body
+ * @returns {number} One of EXIT_CODES
+ */
+export function exitCodeFor(statusCode, data) {
+  if (statusCode < 400) {
+    if (!Array.isArray(data?.routes)) return EXIT_CODES.error;
+    return data.stale ? EXIT_CODES.stale : EXIT_CODES.ok;
+  }
+  if (data?.code === 'NO_ROUTES') return EXIT_CODES.noRoutes;
+  if (data?.code === 'INVALID_REQUEST' || data?.code === 'UNKNOWN_PROFILE') return EXIT_CODES.usage;
+  if (statusCode >= 502 && statusCode <= 504) return EXIT_CODES.upstream;
+  return EXIT_CODES.error;
+}
+
+const ANSI = { bold: 1, dim: 2, red: 31, yellow: 33, blue: 34, cyan: 36 };
+
+/**
+ * Paint text with an ANSI style, or leave it plain.
+ * @param {boolean} color - Whether to colour
+ * @param {string} style - Key of ANSI
+ * @param {string} text
+ * @returns {string}
+ */
+function paint(color, style, text) {
+  return color ? `\x1b[${ANSI[style]}m${text}\x1b[0m` : text;
+}
+
+/**
+ * The departures table: per origin a heading and one row per train, the
+ * columns lined up across every origin; a failed origin says why.
+ * @param {Object} data - v2 response body
+ * @param {{color: boolean}} options
+ * @returns {string}
+ */
+export function formatTable(data, { color }) {
+  const cells = data.routes.map(route => (route.status === 'ok' ? route.candidates.map(trainCells) : []));
+  const widths = cells.flat().reduce((max, row) => row.map((cell, i) => Math.max(max[i] ?? 0, displayWidth(cell))), []);
+  const pad = (cell, i) => cell + ' '.repeat(widths[i] - displayWidth(cell));
+
+  const lines = [];
+  if (data.stale) lines.push(paint(color, 'yellow', 'Last good result: the live search failed'), '');
+  data.routes.forEach((route, r) => {
+    if (r > 0) lines.push('');
+    lines.push(paint(color, 'bold', routeHeading(route)));
+    if (route.status !== 'ok') {
+      lines.push(`  ${paint(color, 'red', `unavailable (${route.code})`)}`);
+      return;
+    }
+    for (const row of cells[r]) {
+      const [departure, arrival, duration, transfers, fare, trainLines] = row.map(pad);
+      lines.push([
+        `  ${paint(color, 'cyan', departure)} → ${paint(color, 'blue', arrival)}`,
+        duration,
+        transfers,
+        fare,
+        paint(color, 'dim', trainLines),
+      ].join('  ').trimEnd());
+    }
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * One look: request, print, and the exit code it stands for.
+ * @param {Object} options - parseCliArgs() result
+ * @param {{stdout: Object, stderr: Object}} io
+ * @returns {Promise<number>} Exit code
+ */
+async function show(options, { stdout, stderr }) {
+  let statusCode;
+  let data;
+  try {
+    ({ statusCode, data } = await requestDepartures(options));
+  } catch (error) {
+    stderr.write(`transit: ${options.api === null ? 'search failed' : `could not reach ${options.api}`}: ${error.message}\n`);
+    return EXIT_CODES.error;
+  }
+  if (statusCode < 400 && !Array.isArray(data?.routes)) {
+    stderr.write(`transit: unexpected response (HTTP ${statusCode}, no departures)\n`);
+  } else if (options.json) {
+    stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+  } else if (statusCode < 400) {
+    stdout.write(formatTable(data, options));
+  } else {
+    stderr.write(`transit: ${data?.error ?? `HTTP ${statusCode}`}${data?.code ? ` (${data.code})` : ''}\n`);
+  }
+  return exitCodeFor(statusCode, data);
+}
+
+/**
+ * Run the command.
+ * @param {string[]} argv - Arguments after the script
+ * @param {Object} io
+ * @param {Object} io.stdout - Writable for the table (its `isTTY` enables colour)
+ * @param {Object} io.stderr - Writable for errors
+ * @param {Object} [io.env] - Environment (`TRANSIT_API_URL`, `NO_COLOR`)
+ * @param {AbortSignal} [io.signal] - Ends `--watch`
+ * @returns {Promise<number>} Exit code: one of EXIT_CODES
+ */
+export async function run(argv, { stdout, stderr, env = {}, signal } = {}) {
+  const options = parseCliArgs(argv, env);
+  if (options.error) {
+    stderr.write(`transit: ${options.error}\n\n${USAGE}\n`);
+    return EXIT_CODES.usage;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.ok;
+  }
+  options.color &&= Boolean(stdout.isTTY) && !env.NO_COLOR && !options.json;
+
+  if (!options.watch) return show(options, { stdout, stderr });
+
+  let code = EXIT_CODES.ok;
+  while (!signal?.aborted) {
+    if (stdout.isTTY) stdout.write('\x1b[2J\x1b[H');
+    code = await show(options, { stdout, stderr });
+    stdout.write(paint(options.color, 'dim', `Updated ${new Date().toLocaleTimeString('ja-JP')} · every ${options.interval}s\n`));
+    try {
+      await sleep(options.interval * 1000, null, { signal });
+    } catch {
+      break;  // aborted
+    }
+  }
+  return code;
+}
+
+// Run as a script, directly or through the package's `transit` bin symlink
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  const interrupted = new AbortController();
+  process.once('SIGINT', () => interrupted.abort());
+  process.exitCode = await run(process.argv.slice(2), {
+    stdout: process.stdout,
+    stderr: process.stderr,
+    env: process.env,
+    signal: interrupted.signal,
+  });
+}
@@ -1,19 +1,37 @@
 /**
  * Development HTTP server for local testing
- * Allows GET requests to /transit and /status endpoints
+ * Allows GET requests to /transit, /v2/transit (optionally /:profile), /transit/ics, /history (optionally /:profile), /profiles, /status, /status/deep and /openapi.json endpoints
+ *
+ * JORUDAN_RECORD=<dir> saves every Jorudan exchange to <dir>; JORUDAN_REPLAY=<dir> serves them back offline.
+ * With RESULT_STORE set (e.g. file:.transit-store), PRECOMPUTE_INTERVAL_SECONDS=<n> runs the precompute
+ * schedule every n seconds, as the EventBridge rule does in production. HISTORY_STORE (e.g.
+ * file:.transit-store/history) records every live answer for /history.
  */
 import http from 'http';
 import { handler } from './index.mjs';
+import { installFixtureFetchFromEnv } from './jorudan-fixtures.mjs';
 
 const PORT = process.env.PORT || 8000;
+const fixtureMode = installFixtureFetchFromEnv();
+const precomputeInterval = Number(process.env.PRECOMPUTE_INTERVAL_SECONDS || 0);
+const PRECOMPUTE_EVENT = { source: 'aws.events', 'detail-type': 'Scheduled Event', detail: { task: 'precompute' } };
+
+/** Run one precompute tick through the handler, as the schedule would. */
+async function precompute() {
+  try {
+    console.log('Precompute:', JSON.stringify(await handler(PRECOMPUTE_EVENT, {})));
+  } catch (error) {
+    console.error('Precompute error:', error);
+  }
+}
 
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const path = url.pathname;
 
-  if (req.method === 'GET' && path === '/status') {
+  if (req.method === 'GET' && (['/status', '/status/deep', '/profiles', '/openapi.json'].includes(path) || /^\/history(\/[^/]+)?$/.test(path))) {
     try {
-      const result = await handler({ path: '/status' }, {});
+      const result = await handler({ path, rawQueryString: url.searchParams.toString() }, {});
       res.writeHead(result.statusCode, result.headers);
       res.end(result.body);
     } catch (error) {
@@ -21,9 +39,9 @@ const server = http.createServer(async (req, res) => {
       res.writeHead(500, { 'Content-Type': 'text/plain' });
       res.end('Internal Server Error');
     }
-  } else if (req.method === 'GET' && path === '/transit') {
+  } else if (req.method === 'GET' && /^(\/v2)?\/transit(\/[^/]+)?$/.test(path)) {
     try {
-      const result = await handler({ path: '/transit' }, {});
+      const result = await handler({ path, rawQueryString: url.searchParams.toString(), headers: req.headers }, {});
       res.writeHead(result.statusCode, result.headers);
       res.end(result.body);
     } catch (error) {
@@ -39,6 +57,20 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`Dev server running at http://localhost:${PORT}`);
-  console.log(`  - GET /transit  - Transit information`);
+  if (fixtureMode === 'record') console.log(`  Recording Jorudan exchanges to ${process.env.JORUDAN_RECORD}`);
+  if (fixtureMode === 'replay') console.log(`  Replaying Jorudan exchanges from ${process.env.JORUDAN_REPLAY} (no network)`);
+  console.log(`  - GET /transit  - Transit information (?from=<station>&from=...&to=<station>)`);
+  console.log(`  - GET /v2/transit - Transit information, typed candidates (also /transit?v=2)`);
+  console.log(`  - GET /transit/<profile> - Transit information for a commute profile`);
+  console.log(`  - GET /transit/ics - One train as an iCalendar event (?from=&to=&date=&departure=)`);
+  console.log(`  - GET /history - Travel-time trends from recorded searches (?days=<n>; also /history/<profile>)`);
+  console.log(`  - GET /profiles - Configured commute profiles`);
   console.log(`  - GET /status   - Health check`);
+  console.log(`  - GET /status/deep - Live handshake and parse check (also /status?deep=1)`);
+  console.log(`  - GET /openapi.json - OpenAPI document for /transit and /status`);
+  if (precomputeInterval > 0) {
+    console.log(`  Precomputing into ${process.env.RESULT_STORE} every ${precomputeInterval}s`);
+    precompute();
+    setInterval(precompute, precomputeInterval * 1000);
+  }
 });
@@ -0,0 +1,72 @@
+/**
+ * Commute digest for scheduled invocations: the next departures per origin of
+ * one profile, as posted to the digest webhook.
+ *
+ * buildDigest() reduces a v2 response to the generic JSON body; formatDigestText()
+ * renders that as Slack mrkdwn, and buildWebhookPayload() picks the body for
+ * the configured format.
+ */
+import { formatDuration } from './render.mjs';
+
+export const DIGEST_FORMATS = ['slack', 'json'];
+
+/**
+ * Reduce a v2 transit response to the digest.
+ * @param {Object} digest
+ * @param {string} digest.profile - Profile name
+ * @param {string} digest.destination - Destination station
+ * @param {Object[]} digest.routes - v2 `routes`: candidates per origin, or a failure with its code
+ * @param {Date} digest.generatedAt - When the search ran
+ * @returns {Object} `{profile, destination, generatedAt, origins}`, each origin `ok` with its departures or `error` with its code
+ */
+export function buildDigest({ profile, destination, routes, generatedAt }) {
+  return {
+    profile,
+    destination,
+    generatedAt: generatedAt.toISOString(),
+    origins: routes.map(route => (route.status === 'ok'
+      ? {
+        origin: route.origin,
+        status: 'ok',
+        source: route.source,
+        departures: route.candidates.map(({ departureTime, arrivalTime, durationMinutes, transferCount }) =>
+          ({ departureTime, arrivalTime, durationMinutes, transferCount })),
+      }
+      : { origin: route.origin, status: 'error', code: route.code })),
+  };
+}
+
+/**
+ * Slack mrkdwn digest: a heading with the destination and the time in Japan,
+ * then one line per origin listing its departures, or why it has none.
+ * @param {Object} digest - Result of buildDigest()
+ * @returns {string}
+ */
+export function formatDigestText(digest) {
+  const at = new Date(Date.parse(digest.generatedAt) + 9 * 60 * 60 * 1000).toISOString().slice(11, 16);
+  const lines = [`*Next departures to ${digest.destination}* (${at} JST)`];
+  for (const origin of digest.origins) {
+    if (origin.status !== 'ok') {
+      lines.push(`*${origin.origin}*  unavailable (${origin.code})`);
+      continue;
+    }
+    const departures = origin.departures.map(d => {
+      const transfers = d.transferCount === null ? '' : `, 乗換${d.transferCount}回`;
+      return `${d.departureTime ?? '--:--'} → ${d.arrivalTime ?? '--:--'} (${formatDuration(d.durationMinutes)}${transfers})`;
+    });
+    const timetable = origin.source === 'gtfs' ? ' _(timetable)_' : '';
+    lines.push(`*${origin.origin}*  ${departures.join(' · ')}${timetable}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Webhook body for a digest: `{text}` for Slack-compatible incoming webhooks,
+ * or the digest itself as generic JSON.
+ * @param {Object} digest - Result of buildDigest()
+ * @param {'slack'|'json'} format - `DIGEST_FORMAT`
+ * @returns {Object}
+ */
+export function buildWebhookPayload(digest, format) {
+  return format === 'slack' ? { text: formatDigestText(digest) } : digest;
+}
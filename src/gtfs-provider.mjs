@@ -0,0 +1,333 @@
+/**
+ * Offline transit provider answering from a GTFS static feed.
+ *
+ * loadGtfsFeed() reads stops.txt, trips.txt, stop_times.txt and calendar.txt
+ * (plus routes.txt for line names and calendar_dates.txt for holidays, when
+ * present) and indexes every stop call by stop name, so the feed's stations
+ * are searched by the same names Jorudan uses. createGtfsProvider() wraps a
+ * feed in the provider interface of index.mjs: journeys of at most one
+ * transfer, answered in Jorudan's v1 summary/route text and as v2 candidates.
+ * Fares are not in the feed and stay null.
+ */
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+const REQUIRED_FILES = ['stops.txt', 'trips.txt', 'stop_times.txt', 'calendar.txt'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MIN_TRANSFER_MINUTES = 3;    // shortest change between two trips at the same station
+const SEARCH_WINDOW_MINUTES = 180; // boardings considered either side of a depart/arrive time
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+/**
+ * Parse GTFS CSV (RFC 4180: quoted fields, doubled quotes, CRLF, optional
+ * BOM) into one object per row keyed by the header.
+ * @param {string} text - File contents
+ * @returns {Object<string, string>[]} Rows
+ */
+export function parseGtfsCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  const [header = [], ...records] = rows;
+  const names = header.map(name => name.trim());
+  return records.map(values => Object.fromEntries(names.map((name, i) => [name, (values[i] ?? '').trim()])));
+}
+
+/**
+ * Read a GTFS time (`HH:MM:SS`, hours may pass 24 for trips after midnight).
+ * @param {string} text - GTFS time
+ * @returns {number|null} Minutes after the service day's midnight
+ */
+function parseGtfsTime(text) {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(text);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Load and index a GTFS feed directory.
+ * @param {string} dir - Directory holding the feed's .txt files
+ * @returns {{trips: Map, services: Map, exceptions: Map, callsByName: Map<string, {tripId: string, index: number}[]>}} Indexed feed
+ * @throws {Error} When a required file is missing or a stop time is unreadable
+ */
+export function loadGtfsFeed(dir) {
+  const read = name => parseGtfsCsv(readFileSync(join(dir, name), 'utf8'));
+  for (const name of REQUIRED_FILES) {
+    if (!existsSync(join(dir, name))) throw new Error(`Invalid GTFS feed: missing ${name}`);
+  }
+
+  const stops = new Map(read('stops.txt').map(s => [s.stop_id, { name: s.stop_name, platform: s.platform_code || null }]));
+  const routes = new Map(existsSync(join(dir, 'routes.txt'))
+    ? read('routes.txt').map(r => [r.route_id, r.route_long_name || r.route_short_name || r.route_id])
+    : []);
+  const services = new Map(read('calendar.txt').map(c => [c.service_id, {
+    days: WEEKDAYS.map(day => c[day] === '1'),
+    start: c.start_date,
+    end: c.end_date,
+  }]));
+  // date (YYYYMMDD) -> service_id -> added (true) or removed (false)
+  const exceptions = new Map();
+  if (existsSync(join(dir, 'calendar_dates.txt'))) {
+    for (const { service_id: serviceId, date, exception_type: type } of read('calendar_dates.txt')) {
+      if (!exceptions.has(date)) exceptions.set(date, new Map());
+      exceptions.get(date).set(serviceId, type === '1');
+    }
+  }
+
+  const trips = new Map(read('trips.txt').map(t => [t.trip_id, {
+    line: routes.get(t.route_id) ?? t.route_id,
+    headsign: t.trip_headsign || null,
+    serviceId: t.service_id,
+    calls: [],
+  }]));
+  for (const st of read('stop_times.txt')) {
+    const trip = trips.get(st.trip_id);
+    const stop = stops.get(st.stop_id);
+    if (!trip || !stop) continue;
+    const arrival = parseGtfsTime(st.arrival_time || st.departure_time);
+    const departure = parseGtfsTime(st.departure_time || st.arrival_time);
+    if (arrival === null || departure === null) {
+      throw new Error(`Invalid GTFS feed: bad time for trip ${st.trip_id} at ${st.stop_id}`);
+    }
+    trip.calls.push({ sequence: Number(st.stop_sequence), station: stop.name, platform: stop.platform, arrival, departure });
+  }
+
+  const callsByName = new Map();
+  for (const [tripId, trip] of trips) {
+    trip.calls.sort((a, b) => a.sequence - b.sequence);
+    trip.calls.forEach(({ station }, index) => {
+      if (!callsByName.has(station)) callsByName.set(station, []);
+      callsByName.get(station).push({ tripId, index });
+    });
+  }
+  return { trips, services, exceptions, callsByName };
+}
+
+/**
+ * Services running on a date: calendar.txt weekdays within the date range,
+ * then calendar_dates.txt additions and removals.
+ * @param {Object} feed - Result of loadGtfsFeed()
+ * @param {string} date - `YYYY-MM-DD`
+ * @returns {Set<string>} Active service ids
+ */
+function activeServices(feed, date) {
+  const key = date.replaceAll('-', '');
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const active = new Set();
+  for (const [id, { days, start, end }] of feed.services) {
+    if (days[weekday] && start <= key && key <= end) active.add(id);
+  }
+  for (const [id, added] of feed.exceptions.get(key) ?? []) {
+    if (added) active.add(id);
+    else active.delete(id);
+  }
+  return active;
+}
+
+/**
+ * `HH:MM` for minutes after midnight; trips past midnight wrap to the next day's clock.
+ * @param {number} minutes - Minutes after the service day's midnight
+ * @returns {string}
+ */
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * A duration the way Jorudan prints it in 所要時間: `42分`, `1時間5分`, `2時間`.
+ * @param {number} minutes - Duration
+ * @returns {string}
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}分`;
+  return rest ? `${hours}時間${rest}分` : `${hours}時間`;
+}
+
+/**
+ * Every non-dominated journey from `origin` to `destination` on a service
+ * day, direct or with one transfer, boarding within [from, to] minutes.
+ * @param {Object} feed - Result of loadGtfsFeed()
+ * @param {Set<string>} active - Service ids running that day
+ * @param {string} origin - Station name
+ * @param {string} destination - Station name
+ * @param {number} from - Earliest boarding minute
+ * @param {number} to - Latest boarding minute
+ * @returns {{rides: {trip: Object, board: number, alight: number}[], departure: number, arrival: number}[]} Journeys by departure
+ */
+function findJourneys(feed, active, origin, destination, from, to) {
+  const callsAt = station => (feed.callsByName.get(station) ?? [])
+    .filter(({ tripId }) => active.has(feed.trips.get(tripId).serviceId));
+  const alightAt = (trip, after, station) => trip.calls.findIndex((call, i) => i > after && call.station === station);
+
+  const journeys = [];
+  for (const { tripId, index: board } of callsAt(origin)) {
+    const first = feed.trips.get(tripId);
+    const departure = first.calls[board].departure;
+    if (departure < from || departure > to) continue;
+
+    let best = null;
+    const direct = alightAt(first, board, destination);
+    if (direct >= 0) best = { rides: [{ trip: first, board, alight: direct }], arrival: first.calls[direct].arrival };
+    for (let change = board + 1; change < first.calls.length; change++) {
+      const { station, arrival: reached } = first.calls[change];
+      if (best && reached >= best.arrival) break;
+      if (station === origin || station === destination) continue;
+      for (const next of callsAt(station)) {
+        const second = feed.trips.get(next.tripId);
+        if (second === first || second.calls[next.index].departure < reached + MIN_TRANSFER_MINUTES) continue;
+        const alight = alightAt(second, next.index, destination);
+        if (alight < 0 || (best && second.calls[alight].arrival >= best.arrival)) continue;
+        best = {
+          rides: [{ trip: first, board, alight: change }, { trip: second, board: next.index, alight }],
+          arrival: second.calls[alight].arrival,
+        };
+      }
+    }
+    if (best) journeys.push({ ...best, departure });
+  }
+
+  // Drop a journey when a later departure arrives no later
+  journeys.sort((a, b) => a.departure - b.departure || a.arrival - b.arrival);
+  let earliest = Infinity;
+  return journeys.reverse().filter(j => {
+    if (j.arrival >= earliest) return false;
+    earliest = j.arrival;
+    return true;
+  }).reverse();
+}
+
+/**
+ * Render a journey as the provider's journey: the v1 summary and route text
+ * (the same forms getSummary() and getRoute() read from Jorudan) and the v2
+ * candidate.
+ * @param {{rides: Object[], departure: number, arrival: number}} journey - From findJourneys()
+ * @returns {{summary: string, route: string, candidate: Object}}
+ */
+function toJourney({ rides, departure, arrival }) {
+  const lineName = trip => (trip.headsign ? `${trip.line}(${trip.headsign}行)` : trip.line);
+  const legs = [];
+  rides.forEach(({ trip, board, alight }, i) => {
+    const boarding = trip.calls[board];
+    const previous = legs.at(-1);
+    if (previous) {
+      // The transfer station: arrived by the previous ride, left by this one
+      previous.line = lineName(trip);
+      previous.departureTime = formatTime(boarding.departure);
+      previous.departurePlatform = boarding.platform ? `${boarding.platform}番線` : null;
+      previous.waitMinutes = boarding.departure - rides[i - 1].trip.calls[rides[i - 1].alight].arrival;
+    } else {
+      legs.push({
+        station: boarding.station,
+        line: lineName(trip),
+        isTerminal: true,
+        arrivalTime: null,
+        departureTime: formatTime(boarding.departure),
+        arrivalPlatform: null,
+        departurePlatform: boarding.platform ? `${boarding.platform}番線` : null,
+        transferMinutes: null,
+        waitMinutes: null,
+      });
+    }
+    const stop = trip.calls[alight];
+    legs.push({
+      station: stop.station,
+      line: null,
+      isTerminal: i === rides.length - 1,
+      arrivalTime: formatTime(stop.arrival),
+      departureTime: null,
+      arrivalPlatform: stop.platform ? `${stop.platform}番線` : null,
+      departurePlatform: null,
+      transferMinutes: null,
+      waitMinutes: null,
+    });
+  });
+
+  const transferCount = rides.length - 1;
+  const durationMinutes = arrival - departure;
+  const route = legs.flatMap(leg => [`${leg.isTerminal ? '■' : '◇'}${leg.station}`, ...(leg.line ? [`｜${leg.line}`] : [])]);
+  return {
+    summary: `${formatTime(departure)}～${formatTime(arrival)}(${formatDuration(durationMinutes)})(${transferCount}回)`,
+    route: route.join('\n'),
+    candidate: {
+      departureTime: formatTime(departure),
+      arrivalTime: formatTime(arrival),
+      durationMinutes,
+      transferCount,
+      legs,
+      fare: { ic: null, ticket: null, sections: [], outOfPocket: null },
+    },
+  };
+}
+
+/**
+ * Wrap a feed as a transit provider (`{name, search}`, see index.mjs). A
+ * search without a time is for now in Japan. `depart`/`first` answer the
+ * earliest journeys boarding at or after the time (the start of the day),
+ * `arrive`/`last` the latest arriving by it (the end of the day); `page`
+ * skips that many pages of `maxCandidates`. A station the feed does not know
+ * simply has no journeys.
+ * @param {Object} feed - Result of loadGtfsFeed()
+ * @param {Object} [options]
+ * @param {() => Date} [options.now] - Clock (injectable for tests)
+ * @returns {{name: 'gtfs', search: (query: Object) => Promise<{journeys: Object[], trace: Object[]}>}}
+ */
+export function createGtfsProvider(feed, { now = () => new Date() } = {}) {
+  return {
+    name: 'gtfs',
+    async search({ origin, destination, search, maxCandidates, page = 0, after = null }) {
+      const { date, time, mode } = search ?? (() => {
+        const iso = new Date(now().getTime() + JST_OFFSET_MS).toISOString();
+        return { date: iso.slice(0, 10), time: iso.slice(11, 16), mode: 'depart' };
+      })();
+      const [hours, minutes] = time.split(':').map(Number);
+      const at = hours * 60 + minutes;
+      const active = activeServices(feed, date);
+
+      const backwards = mode === 'arrive' || mode === 'last';
+      const [from, to] = {
+        depart: [at, at + SEARCH_WINDOW_MINUTES],
+        first: [0, Infinity],
+        arrive: [at - SEARCH_WINDOW_MINUTES, at],
+        last: [0, Infinity],
+      }[mode];
+      // An `after:` cursor's pages showed the first `seen` trains at its minute; later ones stay
+      let shown = after?.seen ?? 0;
+      let journeys = findJourneys(feed, active, origin, destination, from, to)
+        .filter(j => !(mode === 'arrive' && j.arrival > at))
+        .filter(j => {
+          if (shown === 0 || formatTime(j.departure) !== after.time) return true;
+          shown--;
+          return false;
+        });
+      if (backwards) journeys.reverse();
+      journeys = journeys.slice(page * maxCandidates, (page + 1) * maxCandidates);
+      if (backwards) journeys.reverse();
+      return { journeys: journeys.map(toJourney), trace: [] };
+    },
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Trip history: the trains each successful search answered, and the
+ * travel-time trends `/history` reports from them.
+ *
+ * tripRecords() turns one origin's journeys into records, one per train,
+ * keyed so the same train seen by later searches replaces its record rather
+ * than counting twice. aggregateHistory() groups an origin's records by
+ * weekday and hour of departure (Japan time).
+ */
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * `YYYY-MM-DD` shifted by whole days.
+ * @param {string} date - `YYYY-MM-DD`
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string}
+ */
+export function addDays(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * A clock time with its hour zero-padded (Jorudan prints `9:05`), so times
+ * compare as strings.
+ * @param {string} time - `H:MM` or `HH:MM`
+ * @returns {string} `HH:MM`
+ */
+export function padClock(time) {
+  return time.padStart(5, '0');
+}
+
+/**
+ * The date a train departs on. The search names one date (today for "now"),
+ * but its trains can cross midnight: depart-at and "now" searches list later
+ * trains, so one before the search time is the next day; arrive-by lists
+ * earlier ones, so one after it is the day before; the last train leaves by
+ * about 1am, so one before 04:00 is the next day.
+ * @param {{date: string, time: string, mode: string}} search - Search date, time and mode (`now` resolved)
+ * @param {string} departureTime - `HH:MM` (or `H:MM`)
+ * @returns {string} `YYYY-MM-DD`
+ */
+export function departureDate({ date, time, mode }, departureTime) {
+  const [departure, searched] = [padClock(departureTime), padClock(time)];
+  if (mode === 'depart') return departure < searched ? addDays(date, 1) : date;
+  if (mode === 'arrive') return departure > searched ? addDays(date, -1) : date;
+  if (mode === 'last') return departure < '04:00' ? addDays(date, 1) : date;
+  return date;
+}
+
+/**
+ * Hour of an `HH:MM` (or `H:MM`) time.
+ * @param {string} time
+ * @returns {number} `0`–`23`
+ */
+function hourOf(time) {
+  return Number(time.split(':')[0]);
+}
+
+/**
+ * History records for one origin's answered journeys. A journey without a
+ * departure, arrival or duration (an unparsed summary) is left out. Times are
+ * stored `HH:MM`, so the same train keeps one id however Jorudan printed it.
+ * @param {Object} answer
+ * @param {string} answer.origin - Origin station
+ * @param {string} answer.destination - Destination station
+ * @param {{date: string, time: string, mode: string}} answer.search - Search date, time and mode (`now` resolved)
+ * @param {string} answer.source - Provider that answered
+ * @param {Object[]} answer.journeys - `{candidate}` per train
+ * @param {(line: string) => string} answer.lineName - Normalizes a line name (drops the `(…行)` direction)
+ * @returns {{date: string, id: string, record: Object}[]} Records with the departure date and their per-train id
+ */
+export function tripRecords({ origin, destination, search, source, journeys, lineName }) {
+  const records = [];
+  for (const { candidate } of journeys) {
+    const { durationMinutes, transferCount } = candidate;
+    if (!candidate.departureTime || !candidate.arrivalTime || durationMinutes === null) continue;
+    const [departureTime, arrivalTime] = [padClock(candidate.departureTime), padClock(candidate.arrivalTime)];
+    const date = departureDate(search, departureTime);
+    const lines = candidate.legs.filter(leg => leg.line !== null).map(leg => lineName(leg.line));
+    const record = {
+      origin,
+      destination,
+      date,
+      weekday: WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()],
+      departureTime,
+      arrivalTime,
+      durationMinutes,
+      transferCount,
+      lines,
+      source,
+    };
+    records.push({ date, id: [departureTime, arrivalTime, ...lines].join('#'), record });
+  }
+  return records;
+}
+
+/**
+ * Median of a non-empty list of numbers (the mean of the middle two for an even count).
+ * @param {number[]} values
+ * @returns {number}
+ */
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Group items by a key, keeping first-seen order.
+ * @param {Object[]} items
+ * @param {(item: Object) => *} keyOf
+ * @returns {Map<*, Object[]>}
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Trips, median duration and the trips per transfer count of a set of records.
+ * @param {Object[]} records
+ * @returns {{trips: number, medianDurationMinutes: number, byTransfers: Object[]}}
+ */
+function summarize(records) {
+  const byTransfers = groupBy(records.filter(r => r.transferCount !== null), r => r.transferCount);
+  return {
+    trips: records.length,
+    medianDurationMinutes: median(records.map(r => r.durationMinutes)),
+    byTransfers: [...byTransfers]
+      .sort(([a], [b]) => a - b)
+      .map(([transfers, group]) => ({ transfers, trips: group.length, medianDurationMinutes: median(group.map(r => r.durationMinutes)) })),
+  };
+}
+
+/**
+ * How often a route with more transfers beats one with fewer: within each
+ * departure hour of each day (a "slot") holding both, the faster of the two
+ * fastest trips wins. Ties go to the fewer transfers.
+ * @param {Object[]} records
+ * @returns {{transfers: number, against: number, slots: number, wins: number}[]} One entry per pair of transfer counts seen together
+ */
+function transferWins(records) {
+  const pairs = new Map();
+  const slots = groupBy(records.filter(r => r.transferCount !== null), r => `${r.date}T${hourOf(r.departureTime)}`);
+  for (const slot of slots.values()) {
+    const fastest = new Map();
+    for (const { transferCount, durationMinutes } of slot) {
+      fastest.set(transferCount, Math.min(fastest.get(transferCount) ?? Infinity, durationMinutes));
+    }
+    const counts = [...fastest.keys()].sort((a, b) => a - b);
+    counts.forEach((fewer, i) => {
+      for (const more of counts.slice(i + 1)) {
+        const key = `${more}:${fewer}`;
+        const pair = pairs.get(key) ?? { transfers: more, against: fewer, slots: 0, wins: 0 };
+        pair.slots++;
+        if (fastest.get(more) < fastest.get(fewer)) pair.wins++;
+        pairs.set(key, pair);
+      }
+    });
+  }
+  return [...pairs.values()].sort((a, b) => a.against - b.against || a.transfers - b.transfers);
+}
+
+/**
+ * An origin's trends: overall, per departure hour, per weekday and hour, and
+ * the transfer comparison. Hours are of the departure, `0`–`23` in Japan time.
+ * @param {Object[]} records - The origin's records
+ * @returns {Object} `{trips, medianDurationMinutes, byTransfers, byHour, byWeekdayHour, transferWins}`; zero trips has no medians
+ */
+export function aggregateHistory(records) {
+  if (records.length === 0) return { trips: 0, byHour: [], byWeekdayHour: [], transferWins: [] };
+  const hour = r => hourOf(r.departureTime);
+  const byHour = groupBy(records, hour);
+  const byWeekdayHour = groupBy(records, r => `${WEEKDAYS.indexOf(r.weekday)}:${hour(r)}`);
+  return {
+    ...summarize(records),
+    byHour: [...byHour]
+      .sort(([a], [b]) => a - b)
+      .map(([h, group]) => ({ hour: h, ...summarize(group) })),
+    byWeekdayHour: [...byWeekdayHour.values()]
+      .map(group => ({ weekday: group[0].weekday, hour: hour(group[0]), ...summarize(group) }))
+      .sort((a, b) => WEEKDAYS.indexOf(a.weekday) - WEEKDAYS.indexOf(b.weekday) || a.hour - b.hour),
+    transferWins: transferWins(records),
+  };
+}
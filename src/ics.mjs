@@ -0,0 +1,140 @@
+/**
+ * iCalendar (RFC 5545) rendering of one journey, for `/transit/ics`.
+ *
+ * buildIcsEvent() writes a VCALENDAR holding a single VEVENT whose times are
+ * local to Asia/Tokyo (with the VTIMEZONE that defines it, so every calendar
+ * client reads them as Japan time wherever it runs), the route as its location
+ * and the itinerary text as its description, plus an optional VALARM.
+ */
+const TIME_ZONE = 'Asia/Tokyo';
+const PRODUCT_ID = '-//lambda-function-transit//Transit//EN';
+const MAX_LINE_OCTETS = 75;  // RFC 5545 §3.1: longer content lines are folded
+
+// Japan has kept +09:00 without daylight saving since 1951, so one STANDARD rule covers every date
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIME_ZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0900',
+  'TZOFFSETTO:+0900',
+  'TZNAME:JST',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+/**
+ * Escape a TEXT property value: backslash, semicolon, comma and newlines.
+ * @param {string} text - Value
+ * @returns {string} Escaped value
+ */
+export function escapeIcsText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets of UTF-8, each
+ * continuation starting with a space. Never splits a character: station
+ * names are three octets a character.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, CRLF-separated
+ */
+export function foldIcsLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines spend one octet on the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * `YYYY-MM-DD` and `HH:MM` plus some minutes, as an iCalendar local DATE-TIME.
+ * @param {string} date - `YYYY-MM-DD`
+ * @param {string} time - `HH:MM`
+ * @param {number} [minutes] - Minutes to add (crossing midnight moves the date)
+ * @returns {string} `YYYYMMDDTHHMMSS`
+ */
+function localDateTime(date, time, minutes = 0) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, mins] = time.split(':').map(Number);
+  const at = new Date(Date.UTC(year, month - 1, day, hours, mins + minutes));
+  return at.toISOString().slice(0, 19).replace(/[-:]/g, '');
+}
+
+/**
+ * Minutes from `departure` to `arrival`, wrapping past midnight.
+ * @param {string} departure - `HH:MM`
+ * @param {string} arrival - `HH:MM`
+ * @returns {number}
+ */
+function minutesBetween(departure, arrival) {
+  const toMinutes = time => time.split(':').map(Number).reduce((h, m) => h * 60 + m);
+  return (toMinutes(arrival) - toMinutes(departure) + 24 * 60) % (24 * 60);
+}
+
+/**
+ * Render one journey as an `.ics` calendar.
+ * @param {Object} event
+ * @param {string} event.uid - Stable identifier, so re-importing updates the same event
+ * @param {string} event.origin - Departure station
+ * @param {string} event.destination - Arrival station
+ * @param {string} event.date - Departure date in Japan, `YYYY-MM-DD`
+ * @param {string} event.departureTime - `HH:MM`
+ * @param {string|null} event.arrivalTime - `HH:MM`, used when there is no duration
+ * @param {number|null} event.durationMinutes - Ride time; a zero-length event without it or an arrival
+ * @param {string} event.description - Itinerary text (the summary line and getRoute() output)
+ * @param {number|null} [event.alarmMinutes] - Minutes before departure for a VALARM, none when null
+ * @param {Date} [event.now] - DTSTAMP (injectable for tests)
+ * @returns {string} iCalendar text, CRLF line endings
+ */
+export function buildIcsEvent({
+  uid, origin, destination, date, departureTime, arrivalTime, durationMinutes, description,
+  alarmMinutes = null, now = new Date(),
+}) {
+  const duration = durationMinutes ?? (arrivalTime ? minutesBetween(departureTime, arrivalTime) : 0);
+  const title = `${origin} → ${destination}`;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...VTIMEZONE,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${now.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`,
+    `DTSTART;TZID=${TIME_ZONE}:${localDateTime(date, departureTime)}`,
+    `DTEND;TZID=${TIME_ZONE}:${localDateTime(date, departureTime, duration)}`,
+    `SUMMARY:${escapeIcsText(title)}`,
+    `LOCATION:${escapeIcsText(title)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    'TRANSP:OPAQUE',
+  ];
+  if (alarmMinutes !== null) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(`${departureTime} ${title}`)}`,
+      `TRIGGER:-PT${alarmMinutes}M`,
+      'END:VALARM',
+    );
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
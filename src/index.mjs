@@ -3,21 +3,129 @@
  * Migrated from Python to Node.js 22
  */
 
-const JORUDAN_BASE_URL = 'https://www.jorudan.co.jp';
-const JORUDAN_URL_PREFIX = `${JORUDAN_BASE_URL}/norikae/cgi/nori.cgi?rf=top&eok1=R-&eok2=R-&pg=0&eki1=`;
-const JORUDAN_URL_SUFFIX = '&Cmap1=&eki2=%E3%81%A4%E3%81%A4%E3%81%98%E3%83%B6%E4%B8%98%EF%BC%88%E6%9D%B1%E4%BA%AC%EF%BC%89&Cway=0&Cfp=1&Czu=2&S=%E6%A4%9C%E7%B4%A2&Csg=1&type=t';
-const JORUDAN_DESTINATION = 'つつじヶ丘（東京）';
-const JORUDAN_ORIGINS = [
-  { origin: '六本木一丁目', url: `${JORUDAN_URL_PREFIX}%E5%85%AD%E6%9C%AC%E6%9C%A8%E4%B8%80%E4%B8%81%E7%9B%AE${JORUDAN_URL_SUFFIX}` },
-  { origin: '神谷町',       url: `${JORUDAN_URL_PREFIX}%E7%A5%9E%E8%B0%B7%E7%94%BA${JORUDAN_URL_SUFFIX}` },
-  { origin: '麻布十番',     url: `${JORUDAN_URL_PREFIX}%E9%BA%BB%E5%B8%83%E5%8D%81%E7%95%AA${JORUDAN_URL_SUFFIX}` },
-];
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { fileURLToPath } from 'node:url';
+import { createGtfsProvider, loadGtfsFeed } from './gtfs-provider.mjs';
+import { DIGEST_FORMATS, buildDigest, buildWebhookPayload } from './digest.mjs';
+import { addDays, aggregateHistory, departureDate, padClock, tripRecords } from './history.mjs';
+import { buildIcsEvent } from './ics.mjs';
+import { OPENAPI } from './openapi.mjs';
+import { FORMATS, selectFormat } from './render.mjs';
+import { parseHistoryStore, parseResultStore } from './result-store.mjs';
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);  // may be reached over plain http
+// Parsed at cold start: `JORUDAN_BASE_URL` swaps in a stand-in such as the local simulator
+const UPSTREAM = parseJorudanBaseUrl(process.env.JORUDAN_BASE_URL);
+const JORUDAN_BASE_URL = UPSTREAM.baseUrl;
+const JORUDAN_SEARCH_URL = `${JORUDAN_BASE_URL}/norikae/cgi/nori.cgi`;
+const OPERATION_INFO_URL = `${JORUDAN_BASE_URL}/unk/`;  // 運行情報: current disruptions, by line
+const MAX_ORIGINS = 5;               // upper bound on `from` values (each costs a full handshake)
+const MAX_STATION_NAME_LENGTH = 30;  // longest accepted `from`/`to` value, in code points
 const PER_HOP_TIMEOUT_MS = 2500;   // per-fetch timeout for a single hop
 const OVERALL_BUDGET_MS = 7000;    // total budget for one origin's full handshake
-const ALLOWED_HOSTS = new Set(['www.jorudan.co.jp', 'jid.jorudan.co.jp']);
+const MAX_HOP_ATTEMPTS = 3;        // tries per hop on a timeout, network error or 5xx
+const RETRY_BASE_DELAY_MS = 100;   // backoff before retry n: random up to base * 2^(n-1) (full jitter)
+const MIN_RETRY_WINDOW_MS = 500;   // a retry needs this much of the origin budget left after its backoff
+const BREAKER_FAILURE_THRESHOLD = 5;  // consecutive transient failures that open a host's breaker
+const BREAKER_COOLDOWN_MS = 30000;    // how long an open breaker fails fast before letting one probe through
+const ALLOWED_HOSTS = UPSTREAM.hosts;
 const MIN_EXPECTED_BLOCKS = 3;
 const TARGET_BLOCK_INDEX = 2;  // Third block contains route information
-const MAX_CANDIDATES = 2;  // Maximum number of transit candidates to return
+const MAX_CANDIDATES = 2;  // Default number of transit candidates returned per origin
+const MAX_CANDIDATES_LIMIT = 5;  // Largest `maxCandidates` a profile, or `limit`, may ask for
+const MAX_PAGE = 9;  // Deepest Jorudan results page (`pg`) a numeric cursor may ask for
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const RESERVED_PROFILE_NAMES = new Set(['ics']);  // /transit/<name> paths that are endpoints, not profiles
+const PROFILES_FILE = new URL('./profiles.json', import.meta.url);
+const MAX_ALARM_MINUTES = 120;  // largest `alarm` an .ics export accepts
+const HISTORY_DAYS = 28;       // days of trip history /history aggregates without `days`
+const MAX_HISTORY_DAYS = 90;   // most a `days` may ask for (the history store keeps items this long)
+const DIGEST_WEBHOOK_TIMEOUT_MS = 5000;  // budget for one digest POST
+const MAX_CACHE_ENTRIES = 100;  // distinct queries kept in the response cache (oldest evicted first)
+
+/**
+ * A failed transit fetch with a stable, machine-readable `code` for clients
+ * and the HTTP status it is answered with. Subclasses fix both, and how long
+ * a client should wait before retrying (`null`: retrying will not help);
+ * anything thrown that is not a TransitError is answered as `INTERNAL_ERROR` / 500.
+ */
+export class TransitError extends Error {
+  static code = 'INTERNAL_ERROR';
+  static statusCode = 500;
+  static retryAfterSeconds = null;
+
+  constructor(message, options) {
+    super(message, options);
+    this.name = new.target.name;
+  }
+
+  get code() {
+    return this.constructor.code;
+  }
+
+  get statusCode() {
+    return this.constructor.statusCode;
+  }
+
+  get retryAfterSeconds() {
+    return this.constructor.retryAfterSeconds;
+  }
+}
+
+/** A hop, or the origin's whole budget, ran out of time. */
+export class UpstreamTimeoutError extends TransitError {
+  static code = 'UPSTREAM_TIMEOUT';
+  static statusCode = 504;
+  static retryAfterSeconds = 30;
+}
+
+/** Jorudan could not be reached, or answered with a server error. */
+export class UpstreamUnavailableError extends TransitError {
+  static code = 'UPSTREAM_UNAVAILABLE';
+  static statusCode = 502;
+  static retryAfterSeconds = 60;
+}
+
+/** The bot check did not let us through: a missing redirect, a refused hop, a bad verify body. */
+export class BotCheckRejectedError extends TransitError {
+  static code = 'BOT_CHECK_REJECTED';
+  static statusCode = 502;
+  static retryAfterSeconds = 300;
+}
+
+/** A results page arrived but no longer parses the way it used to. */
+export class StructureChangedError extends TransitError {
+  static code = 'STRUCTURE_CHANGED';
+  static statusCode = 502;
+}
+
+/** A well-formed results page with no routes on it (e.g. after the last train). */
+export class NoRoutesError extends TransitError {
+  static code = 'NO_ROUTES';
+  static statusCode = 404;
+}
+
+/** A host's circuit breaker is open: it failed repeatedly and is left alone for a cool-down. */
+export class CircuitOpenError extends TransitError {
+  static code = 'CIRCUIT_OPEN';
+  static statusCode = 503;
+  static retryAfterSeconds = BREAKER_COOLDOWN_MS / 1000;
+}
+
+/** Jorudan pointed a hop at a URL outside the allowlist (see isAllowedUrl()). */
+export class SsrfBlockedError extends TransitError {
+  static code = 'SSRF_BLOCKED';
+  static statusCode = 502;
+}
+
+/** HTTP status each code of a failed transit fetch is answered with. */
+export const ERROR_STATUS_BY_CODE = Object.freeze(Object.fromEntries([
+  TransitError, UpstreamTimeoutError, UpstreamUnavailableError, BotCheckRejectedError,
+  StructureChangedError, NoRoutesError, CircuitOpenError, SsrfBlockedError,
+].map(ErrorClass => [ErrorClass.code, ErrorClass.statusCode])));
 
 /**
  * Escape special regex characters in a string
@@ -86,11 +194,495 @@ export function splitRoutes(block) {
   return block.split(/(?=発着時間：)/).filter(r => r.trim() && r.includes('発着時間：'));
 }
 
+/**
+ * Convert a Jorudan duration string (`2時間15分`, `49分`, `2時間`) to minutes.
+ * @param {string} text - Duration text from the 所要時間 field
+ * @returns {number|null} Total minutes, or null when unparseable
+ */
+export function parseDurationMinutes(text) {
+  const match = text.match(/^(?:(\d+)時間)?(?:(\d+)分)?$/);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+  return Number(match[1] ?? 0) * 60 + Number(match[2] ?? 0);
+}
+
+/**
+ * Read the platform and transfer details Jorudan prints after a station name,
+ * e.g. `3番線着・1番線発 ［乗換4分+待ち4分］` or `1・2番線着`.
+ * @param {string} detail - Station line text after the name
+ * @returns {{arrivalPlatform: string|null, departurePlatform: string|null, transferMinutes: number|null, waitMinutes: number|null}} Station details
+ */
+function parseStationDetail(detail) {
+  const text = detail.normalize('NFKC');
+  const arrival = text.match(/(\d+(?:・\d+)*番線)着/);
+  const departure = text.match(/(\d+(?:・\d+)*番線)発/);
+  const transfer = text.match(/乗換(\d+)分/);
+  const wait = text.match(/待ち(\d+)分/);
+  return {
+    arrivalPlatform: arrival?.[1] ?? null,
+    departurePlatform: departure?.[1] ?? null,
+    transferMinutes: transfer ? Number(transfer[1]) : null,
+    waitMinutes: wait ? Number(wait[1]) : null,
+  };
+}
+
+/**
+ * Parse a route's station and `｜` detail lines into an ordered, timed
+ * itinerary. Each ■/◇ station line becomes one leg carrying its platforms and
+ * (at a ◇ transfer) the walk/wait minutes; the first non-time, non-fare `｜`
+ * line after it is the line ridden from that station, and the `HH:MM-HH:MM`
+ * line under that gives this station's departure and the next one's arrival.
+ * Accepts either the raw route section or getRoute()'s filtered text (which
+ * simply yields null times).
+ * @param {string} route - Route section of a block, or the output of getRoute()
+ * @returns {Object[]} Ordered legs: station, line, isTerminal, arrival/departure time and platform, transfer/wait minutes
+ */
+export function parseLegs(route) {
+  const legs = [];
+  let pendingArrival = null;
+  for (const raw of route.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line.startsWith('■') || line.startsWith('◇')) {
+      const [station, ...detail] = line.slice(1).trim().split(/\s+/);
+      legs.push({
+        station,
+        line: null,
+        isTerminal: line.startsWith('■'),
+        arrivalTime: pendingArrival,
+        departureTime: null,
+        ...parseStationDetail(detail.join(' ')),
+      });
+      pendingArrival = null;
+      continue;
+    }
+    const leg = legs[legs.length - 1];
+    if (!leg || !line.startsWith('｜')) continue;
+    const content = line.slice(1).trim();
+    const times = content.match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})/);
+    if (times) {
+      leg.departureTime ??= times[1];
+      pendingArrival = times[2];
+    } else if (content && leg.line === null && !/^[\d↓↑]/.test(content)) {
+      leg.line = content.replace(/\s+[\d.]+km$/, '');
+    }
+  }
+  return legs;
+}
+
+/**
+ * Read a yen amount (`1,234円`, full-width digits allowed) at the start of `text`.
+ * @param {string} text - Text that may begin with an amount
+ * @returns {number|null} Amount in yen, or null when `text` is not an amount
+ */
+function parseYen(text) {
+  const match = text.normalize('NFKC').match(/^([\d,]+)円/);
+  return match ? Number(match[1].replace(/,/g, '')) : null;
+}
+
+/**
+ * Group a route's `｜` detail lines into fare sections. Jorudan prints the fare
+ * (`｜178円`) under the first leg of a through-ticketed section and `｜ ↓` under
+ * each later leg the same fare still covers, so a section runs from the leg
+ * carrying the amount through every following `↓` leg.
+ * @param {string} block - Single route block (one element of splitRoutes())
+ * @returns {{from: string, to: string, amount: number}[]} Fare sections in travel order
+ */
+export function parseFareSections(block) {
+  const route = block.trim().split(/\r?\n\r?\n/)[1] || '';
+  const sections = [];
+  let current = null;
+  let station = null;
+  for (const raw of route.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line.startsWith('■') || line.startsWith('◇')) {
+      station = line.slice(1).trim().split(/\s+/)[0];
+      // Every station is a candidate end of the open section; a later `↓` extends it again
+      if (current && current.to === null) current.to = station;
+      continue;
+    }
+    if (!line.startsWith('｜')) continue;
+    const content = line.slice(1).trim();
+    const amount = parseYen(content);
+    if (amount !== null && station) {
+      current = { from: station, to: null, amount };
+      sections.push(current);
+    } else if (content === '↓' && current) {
+      current.to = null;
+    }
+  }
+  return sections.filter(section => section.to !== null);
+}
+
+/**
+ * Characters a station name may contain: letters (kanji, kana, latin, the
+ * prolonged-sound mark), digits, combining marks, the middle dot and half/full
+ * width parentheses (Jorudan disambiguates e.g. `つつじヶ丘（東京）`). Whitespace,
+ * `&`, `=`, `%` and every other URL/HTML metacharacter are rejected outright.
+ */
+const STATION_NAME_PATTERN = /^[\p{L}\p{N}\p{M}・()（）]+$/u;
+
+/**
+ * Validate and normalize a user-supplied station name.
+ * @param {unknown} name - Raw `from`/`to` query value
+ * @returns {string|null} Trimmed name when valid, otherwise null
+ */
+export function validateStationName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim();
+  if (!trimmed || [...trimmed].length > MAX_STATION_NAME_LENGTH) return null;
+  return STATION_NAME_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Separator between stations inside one commuter-pass segment, and between
+ * segments. Neither character can appear in a valid station name.
+ */
+const PASS_STATION_SEPARATOR = ':';
+const PASS_SEGMENT_SEPARATOR = ',';
+
+/**
+ * Parse a commuter pass (定期) definition such as
+ * `六本木一丁目:永田町:渋谷,明大前:つつじヶ丘（東京）` — comma-separated segments,
+ * each listing the stations the pass covers in order.
+ * @param {string|undefined} spec - Pass definition (typically `process.env.COMMUTER_PASS`)
+ * @returns {string[][]} Station lists, one per segment (empty when no pass is configured)
+ * @throws {Error} When a segment has fewer than two stations or an invalid station name
+ */
+export function parseCommuterPass(spec) {
+  if (!spec || !spec.trim()) return [];
+  return spec.split(PASS_SEGMENT_SEPARATOR).map(segment => {
+    const stations = segment.split(PASS_STATION_SEPARATOR).map(validateStationName);
+    if (stations.length < 2 || stations.some(name => name === null)) {
+      throw new Error(`Invalid COMMUTER_PASS segment: "${segment}"`);
+    }
+    return stations;
+  });
+}
+
+// Parsed once per cold start so a malformed COMMUTER_PASS fails the init, not a request
+const COMMUTER_PASS = parseCommuterPass(process.env.COMMUTER_PASS);
+
+/**
+ * Extract a candidate's fares: the IC and ticket totals from the summary, the
+ * per-section fares from the route, and the out-of-pocket amount once every
+ * section lying entirely inside a commuter-pass segment is deducted. A section
+ * that only partly overlaps the pass is charged in full (Jorudan does not
+ * print the split fare), so out-of-pocket errs high rather than low.
+ * @param {string} block - Single route block (one element of splitRoutes())
+ * @param {string[][]} [commuterPass] - Pass segments from parseCommuterPass()
+ * @returns {{ic: number|null, ticket: number|null, sections: Object[], outOfPocket: number|null}} Fares in yen
+ */
+export function parseFare(block, commuterPass = COMMUTER_PASS) {
+  const summary = (block.trim().split(/\r?\n\r?\n/)[0] || '').normalize('NFKC');
+  const sections = parseFareSections(block);
+  const sectionTotal = sections.length > 0 ? sections.reduce((sum, s) => sum + s.amount, 0) : null;
+
+  const icMatch = summary.match(/IC[^\d\r\n]{0,5}([\d,]+)円/);
+  const ticketMatch = summary.match(/(?:切符|きっぷ|現金)[^\d\r\n]{0,5}([\d,]+)円/)
+    ?? summary.match(/運賃：([\d,]+)円/);
+  const ic = icMatch ? Number(icMatch[1].replace(/,/g, '')) : null;
+  const ticket = ticketMatch ? Number(ticketMatch[1].replace(/,/g, '')) : sectionTotal;
+
+  const covered = section => commuterPass.some(stations =>
+    stations.includes(section.from) && stations.includes(section.to));
+  let outOfPocket;
+  if (commuterPass.length > 0 && sections.length > 0) {
+    outOfPocket = sections.filter(section => !covered(section)).reduce((sum, s) => sum + s.amount, 0);
+  } else {
+    outOfPocket = ic ?? ticket;
+  }
+
+  return { ic, ticket, sections, outOfPocket };
+}
+
+/**
+ * Parse one route block into the typed v2 candidate shape.
+ * @param {string} block - Single route block (one element of splitRoutes())
+ * @param {string[][]} [commuterPass] - Pass segments used for the out-of-pocket fare
+ * @returns {{departureTime: string|null, arrivalTime: string|null, durationMinutes: number|null, transferCount: number|null, legs: Object[], fare: Object}} Candidate
+ */
+export function parseCandidate(block, commuterPass = COMMUTER_PASS) {
+  const summary = block.trim().split(/\r?\n\r?\n/)[0] || '';
+  // Jorudan renders either `06:30～08:45` or `18:49発 → 19:38着`; the gap is bounded so this cannot backtrack
+  const times = extractField(summary, '発着時間').match(/(\d{1,2}:\d{2})\D{1,10}(\d{1,2}:\d{2})/);
+  const transfers = extractField(summary, '乗換回数').match(/^(\d+)回$/);
+  return {
+    departureTime: times?.[1] ?? null,
+    arrivalTime: times?.[2] ?? null,
+    durationMinutes: parseDurationMinutes(extractField(summary, '所要時間')),
+    transferCount: transfers ? Number(transfers[1]) : null,
+    legs: parseLegs(block.trim().split(/\r?\n\r?\n/)[1] || ''),
+    fare: parseFare(block, commuterPass),
+  };
+}
+
+/**
+ * Search modes accepted in `mode`, keyed to the value of Jorudan's `Cway`
+ * radio (出発 / 到着 / 始発 / 終電).
+ */
+const SEARCH_MODES = { depart: '0', arrive: '1', first: '2', last: '3' };
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const PAGE_CURSOR_PATTERN = /^\d+$/;
+const AFTER_CURSOR_PATTERN = /^after:(?:(\d{4}-\d{2}-\d{2})T)?(\d{1,2}:\d{2})(?:~(\d{1,2}))?$/;
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+/**
+ * Current date and time in Japan, which Jorudan's timetable is keyed to
+ * regardless of where the Lambda runs.
+ * @param {Date} now - Reference instant
+ * @returns {{date: string, time: string}} `YYYY-MM-DD` and `HH:MM`
+ */
+function jstDateTime(now) {
+  const iso = new Date(now.getTime() + JST_OFFSET_MS).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+/**
+ * Resolve the search time from the `date`, `time` and `mode` query parameters.
+ * With none of them the search is Jorudan's own "now" (`null`); once any is
+ * given, a missing date or time is filled in from the current time in Japan.
+ * @param {URLSearchParams} params - Request query parameters
+ * @param {Date} [now] - Reference instant (injectable for tests)
+ * @returns {{search: {date: string, time: string, mode: string}|null}|{error: string}} Search time, or a client error message
+ */
+export function parseSearchTime(params, now = new Date()) {
+  if (!params.has('date') && !params.has('time') && !params.has('mode')) return { search: null };
+
+  const mode = params.get('mode') ?? 'depart';
+  if (!Object.hasOwn(SEARCH_MODES, mode)) {
+    return { error: `Invalid mode (expected one of ${Object.keys(SEARCH_MODES).join(', ')})` };
+  }
+
+  const current = jstDateTime(now);
+  const date = params.get('date') ?? current.date;
+  const dateMatch = DATE_PATTERN.exec(date);
+  if (!dateMatch) return { error: 'Invalid date (expected YYYY-MM-DD)' };
+  const [, year, month, day] = dateMatch.map(Number);
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+  if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day) {
+    return { error: 'Invalid date (expected YYYY-MM-DD)' };
+  }
+
+  const time = params.get('time') ?? current.time;
+  const timeMatch = TIME_PATTERN.exec(time);
+  if (!timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) {
+    return { error: 'Invalid time (expected HH:MM)' };
+  }
+
+  return { search: { date, time: `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`, mode } };
+}
+
+/**
+ * Resolve `limit` and `cursor`. A cursor is either a Jorudan results page
+ * number (sent as `pg`) or `after:YYYY-MM-DDTHH:MM~N`, which re-searches
+ * departing at that date and time and drops the first N trains leaving at
+ * exactly HH:MM — the ones the previous page already ended with. The date
+ * defaults to the search date (today in Japan without one) and N to 1. Every
+ * origin answers its own `nextCursor` in that form (see afterCursor()).
+ * @param {URLSearchParams} params - Request query parameters
+ * @param {{date: string, time: string, mode: string}|null} search - Result of parseSearchTime()
+ * @param {number} defaultLimit - Candidates per origin without `limit` (the profile's)
+ * @param {Date} [now] - Reference instant (injectable for tests)
+ * @returns {{limit: number, page: number, after: {time: string, seen: number}|null, search: Object|null}|{error: string}} Paging, with the search an `after:` cursor implies, or a client error message
+ */
+export function parsePaging(params, search, defaultLimit, now = new Date()) {
+  let limit = defaultLimit;
+  if (params.has('limit')) {
+    const raw = params.get('limit');
+    limit = PAGE_CURSOR_PATTERN.test(raw) ? Number(raw) : NaN;
+    if (!(limit >= 1 && limit <= MAX_CANDIDATES_LIMIT)) {
+      return { error: `Invalid limit (expected 1-${MAX_CANDIDATES_LIMIT})` };
+    }
+  }
+
+  const cursor = params.get('cursor');
+  if (cursor === null) return { limit, page: 0, after: null, search };
+
+  if (PAGE_CURSOR_PATTERN.test(cursor)) {
+    const page = Number(cursor);
+    if (page > MAX_PAGE) return { error: `Invalid cursor (page 0-${MAX_PAGE})` };
+    return { limit, page, after: null, search };
+  }
+
+  const afterMatch = AFTER_CURSOR_PATTERN.exec(cursor);
+  if (afterMatch) {
+    const [, date, time, seen = '1'] = afterMatch;
+    if (search && search.mode !== 'depart') return { error: 'Invalid cursor (after:HH:MM needs mode=depart)' };
+    const resolved = parseSearchTime(new URLSearchParams({ date: date ?? search?.date ?? jstDateTime(now).date, time }), now);
+    if (resolved.error || Number(seen) < 1) return { error: 'Invalid cursor (expected a page number or after:HH:MM)' };
+    return { limit, page: 0, after: { time: resolved.search.time, seen: Number(seen) }, search: resolved.search };
+  }
+
+  return { error: 'Invalid cursor (expected a page number or after:HH:MM)' };
+}
+
+/**
+ * The `after:` cursor continuing after a page's last train: its departure date
+ * (past midnight, the day after the search's, see departureDate()) and time,
+ * and how many trains at that minute have been shown, this page's and, when
+ * it ended on the cursor's own minute, those the cursor had skipped already.
+ * @param {{candidate: Object}[]} journeys - The page, in departure order
+ * @param {{date: string, time: string, mode: string}|null} search - Its search, null for now
+ * @param {{time: string, seen: number}|null} after - Its own cursor
+ * @param {Date} [now] - Reference instant for a "now" search
+ * @returns {string|null} Cursor, or null when the last departure did not parse
+ */
+export function afterCursor(journeys, search, after, now = new Date(Date.now())) {
+  const last = journeys.at(-1).candidate.departureTime;
+  if (!last) return null;
+  const time = padClock(last);
+  const date = departureDate(search ?? { ...jstDateTime(now), mode: 'depart' }, time);
+  const seen = journeys.filter(j => j.candidate.departureTime && padClock(j.candidate.departureTime) === time).length
+    + (after?.time === time ? after.seen : 0);
+  return `after:${date}T${time}${seen > 1 ? `~${seen}` : ''}`;
+}
+
+/**
+ * Drop the trains an `after:` cursor's previous pages showed: the first
+ * `seen` leaving at its minute. Later ones at that minute stay.
+ * @param {Object[]} items - Routes in departure order
+ * @param {(item: Object) => string|null} departureOf - An item's `HH:MM` (or `H:MM`) departure
+ * @param {{time: string, seen: number}|null} after - Cursor, null to keep everything
+ * @returns {Object[]}
+ */
+export function dropShown(items, departureOf, after) {
+  if (!after) return items;
+  let left = after.seen;
+  return items.filter(item => {
+    const departure = departureOf(item);
+    if (left === 0 || !departure || padClock(departure) !== after.time) return true;
+    left--;
+    return false;
+  });
+}
+
+/**
+ * Build the nori.cgi search URL for one origin/destination pair. Parameter
+ * order mirrors the form Jorudan's own top page submits. Without a search time
+ * the date fields are omitted and Jorudan searches from "now"; with one, the
+ * date goes in `Dym`/`Ddd`, the time in `Hh`/`Mn1`/`Mn2` (minute tens and
+ * units) and the mode in `Cway`.
+ * @param {string} origin - Departure station name (eki1)
+ * @param {string} destination - Arrival station name (eki2)
+ * @param {{date: string, time: string, mode: string}|null} [search] - Result of parseSearchTime()
+ * @param {number} [page] - Jorudan results page (`pg`), 0 for the first
+ * @returns {string} Absolute nori.cgi URL
+ */
+export function buildSearchUrl(origin, destination, search = null, page = 0) {
+  const when = [];
+  if (search) {
+    const [year, month, day] = search.date.split('-');
+    const [hours, minutes] = search.time.split(':');
+    when.push(
+      ['Dym', `${year}${month}`], ['Ddd', String(Number(day))], ['Hh', String(Number(hours))],
+      ['Mn1', minutes[0]], ['Mn2', minutes[1]],
+    );
+  }
+  const params = [
+    ['rf', 'top'], ['eok1', 'R-'], ['eok2', 'R-'], ['pg', String(page)],
+    ['eki1', origin], ['Cmap1', ''], ['eki2', destination], ...when,
+    ['Cway', search ? SEARCH_MODES[search.mode] : '0'],
+    ['Cfp', '1'], ['Czu', '2'], ['S', '検索'], ['Csg', '1'], ['type', 't'],
+  ];
+  const query = params.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+  return `${JORUDAN_SEARCH_URL}?${query}`;
+}
+
+/**
+ * Validate a commute profile config: `{ defaultProfile, profiles: { <name>:
+ * { origins, destination, maxCandidates? } } }`. Station names go through the
+ * same validation as the `from`/`to` query parameters.
+ * @param {unknown} config - Parsed JSON config
+ * @returns {{defaultProfile: string, profiles: Map<string, {name: string, origins: string[], destination: string, maxCandidates: number}>}} Profiles by name
+ * @throws {Error} When the config is malformed, naming the offending profile
+ */
+export function parseProfiles(config) {
+  const fail = reason => { throw new Error(`Invalid profile config: ${reason}`); };
+  if (typeof config !== 'object' || config === null) fail('expected an object');
+  if (typeof config.profiles !== 'object' || config.profiles === null || Array.isArray(config.profiles)) {
+    fail('"profiles" must be an object keyed by profile name');
+  }
+
+  const profiles = new Map();
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    if (!PROFILE_NAME_PATTERN.test(name)) fail(`profile name "${name}" must be lowercase letters, digits and hyphens`);
+    if (RESERVED_PROFILE_NAMES.has(name)) fail(`profile name "${name}" is reserved`);
+    if (typeof profile !== 'object' || profile === null) fail(`profile "${name}" must be an object`);
+    const { origins, destination, maxCandidates = MAX_CANDIDATES } = profile;
+    if (!Array.isArray(origins) || origins.length === 0 || origins.length > MAX_ORIGINS) {
+      fail(`profile "${name}" needs 1-${MAX_ORIGINS} origins`);
+    }
+    const names = origins.map(validateStationName);
+    if (names.includes(null) || new Set(names).size !== names.length) fail(`profile "${name}" has an invalid or duplicate origin`);
+    const to = validateStationName(destination);
+    if (!to || names.includes(to)) fail(`profile "${name}" has an invalid destination`);
+    if (!Number.isInteger(maxCandidates) || maxCandidates < 1 || maxCandidates > MAX_CANDIDATES_LIMIT) {
+      fail(`profile "${name}" maxCandidates must be an integer from 1 to ${MAX_CANDIDATES_LIMIT}`);
+    }
+    profiles.set(name, { name, origins: names, destination: to, maxCandidates });
+  }
+
+  if (profiles.size === 0) fail('at least one profile is required');
+  if (!profiles.has(config.defaultProfile)) fail('"defaultProfile" must name one of the profiles');
+  return { defaultProfile: config.defaultProfile, profiles };
+}
+
+/**
+ * Load the commute profiles: the `TRANSIT_PROFILES` environment variable
+ * (inline JSON) when set, otherwise the `profiles.json` bundled next to this
+ * file.
+ * @returns {ReturnType<typeof parseProfiles>} Validated profiles
+ * @throws {Error} When the config is unreadable or invalid
+ */
+function loadProfiles() {
+  const source = process.env.TRANSIT_PROFILES || readFileSync(PROFILES_FILE, 'utf8');
+  let config;
+  try {
+    config = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Invalid profile config: ${error.message}`);
+  }
+  return parseProfiles(config);
+}
+
+// Parsed at cold start: a bad config fails the init phase instead of every request.
+const PROFILES = loadProfiles();
+const DEFAULT_PROFILE = PROFILES.profiles.get(PROFILES.defaultProfile);
+
+/**
+ * Resolve the origin set and destination for a request from its `from`
+ * (repeatable) and `to` query parameters, falling back to the profile's commute
+ * when a parameter is absent. Duplicate origins are collapsed.
+ * @param {URLSearchParams} params - Request query parameters
+ * @param {{origins: string[], destination: string}} [profile] - Commute supplying the defaults
+ * @returns {{origins: string[], destination: string}|{error: string}} Stations, or a client error message
+ */
+export function parseStationQuery(params, profile = DEFAULT_PROFILE) {
+  const rawOrigins = params.getAll('from');
+  const origins = [];
+  for (const raw of rawOrigins) {
+    const name = validateStationName(raw);
+    if (!name) return { error: 'Invalid origin station name' };
+    if (!origins.includes(name)) origins.push(name);
+  }
+  if (origins.length > MAX_ORIGINS) return { error: `Too many origins (max ${MAX_ORIGINS})` };
+
+  let destination = profile.destination;
+  if (params.has('to')) {
+    destination = validateStationName(params.get('to'));
+    if (!destination) return { error: 'Invalid destination station name' };
+  }
+  const resolved = origins.length > 0 ? origins : profile.origins;
+  if (resolved.includes(destination)) return { error: 'Origin and destination must differ' };
+
+  return { origins: resolved, destination };
+}
+
 const BROWSER_HEADERS = {
   'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
   'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
   'Accept-Language': 'ja,en-US;q=0.9,en;q=0.8',
-  'Referer': 'https://www.jorudan.co.jp/',
+  'Referer': `${JORUDAN_BASE_URL}/`,
 };
 
 /**
@@ -137,12 +729,42 @@ export function extractJsRedirect(body) {
   return match[2].trim() || null;
 }
 
+/**
+ * Resolve where the handshake is sent. Unset, that is Jorudan itself
+ * (`www` and `jid` over https). Set, it is a single server speaking the same
+ * flow on both roles — the local simulator — which then becomes the only
+ * allowed host; plain http is accepted for loopback hosts only.
+ * @param {string|undefined} raw - `JORUDAN_BASE_URL` value, an origin such as `http://localhost:8100`
+ * @returns {{baseUrl: string, protocol: string, hosts: Set<string>}} Origin, scheme and allowed hosts (with port)
+ * @throws {Error} When the value is not a bare https origin, or an http one on loopback
+ */
+export function parseJorudanBaseUrl(raw) {
+  if (!raw) {
+    return { baseUrl: 'https://www.jorudan.co.jp', protocol: 'https:', hosts: new Set(['www.jorudan.co.jp', 'jid.jorudan.co.jp']) };
+  }
+  let u;
+  try {
+    u = new URL(raw);
+  } catch {
+    throw new Error('Invalid JORUDAN_BASE_URL: not a URL');
+  }
+  if (u.username || u.password || u.pathname !== '/' || u.search || u.hash) {
+    throw new Error('Invalid JORUDAN_BASE_URL: expected a bare origin');
+  }
+  if (u.protocol !== 'https:' && !(u.protocol === 'http:' && LOOPBACK_HOSTS.has(u.hostname))) {
+    throw new Error('Invalid JORUDAN_BASE_URL: https required (http only on loopback)');
+  }
+  return { baseUrl: u.origin, protocol: u.protocol, hosts: new Set([u.host]) };
+}
+
 /**
  * SSRF guard: resolve a URL and accept it only if it targets an allowlisted
  * Jorudan host over https. Single chokepoint called before every hop, and on
  * the plaintext verify_uuid result. Rejects non-https schemes (data:,
  * javascript:, file:, ftp:, protocol-relative //), credentials in the URL, and
- * any host outside ALLOWED_HOSTS (exact hostname match — no substring/suffix).
+ * any host outside ALLOWED_HOSTS (exact host match, port included — no
+ * substring/suffix). With `JORUDAN_BASE_URL` set, the scheme and host are that
+ * origin's.
  * @param {string} rawUrl - URL or relative reference to validate
  * @param {string} [baseUrl] - Base for resolving a relative reference
  * @returns {URL|null} Parsed URL when allowed, otherwise null
@@ -154,9 +776,9 @@ export function isAllowedUrl(rawUrl, baseUrl) {
   } catch {
     return null;
   }
-  if (u.protocol !== 'https:') return null;
+  if (u.protocol !== UPSTREAM.protocol) return null;
   if (u.username || u.password) return null;
-  if (!ALLOWED_HOSTS.has(u.hostname)) return null;
+  if (!ALLOWED_HOSTS.has(u.host)) return null;
   return u;
 }
 
@@ -172,17 +794,55 @@ function legacySplitSetCookie(setCookieHeader) {
   return setCookieHeader.split(/,(?=\s*\w+=)/).map(s => s.trim()).filter(Boolean);
 }
 
+/**
+ * Expiry of a Set-Cookie line as epoch ms: `Max-Age` wins over `Expires`
+ * (RFC 6265 §5.3), `null` is a session cookie that lives as long as the jar.
+ * @param {string[]} attrs - The `;`-separated attributes after the name=value pair
+ * @param {number} now - Epoch ms the cookie was received
+ * @returns {number|null} Expiry, or null when neither attribute is usable
+ */
+function cookieExpiry(attrs, now) {
+  let expires = null;
+  for (const attr of attrs) {
+    const ai = attr.indexOf('=');
+    if (ai <= 0) continue;
+    const key = attr.slice(0, ai).trim().toLowerCase();
+    const value = attr.slice(ai + 1).trim();
+    if (key === 'max-age' && /^-?\d+$/.test(value)) return now + Number(value) * 1000;
+    if (key === 'expires' && !Number.isNaN(Date.parse(value))) expires = Date.parse(value);
+  }
+  return expires;
+}
+
 /**
  * Minimal cookie jar with Domain-attribute scoping (browser-faithful).
  * A cookie with `Domain=.jorudan.co.jp` is shared across allowed subdomains
  * (so jid-set jrd_uuid reaches the final www request); a cookie with no Domain
- * is host-only (so jid-scoped jrd_cuid never leaks to www).
+ * is host-only (so jid-scoped jrd_cuid never leaks to www). Expired cookies
+ * (Max-Age/Expires) are dropped on read, and the jar round-trips through
+ * `toJSON()` / `CookieJar.fromJSON()` so it can outlive the process.
  */
-class CookieJar {
-  #byHost = new Map();    // exact host -> Map(name -> value)
-  #byDomain = new Map();  // registrable domain (no leading dot) -> Map(name -> value)
+export class CookieJar {
+  #byHost = new Map();    // exact host -> Map(name -> {value, expires})
+  #byDomain = new Map();  // registrable domain (no leading dot) -> Map(name -> {value, expires})
 
-  store(headers, requestHost) {
+  #set(bucket, key, name, cookie) {
+    if (!bucket.has(key)) bucket.set(key, new Map());
+    bucket.get(key).set(name, cookie);
+  }
+
+  #purge(now) {
+    for (const bucket of [this.#byHost, this.#byDomain]) {
+      for (const [key, cookies] of bucket) {
+        for (const [name, { expires }] of cookies) {
+          if (expires !== null && expires <= now) cookies.delete(name);
+        }
+        if (cookies.size === 0) bucket.delete(key);
+      }
+    }
+  }
+
+  store(headers, requestHost, now = Date.now()) {
     const lines = headers.getSetCookie?.() ?? legacySplitSetCookie(headers.get?.('set-cookie'));
     for (const line of lines) {
       if (!line) continue;
@@ -201,23 +861,198 @@ class CookieJar {
       }
       const bucket = domain ? this.#byDomain : this.#byHost;
       const key = domain || requestHost.toLowerCase();
-      if (!bucket.has(key)) bucket.set(key, new Map());
-      bucket.get(key).set(name, value);
+      // An already-expired cookie (Max-Age=0, past Expires) is how a server deletes one
+      this.#set(bucket, key, name, { value, expires: cookieExpiry(attrs, now) });
     }
+    this.#purge(now);
   }
 
-  headerFor(host) {
+  headerFor(host, now = Date.now()) {
+    this.#purge(now);
     const h = host.toLowerCase();
     const merged = new Map();
     for (const [domain, cookies] of this.#byDomain) {
       if (h === domain || h.endsWith(`.${domain}`)) {
-        for (const [n, v] of cookies) merged.set(n, v);
+        for (const [n, { value }] of cookies) merged.set(n, value);
       }
     }
     const hostCookies = this.#byHost.get(h);
-    if (hostCookies) for (const [n, v] of hostCookies) merged.set(n, v);
+    if (hostCookies) for (const [n, { value }] of hostCookies) merged.set(n, value);
     return [...merged].map(([n, v]) => `${n}=${v}`).join('; ');
   }
+
+  /**
+   * Number of unexpired cookies held.
+   * @param {number} [now] - Reference epoch ms
+   * @returns {number}
+   */
+  size(now = Date.now()) {
+    this.#purge(now);
+    let count = 0;
+    for (const bucket of [this.#byHost, this.#byDomain]) {
+      for (const cookies of bucket.values()) count += cookies.size;
+    }
+    return count;
+  }
+
+  /**
+   * Plain-data form for an external store: one entry per cookie, scoped by
+   * exactly one of `host` (host-only) or `domain`.
+   * @returns {{cookies: Array<{name: string, value: string, host: string|null, domain: string|null, expires: number|null}>}}
+   */
+  toJSON() {
+    const cookies = [];
+    for (const [scope, bucket] of [['host', this.#byHost], ['domain', this.#byDomain]]) {
+      for (const [key, entries] of bucket) {
+        for (const [name, { value, expires }] of entries) {
+          cookies.push({ name, value, host: scope === 'host' ? key : null, domain: scope === 'domain' ? key : null, expires });
+        }
+      }
+    }
+    return { cookies };
+  }
+
+  /**
+   * Rebuild a jar from `toJSON()` output, skipping malformed entries.
+   * @param {unknown} data - Serialized jar
+   * @returns {CookieJar}
+   */
+  static fromJSON(data) {
+    const jar = new CookieJar();
+    for (const c of Array.isArray(data?.cookies) ? data.cookies : []) {
+      if (typeof c?.name !== 'string' || typeof c.value !== 'string') continue;
+      const expires = Number.isFinite(c.expires) ? c.expires : null;
+      if (typeof c.domain === 'string') jar.#set(jar.#byDomain, c.domain, c.name, { value: c.value, expires });
+      else if (typeof c.host === 'string') jar.#set(jar.#byHost, c.host, c.name, { value: c.value, expires });
+    }
+    return jar;
+  }
+}
+
+/**
+ * Cookie jars from successful handshakes, per origin station, kept across warm
+ * invocations. A live jrd_uuid lets hop 1 return the results page directly.
+ */
+const botSessions = new Map();
+
+/**
+ * Forget every cached bot-check session (the next request per origin pays the
+ * full handshake again).
+ */
+export function clearBotSessions() {
+  botSessions.clear();
+}
+
+/**
+ * Circuit breakers per upstream host, kept across warm invocations. A breaker
+ * opens after BREAKER_FAILURE_THRESHOLD consecutive transient failures
+ * (timeouts, network errors, 5xx), fails every request fast for
+ * BREAKER_COOLDOWN_MS, then lets one probe through (half-open): its success
+ * closes the breaker, its failure opens it again. Any non-5xx answer counts as
+ * a success — a refused bot check is not the host being down.
+ */
+const circuitBreakers = new Map();
+
+/**
+ * Close every circuit breaker and forget its failures.
+ */
+export function clearCircuitBreakers() {
+  circuitBreakers.clear();
+}
+
+/**
+ * The breaker for a host, created closed.
+ * @param {string} host - Upstream host (with any port)
+ * @returns {{state: 'closed'|'open'|'half-open', failures: number, openedAt: number, probing: boolean}}
+ */
+function breakerFor(host) {
+  let breaker = circuitBreakers.get(host);
+  if (!breaker) {
+    breaker = { state: 'closed', failures: 0, openedAt: 0, probing: false };
+    circuitBreakers.set(host, breaker);
+  }
+  return breaker;
+}
+
+/**
+ * Whether a request to `host` may go out now. Past the cool-down an open
+ * breaker turns half-open and admits a single probe.
+ * @param {string} host - Upstream host
+ * @returns {boolean}
+ */
+function admitRequest(host) {
+  const breaker = breakerFor(host);
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half-open';
+  }
+  if (breaker.state === 'half-open' && !breaker.probing) {
+    breaker.probing = true;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Give back a half-open breaker's probe that ended with no answer either way
+ * (the origin's own budget ran out), so the next request can probe instead.
+ * @param {string} host - Upstream host
+ */
+function releaseProbe(host) {
+  breakerFor(host).probing = false;
+}
+
+/**
+ * Record a host's answer: a success closes its breaker, a transient failure
+ * counts toward opening it (and reopens a half-open one at once).
+ * @param {string} host - Upstream host
+ * @param {boolean} ok - Whether the host answered (with anything but a 5xx)
+ */
+function recordOutcome(host, ok) {
+  const breaker = breakerFor(host);
+  breaker.probing = false;
+  if (ok) {
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    return;
+  }
+  breaker.failures += 1;
+  if (breaker.state === 'half-open' || (breaker.state === 'closed' && breaker.failures >= BREAKER_FAILURE_THRESHOLD)) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+    console.error(JSON.stringify({
+      level: 'warn',
+      message: 'Circuit breaker opened',
+      host,
+      consecutiveFailures: breaker.failures,
+    }));
+  }
+}
+
+/**
+ * Breaker state per allowed host, for `/status`. An open breaker past its
+ * cool-down reads as half-open (the next request is the probe).
+ * @returns {Object<string, {state: string, consecutiveFailures: number, retryAt?: string}>}
+ */
+function circuitBreakerStatus() {
+  return Object.fromEntries([...ALLOWED_HOSTS].map(host => {
+    const { state, failures, openedAt } = breakerFor(host);
+    const retryAt = openedAt + BREAKER_COOLDOWN_MS;
+    if (state === 'open' && Date.now() < retryAt) {
+      return [host, { state, consecutiveFailures: failures, retryAt: new Date(retryAt).toISOString() }];
+    }
+    return [host, { state: state === 'open' ? 'half-open' : state, consecutiveFailures: failures }];
+  }));
+}
+
+/**
+ * Backoff before retry `attempt` (1 for the first retry): full jitter over an
+ * exponentially growing window, so parallel origins do not retry in step.
+ * @param {number} attempt - Retry number
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempt) {
+  return Math.random() * RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
 }
 
 /**
@@ -248,7 +1083,7 @@ function buildAjaxHeaders(refererUrl) {
  */
 function fetchWithBudget(url, { headers, redirect = 'manual', method = 'GET', body }, deadline) {
   const remaining = deadline - Date.now();
-  if (remaining <= 0) throw new Error('Origin budget exhausted');
+  if (remaining <= 0) throw new UpstreamTimeoutError('Origin budget exhausted');
   return fetch(url, {
     method,
     headers,
@@ -258,45 +1093,193 @@ function fetchWithBudget(url, { headers, redirect = 'manual', method = 'GET', bo
   });
 }
 
+/**
+ * A hop URL for the trace: host and path, plus the query parameter names with
+ * every value dropped (they carry station names, returl tokens and the like).
+ * @param {URL} urlObj - Hop URL
+ * @returns {string} e.g. `jid.jorudan.co.jp/jrd_uuid/set_uuid.cgi?returl&ts`
+ */
+function redactUrl(urlObj) {
+  const names = [...new Set(urlObj.searchParams.keys())];
+  return `${urlObj.host}${urlObj.pathname}${names.length ? `?${names.join('&')}` : ''}`;
+}
+
+/**
+ * Names (never values) of the cookies a response sets.
+ * @param {Headers} headers - Response headers
+ * @returns {string[]} Cookie names
+ */
+function setCookieNames(headers) {
+  const lines = headers.getSetCookie?.() ?? legacySplitSetCookie(headers.get?.('set-cookie'));
+  return lines.map(line => line.split('=', 1)[0].trim()).filter(Boolean);
+}
+
 /**
  * Run Jorudan's jrd_uuid bot-check handshake for one origin and return the
  * final transit HTML. Six hops: nori -> jid page -> set_uuid -> verify_uuid ->
  * redirect2 -> nori. Every hop's URL is host-validated; cookies are accumulated
  * with Domain-attribute scoping; the whole chain is bounded by OVERALL_BUDGET_MS.
+ *
+ * The jar of a successful run is kept under `sessionKey` and sent with the next
+ * hop 1 for the same key, which then usually returns the results page outright.
+ * If Jorudan bounces that request to the jid page anyway, the stale jar is
+ * discarded and the handshake continues with a fresh one.
+ *
+ * Every hop attempt is recorded in a trace (hop and attempt number, redacted
+ * URL, method, status, duration, names of the cookies set, body bytes).
+ * Transient failures are retried with jittered backoff inside the origin
+ * budget, and a host whose circuit breaker is open fails fast with
+ * CircuitOpenError. It is returned on success and
+ * attached to the thrown error as `error.trace` on failure.
+ *
+ * Other pages behind the same bot check (the operation info page) go through
+ * the same hops; `isPage` tells the page asked for from the bot-check redirect.
  * @param {string} originUrl - The initial nori.cgi search URL
- * @returns {Promise<string>} Transit results HTML
+ * @param {string} [sessionKey] - Key the reusable session is cached under
+ * @param {(body: string) => boolean} [isPage] - Whether a body is the page asked for
+ * @returns {Promise<{body: string, trace: Object[]}>} Transit results HTML and the hop trace
  */
-async function performBotHandshake(originUrl) {
-  const jar = new CookieJar();
-  const deadline = Date.now() + OVERALL_BUDGET_MS;
+async function performBotHandshake(originUrl, sessionKey = originUrl, isPage = isResultsPage) {
+  const trace = [];
+  try {
+    return { body: await runHandshake(originUrl, sessionKey, isPage, trace), trace };
+  } catch (error) {
+    error.trace = trace;
+    throw error;
+  }
+}
 
-  const get = async (urlObj, headers, redirect, opts = {}) => {
-    const cookie = jar.headerFor(urlObj.hostname);
-    const res = await fetchWithBudget(
-      urlObj.href,
-      { headers: cookie ? { ...headers, Cookie: cookie } : headers, redirect, ...opts },
-      deadline,
-    );
-    jar.store(res.headers, urlObj.hostname);
-    return res;
+/**
+ * Whether a body is Jorudan's results page rather than the bot check.
+ * @param {string} body - Page HTML
+ * @returns {boolean}
+ */
+function isResultsPage(body) {
+  return body.includes('<hr size="1"');
+}
+
+/**
+ * The hops of performBotHandshake(), appending to `trace` as they go.
+ * @param {string} originUrl - The initial nori.cgi search URL
+ * @param {string} sessionKey - Key the reusable session is cached under
+ * @param {(body: string) => boolean} isPage - Whether a body is the page asked for
+ * @param {Object[]} trace - Hop records, filled in place
+ * @returns {Promise<string>} Transit results HTML
+ */
+async function runHandshake(originUrl, sessionKey, isPage, trace) {
+  const cached = botSessions.get(sessionKey);
+  let jar = cached && cached.size() > 0 ? cached : new CookieJar();
+  botSessions.delete(sessionKey);
+  const deadline = Date.now() + OVERALL_BUDGET_MS;
+  const hopOf = new WeakMap();  // response -> its trace record, for readText()
+
+  let hops = 0;
+
+  // One hop, retried on a timeout, network error or 5xx while attempts, the origin budget and the
+  // host's breaker allow. Each attempt is its own trace record.
+  const get = async (urlObj, headers, redirect, opts = {}) => {
+    const hopNumber = ++hops;
+    const { host } = urlObj;
+    // Whether this hop holds the host's half-open probe: given back if the hop ends with no outcome
+    let probe = false;
+    const admit = () => {
+      const admitted = admitRequest(host);
+      probe = admitted && breakerFor(host).state === 'half-open';
+      return admitted;
+    };
+    const settle = (ok) => {
+      probe = false;
+      recordOutcome(host, ok);
+    };
+    if (!admit()) throw new CircuitOpenError(`Hop ${hopNumber}: circuit open for ${host}`);
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const hop = {
+          hop: hopNumber,
+          attempt,
+          method: opts.method ?? 'GET',
+          url: redactUrl(urlObj),
+          status: null,
+          durationMs: null,
+          setCookies: [],
+          bytes: null,
+        };
+        trace.push(hop);
+        const started = Date.now();
+        let failure;
+        try {
+          const cookie = jar.headerFor(urlObj.hostname);
+          const res = await fetchWithBudget(
+            urlObj.href,
+            { headers: cookie ? { ...headers, Cookie: cookie } : headers, redirect, ...opts },
+            deadline,
+          );
+          hop.status = res.status;
+          hop.setCookies = setCookieNames(res.headers);
+          const length = Number(res.headers.get?.('content-length'));
+          if (length > 0) hop.bytes = length;
+          jar.store(res.headers, urlObj.hostname);
+          hopOf.set(res, hop);
+          if (!(res.status >= 500)) {
+            settle(true);
+            return res;
+          }
+          await res.body?.cancel();
+          failure = new UpstreamUnavailableError(`Hop ${hopNumber} failed: HTTP ${res.status}`);
+        } catch (error) {
+          hop.error = error.message;
+          // The origin budget running out is ours, not the host's: no retry, no breaker failure
+          if (error instanceof TransitError) throw error;
+          // AbortSignal.timeout() rejects with a TimeoutError; anything else is the network
+          failure = error.name === 'TimeoutError' || error.name === 'AbortError'
+            ? new UpstreamTimeoutError(`Hop ${hopNumber} timed out`, { cause: error })
+            : new UpstreamUnavailableError(`Hop ${hopNumber} failed: ${error.message}`, { cause: error });
+        } finally {
+          hop.durationMs = Date.now() - started;
+        }
+
+        settle(false);
+        const delay = retryDelay(attempt);
+        if (attempt >= MAX_HOP_ATTEMPTS || deadline - Date.now() - delay < MIN_RETRY_WINDOW_MS || !admit()) {
+          throw failure;
+        }
+        await sleep(delay);
+      }
+    } finally {
+      if (probe) releaseProbe(host);
+    }
+  };
+
+  const readText = async (res) => {
+    const text = await res.text();
+    const hop = hopOf.get(res);
+    if (hop) hop.bytes = Buffer.byteLength(text);
+    return text;
   };
 
   // Hop 1: initial nori.cgi request
   const origin = isAllowedUrl(originUrl);
-  if (!origin) throw new Error('Origin URL not allowed');
+  if (!origin) throw new SsrfBlockedError('Origin URL not allowed');
   const r1 = await get(origin, BROWSER_HEADERS, 'manual');
-  const body1 = await r1.text();
+  const body1 = await readText(r1);
 
   // Fast path: already authorized (warm cookies, or a direct results page)
-  if (body1.includes('<hr size="1"')) return body1;
+  if (isPage(body1)) {
+    if (jar.size() > 0) botSessions.set(sessionKey, jar);
+    return body1;
+  }
+  // Bounced to the bot check: whatever the jar held no longer authorizes us
+  jar = new CookieJar();
 
   const jidRaw = extractJsRedirect(body1);
-  const jidUrl = jidRaw && isAllowedUrl(jidRaw, origin.href);
-  if (!jidUrl) throw new Error('Bot check: no valid jid redirect');
+  if (!jidRaw) throw new BotCheckRejectedError('Bot check: no valid jid redirect');
+  const jidUrl = isAllowedUrl(jidRaw, origin.href);
+  if (!jidUrl) throw new SsrfBlockedError('Bot check: jid redirect not allowed');
 
   // Hop 2: jid page (the JS here drives the AJAX handshake in a real browser)
   const r2 = await get(jidUrl, BROWSER_HEADERS, 'manual');
-  await r2.text();
+  await readText(r2);
 
   // The AJAX endpoints share the jid page's querystring (?returl=...) plus a
   // `ts` epoch cache-buster. `ts` is appended before isAllowedUrl so the SSRF
@@ -305,7 +1288,7 @@ async function performBotHandshake(originUrl) {
   const sep = jidUrl.search ? '&' : '?';
   const setUrl = isAllowedUrl(`./set_uuid.cgi${jidUrl.search}${sep}${tsParam}`, jidUrl.href);
   const verifyUrl = isAllowedUrl(`./verify_uuid.cgi${jidUrl.search}${sep}${tsParam}`, jidUrl.href);
-  if (!setUrl || !verifyUrl) throw new Error('Bot check: derived UUID URL not allowed');
+  if (!setUrl || !verifyUrl) throw new SsrfBlockedError('Bot check: derived UUID URL not allowed');
   // Real-browser Referer for these AJAX calls is the jid origin root, not the jid page URL.
   const ajaxHeaders = buildAjaxHeaders(`${jidUrl.origin}/`);
   // Jorudan now requires set_uuid/verify_uuid to be POSTs carrying the fingerprint body.
@@ -313,31 +1296,33 @@ async function performBotHandshake(originUrl) {
 
   // Hop 3: set_uuid.cgi -> Set-Cookie jrd_cuid (jid-scoped)
   const r3 = await get(setUrl, ajaxHeaders, 'manual', { method: 'POST', body: fpBody });
-  if (!r3.ok) throw new Error(`set_uuid failed: ${r3.status}`);
+  if (!r3.ok) throw new BotCheckRejectedError(`set_uuid failed: ${r3.status}`);
 
   // Hop 4: verify_uuid.cgi -> plaintext final redirect URL (and Set-Cookie jrd_uuid)
   const r4 = await get(verifyUrl, ajaxHeaders, 'manual', { method: 'POST', body: fpBody });
-  if (!r4.ok) throw new Error(`verify_uuid failed: ${r4.status}`);
-  const finalRaw = (await r4.text()).trim();
+  if (!r4.ok) throw new BotCheckRejectedError(`verify_uuid failed: ${r4.status}`);
+  const finalRaw = (await readText(r4)).trim();
   if (!finalRaw || finalRaw.length > 2048 || /\s/.test(finalRaw)) {
-    throw new Error('Bot check: invalid verify_uuid body');
+    throw new BotCheckRejectedError('Bot check: invalid verify_uuid body');
   }
   const redirect2Url = isAllowedUrl(finalRaw);
-  if (!redirect2Url) throw new Error('Bot check: verify_uuid result not allowed');
+  if (!redirect2Url) throw new SsrfBlockedError('Bot check: verify_uuid result not allowed');
 
   // Hop 5: redirect2.cgi -> 302 to nori.cgi
   const r5 = await get(redirect2Url, BROWSER_HEADERS, 'manual');
   const location = r5.headers.get('location');
-  const transitUrl = location && isAllowedUrl(location, redirect2Url.href);
-  if (!transitUrl) throw new Error('Bot check: invalid post-redirect location');
+  if (!location) throw new BotCheckRejectedError('Bot check: no post-redirect location');
+  const transitUrl = isAllowedUrl(location, redirect2Url.href);
+  if (!transitUrl) throw new SsrfBlockedError('Bot check: invalid post-redirect location');
 
   // Hop 6: final transit page (carries jrd_uuid via Domain=.jorudan.co.jp)
   const r6 = await get(transitUrl, BROWSER_HEADERS, 'manual');
-  if (!r6.ok) throw new Error(`HTTP error! status: ${r6.status}`);
-  const body = await r6.text();
-  if (!body.includes('<hr size="1"')) {
-    throw new Error('Failed to get transit data after cookie flow');
+  if (!r6.ok) throw new BotCheckRejectedError(`HTTP error! status: ${r6.status}`);
+  const body = await readText(r6);
+  if (!isPage(body)) {
+    throw new BotCheckRejectedError('Failed to get transit data after cookie flow');
   }
+  botSessions.set(sessionKey, jar);
   return body;
 }
 
@@ -349,18 +1334,176 @@ const JSON_HEADERS = {
   'Access-Control-Allow-Methods': 'GET,OPTIONS',
 };
 
+// Every /transit response depends on the Accept header, through the format it picks
+const VARY_ACCEPT = { 'Vary': 'Accept' };
+
 /**
- * Create a JSON Lambda response object
+ * Create a Lambda response rendered in one of the FORMATS: a 4xx/5xx body
+ * goes through the format's error renderer.
+ * @param {Object} format - Renderer from FORMATS
  * @param {number} statusCode - HTTP status code
  * @param {Object} data - Response data
+ * @param {Object} [headers] - Headers added to (or overriding) JSON_HEADERS and the format's Content-Type
  * @returns {Object} Lambda response
  */
-function createJsonResponse(statusCode, data) {
+function createResponse(format, statusCode, data, headers = {}) {
   return {
     statusCode,
-    headers: JSON_HEADERS,
-    body: JSON.stringify(data),
+    headers: { ...JSON_HEADERS, 'Content-Type': format.contentType, ...headers },
+    body: statusCode < 400 ? format.render(data) : format.renderError(data),
+  };
+}
+
+/**
+ * Create a JSON Lambda response object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response data
+ * @param {Object} [headers] - Headers added to (or overriding) JSON_HEADERS
+ * @returns {Object} Lambda response
+ */
+function createJsonResponse(statusCode, data, headers = {}) {
+  return createResponse(FORMATS.json, statusCode, data, headers);
+}
+
+/**
+ * Read a non-negative whole number of seconds from the environment.
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when the variable is unset or empty
+ * @returns {number} Seconds
+ * @throws {Error} When the variable is set to anything else
+ */
+function readSecondsEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  if (!/^\d+$/.test(raw)) throw new Error(`Invalid ${name}: expected a whole number of seconds`);
+  return Number(raw);
+}
+
+// Parsed at cold start, like COMMUTER_PASS and the profiles
+const CACHE_TTL_SECONDS = readSecondsEnv('CACHE_TTL_SECONDS', 60);
+const CACHE_STALE_SECONDS = readSecondsEnv('CACHE_STALE_SECONDS', 300);
+/** Oldest entry served, marked stale, when a refresh fails; past it the error is returned. */
+const CACHE_MAX_STALE_SECONDS = readSecondsEnv('CACHE_MAX_STALE_SECONDS', 10800);
+
+/**
+ * Transit results by query, kept across warm invocations. Each entry holds the
+ * response data, its serialized body and ETag, and when it was fetched. Map
+ * insertion order doubles as the eviction order.
+ */
+const responseCache = new Map();
+/** In-flight upstream fetches by query, so concurrent misses share one. */
+const pendingFetches = new Map();
+
+/**
+ * Forget every cached response (and any in-flight refresh).
+ */
+export function clearResponseCache() {
+  responseCache.clear();
+  pendingFetches.clear();
+}
+
+/**
+ * Strong ETag for a response body.
+ * @param {string} body - Serialized response body
+ * @returns {string} Quoted ETag
+ */
+function computeEtag(body) {
+  return `"${createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`;
+}
+
+/**
+ * Fetch fresh data for a query and cache it, sharing the fetch with any
+ * concurrent caller for the same key.
+ * @param {string} key - Cache key
+ * @param {() => Promise<Object>} load - Upstream fetch producing the response data
+ * @returns {Promise<{data: Object, body: string, etag: string, fetchedAt: number}>} The new cache entry
+ */
+function refreshCacheEntry(key, load) {
+  if (!pendingFetches.has(key)) {
+    const pending = load()
+      .then(data => {
+        const body = JSON.stringify(data);
+        const entry = { data, body, etag: computeEtag(body), fetchedAt: Date.now() };
+        responseCache.delete(key);
+        responseCache.set(key, entry);
+        if (responseCache.size > MAX_CACHE_ENTRIES) responseCache.delete(responseCache.keys().next().value);
+        return entry;
+      })
+      .finally(() => pendingFetches.delete(key));
+    pendingFetches.set(key, pending);
+  }
+  return pendingFetches.get(key);
+}
+
+/**
+ * Look up a request header in either event shape (REST API v1 keeps the
+ * client's casing, HTTP API v2 lowercases).
+ * @param {Object} event - Lambda event object
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined} Header value
+ */
+function getHeader(event, name) {
+  for (const [key, value] of Object.entries(event.headers ?? {})) {
+    if (key.toLowerCase() === name) return value;
+  }
+  return undefined;
+}
+
+/**
+ * Whether a request carries the admin token (`X-Admin-Token` header) matching
+ * `ADMIN_TOKEN`. Always false when no token is configured.
+ * @param {Object} event - Lambda event object
+ * @returns {boolean}
+ */
+function isAdminRequest(event) {
+  const expected = process.env.ADMIN_TOKEN;
+  const given = getHeader(event, 'x-admin-token');
+  if (!expected || typeof given !== 'string') return false;
+  // Compare fixed-length digests so neither the length nor the content leaks through timing
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Whether an If-None-Match header matches an ETag (weak comparison, `*` included).
+ * @param {string|undefined} header - If-None-Match value
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return header.split(',').some(tag => {
+    const t = tag.trim();
+    return t === '*' || t.replace(/^W\//, '') === etag;
+  });
+}
+
+/**
+ * Respond from a cache entry: `304` when the client already holds it,
+ * otherwise the cached body, with Cache-Control counting down the entry's TTL.
+ * The entry keeps the JSON body; another format is rendered from its data,
+ * with an ETag of its own.
+ * @param {Object} event - Lambda event object
+ * @param {{data: Object, body: string, etag: string, fetchedAt: number}} entry - Cache entry
+ * @param {Object} [format] - Renderer from FORMATS
+ * @returns {Object} Lambda response
+ */
+function createCachedResponse(event, entry, format = FORMATS.json) {
+  const ageSeconds = Math.floor((Date.now() - entry.fetchedAt) / 1000);
+  const maxAge = Math.max(0, CACHE_TTL_SECONDS - ageSeconds);
+  const body = format === FORMATS.json ? entry.body : format.render(entry.data);
+  const etag = format === FORMATS.json ? entry.etag : computeEtag(body);
+  const headers = {
+    ...JSON_HEADERS,
+    'Content-Type': format.contentType,
+    'Cache-Control': `public, max-age=${maxAge}, stale-while-revalidate=${CACHE_STALE_SECONDS}`,
+    'ETag': etag,
+    ...VARY_ACCEPT,
   };
+  if (etagMatches(getHeader(event, 'if-none-match'), etag)) {
+    return { statusCode: 304, headers, body: '' };
+  }
+  return { statusCode: 200, headers, body };
 }
 
 /**
@@ -373,72 +1516,1128 @@ function normalizePath(path) {
 }
 
 /**
- * Lambda handler function
+ * Collect query parameters from any supported event shape: API Gateway HTTP
+ * API v2 (`rawQueryString`), REST API v1 (`multiValueQueryStringParameters`,
+ * which keeps repeated keys), or a bare `queryStringParameters` map.
  * @param {Object} event - Lambda event object
+ * @returns {URLSearchParams} Query parameters (repeated keys preserved)
+ */
+function getQueryParams(event) {
+  if (typeof event.rawQueryString === 'string') return new URLSearchParams(event.rawQueryString);
+  const params = new URLSearchParams();
+  if (event.multiValueQueryStringParameters) {
+    for (const [key, values] of Object.entries(event.multiValueQueryStringParameters)) {
+      for (const value of values ?? []) params.append(key, value);
+    }
+    return params;
+  }
+  for (const [key, value] of Object.entries(event.queryStringParameters ?? {})) {
+    if (value != null) params.append(key, value);
+  }
+  return params;
+}
+
+/**
+ * The machine-readable code for anything thrown while fetching.
+ * @param {unknown} error - Thrown value
+ * @returns {string} TransitError code, `INTERNAL_ERROR` for anything else
+ */
+function errorCode(error) {
+  return error instanceof TransitError ? error.code : TransitError.code;
+}
+
+/**
+ * Answer a failed fetch with its code and status (500 for an unexpected error).
+ * @param {unknown} error - What fetchTransitData() threw
+ * @param {Object} [extra] - More body fields
+ * @param {Object} [headers] - Extra headers
+ * @param {Object} [format] - Renderer from FORMATS
+ * @returns {Object} Lambda response
+ */
+function createErrorResponse(error, extra = {}, headers = {}, format = FORMATS.json) {
+  const statusCode = error instanceof TransitError ? error.statusCode : TransitError.statusCode;
+  return createResponse(
+    format,
+    statusCode,
+    { error: 'Failed to fetch transit information', code: errorCode(error), ...extra },
+    headers,
+  );
+}
+
+/**
+ * Split a Jorudan results page into journeys: each route block as the v1
+ * summary/route text and the v2 candidate.
+ * @param {string} body - Results page HTML
+ * @param {number} maxCandidates - Journeys kept
+ * @param {{time: string, seen: number}|null} after - An `after:` cursor, whose shown trains are dropped (see dropShown())
+ * @returns {{summary: string, route: string, candidate: Object}[]} Journeys
+ * @throws {StructureChangedError|NoRoutesError} When the page does not parse or lists no routes
+ */
+function parseJourneys(body, maxCandidates, after) {
+  const blocks = body.split(/<hr size="1" color="black"\s*\/?>/i);
+  if (blocks.length < MIN_EXPECTED_BLOCKS) {
+    throw new StructureChangedError(`Unexpected HTML structure: insufficient blocks (got ${blocks.length})`);
+  }
+  const targetBlock = blocks[TARGET_BLOCK_INDEX];
+  // The previous page ended with trains at `after`; a search departing then lists them first
+  const routeBlocks = dropShown(splitRoutes(targetBlock), route => parseCandidate(route).departureTime, after);
+  if (routeBlocks.length === 0) {
+    throw new NoRoutesError('No transit routes found in response');
+  }
+  const candidates = routeBlocks
+    .slice(0, maxCandidates)
+    .filter(route => getSummary(route) !== '()()' && getRoute(route).trim());
+  if (candidates.length === 0) {
+    throw new StructureChangedError('No valid transit routes found in response');
+  }
+  return candidates.map(route => ({ summary: getSummary(route), route: getRoute(route), candidate: parseCandidate(route) }));
+}
+
+/**
+ * A source of transit results. `search()` answers one origin's query with up
+ * to `maxCandidates` journeys, each as the v1 summary/route text and the v2
+ * candidate, plus the trace of what it fetched; it throws a TransitError
+ * (carrying `trace` when it has one) when it cannot.
+ * @typedef {Object} TransitProvider
+ * @property {string} name - Reported as each answered route's `source`
+ * @property {(query: {origin: string, destination: string, search: Object|null, maxCandidates: number, page: number, after: {time: string, seen: number}|null}) => Promise<{journeys: {summary: string, route: string, candidate: Object}[], trace: Object[]}>} search
+ */
+
+/** @type {TransitProvider} Jorudan through the bot-check handshake. */
+const jorudanProvider = {
+  name: 'jorudan',
+  async search({ origin, destination, search, maxCandidates, page, after }) {
+    const { body, trace } = await performBotHandshake(buildSearchUrl(origin, destination, search, page), origin);
+    try {
+      return { journeys: parseJourneys(body, maxCandidates, after), trace };
+    } catch (error) {
+      // A parse failure after a successful handshake still has the handshake's trace
+      error.trace = trace;
+      throw error;
+    }
+  },
+};
+
+/**
+ * Providers by name, in fallback order: Jorudan first, then the GTFS feed in
+ * `GTFS_FEED_DIR` (relative to the function's directory) when one is set.
+ * Loaded at cold start; a broken feed fails the function like a broken profile config.
+ * @returns {Map<string, TransitProvider>}
+ */
+function loadProviders() {
+  const providers = new Map([[jorudanProvider.name, jorudanProvider]]);
+  const feedDir = process.env.GTFS_FEED_DIR;
+  if (feedDir) {
+    const gtfs = createGtfsProvider(loadGtfsFeed(resolve(fileURLToPath(new URL('.', import.meta.url)), feedDir)));
+    providers.set(gtfs.name, gtfs);
+  }
+  return providers;
+}
+
+const PROVIDERS = loadProviders();
+
+/**
+ * Answer one origin from the first provider that can. A failure falls through
+ * to the next provider, except NoRoutesError: the search itself has no trains,
+ * and a timetable saying otherwise would not help. When none answers, the
+ * first provider's error is thrown — its code is the one worth reporting.
+ * @param {TransitProvider[]} providers - Providers in fallback order
+ * @param {Object} query - One origin's query (see TransitProvider)
+ * @returns {Promise<{source: string, journeys: Object[], trace: Object[], fallbackFrom: Error[]}>} The answer, and the failures before it
+ */
+async function searchProviders(providers, query) {
+  const failures = [];
+  for (const provider of providers) {
+    try {
+      const { journeys, trace } = await provider.search(query);
+      if (journeys.length === 0) throw new NoRoutesError(`No transit routes found by ${provider.name}`);
+      return { source: provider.name, journeys, trace, fallbackFrom: failures };
+    } catch (error) {
+      failures.push(error);
+      if (error instanceof NoRoutesError) break;
+    }
+  }
+  // Later providers' traces would only hide how far the first one got
+  throw failures[0];
+}
+
+// Parsed at cold start, like the response cache settings
+const OPERATION_INFO_TTL_SECONDS = readSecondsEnv('OPERATION_INFO_TTL_SECONDS', 120);
+// Jorudan's status wording: 運転見合わせ and the like stop the line, anything else listed but 平常 slows it
+const SUSPENDED_PATTERN = /見合わせ|運休|不通|運転中止/;
+const NORMAL_PATTERN = /平常/;
+const NORMAL_LINE_STATUS = Object.freeze({ status: 'normal', notice: null });
+// The operation info page's status table, and the headings its rows sit under
+const OPERATION_TABLE_PATTERN = /<table[^>]*class="[^"]*\bunk_table\b[^"]*"[^>]*>([\s\S]*?)<\/table>/i;
+const OPERATION_TABLE_HEADINGS = ['路線', '状況'];
+
+/**
+ * The key a line is looked up by: NFKC-normalized, without whitespace or the
+ * `(…行)` destination Jorudan appends to the line a leg rides.
+ * @param {string} name - Line name from a leg or the operation info page
+ * @returns {string} e.g. `東京メトロ南北線` for `東京メトロ南北線(浦和美園行)`
+ */
+export function lineKey(name) {
+  return name.normalize('NFKC').replace(/\s+/g, '').replace(/\(.*\)$/, '');
+}
+
+/**
+ * Text of an HTML table cell: tags dropped, the common entities decoded,
+ * whitespace collapsed.
+ * @param {string} html - Cell contents
+ * @returns {string}
+ */
+function cellText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse Jorudan's operation info page: one `unk_table` row per line with
+ * current information, as line name, status wording and notice cells, under a
+ * 路線 / 状況 heading row. A line the page does not list is running normally.
+ * @param {string} html - Operation info page HTML
+ * @returns {Map<string, {status: 'normal'|'delayed'|'suspended', notice: string|null}>} Status by lineKey()
+ * @throws {StructureChangedError} When the page has no status table, or the table no headings
+ */
+export function parseOperationInfo(html) {
+  const table = html.match(OPERATION_TABLE_PATTERN);
+  if (!table) throw new StructureChangedError('Unexpected operation info structure: no status table');
+  const headings = [...table[1].matchAll(/<th[^>]*>([\s\S]*?)<\/th>/gi)].map(([, cell]) => cellText(cell));
+  if (!OPERATION_TABLE_HEADINGS.every(heading => headings.includes(heading))) {
+    throw new StructureChangedError('Unexpected operation info structure: no line and status headings');
+  }
+  const lines = new Map();
+  for (const [, row] of table[1].matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+    // The header row has <th> cells only
+    const [line, wording = '', notice = ''] = [...row.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)].map(([, cell]) => cellText(cell));
+    if (!line) continue;
+    const status = SUSPENDED_PATTERN.test(wording) ? 'suspended' : NORMAL_PATTERN.test(wording) ? 'normal' : 'delayed';
+    lines.set(lineKey(line), { status, notice: notice || null });
+  }
+  return lines;
+}
+
+/**
+ * Whether a body is the operation info page rather than the bot check. Its
+ * status table, not the word 運行情報: that is in the navigation of nearly
+ * every Jorudan page, error pages included.
+ * @param {string} body - Page HTML
+ * @returns {boolean}
+ */
+function isOperationInfoPage(body) {
+  return OPERATION_TABLE_PATTERN.test(body);
+}
+
+/** Last operation info lookup (null lines when it failed) and when it ran; shared until it expires. */
+let operationInfo = null;
+/** The lookup in flight, so concurrent requests share one handshake. */
+let pendingOperationInfo = null;
+
+/**
+ * Forget the cached operation info (and any lookup in flight).
+ */
+export function clearOperationInfoCache() {
+  operationInfo = null;
+  pendingOperationInfo = null;
+}
+
+/**
+ * Current operation status by line, fetched through the bot-check handshake
+ * (under its own session) at most once per OPERATION_INFO_TTL_SECONDS. A failed
+ * lookup is logged and held for the same time as null, so an unreachable page
+ * costs one handshake per TTL rather than one per request; it never fails the search.
+ * @returns {Promise<Map<string, {status: string, notice: string|null}>|null>} Status by lineKey(), null when unknown
+ */
+function getOperationInfo() {
+  if (operationInfo && Date.now() - operationInfo.fetchedAt < OPERATION_INFO_TTL_SECONDS * 1000) {
+    return Promise.resolve(operationInfo.lines);
+  }
+  pendingOperationInfo ??= performBotHandshake(OPERATION_INFO_URL, OPERATION_INFO_URL, isOperationInfoPage)
+    .then(({ body, trace }) => {
+      try {
+        return parseOperationInfo(body);
+      } catch (error) {
+        error.trace = trace;
+        throw error;
+      }
+    })
+    .catch(error => {
+      console.error(JSON.stringify({
+        level: 'warn',
+        message: 'Operation info unavailable',
+        errorCode: errorCode(error),
+        errorMessage: error.message,
+        trace: error.trace ?? [],
+      }));
+      return null;
+    })
+    .then(lines => {
+      operationInfo = { lines, fetchedAt: Date.now() };
+      return lines;
+    })
+    .finally(() => { pendingOperationInfo = null; });
+  return pendingOperationInfo;
+}
+
+/**
+ * A v2 candidate with each leg's `lineStatus`: the status of the line ridden
+ * from it, null for a leg with no line or when the status is unknown.
+ * @param {Object} candidate - v2 candidate
+ * @param {Map<string, Object>|null} lines - getOperationInfo() result
+ * @returns {Object} Annotated candidate
+ */
+function withLineStatus(candidate, lines) {
+  return {
+    ...candidate,
+    legs: candidate.legs.map(leg => ({
+      ...leg,
+      lineStatus: leg.line === null || lines === null ? null : lines.get(lineKey(leg.line)) ?? NORMAL_LINE_STATUS,
+    })),
+  };
+}
+
+/**
+ * Resolve `PRECOMPUTE_WINDOWS`: comma-separated `HH:MM-HH:MM` ranges of the
+ * weekday (Japan time) during which the precompute schedule refreshes the
+ * store. Empty means never.
+ * @param {string} raw - Window list, e.g. `07:00-10:00,17:00-20:00`
+ * @returns {{start: number, end: number}[]} Windows in minutes since midnight, end exclusive
+ * @throws {Error} When a window is malformed or ends before it starts
+ */
+export function parseCommuteWindows(raw) {
+  if (raw.trim() === '') return [];
+  return raw.split(',').map(window => {
+    const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(window.trim());
+    const [start, end] = match ? [match[1] * 60 + Number(match[2]), match[3] * 60 + Number(match[4])] : [];
+    if (!match || Number(match[2]) > 59 || Number(match[4]) > 59 || !(start < end && end <= 24 * 60)) {
+      throw new Error('Invalid PRECOMPUTE_WINDOWS: expected HH:MM-HH:MM ranges, comma-separated');
+    }
+    return { start, end };
+  });
+}
+
+// Parsed at cold start, like the response cache settings
+const RESULT_STORE = parseResultStore(process.env.RESULT_STORE);
+const PRECOMPUTE_MAX_AGE_SECONDS = readSecondsEnv('PRECOMPUTE_MAX_AGE_SECONDS', 180);
+const PRECOMPUTE_WINDOWS = parseCommuteWindows(process.env.PRECOMPUTE_WINDOWS ?? '07:00-10:00,17:00-20:00');
+
+/**
+ * Minutes since midnight in Japan.
+ * @param {number} at - Epoch milliseconds
+ * @returns {number}
+ */
+function jstMinutes(at) {
+  const { time } = jstDateTime(new Date(at));
+  return Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+}
+
+/**
+ * Store key of an origin's precomputed "now" results.
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @returns {string}
+ */
+function precomputedKey(origin, destination) {
+  return `results#${origin}#${destination}`;
+}
+
+/**
+ * An origin's precomputed journeys, as searchProviders() would answer them,
+ * when the store holds a recent enough entry with `maxCandidates` trains not
+ * yet gone. Trains are dropped once the clock (in Japan) has moved past their
+ * departure minute, counted forward from the search so midnight wraps. Null
+ * sends the caller to a live search, as does a store that cannot be read.
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @param {number} maxCandidates - Trains the request needs
+ * @param {number} [now] - Epoch milliseconds (injectable for tests)
+ * @returns {Promise<{source: string, journeys: Object[], trace: [], fallbackFrom: [], fetchedAt: number}|null>}
+ */
+async function readPrecomputed(origin, destination, maxCandidates, now = Date.now()) {
+  if (!RESULT_STORE) return null;
+  let entry;
+  try {
+    entry = await RESULT_STORE.get(precomputedKey(origin, destination));
+  } catch (error) {
+    console.error(JSON.stringify({ level: 'warn', message: 'Result store read failed', store: RESULT_STORE.name, origin, errorMessage: error.message }));
+    return null;
+  }
+  if (!entry || now - entry.fetchedAt > PRECOMPUTE_MAX_AGE_SECONDS * 1000) return null;
+
+  const searched = jstMinutes(entry.fetchedAt);
+  const elapsed = (jstMinutes(now) - searched + 24 * 60) % (24 * 60);
+  const journeys = entry.journeys.filter(({ candidate: { departureTime } }) => {
+    if (!departureTime) return false;
+    const [hours, minutes] = departureTime.split(':').map(Number);
+    return (hours * 60 + minutes - searched + 24 * 60) % (24 * 60) >= elapsed;
+  });
+  if (journeys.length < maxCandidates) return null;
+  return { source: entry.source, journeys: journeys.slice(0, maxCandidates), trace: [], fallbackFrom: [], fetchedAt: entry.fetchedAt };
+}
+
+/**
+ * Whether an instant falls in a precompute window: a weekday in Japan, inside one of the windows.
+ * @param {{start: number, end: number}[]} windows - parseCommuteWindows() result
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {boolean}
+ */
+function inCommuteWindow(windows, now = Date.now()) {
+  const day = new Date(now + JST_OFFSET_MS).getUTCDay();
+  if (day === 0 || day === 6) return false;
+  const minutes = jstMinutes(now);
+  return windows.some(({ start, end }) => minutes >= start && minutes < end);
+}
+
+/**
+ * Run the precompute schedule: inside a commute window, search "now" live for
+ * every origin and destination pair of every profile, with the most candidates
+ * a request may ask for, and write each answer to the store. A pair that fails
+ * keeps its last entry, which ages out. Never throws: the next tick retries.
+ * @returns {Promise<{refreshed: number, failed: number}>} Outcome, for the invocation log
+ */
+async function runPrecompute() {
+  if (!RESULT_STORE) {
+    console.error(JSON.stringify({ level: 'warn', message: 'Precompute skipped: RESULT_STORE is not set' }));
+    return { refreshed: 0, failed: 0 };
+  }
+  if (!inCommuteWindow(PRECOMPUTE_WINDOWS)) return { refreshed: 0, failed: 0 };
+
+  const pairs = new Map();
+  for (const { origins, destination } of PROFILES.profiles.values()) {
+    for (const origin of origins) pairs.set(precomputedKey(origin, destination), { origin, destination });
+  }
+  const results = await Promise.allSettled([...pairs].map(async ([key, { origin, destination }]) => {
+    const { source, journeys } = await searchProviders([...PROVIDERS.values()], {
+      origin, destination, search: null, maxCandidates: MAX_CANDIDATES_LIMIT, page: 0, after: null,
+    });
+    await Promise.all([
+      RESULT_STORE.put(key, { fetchedAt: Date.now(), source, journeys }),
+      recordHistory({ origin, destination, search: null, source, journeys }),
+    ]);
+  }));
+
+  const origins = [...pairs.values()];
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled') return;
+    console.error(JSON.stringify({
+      level: 'warn',
+      message: 'Precompute failed for origin',
+      origin: origins[i].origin,
+      destination: origins[i].destination,
+      errorCode: errorCode(r.reason),
+      errorMessage: r.reason?.message,
+    }));
+  });
+  const failed = results.filter(r => r.status === 'rejected').length;
+  console.error(JSON.stringify({ level: 'info', message: 'Precompute finished', store: RESULT_STORE.name, refreshed: results.length - failed, failed }));
+  return { refreshed: results.length - failed, failed };
+}
+
+// Parsed at cold start, like the result store
+const HISTORY_STORE = parseHistoryStore(process.env.HISTORY_STORE);
+
+/**
+ * History partition of one origin and destination's trains. Item ids start
+ * with the departure date, so a run of days is one id range.
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @returns {string}
+ */
+function historyPartition(origin, destination) {
+  return `history#${origin}#${destination}`;
+}
+
+// History writes still in flight; a search response does not wait for them
+const pendingHistoryWrites = new Set();
+
+/**
+ * Add an origin's live answer to the trip history, one item per train (see
+ * tripRecords()). A "now" search is dated as departing at the current time in
+ * Japan. Never throws: a store that cannot be written is logged and the
+ * answer goes out regardless.
+ * @param {Object} answer
+ * @param {string} answer.origin - Origin station
+ * @param {string} answer.destination - Destination station
+ * @param {{date: string, time: string, mode: string}|null} answer.search - Search time, null for now
+ * @param {string} answer.source - Provider that answered
+ * @param {Object[]} answer.journeys - searchProviders() journeys
+ * @returns {Promise<void>}
+ */
+async function recordHistory({ origin, destination, search, source, journeys }) {
+  if (!HISTORY_STORE) return;
+  const records = tripRecords({
+    origin, destination, search: search ?? { ...jstDateTime(new Date(Date.now())), mode: 'depart' }, source, journeys, lineName: lineKey,
+  });
+  try {
+    await Promise.all(records.map(({ date, id, record }) => HISTORY_STORE.add(historyPartition(origin, destination), `${date}#${id}`, record)));
+  } catch (error) {
+    console.error(JSON.stringify({ level: 'warn', message: 'History write failed', store: HISTORY_STORE.name, origin, errorMessage: error.message }));
+  }
+}
+
+/**
+ * Start recordHistory() without waiting for it. A write still running when
+ * the invocation returns resumes with the container's next one (or times out
+ * and is logged).
+ * @param {Object} answer - As recordHistory()
+ */
+function recordHistoryInBackground(answer) {
+  const write = recordHistory(answer);
+  pendingHistoryWrites.add(write);
+  write.finally(() => pendingHistoryWrites.delete(write));
+}
+
+/**
+ * Wait for the history writes recordHistoryInBackground() started (for tests).
+ * @returns {Promise<void>}
+ */
+export async function settleHistoryWrites() {
+  await Promise.all(pendingHistoryWrites);
+}
+
+/**
+ * Fetch transit results for every origin in parallel, each from the first
+ * provider that answers (see searchProviders()). An origin that fails is logged
+ * and answered in place as `{origin, destination, status: 'error', code,
+ * retryAfterSeconds}` with an empty route list; one answered by a fallback
+ * provider is logged as such and flagged by its `source`. With `precomputed`,
+ * an origin the store holds recent results for is answered from them (see
+ * readPrecomputed()) instead, flagged with `fetchedAt`, when its trains were
+ * searched. Every live answer is added to the trip history in the background
+ * (see recordHistoryInBackground()).
+ * @param {Object} query - Resolved request
+ * @param {string[]} query.origins - Origin stations
+ * @param {string} query.destination - Destination station
+ * @param {{date: string, time: string, mode: string}|null} query.search - Search time, null for now
+ * @param {number} query.version - Response version (1 tuples, 2 typed candidates)
+ * @param {number} query.maxCandidates - Candidates kept per origin
+ * @param {number} [query.page] - Results page (Jorudan's `pg`)
+ * @param {{time: string, seen: number}|null} [query.after] - An `after:` cursor, whose shown trains are dropped
+ * @param {TransitProvider[]} [query.providers] - Providers in fallback order (every configured one by default)
+ * @param {boolean} [query.lineStatus] - Annotate v2 legs with their line's operation status (see withLineStatus())
+ * @param {boolean} [query.precomputed] - Answer from the result store where it is fresh (plain "now" searches only)
+ * @param {Object[]} [diagnostics] - When given, receives `{origin, status, source?, code?, error?, trace}` per origin
+ * @returns {Promise<Object>} Response data (`{routes}` or `{version, routes}`); each
+ *   successful origin carries its `source` and the `nextCursor` continuing after its last train
+ * @throws {TransitError} When no origin succeeded, of the class (and so the code) of an origin's failure
+ */
+async function fetchTransitData({
+  origins, destination, search, version, maxCandidates, page = 0, after = null, providers = [...PROVIDERS.values()],
+  lineStatus = false, precomputed = false,
+}, diagnostics = null) {
+  // Looked up alongside the origins, not after them; it resolves null rather than failing
+  const lineStatuses = version === 2 && lineStatus ? getOperationInfo() : null;
+  const results = await Promise.allSettled(
+    origins.map(async origin => (precomputed && await readPrecomputed(origin, destination, maxCandidates))
+      || searchProviders(providers, { origin, destination, search, maxCandidates, page, after }))
+  );
+  const lines = await lineStatuses;
+  // A stored answer was recorded when it was precomputed
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled' && !r.value.fetchedAt) recordHistoryInBackground({ origin: origins[i], destination, search, ...r.value });
+  });
+
+  const routes = results.map((r, i) => {
+    if (r.status === 'fulfilled') {
+      const { source, journeys } = r.value;
+      const nextCursor = afterCursor(journeys, search, after);
+      // Only a stored answer has an age worth reporting; a live one is as fresh as the response
+      const stored = r.value.fetchedAt ? { fetchedAt: new Date(r.value.fetchedAt).toISOString() } : {};
+      return version === 2
+        ? {
+          origin: origins[i],
+          destination,
+          status: 'ok',
+          source,
+          ...stored,
+          candidates: journeys.map(j => (lineStatuses ? withLineStatus(j.candidate, lines) : j.candidate)),
+          nextCursor,
+        }
+        : {
+          origin: origins[i], destination, status: 'ok', source, ...stored, transfers: journeys.map(j => [j.summary, j.route]), nextCursor,
+        };
+    }
+    // A failed origin keeps its place, with an empty list so clients that ignore `status` still render
+    return {
+      origin: origins[i],
+      destination,
+      status: 'error',
+      code: errorCode(r.reason),
+      retryAfterSeconds: r.reason instanceof TransitError ? r.reason.retryAfterSeconds : TransitError.retryAfterSeconds,
+      [version === 2 ? 'candidates' : 'transfers']: [],
+    };
+  });
+
+  results.forEach((r, i) => {
+    if (r.status === 'rejected') {
+      const trace = r.reason?.trace ?? [];
+      console.error(JSON.stringify({
+        level: 'warn',
+        message: 'Partial origin fetch failure',
+        origin: origins[i],
+        errorCode: errorCode(r.reason),
+        errorMessage: r.reason?.message,
+        trace,
+      }));
+      diagnostics?.push({ origin: origins[i], status: 'error', code: errorCode(r.reason), error: r.reason?.message, trace });
+      return;
+    }
+    const { source, trace, fallbackFrom } = r.value;
+    const [primary] = fallbackFrom;
+    if (primary) {
+      console.error(JSON.stringify({
+        level: 'warn',
+        message: 'Origin answered by fallback provider',
+        origin: origins[i],
+        source,
+        errorCode: errorCode(primary),
+        errorMessage: primary.message,
+        trace: primary.trace ?? [],
+      }));
+    }
+    diagnostics?.push({
+      origin: origins[i],
+      status: 'ok',
+      source,
+      ...(primary ? { fallbackFrom: { code: errorCode(primary), error: primary.message, trace: primary.trace ?? [] } } : {}),
+      trace,
+    });
+  });
+
+  if (results.every(r => r.status === 'rejected')) {
+    // NO_ROUTES only when every origin had none: one route-less origin among broken ones says nothing
+    const reasons = results.map(r => r.reason);
+    const reason = reasons.find(e => !(e instanceof NoRoutesError)) ?? reasons[0];
+    const ErrorClass = reason instanceof TransitError ? reason.constructor : TransitError;
+    throw new ErrorClass('All origin fetches failed', { cause: reason });
+  }
+
+  return version === 2 ? { version, routes } : { routes };
+}
+
+// Parsed at cold start, like the response cache settings
+const DEEP_CHECK_TTL_SECONDS = readSecondsEnv('DEEP_CHECK_TTL_SECONDS', 60);
+// `HH:MM…HH:MM…(duration)(N回)`, as getSummary() renders a well-formed 発着時間/所要時間/乗換回数 header
+const SUMMARY_PATTERN = /^\d{1,2}:\d{2}\D+\d{1,2}:\d{2}\D*\(\d+(?:時間|分)[^()]*\)\(\d+回\)$/;
+
+/** Last deep check result and when it ran; shared by every caller until it expires. */
+let deepCheck = null;
+/** The deep check in flight, so concurrent callers share one upstream handshake. */
+let pendingDeepCheck = null;
+
+/**
+ * Forget the cached deep check result (and any check in flight).
+ */
+export function clearDeepCheckCache() {
+  deepCheck = null;
+  pendingDeepCheck = null;
+}
+
+/**
+ * Run the transit path end to end for the default profile's first origin: the
+ * bot-check handshake, then each parse stage fetchTransitData() relies on.
+ * Stages run in order and stop at the first failure, which names the
+ * invariant that broke.
+ * @returns {Promise<{status: string, checkedAt: string, origin: string, destination: string, stages: Object[]}>}
+ *   `status` is `ok` or `error`; each stage is `{stage, ok, latencyMs, detail?, invariant?, code?}`
+ */
+async function runDeepCheck() {
+  const origin = DEFAULT_PROFILE.origins[0];
+  const { destination, maxCandidates } = DEFAULT_PROFILE;
+  const stages = [];
+  let input = null;
+
+  // Each stage returns `{value, detail}` on success, or `{invariant, detail}` when its invariant broke
+  const run = async (stage, check) => {
+    const started = Date.now();
+    let result;
+    try {
+      result = await check(input);
+    } catch (error) {
+      result = { invariant: 'request succeeds', detail: error.message, code: errorCode(error) };
+    }
+    const ok = !result.invariant;
+    const entry = { stage, ok, latencyMs: Date.now() - started };
+    if (result.detail) entry.detail = result.detail;
+    if (!ok) entry.invariant = result.invariant;
+    if (result.code) entry.code = result.code;
+    stages.push(entry);
+    input = result.value;
+    return ok;
+  };
+
+  const passed =
+    await run('handshake', async () => {
+      const { body, trace } = await performBotHandshake(buildSearchUrl(origin, destination), origin);
+      return { value: body, detail: `${trace.length} hop(s)` };
+    }) &&
+    await run('blocks', body => {
+      const blocks = body.split(/<hr size="1" color="black"\s*\/?>/i);
+      return blocks.length < MIN_EXPECTED_BLOCKS
+        ? { invariant: `block count >= ${MIN_EXPECTED_BLOCKS}`, detail: `got ${blocks.length}` }
+        : { value: blocks[TARGET_BLOCK_INDEX], detail: `${blocks.length} blocks` };
+    }) &&
+    await run('routes', block => {
+      const routeBlocks = splitRoutes(block);
+      return routeBlocks.length === 0
+        ? { invariant: 'route markers (発着時間：) present', detail: 'no routes found' }
+        : { value: routeBlocks.slice(0, maxCandidates), detail: `${routeBlocks.length} route(s)` };
+    }) &&
+    await run('summary', routeBlocks => {
+      const bad = routeBlocks.map(getSummary).findIndex(summary => !SUMMARY_PATTERN.test(summary));
+      return bad === -1
+        ? { value: routeBlocks }
+        : { invariant: 'summary format (time, duration, transfers)', detail: `route ${bad + 1}: ${getSummary(routeBlocks[bad])}` };
+    }) &&
+    await run('route', routeBlocks => {
+      const bad = routeBlocks.findIndex(block => !/^[■◇]/m.test(getRoute(block)));
+      return bad === -1
+        ? { value: routeBlocks }
+        : { invariant: 'route lists stations (■/◇)', detail: `route ${bad + 1} is empty` };
+    });
+
+  return { status: passed ? 'ok' : 'error', checkedAt: new Date().toISOString(), origin, destination, stages };
+}
+
+/**
+ * Respond with the deep check, rerunning it only once the cached result is
+ * older than DEEP_CHECK_TTL_SECONDS, so polling this endpoint cannot hammer
+ * Jorudan. `503` when a stage failed.
+ * @returns {Promise<Object>} Lambda response
+ */
+async function createDeepStatusResponse() {
+  if (!deepCheck || Date.now() - deepCheck.ranAt >= DEEP_CHECK_TTL_SECONDS * 1000) {
+    pendingDeepCheck ??= runDeepCheck()
+      .then(result => {
+        deepCheck = { result, ranAt: Date.now() };
+        if (result.status !== 'ok') {
+          console.error(JSON.stringify({ level: 'warn', message: 'Deep status check failed', stages: result.stages }));
+        }
+      })
+      .finally(() => { pendingDeepCheck = null; });
+    await pendingDeepCheck;
+  }
+  const maxAge = Math.max(0, DEEP_CHECK_TTL_SECONDS - Math.floor((Date.now() - deepCheck.ranAt) / 1000));
+  return createJsonResponse(deepCheck.result.status === 'ok' ? 200 : 503, deepCheck.result, {
+    'Cache-Control': `public, max-age=${maxAge}`,
+  });
+}
+
+/**
+ * Answer `/history`: the trip history of a profile's origins (or `from`/`to`)
+ * over the last `days` days in Japan, today included, aggregated per origin
+ * by aggregateHistory(). Each origin is one list() of an id range.
+ * @param {URLSearchParams} params - Request query parameters
+ * @param {Object} profile - Profile supplying the default stations
+ * @returns {Promise<Object>} Lambda response
+ */
+async function createHistoryResponse(params, profile) {
+  if (!HISTORY_STORE) {
+    return createJsonResponse(404, { error: 'Trip history is not recorded (HISTORY_STORE is not set)', code: 'HISTORY_DISABLED' });
+  }
+  const stations = parseStationQuery(params, profile);
+  if (stations.error) return createJsonResponse(400, { error: stations.error, code: 'INVALID_REQUEST' });
+  const { origins, destination } = stations;
+
+  let days = HISTORY_DAYS;
+  if (params.has('days')) {
+    const raw = params.get('days');
+    days = PAGE_CURSOR_PATTERN.test(raw) ? Number(raw) : NaN;
+    if (!(days >= 1 && days <= MAX_HISTORY_DAYS)) {
+      return createJsonResponse(400, { error: `Invalid days (expected 1-${MAX_HISTORY_DAYS})`, code: 'INVALID_REQUEST' });
+    }
+  }
+  const until = jstDateTime(new Date(Date.now())).date;
+  const since = addDays(until, 1 - days);
+  // A bare date sorts before the ids of its own trains: from `since` up to the next day's is every train in between
+  const range = { from: since, to: addDays(until, 1) };
+
+  try {
+    const history = await Promise.all(origins.map(async origin => (
+      { origin, ...aggregateHistory(await HISTORY_STORE.list(historyPartition(origin, destination), range)) }
+    )));
+    return createJsonResponse(200, { destination, days, since, until, origins: history }, {
+      'Cache-Control': 'public, max-age=300',
+    });
+  } catch (error) {
+    console.error(JSON.stringify({ level: 'error', message: 'Error reading trip history', store: HISTORY_STORE.name, errorMessage: error.message }));
+    return createJsonResponse(503, { error: 'Trip history is unavailable', code: 'HISTORY_UNAVAILABLE' });
+  }
+}
+
+/**
+ * Answer `/transit/ics`: one train as an iCalendar event. The train is named by
+ * `from` (one origin), `to`, `date` and `departure` (plus `arrival` when two
+ * routes leave at the same time); the search departing at that time is rerun
+ * through the providers and the matching journey is rendered, its itinerary
+ * text as the description. `alarm` adds a VALARM that many minutes before.
+ * @param {URLSearchParams} params - Request query parameters
+ * @returns {Promise<Object>} Lambda response (`text/calendar`, or a JSON error)
+ */
+async function createIcsResponse(params) {
+  const invalid = error => createJsonResponse(400, { error, code: 'INVALID_REQUEST' });
+  const stations = parseStationQuery(params);
+  if (stations.error) return invalid(stations.error);
+  if (stations.origins.length !== 1) return invalid('An .ics export takes exactly one from');
+  const [origin] = stations.origins;
+  const { destination } = stations;
+
+  if (!params.has('date') || !params.has('departure')) return invalid('An .ics export needs date and departure');
+  const times = {};
+  for (const name of ['departure', 'arrival']) {
+    const raw = params.get(name);
+    if (raw === null) continue;
+    const match = TIME_PATTERN.exec(raw);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return invalid(`Invalid ${name} (expected HH:MM)`);
+    times[name] = `${match[1].padStart(2, '0')}:${match[2]}`;
+  }
+  const searchTime = parseSearchTime(new URLSearchParams({ date: params.get('date'), time: times.departure }));
+  if (searchTime.error) return invalid(searchTime.error);
+  const { search } = searchTime;
+
+  let alarmMinutes = null;
+  if (params.has('alarm')) {
+    const raw = params.get('alarm');
+    alarmMinutes = PAGE_CURSOR_PATTERN.test(raw) ? Number(raw) : NaN;
+    if (!(alarmMinutes <= MAX_ALARM_MINUTES)) return invalid(`Invalid alarm (expected 0-${MAX_ALARM_MINUTES} minutes)`);
+  }
+
+  try {
+    const { journeys } = await searchProviders([...PROVIDERS.values()], {
+      origin, destination, search, maxCandidates: MAX_CANDIDATES_LIMIT, page: 0, after: null,
+    });
+    const journey = journeys.find(({ candidate }) =>
+      candidate.departureTime === times.departure && (!times.arrival || candidate.arrivalTime === times.arrival));
+    if (!journey) throw new NoRoutesError(`No train from ${origin} departing at ${times.departure}`);
+
+    const { candidate } = journey;
+    const key = JSON.stringify([origin, destination, search.date, times.departure, candidate.arrivalTime]);
+    const body = buildIcsEvent({
+      uid: `${createHash('sha256').update(key).digest('hex').slice(0, 32)}@lambda-function-transit`,
+      origin,
+      destination,
+      date: search.date,
+      departureTime: times.departure,
+      arrivalTime: candidate.arrivalTime,
+      durationMinutes: candidate.durationMinutes,
+      description: `${journey.summary}\n\n${journey.route}`,
+      alarmMinutes,
+    });
+    return {
+      statusCode: 200,
+      headers: {
+        ...JSON_HEADERS,
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="transit-${search.date.replace(/-/g, '')}-${times.departure.replace(':', '')}.ics"`,
+        'Cache-Control': 'no-store',
+      },
+      body,
+    };
+  } catch (error) {
+    console.error(JSON.stringify({
+      level: 'error',
+      message: 'Error exporting calendar event',
+      origin,
+      errorType: error.name,
+      errorCode: errorCode(error),
+      errorMessage: error.message,
+      trace: error.trace ?? [],
+    }));
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Resolve the digest webhook. Unset, scheduled invocations have nowhere to
+ * post and only log. Set, it must be https (plain http on loopback only, for
+ * a local receiver) and carry no credentials; a path and query are kept, as
+ * Slack's incoming webhook URLs are a secret path.
+ * @param {string|undefined} raw - `DIGEST_WEBHOOK_URL` value
+ * @returns {URL|null} Webhook URL, or null when unset
+ * @throws {Error} When the value is not such a URL
+ */
+export function parseWebhookUrl(raw) {
+  if (!raw) return null;
+  let u;
+  try {
+    u = new URL(raw);
+  } catch {
+    throw new Error('Invalid DIGEST_WEBHOOK_URL: not a URL');
+  }
+  if (u.username || u.password) throw new Error('Invalid DIGEST_WEBHOOK_URL: credentials are not allowed');
+  if (u.protocol !== 'https:' && !(u.protocol === 'http:' && LOOPBACK_HOSTS.has(u.hostname))) {
+    throw new Error('Invalid DIGEST_WEBHOOK_URL: https required (http only on loopback)');
+  }
+  return u;
+}
+
+/**
+ * Resolve the digest's profile and body format, like the webhook at cold start.
+ * @param {Object} env - `DIGEST_PROFILE` (default: the default profile) and `DIGEST_FORMAT` (`slack` or `json`, default `slack`)
+ * @returns {{profile: Object, format: string}}
+ * @throws {Error} When the profile is unknown or the format unsupported
+ */
+function loadDigestConfig({ DIGEST_PROFILE: name, DIGEST_FORMAT: format = 'slack' }) {
+  const profile = name ? PROFILES.profiles.get(name) : DEFAULT_PROFILE;
+  if (!profile) throw new Error(`Invalid DIGEST_PROFILE: no profile "${name}"`);
+  if (!DIGEST_FORMATS.includes(format)) {
+    throw new Error(`Invalid DIGEST_FORMAT: expected one of ${DIGEST_FORMATS.join(', ')}`);
+  }
+  return { profile, format };
+}
+
+const DIGEST_WEBHOOK_URL = parseWebhookUrl(process.env.DIGEST_WEBHOOK_URL);
+const DIGEST = loadDigestConfig(process.env);
+
+/**
+ * Tell an EventBridge schedule from an API Gateway (or dev server) request:
+ * a rule's target receives `source: "aws.events"` and
+ * `detail-type: "Scheduled Event"`, and never a path. The digest rule sends
+ * EventBridge's own event; the precompute schedule (EventBridge Scheduler)
+ * sends the same shape as its constant input, with `detail.task: "precompute"`.
+ * @param {Object} event - Lambda event object
+ * @returns {boolean}
+ */
+export function isScheduledEvent(event) {
+  return event?.source === 'aws.events' && event['detail-type'] === 'Scheduled Event';
+}
+
+/**
+ * Run a scheduled digest: the digest profile's normal origin fan-out for the
+ * next trains, posted to `DIGEST_WEBHOOK_URL`. Origins that fail are listed
+ * with their code rather than dropped, and when every origin fails the digest
+ * still goes out saying so. A failed POST is logged and rethrown, so the
+ * asynchronous invocation's retries send it again.
+ * @param {Object} event - EventBridge scheduled event
+ * @returns {Promise<{delivered: boolean, profile: string, origins: number}>} Outcome, for the invocation log
+ */
+async function runDigest(event) {
+  const { profile, format } = DIGEST;
+  if (!DIGEST_WEBHOOK_URL) {
+    console.error(JSON.stringify({ level: 'warn', message: 'Digest skipped: DIGEST_WEBHOOK_URL is not set', rule: event.resources?.[0] }));
+    return { delivered: false, profile: profile.name, origins: 0 };
+  }
+
+  const generatedAt = new Date();
+  const diagnostics = [];
+  let routes;
+  try {
+    ({ routes } = await fetchTransitData({
+      origins: profile.origins,
+      destination: profile.destination,
+      search: null,
+      version: 2,
+      maxCandidates: profile.maxCandidates,
+    }, diagnostics));
+  } catch (error) {
+    if (!(error instanceof TransitError)) throw error;
+    routes = diagnostics.map(({ origin, code }) => ({ origin, destination: profile.destination, status: 'error', code }));
+  }
+
+  const digest = buildDigest({ profile: profile.name, destination: profile.destination, routes, generatedAt });
+  try {
+    const response = await fetch(DIGEST_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildWebhookPayload(digest, format)),
+      signal: AbortSignal.timeout(DIGEST_WEBHOOK_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`Digest webhook answered ${response.status}`);
+  } catch (error) {
+    // The URL itself may be the secret (Slack); log only its host
+    console.error(JSON.stringify({
+      level: 'error',
+      message: 'Digest delivery failed',
+      profile: profile.name,
+      webhookHost: DIGEST_WEBHOOK_URL.host,
+      errorType: error.name,
+      errorMessage: error.message,
+    }));
+    throw error;
+  }
+
+  console.error(JSON.stringify({
+    level: 'info',
+    message: 'Digest delivered',
+    profile: profile.name,
+    format,
+    failedOrigins: digest.origins.filter(o => o.status !== 'ok').map(o => o.origin),
+  }));
+  return { delivered: true, profile: profile.name, origins: digest.origins.length };
+}
+
+/**
+ * Lambda handler function
+ * @param {Object} event - Lambda event object (API Gateway request, or an EventBridge schedule)
  * @param {Object} _context - Lambda context object
- * @returns {Object} Response with transit information
+ * @returns {Object} Response with transit information, or a scheduled digest's outcome
  */
 export async function handler(event, _context) {
+  if (isScheduledEvent(event)) {
+    if (event.detail?.task === 'precompute') return runPrecompute();
+    // Nobody waits on a digest, so its history writes finish before the container is frozen
+    try {
+      return await runDigest(event);
+    } finally {
+      await settleHistoryWrites();
+    }
+  }
+
   const rawPath = event.path || event.rawPath || '/transit';
   const path = normalizePath(rawPath);
 
+  // Deep health check: one live handshake and parse, cached
+  if (path === '/status/deep' || (path === '/status' && getQueryParams(event).get('deep') === '1')) {
+    return createDeepStatusResponse();
+  }
+
   // Health check endpoint
   if (path === '/status') {
-    return createJsonResponse(200, { status: 'ok', timestamp: new Date().toISOString() });
+    return createJsonResponse(200, {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      circuitBreakers: circuitBreakerStatus(),
+    });
   }
 
-  try {
-    const results = await Promise.allSettled(
-      JORUDAN_ORIGINS.map(({ origin, url }) =>
-        performBotHandshake(url).then(body => {
-          const blocks = body.split(/<hr size="1" color="black"\s*\/?>/i);
-          if (blocks.length < MIN_EXPECTED_BLOCKS) {
-            throw new Error(`Unexpected HTML structure: insufficient blocks (got ${blocks.length})`);
-          }
-          const targetBlock = blocks[TARGET_BLOCK_INDEX];
-          const routeBlocks = splitRoutes(targetBlock);
-          if (routeBlocks.length === 0) {
-            throw new Error('No transit routes found in response');
-          }
-          const transfers = routeBlocks
-            .slice(0, MAX_CANDIDATES)
-            .map(route => [getSummary(route), getRoute(route)])
-            .filter(([summary, route]) => summary !== '()()' && route.trim());
-          if (transfers.length === 0) {
-            throw new Error('No valid transit routes found in response');
-          }
-          return { origin, destination: JORUDAN_DESTINATION, transfers };
-        })
-      )
-    );
+  // The API contract; it only changes with a deploy
+  if (path === '/openapi.json') {
+    return createJsonResponse(200, OPENAPI, { 'Cache-Control': 'public, max-age=3600' });
+  }
 
-    const routes = results
-      .filter(r => r.status === 'fulfilled')
-      .map(r => r.value);
-
-    results.forEach((r, i) => {
-      if (r.status === 'rejected') {
-        console.error(JSON.stringify({
-          level: 'warn',
-          message: 'Partial origin fetch failure',
-          origin: JORUDAN_ORIGINS[i].origin,
-          errorMessage: r.reason?.message,
-        }));
-      }
+  if (path === '/profiles') {
+    return createJsonResponse(200, {
+      defaultProfile: PROFILES.defaultProfile,
+      profiles: [...PROFILES.profiles.values()],
     });
+  }
 
-    if (routes.length === 0) {
-      throw new Error('All origin fetches failed');
+  if (path === '/transit/ics') {
+    return createIcsResponse(getQueryParams(event));
+  }
+
+  // /history, and with a /:profile suffix for that profile's stations
+  const historyRoute = /^\/history(?:\/([^/]+))?$/.exec(path);
+  if (historyRoute) {
+    const historyProfile = historyRoute[1] ? PROFILES.profiles.get(historyRoute[1]) : DEFAULT_PROFILE;
+    if (!historyProfile) return createJsonResponse(404, { error: 'Unknown profile', code: 'UNKNOWN_PROFILE' });
+    return createHistoryResponse(getQueryParams(event), historyProfile);
+  }
+
+  // /transit, /v2/transit, and either with a /:profile suffix
+  const route = /^(\/v2)?\/transit(?:\/([^/]+))?$/.exec(path);
+  const params = getQueryParams(event);
+
+  // ?format= or Accept picks the renderer; an unknown ?format= can only be answered in JSON
+  const formatting = selectFormat(params.get('format'), getHeader(event, 'accept'));
+  if (formatting.error) {
+    return createJsonResponse(400, { error: formatting.error, code: 'INVALID_REQUEST' }, VARY_ACCEPT);
+  }
+  const { format } = formatting;
+  const respond = (statusCode, data, headers = {}) => createResponse(format, statusCode, data, { ...headers, ...VARY_ACCEPT });
+
+  // v2 (typed candidates) is opt-in via /v2/transit or ?v=2; v1 tuples stay the default. The
+  // other formats render typed candidates, so they always fetch v2.
+  const version = format !== FORMATS.json || route?.[1] || params.get('v') === '2' ? 2 : 1;
+
+  const profile = route?.[2] ? PROFILES.profiles.get(route[2]) : DEFAULT_PROFILE;
+  if (!profile) {
+    return respond(404, { error: 'Unknown profile', code: 'UNKNOWN_PROFILE' });
+  }
+
+  const stations = parseStationQuery(params, profile);
+  if (stations.error) {
+    return respond(400, { error: stations.error, code: 'INVALID_REQUEST' });
+  }
+  const { origins, destination } = stations;
+
+  const searchTime = parseSearchTime(params);
+  if (searchTime.error) {
+    return respond(400, { error: searchTime.error, code: 'INVALID_REQUEST' });
+  }
+  const paging = parsePaging(params, searchTime.search, profile.maxCandidates);
+  if (paging.error) {
+    return respond(400, { error: paging.error, code: 'INVALID_REQUEST' });
+  }
+  const { search, limit, page, after } = paging;
+
+  // ?source= asks one provider, with no fallback; by default every configured one, in order
+  const source = params.get('source');
+  if (source !== null && !PROVIDERS.has(source)) {
+    return respond(400, {
+      error: `Invalid source (expected one of ${[...PROVIDERS.keys()].join(', ')})`,
+      code: 'INVALID_REQUEST',
+    });
+  }
+  const providers = source === null ? [...PROVIDERS.values()] : [PROVIDERS.get(source)];
+
+  // ?lineStatus=1 adds each v2 leg's 運行情報; v1 tuples have nowhere to carry it
+  const lineStatus = version === 2 && params.get('lineStatus') === '1';
+
+  // Only a plain "now" search can be answered from the precomputed results
+  const precomputed = search === null && page === 0 && after === null && source === null;
+  const query = { origins, destination, search, version, maxCandidates: limit, page, after, providers, lineStatus, precomputed };
+
+  if (params.get('debug') === '1') {
+    if (!isAdminRequest(event)) {
+      return respond(403, { error: 'Debug output requires a valid admin token', code: 'FORBIDDEN' });
+    }
+    // Bypasses the response cache: the point is a trace of a live handshake, so it is always JSON
+    const diagnostics = [];
+    const noStore = { 'Cache-Control': 'no-store' };
+    try {
+      const data = await fetchTransitData({ ...query, precomputed: false }, diagnostics);
+      return createJsonResponse(200, { ...data, debug: { origins: diagnostics } }, noStore);
+    } catch (error) {
+      return createErrorResponse(error, { debug: { origins: diagnostics } }, noStore);
     }
+  }
+
+  // Everything that changes the upstream result; the profile only matters through these
+  const cacheKey = JSON.stringify([version, origins, destination, limit, search, page, after, source, lineStatus]);
+  const load = () => fetchTransitData(query);
+  const cached = responseCache.get(cacheKey);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
 
-    return createJsonResponse(200, { routes });
+  if (age < CACHE_TTL_SECONDS * 1000) {
+    return createCachedResponse(event, cached, format);
+  }
+  if (age < (CACHE_TTL_SECONDS + CACHE_STALE_SECONDS) * 1000) {
+    // Stale-while-revalidate: answer now, refresh for the next caller. On Lambda the
+    // refresh may be frozen with the container and finish on its next invocation.
+    refreshCacheEntry(cacheKey, load).catch(error => {
+      console.error(JSON.stringify({
+        level: 'warn',
+        message: 'Background cache refresh failed',
+        errorMessage: error.message,
+      }));
+    });
+    return createCachedResponse(event, cached, format);
+  }
+
+  try {
+    return createCachedResponse(event, await refreshCacheEntry(cacheKey, load), format);
   } catch (error) {
     console.error(JSON.stringify({
       level: 'error',
       message: 'Error fetching transit info',
       errorType: error.name,
+      errorCode: errorCode(error),
       errorMessage: error.message,
     }));
-    return createJsonResponse(500, { error: 'Failed to fetch transit information' });
+    if (cached && age < CACHE_MAX_STALE_SECONDS * 1000) {
+      // Last good result, flagged so clients can tell it is not current; last night's trains are not
+      return respond(200, { ...cached.data, stale: true }, { 'Cache-Control': 'no-cache' });
+    }
+    return createErrorResponse(error, {}, VARY_ACCEPT, format);
   }
 }
@@ -0,0 +1,165 @@
+/**
+ * Record and replay Jorudan traffic as fixture files, for the dev server and tests.
+ *
+ * A recording fetch passes each Jorudan request upstream and saves the whole
+ * exchange (request method/URL/headers/body, response status/headers/body) as
+ * one JSON file, with every cookie value redacted so a recording can be
+ * committed. A replay fetch answers from such a directory with no network.
+ * Requests to any other host go to the wrapped fetch untouched.
+ */
+import { mkdirSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+const JORUDAN_HOST_PATTERN = /(^|\.)jorudan\.co\.jp$/;
+// Query parameters that differ on every run (the handshake's epoch stamp)
+const VOLATILE_PARAMS = new Set(['ts']);
+// Statuses whose Response may not carry a body
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+/** What a recorded cookie value is replaced with; replay never looks at values. */
+export const REDACTED = 'REDACTED';
+
+/**
+ * Key a request is replayed by: method, host, path and the query with volatile
+ * parameters dropped and the rest sorted.
+ * @param {string} method - HTTP method
+ * @param {string|URL} url - Request URL
+ * @returns {string} e.g. `POST jid.jorudan.co.jp/jrd_uuid/set_uuid.cgi?returl=…`
+ */
+export function exchangeKey(method, url) {
+  const { host, pathname, searchParams } = new URL(url);
+  const query = [...searchParams]
+    .filter(([name]) => !VOLATILE_PARAMS.has(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  return `${method.toUpperCase()} ${host}${pathname}?${new URLSearchParams(query)}`;
+}
+
+/**
+ * Normalize fetch() arguments into the request fields a fixture records.
+ * @param {string|URL|Request} input - fetch() input
+ * @param {RequestInit} [init] - fetch() options
+ * @returns {{method: string, url: string, headers: Object, body: string|null}}
+ */
+function describeRequest(input, init = {}) {
+  const url = input instanceof Request ? input.url : String(input);
+  const method = (init.method ?? (input instanceof Request ? input.method : 'GET')).toUpperCase();
+  const headers = Object.fromEntries(new Headers(init.headers ?? (input instanceof Request ? input.headers : {})));
+  const body = typeof init.body === 'string' ? init.body : init.body == null ? null : String(init.body);
+  return { method, url, headers, body };
+}
+
+/**
+ * Replace the value of every `name=value` pair of a Cookie header, or of a
+ * Set-Cookie line's cookie (its attributes are kept).
+ * @param {string} header - Cookie or Set-Cookie value
+ * @param {boolean} [setCookie] - Whether `header` is a Set-Cookie line
+ * @returns {string}
+ */
+function redactCookies(header, setCookie = false) {
+  const redact = pair => pair.replace(/^(\s*[^=;]+)=[^;]*/, `$1=${REDACTED}`);
+  if (setCookie) return redact(header);
+  return header.split(';').map(redact).join(';');
+}
+
+/**
+ * Apply `fn` to the value of every `[name, value]` pair named `target`.
+ * @param {string[][]} pairs - Header pairs
+ * @param {string} target - Lower-case header name
+ * @param {(value: string) => string} fn
+ * @returns {string[][]}
+ */
+function mapHeaders(pairs, target, fn) {
+  return pairs.map(([name, value]) => [name, name === target ? fn(value) : value]);
+}
+
+/**
+ * Build a Response from a recorded one. Headers are kept as `[name, value]`
+ * pairs so every Set-Cookie survives.
+ * @param {{status: number, statusText?: string, headers: string[][], body: string}} recorded - Recorded response
+ * @returns {Response}
+ */
+function toResponse({ status, statusText = '', headers, body }) {
+  return new Response(NULL_BODY_STATUSES.has(status) ? null : body, { status, statusText, headers: new Headers(headers) });
+}
+
+/**
+ * Wrap fetch so every Jorudan exchange is also written to `dir`, one
+ * `NNNN-<method>-<host><path>.json` file per request, numbered after any
+ * fixtures already there.
+ * @param {string} dir - Fixture directory (created if missing)
+ * @param {typeof fetch} [upstream] - Fetch that reaches the network
+ * @returns {typeof fetch} Recording fetch
+ */
+export function createRecordingFetch(dir, upstream = globalThis.fetch) {
+  mkdirSync(dir, { recursive: true });
+  let seq = readdirSync(dir).filter(name => name.endsWith('.json')).length;
+
+  return async (input, init) => {
+    const request = describeRequest(input, init);
+    const { hostname, host, pathname } = new URL(request.url);
+    if (!JORUDAN_HOST_PATTERN.test(hostname)) return upstream(input, init);
+
+    const res = await upstream(input, init);
+    const response = {
+      status: res.status,
+      statusText: res.statusText,
+      headers: [...res.headers],
+      body: await res.text(),
+    };
+    // The live response (cookies included) goes back to the handler; the file gets redacted copies
+    const recorded = {
+      request: { ...request, headers: Object.fromEntries(mapHeaders(Object.entries(request.headers), 'cookie', value => redactCookies(value))) },
+      response: { ...response, headers: mapHeaders(response.headers, 'set-cookie', value => redactCookies(value, true)) },
+    };
+    seq += 1;
+    const name = `${String(seq).padStart(4, '0')}-${request.method}-${`${host}${pathname}`.replace(/[^\w.]+/g, '-')}.json`;
+    writeFileSync(join(dir, name), `${JSON.stringify({ key: exchangeKey(request.method, request.url), ...recorded }, null, 2)}\n`);
+    return toResponse(response);
+  };
+}
+
+/**
+ * Fetch that answers Jorudan requests from the fixtures in `dir`. Exchanges
+ * with the same key are served in recorded order, the last one repeating once
+ * they run out. A request with no fixture rejects, as an unreachable host would.
+ * @param {string} dir - Fixture directory written by createRecordingFetch()
+ * @param {typeof fetch} [passthrough] - Fetch for every other host
+ * @returns {typeof fetch} Replaying fetch
+ */
+export function createReplayFetch(dir, passthrough = globalThis.fetch) {
+  const queues = new Map();
+  for (const name of readdirSync(dir).filter(n => n.endsWith('.json')).sort()) {
+    const { key, response } = JSON.parse(readFileSync(join(dir, name), 'utf8'));
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(response);
+  }
+
+  return async (input, init) => {
+    const request = describeRequest(input, init);
+    if (!JORUDAN_HOST_PATTERN.test(new URL(request.url).hostname)) return passthrough(input, init);
+
+    const key = exchangeKey(request.method, request.url);
+    const queue = queues.get(key);
+    if (!queue) throw new TypeError(`No recorded exchange for ${key}`);
+    return toResponse(queue.length > 1 ? queue.shift() : queue[0]);
+  };
+}
+
+/**
+ * Install record or replay mode from the environment: `JORUDAN_RECORD=<dir>`
+ * records live traffic, `JORUDAN_REPLAY=<dir>` serves it back offline.
+ * @returns {'record'|'replay'|null} Mode installed on globalThis.fetch
+ * @throws {Error} When both are set
+ */
+export function installFixtureFetchFromEnv() {
+  const { JORUDAN_RECORD: recordDir, JORUDAN_REPLAY: replayDir } = process.env;
+  if (recordDir && replayDir) throw new Error('Set only one of JORUDAN_RECORD and JORUDAN_REPLAY');
+  if (recordDir) {
+    globalThis.fetch = createRecordingFetch(recordDir);
+    return 'record';
+  }
+  if (replayDir) {
+    globalThis.fetch = createReplayFetch(replayDir);
+    return 'replay';
+  }
+  return null;
+}
@@ -0,0 +1,318 @@
+/**
+ * Local Jorudan simulator: the six-hop jrd_uuid bot check, the results page and
+ * the operation info page, with scriptable faults.
+ *
+ * createJorudanSimulator() answers fetch() calls directly, so tests install it
+ * as globalThis.fetch. Running this file serves the same flow over HTTP; point
+ * the handler (or the dev server) at it with JORUDAN_BASE_URL.
+ *
+ *   SIMULATOR_PORT=8100 SIMULATOR_FAULTS='{"results":"no-routes"}' node src/jorudan-simulator.mjs
+ *   JORUDAN_BASE_URL=http://127.0.0.1:8100 node src/dev-server.mjs
+ *
+ * While it runs, `GET /__faults` shows the active faults and `PUT /__faults`
+ * (a JSON body) replaces them.
+ */
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+/** Fields Jorudan requires in the urlencoded set_uuid/verify_uuid body. */
+const FINGERPRINT_FIELDS = ['tz', 'lang', 'sw', 'sh', 'cd', 'mem', 'hc', 'ua', 'ts'];
+const CUID = 'CUID';
+const UUID = 'UUID';
+const RESULTS_SEPARATOR = '<hr size="1" color="black">';
+
+/** Hop 1 body for an origin listed in `brokenOrigins`: neither a redirect nor results. */
+export const BROKEN_ORIGIN_PAGE = '<html><body>ただいまメンテナンス中です</body></html>';
+
+/**
+ * Every fault, off. `delays` and `serverErrors` are keyed by stage: `search`
+ * (hop 1), `jid`, `set_uuid`, `verify_uuid`, `redirect2`, `results` (hop 6),
+ * and `operation` (the operation info page, before and after the bot check).
+ */
+export const DEFAULT_FAULTS = Object.freeze({
+  delays: {},                // stage -> ms before answering; past PER_HOP_TIMEOUT_MS the hop times out
+  rejectFingerprint: false,  // 403 set_uuid/verify_uuid even with a complete fingerprint
+  verifyBody: null,          // verify_uuid body in place of the redirect2 URL (malformed or off-allowlist)
+  jidRedirect: null,         // hop 1 JS redirect target in place of the jid page
+  redirectLocation: null,    // redirect2 Location in place of the search URL
+  results: null,             // 'fewer-blocks' | 'no-routes' | 'renamed-summary': a changed results page
+  brokenOrigins: [],         // eki1 values whose hop 1 answers BROKEN_ORIGIN_PAGE
+  serverErrors: {},          // stage -> n: the first n requests to it answer 503 (counted from setFaults)
+  disruptions: {},           // line -> {status, notice}: rows of the operation info page (e.g. status '運転見合わせ')
+});
+
+const RESULT_FAULTS = new Set(['fewer-blocks', 'no-routes', 'renamed-summary']);
+
+/**
+ * Validate a fault set and fill in the defaults.
+ * @param {Object} [faults] - Faults to enable
+ * @returns {Object} Complete fault set
+ * @throws {Error} On an unknown key or an unknown `results` value
+ */
+function resolveFaults(faults = {}) {
+  for (const key of Object.keys(faults)) {
+    if (!Object.hasOwn(DEFAULT_FAULTS, key)) throw new Error(`Unknown simulator fault: ${key}`);
+  }
+  if (faults.results != null && !RESULT_FAULTS.has(faults.results)) {
+    throw new Error(`Unknown results fault: ${faults.results}`);
+  }
+  return { ...DEFAULT_FAULTS, ...faults };
+}
+
+/**
+ * Resolve after `ms`, or reject as soon as `signal` aborts (the handler's
+ * per-hop timeout), so a slow hop never outlives its caller.
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * `HH:MM` plus some minutes, wrapping at midnight.
+ * @param {string} time - `HH:MM`
+ * @param {number} minutes - Minutes to add
+ * @returns {string} `HH:MM`
+ */
+function addMinutes(time, minutes) {
+  const [h, m] = time.split(':').map(Number);
+  const total = (h * 60 + m + minutes) % (24 * 60);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * A results page in Jorudan's plain-text layout: direct routes from `eki1`
+ * to `eki2`, one per offset from the searched `Hh`/`Mn1``Mn2` time (08:00
+ * without one).
+ * @param {URLSearchParams} params - nori.cgi query
+ * @param {string|null} fault - `results` fault
+ * @param {number[]} departureOffsets - Minutes after the searched time each route departs
+ * @returns {string} HTML
+ */
+function buildResultsPage(params, fault, departureOffsets) {
+  const from = params.get('eki1') || '出発駅';
+  const to = params.get('eki2') || '到着駅';
+  const start = params.has('Hh') ? `${params.get('Hh').padStart(2, '0')}:${params.get('Mn1')}${params.get('Mn2')}` : '08:00';
+  const routes = departureOffsets.map(offset => {
+    const depart = addMinutes(start, offset);
+    const arrive = addMinutes(depart, 42);
+    return [
+      `発着時間：${depart}発 → ${arrive}着`,
+      `所要時間：42分`,
+      `乗換回数：0回`,
+      '',
+      `■${from}    1番線発`,
+      `｜ 　シミュレータ線(${to}行)   18.2km`,
+      `｜${depart}-${arrive}［42分］`,
+      '｜280円',
+      `■${to}    2番線着`,
+      '',
+    ].join('\r\n');
+  });
+  let target = routes.join('');
+  if (fault === 'no-routes') target = '該当する経路が見つかりませんでした。\r\n';
+  if (fault === 'renamed-summary') target = target.replaceAll('所要時間：', '所要：').replaceAll('乗換回数：', '乗換：');
+  const blocks = ['<html><body>ジョルダン 乗換案内', `${from} → ${to}`, target, '運賃は IC カード利用時</body></html>'];
+  // Separators dropped around the header and footer: two blocks, the results at index 1
+  if (fault === 'fewer-blocks') return `${blocks[0]}${blocks[1]}${RESULTS_SEPARATOR}${blocks[2]}${blocks[3]}`;
+  return blocks.join(RESULTS_SEPARATOR);
+}
+
+/**
+ * The operation info page: one `unk_table` row per disrupted line, and none
+ * when every line runs normally.
+ * @param {Object<string, {status: string, notice: string}>} disruptions - `disruptions` fault
+ * @returns {string} HTML
+ */
+function buildOperationInfoPage(disruptions) {
+  const rows = Object.entries(disruptions).map(([line, { status, notice }]) =>
+    `<tr><td class="line"><a href="/unk/">${line}</a></td><td class="status">${status}</td><td class="text">${notice}</td></tr>`);
+  return [
+    '<html><body><h1>運行情報</h1>',
+    '<table class="unk_table">',
+    '<tr><th>路線</th><th>状況</th><th>詳細</th></tr>',
+    ...rows,
+    '</table></body></html>',
+  ].join('\r\n');
+}
+
+/**
+ * Cookie header value from fetch() options, whatever shape the headers take.
+ * @param {RequestInit} init - fetch() options
+ * @returns {string} Cookie header, or ''
+ */
+function requestCookie(init) {
+  return new Headers(init.headers ?? {}).get('cookie') ?? '';
+}
+
+/**
+ * Whether an AJAX hop looks like the browser's: a urlencoded POST carrying
+ * every fingerprint field.
+ * @param {string} method - HTTP method
+ * @param {RequestInit} init - fetch() options
+ * @returns {boolean}
+ */
+function hasFingerprint(method, init) {
+  if (method !== 'POST' || typeof init.body !== 'string') return false;
+  const type = new Headers(init.headers ?? {}).get('content-type') ?? '';
+  if (!type.includes('application/x-www-form-urlencoded')) return false;
+  const params = new URLSearchParams(init.body);
+  return FINGERPRINT_FIELDS.every(field => params.has(field));
+}
+
+/**
+ * Create a simulator. Every role is served by path: nori.cgi (hop 1 without
+ * `jrd_uuid`, the results page with it), the jid page, set_uuid.cgi,
+ * verify_uuid.cgi, redirect2.cgi and /unk/ (gated like nori.cgi). Cookies are checked by name, like the
+ * real site's gate, not by value.
+ * @param {Object} [options]
+ * @param {string|null} [options.jidOrigin] - Origin of the jid page; defaults to the requested origin
+ * @param {string|null} [options.cookieDomain] - Domain attribute of `jrd_uuid` (e.g. `.jorudan.co.jp`); host-only when null
+ * @param {string|null} [options.resultsHtml] - Results page in place of the generated one
+ * @param {number[]} [options.departureOffsets] - Minutes after the searched time the generated routes depart
+ * @param {Object} [options.faults] - Faults to start with (see DEFAULT_FAULTS)
+ * @returns {{fetch: typeof fetch, faults: Object, setFaults: (faults: Object) => Object}}
+ *   `fetch` answers like Jorudan; `setFaults` replaces the active faults
+ */
+export function createJorudanSimulator({
+  jidOrigin = null, cookieDomain = null, resultsHtml = null, departureOffsets = [0, 7, 15], faults = {},
+} = {}) {
+  let served = {};  // stage -> requests answered since the faults were set, for `serverErrors`
+  const simulator = {
+    faults: resolveFaults(faults),
+    setFaults(next) {
+      simulator.faults = resolveFaults(next);
+      served = {};
+      return simulator.faults;
+    },
+    fetch: async (input, init = {}) => {
+      const url = new URL(input instanceof Request ? input.url : String(input));
+      const method = (init.method ?? 'GET').toUpperCase();
+      const cookie = requestCookie(init);
+      const active = simulator.faults;
+      const secure = url.protocol === 'https:' ? '; Secure' : '';
+      const respond = (status, body = '', headers = []) => new Response(body, { status, headers });
+      const stage = {
+        '/norikae/cgi/nori.cgi': cookie.includes('jrd_uuid=') ? 'results' : 'search',
+        '/jrd_uuid/': 'jid',
+        '/jrd_uuid/set_uuid.cgi': 'set_uuid',
+        '/jrd_uuid/verify_uuid.cgi': 'verify_uuid',
+        '/webuser/redirect2.cgi': 'redirect2',
+        '/unk/': 'operation',
+      }[url.pathname];
+      if (!stage) return respond(404, 'Not Found');
+      if (active.delays[stage]) await sleep(active.delays[stage], init.signal);
+      served[stage] = (served[stage] ?? 0) + 1;
+      if (served[stage] <= (active.serverErrors[stage] ?? 0)) return respond(503, 'Service Unavailable');
+
+      // Hop 1 without jrd_uuid: a JS redirect to the jid page, returning here through redirect2
+      const botCheckPage = () => {
+        const returl = `${url.origin}/webuser/redirect2.cgi?url=${encodeURIComponent(url.pathname + url.search)}`;
+        const target = active.jidRedirect ?? `${jidOrigin ?? url.origin}/jrd_uuid/?returl=${encodeURIComponent(returl)}`;
+        return respond(200, `<!DOCTYPE html><script>function rdr(){window.location.href='${target}';}rdr();</script>`);
+      };
+
+      switch (stage) {
+        case 'search':
+          if (active.brokenOrigins.includes(url.searchParams.get('eki1'))) return respond(200, BROKEN_ORIGIN_PAGE);
+          return botCheckPage();
+        case 'jid':
+          return respond(200, '<html><body><script src="./jrd_uuid.js"></script></body></html>');
+        case 'set_uuid':
+          if (active.rejectFingerprint || !hasFingerprint(method, init)) return respond(403, './error.html');
+          return respond(200, '', [['set-cookie', `jrd_cuid=${CUID}; path=/jrd_uuid/; max-age=30${secure}; HttpOnly`]]);
+        case 'verify_uuid':
+          if (active.rejectFingerprint || !hasFingerprint(method, init)) return respond(403, './error.html');
+          if (!cookie.includes('jrd_cuid=')) return respond(200, './error.html');
+          return respond(200, active.verifyBody ?? url.searchParams.get('returl') ?? '', [[
+            'set-cookie',
+            `jrd_uuid=${UUID}; path=/; max-age=31536000${cookieDomain ? `; Domain=${cookieDomain}` : ''}${secure}; HttpOnly`,
+          ]]);
+        case 'redirect2': {
+          const location = active.redirectLocation ?? url.searchParams.get('url');
+          return location ? respond(302, '', [['location', location]]) : respond(400, 'Bad Request');
+        }
+        case 'results':
+          return respond(200, resultsHtml ?? buildResultsPage(url.searchParams, active.results, departureOffsets));
+        case 'operation':
+          return cookie.includes('jrd_uuid=') ? respond(200, buildOperationInfoPage(active.disruptions)) : botCheckPage();
+      }
+    },
+  };
+  return simulator;
+}
+
+/**
+ * Read a request body as text.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<string>}
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Serve a simulator over HTTP, with `/__faults` to read and replace its faults.
+ * @param {Object} [options] - createJorudanSimulator() options, plus:
+ * @param {number} [options.port] - Port (0 picks a free one)
+ * @param {string} [options.host] - Interface to bind
+ * @returns {Promise<{server: http.Server, simulator: ReturnType<typeof createJorudanSimulator>, url: string}>}
+ */
+export async function startJorudanSimulator({ port = 8100, host = '127.0.0.1', ...options } = {}) {
+  const simulator = createJorudanSimulator(options);
+  const server = http.createServer(async (req, res) => {
+    try {
+      const body = await readBody(req);
+      if (req.url === '/__faults') {
+        if (req.method === 'PUT') simulator.setFaults(JSON.parse(body || '{}'));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(simulator.faults));
+        return;
+      }
+      // A client that gives up (the handler's hop timeout) cancels any injected delay
+      const aborted = new AbortController();
+      res.on('close', () => aborted.abort());
+      const response = await simulator.fetch(`http://${req.headers.host}${req.url}`, {
+        method: req.method,
+        headers: req.headers,
+        body: req.method === 'POST' ? body : undefined,
+        signal: aborted.signal,
+      });
+      for (const [name, value] of response.headers) {
+        if (name !== 'set-cookie') res.setHeader(name, value);
+      }
+      const cookies = response.headers.getSetCookie();
+      if (cookies.length > 0) res.setHeader('Set-Cookie', cookies);
+      res.writeHead(response.status);
+      res.end(await response.text());
+    } catch (error) {
+      if (res.headersSent || res.destroyed) return;
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end(error.message);
+    }
+  });
+  await new Promise(resolve => server.listen(port, host, resolve));
+  const { port: bound } = server.address();
+  return { server, simulator, url: `http://${host}:${bound}` };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { url } = await startJorudanSimulator({
+    port: Number(process.env.SIMULATOR_PORT || 8100),
+    faults: process.env.SIMULATOR_FAULTS ? JSON.parse(process.env.SIMULATOR_FAULTS) : {},
+  });
+  console.log(`Jorudan simulator running at ${url}`);
+  console.log(`  - Point the handler at it: JORUDAN_BASE_URL=${url}`);
+  console.log(`  - GET/PUT ${url}/__faults - Show or replace the active faults`);
+}
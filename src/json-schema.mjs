@@ -0,0 +1,120 @@
+/**
+ * The one JSON Schema checker for the API contract. The backend tests check
+ * the handler's bodies with it, objects closed; the frontend validates
+ * responses with a generated copy (`npm run generate:api` in frontend/),
+ * objects open. Plain ESM with no imports, so the copy runs in the browser
+ * unchanged.
+ */
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The schema a local `$ref` (`#/components/schemas/Name`) points at.
+ * @param {string} ref - Reference
+ * @param {Object} document - Document it resolves in
+ * @returns {Object} Schema
+ * @throws {Error} When the reference does not resolve
+ */
+function resolveRef(ref, document) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], document);
+  if (target === undefined) throw new Error(`Unresolved $ref ${ref}`);
+  return target;
+}
+
+/**
+ * JSON Schema type name of a value: `integer` for whole numbers, and
+ * `non-finite` for NaN and the infinities, which no JSON type admits.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'non-finite';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema: the subset of JSON Schema the contract uses
+ * (`$ref`, `type`, `const`, `enum`, `pattern`, `format` `date` and
+ * `date-time`, `minimum`, `maximum`, `maxLength`, `items`, `prefixItems`,
+ * `minItems`, `maxItems`, `properties`, `required`, `additionalProperties`,
+ * `oneOf`). A property whose value is undefined counts as absent, as it would
+ * once serialized.
+ *
+ * Closed objects (the default) reject a property the schema does not list
+ * unless `additionalProperties` allows it, so a field added to a response
+ * without the contract fails the tests. Open objects ignore it, so a newer
+ * backend's field does not break an older client.
+ * @param {Object} schema - Schema, or `{$ref}`
+ * @param {unknown} value - Parsed body, or part of one
+ * @param {Object} options
+ * @param {Object} options.document - Document the `$ref`s resolve in
+ * @param {boolean} [options.open] - Ignore properties the schema does not list
+ * @param {string} [path] - JSON Pointer of `value`, for the messages
+ * @returns {string[]} One message per violation, empty when `value` conforms
+ */
+export function schemaErrors(schema, value, options, path = '') {
+  if (schema.$ref) return schemaErrors(resolveRef(schema.$ref, options.document), value, options, path);
+  const at = path || '/';
+
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(branch => schemaErrors(branch, value, options, path));
+    const matches = results.filter(errors => errors.length === 0).length;
+    if (matches === 1) return [];
+    if (matches > 1) return [`${at}: matches ${matches} oneOf schemas`];
+    return [`${at}: matches no oneOf schema (${results.map(errors => errors.join(', ')).join(' | ')})`];
+  }
+
+  const type = typeOf(value);
+  if (schema.type !== undefined) {
+    const allowed = [schema.type].flat();
+    if (!allowed.includes(type) && !(type === 'integer' && allowed.includes('number'))) {
+      return [`${at}: expected ${allowed.join(' or ')}, got ${type}`];
+    }
+  }
+  if ('const' in schema && value !== schema.const) return [`${at}: expected ${JSON.stringify(schema.const)}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${at}: expected one of ${schema.enum.join(', ')}`];
+
+  const errors = [];
+  if (type === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match ${schema.pattern}`);
+    if (schema.maxLength !== undefined && [...value].length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+    if (schema.format === 'date-time' && !(DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value)))) {
+      errors.push(`${at}: not an ISO date-time`);
+    }
+    if (schema.format === 'date' && !(DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)))) {
+      errors.push(`${at}: not a YYYY-MM-DD date`);
+    }
+  }
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: more than ${schema.maximum}`);
+  }
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    value.forEach((item, i) => {
+      const itemSchema = schema.prefixItems?.[i] ?? schema.items;
+      if (itemSchema) errors.push(...schemaErrors(itemSchema, item, options, `${path}/${i}`));
+    });
+  }
+  if (type === 'object') {
+    const properties = schema.properties ?? {};
+    for (const name of schema.required ?? []) {
+      if (!Object.hasOwn(value, name) || value[name] === undefined) errors.push(`${path}/${name}: required`);
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const itemSchema = properties[name] ?? schema.additionalProperties;
+      if (itemSchema === undefined || itemSchema === false) {
+        if (!options.open) errors.push(`${path}/${name}: not in the schema`);
+      } else if (itemSchema !== true) {
+        errors.push(...schemaErrors(itemSchema, item, options, `${path}/${name}`));
+      }
+    }
+  }
+  return errors;
+}
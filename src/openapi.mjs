@@ -0,0 +1,25 @@
+/**
+ * The API contract: `openapi.json`, bundled next to this module, is the one
+ * definition of the `/transit` and `/status` response shapes. The handler
+ * serves it at `/openapi.json`, the frontend generates its types from it
+ * (`npm run generate:api` in frontend/), and schemaErrors() checks a body
+ * against one of its schemas, which is how the tests hold the handler to it.
+ */
+import { readFileSync } from 'node:fs';
+import { schemaErrors as checkSchema } from './json-schema.mjs';
+
+/** The OpenAPI document, read at cold start. */
+export const OPENAPI = Object.freeze(JSON.parse(readFileSync(new URL('./openapi.json', import.meta.url), 'utf8')));
+
+/**
+ * Check a body against a schema of the document (see json-schema.mjs), with
+ * objects closed: a field the contract does not list is an error. Clients
+ * ignore unknown fields; the contract must not.
+ * @param {Object} schema - Schema, or `{$ref}`
+ * @param {unknown} value - Parsed body
+ * @param {Object} [document] - Document the `$ref`s resolve in
+ * @returns {string[]} One message per violation, empty when `value` conforms
+ */
+export function schemaErrors(schema, value, document = OPENAPI) {
+  return checkSchema(schema, value, { document });
+}
@@ -0,0 +1,232 @@
+/**
+ * Response renderers for `/transit`: the same v2 results as JSON (the
+ * default), aligned plain text for a terminal, Markdown for a chat message, or
+ * compact JSON with one line per train.
+ *
+ * selectFormat() picks the renderer from `?format=` or the Accept header;
+ * each renderer turns a response body (results, or an `{error, code}` body)
+ * into the text sent with its Content-Type.
+ */
+
+/**
+ * `49分` / `1時間5分`, as the frontend prints a duration.
+ * @param {number|null} minutes - Ride time
+ * @returns {string}
+ */
+export function formatDuration(minutes) {
+  if (minutes === null) return '--';
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}分`;
+  return rest === 0 ? `${hours}時間` : `${hours}時間${rest}分`;
+}
+
+// Hangul, CJK, kana and the fullwidth forms take two terminal columns
+const WIDE_CHARACTER = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA960-\uA97F\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/;
+
+/**
+ * Columns a string takes in a monospace terminal.
+ * @param {string} text
+ * @returns {number}
+ */
+export function displayWidth(text) {
+  let width = 0;
+  for (const char of text) width += WIDE_CHARACTER.test(char) ? 2 : 1;
+  return width;
+}
+
+/**
+ * The lines a candidate rides, in order, each once.
+ * @param {Object} candidate - v2 candidate
+ * @returns {string[]}
+ */
+function lineNames(candidate) {
+  return [...new Set(candidate.legs.map(leg => leg.line).filter(line => line !== null))];
+}
+
+/**
+ * One train's cells: times, duration, transfers, fare and lines.
+ * @param {Object} candidate - v2 candidate
+ * @returns {string[]}
+ */
+export function trainCells(candidate) {
+  const { departureTime, arrivalTime, durationMinutes, transferCount, fare } = candidate;
+  return [
+    departureTime ?? '--:--',
+    arrivalTime ?? '--:--',
+    formatDuration(durationMinutes),
+    transferCount === null ? '--' : `乗換${transferCount}回`,
+    fare.outOfPocket === null ? '--' : `${fare.outOfPocket.toLocaleString('ja-JP')}円`,
+    lineNames(candidate).join(' / '),
+  ];
+}
+
+/**
+ * `六本木一丁目 → つつじヶ丘`, marked when the timetable answered for Jorudan.
+ * @param {Object} route - v2 route of one origin
+ * @returns {string}
+ */
+export function routeHeading(route) {
+  return `${route.origin} → ${route.destination}${route.source === 'gtfs' ? ' (timetable)' : ''}`;
+}
+
+const STALE_NOTICE = 'Last good result: the live search failed';
+
+/**
+ * Plain text: per origin a heading and one row per train, the columns padded
+ * to line up across every origin.
+ * @param {Object} data - v2 response body
+ * @returns {string}
+ */
+function renderText(data) {
+  const rows = data.routes.flatMap(route => (route.status === 'ok' ? route.candidates.map(trainCells) : []));
+  const widths = rows.reduce((max, cells) => cells.map((cell, i) => Math.max(max[i] ?? 0, displayWidth(cell))), []);
+  const pad = (cell, i) => cell + ' '.repeat(widths[i] - displayWidth(cell));
+
+  const lines = data.stale ? [STALE_NOTICE, ''] : [];
+  data.routes.forEach((route, i) => {
+    if (i > 0) lines.push('');
+    lines.push(routeHeading(route));
+    if (route.status !== 'ok') {
+      lines.push(`  unavailable (${route.code})`);
+      return;
+    }
+    for (const candidate of route.candidates) {
+      const [departure, arrival, ...rest] = trainCells(candidate).map(pad);
+      lines.push(`  ${departure} → ${arrival}  ${rest.join('  ')}`.trimEnd());
+    }
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape what Markdown would read as markup, table cell breaks included.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>|]/g, '\\$&');
+}
+
+const MARKDOWN_HEADER = ['| Departs | Arrives | Duration | Transfers | Fare | Lines |', '| --- | --- | --- | --- | --- | --- |'];
+
+/**
+ * Markdown: per origin a heading and a table of its trains.
+ * @param {Object} data - v2 response body
+ * @returns {string}
+ */
+function renderMarkdown(data) {
+  const sections = data.routes.map(route => {
+    const heading = `### ${escapeMarkdown(routeHeading(route))}`;
+    if (route.status !== 'ok') return [heading, '', `Unavailable (\`${route.code}\`)`];
+    const rows = route.candidates.map(candidate => `| ${trainCells(candidate).map(escapeMarkdown).join(' | ')} |`);
+    return [heading, '', ...MARKDOWN_HEADER, ...rows];
+  });
+  if (data.stale) sections.unshift([`_${STALE_NOTICE}_`]);
+  return `${sections.map(lines => lines.join('\n')).join('\n\n')}\n`;
+}
+
+/**
+ * Compact JSON: one object per train (and per failed origin), one per line.
+ * @param {Object} data - v2 response body
+ * @returns {string}
+ */
+function renderCompact(data) {
+  const stale = data.stale ? { stale: true } : {};
+  const records = data.routes.flatMap(route => {
+    const { origin, destination } = route;
+    if (route.status !== 'ok') {
+      return [{ origin, destination, status: 'error', code: route.code, retryAfterSeconds: route.retryAfterSeconds, ...stale }];
+    }
+    return route.candidates.map(candidate => ({
+      origin,
+      destination,
+      status: 'ok',
+      source: route.source,
+      departureTime: candidate.departureTime,
+      arrivalTime: candidate.arrivalTime,
+      durationMinutes: candidate.durationMinutes,
+      transferCount: candidate.transferCount,
+      fare: candidate.fare.outOfPocket,
+      lines: lineNames(candidate),
+      ...stale,
+    }));
+  });
+  return records.map(record => `${JSON.stringify(record)}\n`).join('');
+}
+
+/**
+ * Renderers by `?format=` name. `render` takes a results body, `renderError`
+ * an `{error, code}` body; `mediaType` is what an Accept header asks for.
+ */
+export const FORMATS = {
+  json: {
+    mediaType: 'application/json',
+    contentType: 'application/json',
+    render: data => JSON.stringify(data),
+    renderError: data => JSON.stringify(data),
+  },
+  text: {
+    mediaType: 'text/plain',
+    contentType: 'text/plain; charset=utf-8',
+    render: renderText,
+    renderError: ({ error, code }) => `${error} (${code})\n`,
+  },
+  markdown: {
+    mediaType: 'text/markdown',
+    contentType: 'text/markdown; charset=utf-8',
+    render: renderMarkdown,
+    renderError: ({ error, code }) => `**${escapeMarkdown(error)}** (\`${code}\`)\n`,
+  },
+  compact: {
+    mediaType: 'application/x-ndjson',
+    contentType: 'application/x-ndjson; charset=utf-8',
+    render: renderCompact,
+    renderError: data => `${JSON.stringify(data)}\n`,
+  },
+};
+
+/**
+ * The media ranges of an Accept header, most preferred first: by q-value,
+ * then by their order in the header. Ranges with q=0 are refused, so dropped.
+ * @param {string} header - Accept value
+ * @returns {string[]} Lowercase media ranges
+ */
+function acceptedRanges(header) {
+  return header.split(',')
+    .map((entry, index) => {
+      const [range, ...params] = entry.split(';').map(part => part.trim().toLowerCase());
+      const q = params.find(param => param.startsWith('q='));
+      return { range, q: q === undefined ? 1 : Number(q.slice(2)), index };
+    })
+    .filter(({ range, q }) => range && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ range }) => range);
+}
+
+/**
+ * Pick the renderer for a request. `?format=` wins over Accept; in Accept the
+ * most preferred range that names a format, or its whole type (`text/*`),
+ * does, and the any-type range means JSON. An Accept naming nothing
+ * renderable gets JSON too, as every client did before formats existed,
+ * rather than a 406.
+ * @param {string|null} name - `format` query parameter
+ * @param {string|undefined} accept - Accept header
+ * @returns {{format: Object}|{error: string}} Renderer, or the reason `name` is invalid
+ */
+export function selectFormat(name, accept) {
+  if (name !== null) {
+    return Object.hasOwn(FORMATS, name)
+      ? { format: FORMATS[name] }
+      : { error: `Invalid format (expected one of ${Object.keys(FORMATS).join(', ')})` };
+  }
+  const formats = Object.values(FORMATS);
+  for (const range of acceptedRanges(accept ?? '')) {
+    if (range === '*/*') return { format: FORMATS.json };
+    const format = range.endsWith('/*')
+      ? formats.find(f => f.mediaType.startsWith(range.slice(0, -1)))
+      : formats.find(f => f.mediaType === range);
+    if (format) return { format };
+  }
+  return { format: FORMATS.json };
+}
@@ -0,0 +1,338 @@
+/**
+ * Stores for precomputed transit results and trip history.
+ *
+ * Every result store answers the same two calls — `get(key)` resolving the
+ * stored value or null, and `put(key, value)` — and every history store
+ * `add(partition, id, value)` and `list(partition, range)`, with values round-tripped
+ * through JSON, so a backend can be swapped without the caller noticing.
+ * `RESULT_STORE` and `HISTORY_STORE` pick one each at cold start (see
+ * parseResultStore() and parseHistoryStore()): DynamoDB in production, a
+ * directory of JSON files or process memory locally and in tests.
+ *
+ * DynamoDB is reached through `@aws-sdk/client-dynamodb`, which the Lambda
+ * runtime ships; the function does not bundle it.
+ */
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);  // may be reached over plain http
+const STORE_TIMEOUT_MS = 1000;        // budget for one DynamoDB call; a slow store must not hold up a search
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;  // DynamoDB deletes an item this long after its last write
+const DEFAULT_HISTORY_TTL_SECONDS = 90 * 24 * 60 * 60;  // history is kept for trends over weeks
+
+/**
+ * @typedef {Object} ResultStore
+ * @property {string} name - Backend name, for logs
+ * @property {(key: string) => Promise<Object|null>} get - Stored value, or null
+ * @property {(key: string, value: Object) => Promise<void>} put - Store (replace) a value
+ */
+
+/**
+ * @typedef {Object} HistoryStore
+ * @property {string} name - Backend name, for logs
+ * @property {(partition: string, id: string, value: Object) => Promise<void>} add - Store (replace) the item `id` of a partition
+ * @property {(partition: string, range?: IdRange) => Promise<Object[]>} list - Every value in a partition (whose id lies in `range`), in no particular order
+ */
+
+/**
+ * @typedef {Object} IdRange
+ * @property {string} from - Lowest id listed
+ * @property {string} to - Highest id listed (both inclusive, compared as strings)
+ */
+
+/**
+ * Whether an item id lies in a list() range.
+ * @param {string} id
+ * @param {IdRange} [range] - None for every id
+ * @returns {boolean}
+ */
+function inRange(id, range) {
+  return !range || (id >= range.from && id <= range.to);
+}
+
+/**
+ * A store in process memory: lost with the container, shared by nothing.
+ * @returns {ResultStore}
+ */
+export function createMemoryStore() {
+  const items = new Map();
+  return {
+    name: 'memory',
+    async get(key) {
+      return items.has(key) ? JSON.parse(items.get(key)) : null;
+    },
+    async put(key, value) {
+      items.set(key, JSON.stringify(value));
+    },
+  };
+}
+
+/**
+ * A store of one JSON file per key under `dir` (created on first write). Files
+ * are named by a hash of the key and replaced by rename, so a reader never
+ * sees half a write.
+ * @param {string} dir - Directory
+ * @returns {ResultStore}
+ */
+export function createFileStore(dir) {
+  const file = key => join(dir, `${createHash('sha256').update(key).digest('hex').slice(0, 32)}.json`);
+  return {
+    name: 'file',
+    async get(key) {
+      try {
+        return JSON.parse(await readFile(file(key), 'utf8')).value;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async put(key, value) {
+      await mkdir(dir, { recursive: true });
+      const target = file(key);
+      const temp = `${target}.${process.pid}.tmp`;
+      await writeFile(temp, JSON.stringify({ key, value }));
+      await rename(temp, target);
+    },
+  };
+}
+
+/**
+ * A history store in process memory.
+ * @returns {HistoryStore}
+ */
+export function createMemoryHistoryStore() {
+  const partitions = new Map();
+  return {
+    name: 'memory',
+    async add(partition, id, value) {
+      if (!partitions.has(partition)) partitions.set(partition, new Map());
+      partitions.get(partition).set(id, JSON.stringify(value));
+    },
+    async list(partition, range) {
+      return [...(partitions.get(partition) ?? [])]
+        .filter(([id]) => inRange(id, range))
+        .map(([, item]) => JSON.parse(item));
+    },
+  };
+}
+
+/**
+ * A history store of one directory per partition under `dir`, one JSON file
+ * per item, both named by a hash and written as createFileStore() writes.
+ * @param {string} dir - Directory
+ * @returns {HistoryStore}
+ */
+export function createFileHistoryStore(dir) {
+  const hash = text => createHash('sha256').update(text).digest('hex').slice(0, 32);
+  return {
+    name: 'file',
+    async add(partition, id, value) {
+      const folder = join(dir, hash(partition));
+      await mkdir(folder, { recursive: true });
+      const target = join(folder, `${hash(id)}.json`);
+      const temp = `${target}.${process.pid}.tmp`;
+      await writeFile(temp, JSON.stringify({ partition, id, value }));
+      await rename(temp, target);
+    },
+    async list(partition, range) {
+      const folder = join(dir, hash(partition));
+      let names;
+      try {
+        names = await readdir(folder);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const files = names.filter(name => name.endsWith('.json'));
+      const items = await Promise.all(files.map(async name => JSON.parse(await readFile(join(folder, name), 'utf8'))));
+      return items.filter(item => inRange(item.id, range)).map(item => item.value);
+    },
+  };
+}
+
+/**
+ * A caller of DynamoDB through the AWS SDK: `call(action, payload)` sends the
+ * named command and resolves its output, or rejects naming the action, status
+ * and error type. The SDK is imported on the first call, so the memory and
+ * file backends run without it.
+ * @param {Object} options
+ * @param {string} options.region - AWS region
+ * @param {{accessKeyId: string, secretAccessKey: string, sessionToken?: string}} [options.credentials] - Signing credentials; the SDK's default chain (the function's role) when omitted
+ * @param {string} [options.endpoint] - Service origin (DynamoDB Local, a test double); the regional endpoint by default
+ * @returns {(action: string, payload: Object) => Promise<Object>}
+ */
+function createDynamoDbClient({ region, credentials, endpoint }) {
+  let loading;
+  const load = () => {
+    loading ??= import('@aws-sdk/client-dynamodb')
+      .then(sdk => ({ sdk, client: new sdk.DynamoDBClient({ region, credentials, endpoint }) }));
+    return loading;
+  };
+  return async function call(action, payload) {
+    const { sdk, client } = await load();
+    try {
+      return await client.send(new sdk[`${action}Command`](payload), { abortSignal: AbortSignal.timeout(STORE_TIMEOUT_MS) });
+    } catch (error) {
+      throw new Error(`DynamoDB ${action} failed (${error.$metadata?.httpStatusCode ?? 'no response'}): ${error.name}`, { cause: error });
+    }
+  };
+}
+
+/**
+ * A store in a DynamoDB table keyed by the string attribute `pk`. The value is
+ * kept as JSON text in `value`, and `expiresAt` (epoch seconds) lets the
+ * table's TTL clear keys that are no longer written.
+ * @param {Object} options
+ * @param {string} options.tableName - Table name
+ * @param {string} options.region - AWS region
+ * @param {{accessKeyId: string, secretAccessKey: string, sessionToken?: string}} [options.credentials] - Signing credentials; the SDK's default chain when omitted
+ * @param {string} [options.endpoint] - Service origin (DynamoDB Local, a test double); the regional endpoint by default
+ * @param {number} [options.ttlSeconds] - Lifetime of an item after its last write
+ * @returns {ResultStore}
+ */
+export function createDynamoDbStore({ tableName, region, credentials, endpoint, ttlSeconds = DEFAULT_TTL_SECONDS }) {
+  const call = createDynamoDbClient({ region, credentials, endpoint });
+  return {
+    name: 'dynamodb',
+    async get(key) {
+      const { Item } = await call('GetItem', { TableName: tableName, Key: { pk: { S: key } } });
+      return Item ? JSON.parse(Item.value.S) : null;
+    },
+    async put(key, value) {
+      await call('PutItem', {
+        TableName: tableName,
+        Item: {
+          pk: { S: key },
+          value: { S: JSON.stringify(value) },
+          expiresAt: { N: String(Math.floor(Date.now() / 1000) + ttlSeconds) },
+        },
+      });
+    },
+  };
+}
+
+/**
+ * A history store in a DynamoDB table keyed by the partition `pk` and the
+ * item id `sk` (both strings), values as createDynamoDbStore() keeps them. A
+ * partition is read with one Query (`sk BETWEEN` for a range), following
+ * `LastEvaluatedKey` page by page.
+ * @param {Object} options - As createDynamoDbStore()
+ * @param {string} options.tableName - Table name
+ * @param {string} options.region - AWS region
+ * @param {{accessKeyId: string, secretAccessKey: string, sessionToken?: string}} [options.credentials] - Signing credentials
+ * @param {string} [options.endpoint] - Service origin
+ * @param {number} [options.ttlSeconds] - Lifetime of an item after its last write (90 days by default)
+ * @returns {HistoryStore}
+ */
+export function createDynamoDbHistoryStore({ tableName, region, credentials, endpoint, ttlSeconds = DEFAULT_HISTORY_TTL_SECONDS }) {
+  const call = createDynamoDbClient({ region, credentials, endpoint });
+  return {
+    name: 'dynamodb',
+    async add(partition, id, value) {
+      await call('PutItem', {
+        TableName: tableName,
+        Item: {
+          pk: { S: partition },
+          sk: { S: id },
+          value: { S: JSON.stringify(value) },
+          expiresAt: { N: String(Math.floor(Date.now() / 1000) + ttlSeconds) },
+        },
+      });
+    },
+    async list(partition, range) {
+      const values = [];
+      let startKey;
+      do {
+        const { Items = [], LastEvaluatedKey } = await call('Query', {
+          TableName: tableName,
+          KeyConditionExpression: range ? 'pk = :pk AND sk BETWEEN :from AND :to' : 'pk = :pk',
+          ExpressionAttributeValues: {
+            ':pk': { S: partition },
+            ...(range && { ':from': { S: range.from }, ':to': { S: range.to } }),
+          },
+          ...(startKey && { ExclusiveStartKey: startKey }),
+        });
+        for (const item of Items) values.push(JSON.parse(item.value.S));
+        startKey = LastEvaluatedKey;
+      } while (startKey);
+      return values;
+    },
+  };
+}
+
+/**
+ * Split a store setting into its backend: `memory`, `file:<dir>` (relative to
+ * the working directory) or `dynamodb:<table>` with the connection settings
+ * read from `env`.
+ * @param {string} name - Variable name, for errors
+ * @param {string} raw - Its value
+ * @param {Object} env - Environment for the DynamoDB settings
+ * @returns {{kind: 'memory'}|{kind: 'file', dir: string}|{kind: 'dynamodb', options: Object}}
+ * @throws {Error} When the value, or the DynamoDB settings it needs, are invalid
+ */
+function parseStoreSetting(name, raw, env) {
+  if (raw === 'memory') return { kind: 'memory' };
+  const [, kind, target] = /^(file|dynamodb):(.+)$/.exec(raw) ?? [];
+  if (kind === 'file') return { kind, dir: resolve(target) };
+  if (kind !== 'dynamodb') throw new Error(`Invalid ${name}: expected memory, file:<dir> or dynamodb:<table>`);
+
+  if (!env.AWS_REGION) throw new Error(`Invalid ${name}: dynamodb needs AWS_REGION`);
+  let endpoint;
+  if (env.DYNAMODB_ENDPOINT) {
+    const u = new URL(env.DYNAMODB_ENDPOINT);
+    if (u.protocol !== 'https:' && !(u.protocol === 'http:' && LOOPBACK_HOSTS.has(u.hostname))) {
+      throw new Error('Invalid DYNAMODB_ENDPOINT: https required (http only on loopback)');
+    }
+    endpoint = u.origin;
+  }
+  return {
+    kind,
+    options: {
+      tableName: target,
+      region: env.AWS_REGION,
+      endpoint,
+      credentials: env.AWS_ACCESS_KEY_ID ? {
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: env.AWS_SESSION_TOKEN,
+      } : undefined,
+    },
+  };
+}
+
+/**
+ * Resolve `RESULT_STORE`: unset for no store, `memory`, `file:<dir>` (relative
+ * to the working directory) or `dynamodb:<table>`. DynamoDB signs with the
+ * function's `AWS_ACCESS_KEY_ID` / `AWS_SECRET_ACCESS_KEY` /
+ * `AWS_SESSION_TOKEN` in `AWS_REGION` (the SDK's default chain when they are
+ * unset); `DYNAMODB_ENDPOINT` points it elsewhere (https, or plain http on
+ * loopback for DynamoDB Local).
+ * @param {string|undefined} raw - `RESULT_STORE` value
+ * @param {Object} [env] - Environment for the DynamoDB settings
+ * @returns {ResultStore|null} Store, or null when unset
+ * @throws {Error} When the value, or the DynamoDB settings it needs, are invalid
+ */
+export function parseResultStore(raw, env = process.env) {
+  if (!raw) return null;
+  const setting = parseStoreSetting('RESULT_STORE', raw, env);
+  if (setting.kind === 'memory') return createMemoryStore();
+  if (setting.kind === 'file') return createFileStore(setting.dir);
+  return createDynamoDbStore(setting.options);
+}
+
+/**
+ * Resolve `HISTORY_STORE`, taking the values parseResultStore() takes. The
+ * DynamoDB table needs the sort key `sk` besides `pk`.
+ * @param {string|undefined} raw - `HISTORY_STORE` value
+ * @param {Object} [env] - Environment for the DynamoDB settings
+ * @returns {HistoryStore|null} Store, or null when unset
+ * @throws {Error} When the value, or the DynamoDB settings it needs, are invalid
+ */
+export function parseHistoryStore(raw, env = process.env) {
+  if (!raw) return null;
+  const setting = parseStoreSetting('HISTORY_STORE', raw, env);
+  if (setting.kind === 'memory') return createMemoryHistoryStore();
+  if (setting.kind === 'file') return createFileHistoryStore(setting.dir);
+  return createDynamoDbHistoryStore(setting.options);
+}
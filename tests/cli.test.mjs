@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { EXIT_CODES, exitCodeFor, formatTable, parseCliArgs, run } from '../src/cli.mjs';
+import { clearBotSessions, clearCircuitBreakers, clearResponseCache } from '../src/index.mjs';
+import { createJorudanSimulator } from '../src/jorudan-simulator.mjs';
+
+/**
+ * A writable that keeps what is written.
+ * @param {boolean} [isTTY]
+ */
+const output = (isTTY = false) => ({ isTTY, text: '', write(chunk) { this.text += chunk; } });
+
+const RESULTS = {
+  version: 2,
+  routes: [
+    {
+      origin: '六本木一丁目',
+      destination: 'つつじヶ丘（東京）',
+      status: 'ok',
+      source: 'gtfs',
+      candidates: [{
+        departureTime: '18:49',
+        arrivalTime: '19:38',
+        durationMinutes: 49,
+        transferCount: 1,
+        legs: [{ line: '東京メトロ南北線' }, { line: '京王線' }],
+        fare: { ic: 1230, ticket: null, sections: [], outOfPocket: 1230 },
+      }],
+    },
+    { origin: '神谷町', destination: 'つつじヶ丘（東京）', status: 'error', code: 'UPSTREAM_TIMEOUT', retryAfterSeconds: 30, candidates: [] },
+  ],
+};
+
+describe('parseCliArgs', () => {
+  it('turns the flags into a /v2/transit request', () => {
+    const options = parseCliArgs(['-p', 'to-work', '-f', '神谷町', '--from', '麻布十番', '-n', '3', '--api', 'https://d1234.cloudfront.net/api/']);
+    assert.strictEqual(options.path, '/v2/transit/to-work');
+    assert.strictEqual(String(options.params), `from=${encodeURIComponent('神谷町')}&from=${encodeURIComponent('麻布十番')}&limit=3`);
+    assert.strictEqual(options.api, 'https://d1234.cloudfront.net/api');
+    assert.strictEqual(options.interval, 60);
+
+    assert.strictEqual(parseCliArgs([], { TRANSIT_API_URL: 'http://localhost:8000' }).api, 'http://localhost:8000');
+    assert.strictEqual(parseCliArgs([]).api, null);
+  });
+
+  it('rejects unknown flags, stray arguments and bad values', () => {
+    assert.match(parseCliArgs(['--bogus']).error, /bogus/);
+    assert.ok(parseCliArgs(['神谷町']).error);
+    assert.match(parseCliArgs(['-w', '-i', '0']).error, /--interval/);
+    assert.match(parseCliArgs(['--api', 'ftp://example.com']).error, /--api/);
+  });
+});
+
+describe('exitCodeFor', () => {
+  it('tells an upstream failure from no routes and from a bad request', () => {
+    assert.strictEqual(exitCodeFor(200, RESULTS), EXIT_CODES.ok);
+    assert.strictEqual(exitCodeFor(200, { ...RESULTS, stale: true }), EXIT_CODES.stale);
+    assert.strictEqual(exitCodeFor(200, null), EXIT_CODES.error);
+    assert.strictEqual(exitCodeFor(404, { code: 'NO_ROUTES' }), EXIT_CODES.noRoutes);
+    assert.strictEqual(exitCodeFor(404, { code: 'UNKNOWN_PROFILE' }), EXIT_CODES.usage);
+    assert.strictEqual(exitCodeFor(400, { code: 'INVALID_REQUEST' }), EXIT_CODES.usage);
+    assert.strictEqual(exitCodeFor(504, { code: 'UPSTREAM_TIMEOUT' }), EXIT_CODES.upstream);
+    assert.strictEqual(exitCodeFor(503, { code: 'CIRCUIT_OPEN' }), EXIT_CODES.upstream);
+    assert.strictEqual(exitCodeFor(500, { code: 'INTERNAL_ERROR' }), EXIT_CODES.error);
+    assert.strictEqual(exitCodeFor(403, null), EXIT_CODES.error);
+  });
+});
+
+describe('formatTable', () => {
+  it('prints the text renderer\'s rows, flagging the timetable and a failed origin', () => {
+    assert.strictEqual(formatTable(RESULTS, { color: false }), [
+      '六本木一丁目 → つつじヶ丘（東京） (timetable)',
+      '  18:49 → 19:38  49分  乗換1回  1,230円  東京メトロ南北線 / 京王線',
+      '',
+      '神谷町 → つつじヶ丘（東京）',
+      '  unavailable (UPSTREAM_TIMEOUT)',
+      '',
+    ].join('\n'));
+  });
+
+  it('colours times, lines and failures for a terminal', () => {
+    const table = formatTable({ ...RESULTS, stale: true }, { color: true });
+    assert.ok(table.startsWith('\x1b[33mLast good result: the live search failed\x1b[0m\n'));
+    assert.ok(table.includes('  \x1b[36m18:49\x1b[0m → \x1b[34m19:38\x1b[0m  49分'));
+    assert.ok(table.includes('\x1b[2m東京メトロ南北線 / 京王線\x1b[0m'));
+    assert.ok(table.includes('\x1b[31munavailable (UPSTREAM_TIMEOUT)\x1b[0m'));
+  });
+});
+
+describe('run', () => {
+  let originalFetch;
+  let simulator;
+
+  beforeEach(() => {
+    clearBotSessions();
+    clearResponseCache();
+    clearCircuitBreakers();
+    originalFetch = globalThis.fetch;
+    simulator = createJorudanSimulator({ jidOrigin: 'https://jid.jorudan.co.jp', cookieDomain: '.jorudan.co.jp' });
+    globalThis.fetch = simulator.fetch;
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    mock.restoreAll();
+  });
+
+  it('prints the handler\'s departures in local mode', async () => {
+    const stdout = output();
+    const code = await run(['--from', '神谷町'], { stdout, stderr: output() });
+    assert.strictEqual(code, EXIT_CODES.ok);
+    assert.match(stdout.text, /^神谷町 → つつじヶ丘（東京）\n {2}08:00 → 08:42 {2}42分 {2}乗換0回 {2}280円/);
+    assert.ok(!stdout.text.includes('\x1b['), 'no colour when stdout is not a terminal');
+
+    const json = output();
+    await run(['-f', '神谷町', '-n', '1', '--json'], { stdout: json, stderr: output() });
+    const data = JSON.parse(json.text);
+    assert.strictEqual(data.version, 2);
+    assert.strictEqual(data.routes[0].candidates.length, 1);
+  });
+
+  it('exits 4 when Jorudan has no trains, on stderr', async () => {
+    simulator.setFaults({ results: 'no-routes' });
+    const stdout = output();
+    const stderr = output();
+    assert.strictEqual(await run(['-f', '神谷町'], { stdout, stderr }), EXIT_CODES.noRoutes);
+    assert.strictEqual(stdout.text, '');
+    assert.match(stderr.text, /\(NO_ROUTES\)\n$/);
+  });
+
+  it('asks the API with --api, telling an upstream failure from an unreachable API', async () => {
+    const requests = [];
+    globalThis.fetch = async url => {
+      requests.push(String(url));
+      return Response.json({ error: 'Upstream request timed out', code: 'UPSTREAM_TIMEOUT' }, { status: 504 });
+    };
+    const stderr = output();
+    const code = await run(['-p', 'to-work', '-n', '2'], { stdout: output(), stderr, env: { TRANSIT_API_URL: 'https://d1234.cloudfront.net/api' } });
+    assert.strictEqual(code, EXIT_CODES.upstream);
+    assert.deepStrictEqual(requests, ['https://d1234.cloudfront.net/api/v2/transit/to-work?limit=2']);
+    assert.match(stderr.text, /UPSTREAM_TIMEOUT/);
+
+    globalThis.fetch = async () => { throw new TypeError('fetch failed'); };
+    const unreachable = output();
+    assert.strictEqual(await run(['--api', 'https://d1234.cloudfront.net/api'], { stdout: output(), stderr: unreachable }), EXIT_CODES.error);
+    assert.match(unreachable.text, /could not reach https:\/\/d1234\.cloudfront\.net\/api: fetch failed/);
+  });
+
+  it('refreshes with --watch until the signal aborts', async () => {
+    let calls = 0;
+    const stopped = new AbortController();
+    globalThis.fetch = async () => {
+      if (++calls === 2) stopped.abort();
+      return Response.json(RESULTS);
+    };
+    const stdout = output();
+    const code = await run(['--watch', '-i', '1', '--api', 'https://d1234.cloudfront.net/api'], { stdout, stderr: output(), signal: stopped.signal });
+    assert.strictEqual(code, EXIT_CODES.ok);
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(stdout.text.match(/Updated .* · every 1s\n/g).length, 2);
+  });
+
+  it('reports a success that is not the API\'s JSON, and keeps watching', async () => {
+    let calls = 0;
+    const stopped = new AbortController();
+    globalThis.fetch = async () => {
+      if (++calls === 2) stopped.abort();
+      return calls === 1
+        ? new Response('<html>Captive portal</html>', { headers: { 'Content-Type': 'text/html' } })
+        : Response.json({ ...RESULTS, stale: true });
+    };
+    const stdout = output();
+    const stderr = output();
+    const code = await run(['--watch', '-i', '1', '--api', 'https://d1234.cloudfront.net/api'], { stdout, stderr, signal: stopped.signal });
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(stderr.text, 'transit: unexpected response (HTTP 200, no departures)\n');
+    assert.match(stdout.text, /Last good result: the live search failed/);
+    assert.strictEqual(code, EXIT_CODES.stale);
+  });
+
+  it('prints the usage for --help and exits 2 on a bad flag', async () => {
+    const stdout = output();
+    assert.strictEqual(await run(['-h'], { stdout, stderr: output() }), EXIT_CODES.ok);
+    assert.match(stdout.text, /^Usage: transit/);
+
+    const stderr = output();
+    assert.strictEqual(await run(['--limit'], { stdout: output(), stderr }), EXIT_CODES.usage);
+    assert.match(stderr.text, /^transit: .*\n\nUsage: transit/);
+  });
+});
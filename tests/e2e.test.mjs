@@ -1,6 +1,13 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { handler } from '../src/index.mjs';
+import { ERROR_STATUS_BY_CODE, handler } from '../src/index.mjs';
+import { installFixtureFetchFromEnv } from '../src/jorudan-fixtures.mjs';
+
+// JORUDAN_REPLAY=<dir> runs this suite offline against pages captured with the dev server's record mode
+installFixtureFetchFromEnv();
+
+// Success, or any status the error taxonomy answers with (503 while a circuit breaker is open)
+const EXPECTED_STATUSES = new Set([200, ...Object.values(ERROR_STATUS_BY_CODE)]);
 
 describe('E2E Tests', () => {
   describe('Handler Integration Test', () => {
@@ -9,7 +16,7 @@ describe('E2E Tests', () => {
       const result = await handler({}, {});
 
       // Should succeed or fail gracefully
-      assert.ok(result.statusCode === 200 || result.statusCode === 500, 'Should return valid status code');
+      assert.ok(EXPECTED_STATUSES.has(result.statusCode), `Should return valid status code, got ${result.statusCode}`);
       assert.ok(result.body, 'Should have body');
       assert.strictEqual(result.headers['Content-Type'], 'application/json', 'Should have JSON content type');
 
@@ -21,8 +28,10 @@ describe('E2E Tests', () => {
         assert.ok(Array.isArray(body.routes), 'routes should be an array');
         assert.ok(body.routes.length > 0, 'Should have at least one origin route');
 
-        // Each origin route should have origin, destination, transfers
-        const firstOrigin = body.routes[0];
+        // Failed origins stay in place with status 'error'; at least one origin succeeded
+        const firstOrigin = body.routes.find(r => r.status === 'ok');
+        assert.ok(firstOrigin, 'Should have at least one successful origin');
+        assert.ok(body.routes.every(r => r.status === 'ok' || typeof r.code === 'string'), 'failed origins carry a code');
         assert.ok(firstOrigin.origin, 'Should have origin label');
         assert.ok(firstOrigin.destination, 'Should have destination label');
         assert.ok(Array.isArray(firstOrigin.transfers), 'transfers should be an array');
@@ -0,0 +1,190 @@
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGtfsCsv, loadGtfsFeed, createGtfsProvider } from '../src/gtfs-provider.mjs';
+import { createJorudanSimulator } from '../src/jorudan-simulator.mjs';
+
+// A weekday and weekend Keio line 新宿 → 明大前 → つつじヶ丘（東京） and the Inokashira line 渋谷 → 明大前 → 吉祥寺;
+// 2026-11-03 (a Tuesday, 文化の日) runs the weekend timetable
+const FEED_DIR = fileURLToPath(new URL('./fixtures/gtfs/', import.meta.url));
+
+describe('parseGtfsCsv', () => {
+  it('reads quoted fields, doubled quotes, CRLF and a BOM', () => {
+    const rows = parseGtfsCsv('\uFEFFstop_id,stop_name\r\nA,"渋谷, ""東口"""\r\nB,新宿\r\n\r\n');
+    assert.deepStrictEqual(rows, [{ stop_id: 'A', stop_name: '渋谷, "東口"' }, { stop_id: 'B', stop_name: '新宿' }]);
+  });
+});
+
+describe('loadGtfsFeed', () => {
+  it('rejects a feed missing a required file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'gtfs-'));
+    writeFileSync(join(dir, 'stops.txt'), 'stop_id,stop_name\n');
+    assert.throws(() => loadGtfsFeed(dir), /Invalid GTFS feed: missing trips\.txt/);
+  });
+});
+
+describe('GTFS provider', () => {
+  const provider = createGtfsProvider(loadGtfsFeed(FEED_DIR));
+  const search = (query) => provider.search({ maxCandidates: 2, page: 0, after: null, ...query });
+  const departures = ({ journeys }) => journeys.map(j => [j.candidate.departureTime, j.candidate.arrivalTime]);
+
+  it('answers direct trips as v1 text and v2 candidates', async () => {
+    const { journeys, trace } = await search({
+      origin: '新宿', destination: 'つつじヶ丘（東京）', search: { date: '2026-10-20', time: '08:05', mode: 'depart' },
+    });
+    assert.deepStrictEqual(trace, []);
+    assert.deepStrictEqual(journeys.map(j => [j.summary, j.route]), [
+      ['08:10～08:30(20分)(0回)', '■新宿\n｜京王線(京王八王子行)\n■つつじヶ丘（東京）'],
+      ['08:20～08:40(20分)(0回)', '■新宿\n｜京王線(高尾山口行)\n■つつじヶ丘（東京）'],
+    ]);
+    const [first] = journeys;
+    assert.deepStrictEqual(
+      [first.candidate.durationMinutes, first.candidate.transferCount, first.candidate.fare.outOfPocket],
+      [20, 0, null],
+    );
+    assert.deepStrictEqual(
+      first.candidate.legs.map(l => [l.station, l.line, l.departureTime, l.arrivalTime, l.departurePlatform, l.arrivalPlatform]),
+      [['新宿', '京王線(京王八王子行)', '08:10', null, '3番線', null], ['つつじヶ丘（東京）', null, null, '08:30', null, '2番線']],
+    );
+  });
+
+  it('changes trains once at a same-named station, leaving time for the transfer', async () => {
+    const { journeys } = await search({
+      origin: '渋谷', destination: 'つつじヶ丘（東京）', search: { date: '2026-10-20', time: '08:00', mode: 'depart' },
+    });
+    assert.deepStrictEqual(journeys.map(j => j.summary), ['08:00～08:30(30分)(1回)', '08:08～08:40(32分)(1回)']);
+    assert.strictEqual(journeys[0].route, '■渋谷\n｜京王井の頭線(吉祥寺行)\n◇明大前\n｜京王線(京王八王子行)\n■つつじヶ丘（東京）');
+    const transfer = journeys[0].candidate.legs[1];
+    assert.deepStrictEqual(
+      [transfer.isTerminal, transfer.arrivalTime, transfer.departureTime, transfer.waitMinutes],
+      [false, '08:09', '08:18', 9],
+    );
+  });
+
+  it('runs the timetable of the day, holidays included', async () => {
+    const query = { origin: '新宿', destination: 'つつじヶ丘（東京）' };
+    assert.deepStrictEqual(
+      departures(await search({ ...query, search: { date: '2026-10-24', time: '08:00', mode: 'depart' } })),
+      [['09:00', '09:20']],
+      'Saturday',
+    );
+    assert.deepStrictEqual(
+      departures(await search({ ...query, search: { date: '2026-11-03', time: '08:00', mode: 'depart' } })),
+      [['09:00', '09:20']],
+      'a weekday holiday',
+    );
+  });
+
+  it('searches by arrival, first and last train', async () => {
+    const query = { origin: '新宿', destination: 'つつじヶ丘（東京）' };
+    const at = (time, mode) => search({ ...query, search: { date: '2026-10-20', time, mode } });
+    assert.deepStrictEqual(departures(await at('08:35', 'arrive')), [['08:00', '08:20'], ['08:10', '08:30']]);
+    assert.deepStrictEqual(departures(await at('12:00', 'first')), [['08:00', '08:20'], ['08:10', '08:30']]);
+    assert.deepStrictEqual(departures(await at('12:00', 'last')), [['08:20', '08:40'], ['00:05', '00:25']], 'past midnight wraps');
+  });
+
+  it('pages with after: and page, and searches now without a time', async () => {
+    const query = { origin: '新宿', destination: 'つつじヶ丘（東京）' };
+    const later = await search({ ...query, search: { date: '2026-10-20', time: '08:10', mode: 'depart' }, after: { time: '08:10', seen: 1 } });
+    assert.deepStrictEqual(departures(later), [['08:20', '08:40']]);
+    const second = await search({ ...query, search: { date: '2026-10-20', time: '08:00', mode: 'depart' }, page: 1 });
+    assert.deepStrictEqual(departures(second), [['08:20', '08:40']]);
+
+    // 2026-10-19T23:05Z is Tuesday 08:05 in Japan
+    const now = createGtfsProvider(loadGtfsFeed(FEED_DIR), { now: () => new Date('2026-10-19T23:05:00Z') });
+    const current = await now.search({ ...query, search: null, maxCandidates: 1, page: 0, after: null });
+    assert.deepStrictEqual(departures(current), [['08:10', '08:30']]);
+  });
+
+  it('has no journeys for a station the feed does not know', async () => {
+    const { journeys } = await search({
+      origin: '六本木一丁目', destination: 'つつじヶ丘（東京）', search: { date: '2026-10-20', time: '08:00', mode: 'depart' },
+    });
+    assert.deepStrictEqual(journeys, []);
+  });
+});
+
+describe('handler with a GTFS feed (GTFS_FEED_DIR)', () => {
+  let gtfsModule;
+  let simulator;
+  let originalFetch;
+  const query = 'from=新宿&to=つつじヶ丘（東京）&date=2026-10-20&time=08:05';
+
+  before(async () => {
+    process.env.GTFS_FEED_DIR = FEED_DIR;
+    try {
+      gtfsModule = await import('../src/index.mjs?gtfs-feed');
+    } finally {
+      delete process.env.GTFS_FEED_DIR;
+    }
+  });
+
+  // The module instance has its own bot sessions, caches and breakers; start every test cold
+  beforeEach(() => {
+    gtfsModule.clearBotSessions();
+    gtfsModule.clearResponseCache();
+    gtfsModule.clearCircuitBreakers();
+    gtfsModule.clearOperationInfoCache();
+    originalFetch = globalThis.fetch;
+    simulator = createJorudanSimulator({ jidOrigin: 'https://jid.jorudan.co.jp', cookieDomain: '.jorudan.co.jp' });
+    globalThis.fetch = simulator.fetch;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const transit = async (rawQueryString) => {
+    const result = await gtfsModule.handler({ path: '/v2/transit', rawQueryString }, {});
+    return { statusCode: result.statusCode, body: JSON.parse(result.body) };
+  };
+
+  it('answers from Jorudan while it is up, flagged as source jorudan', async () => {
+    const { statusCode, body } = await transit(`${query}&limit=1`);
+    assert.deepStrictEqual([statusCode, body.routes[0].status, body.routes[0].source], [200, 'ok', 'jorudan']);
+  });
+
+  it('falls back to the timetable when Jorudan fails, flagged as source gtfs', async () => {
+    simulator.setFaults({ rejectFingerprint: true });
+    const { statusCode, body } = await transit(`${query}&limit=3`);
+    const [route] = body.routes;
+    assert.deepStrictEqual([statusCode, route.status, route.source], [200, 'ok', 'gtfs']);
+    assert.deepStrictEqual(route.candidates.map(c => c.departureTime), ['08:10', '08:20']);
+    assert.strictEqual(route.nextCursor, 'after:2026-10-20T08:20');
+  });
+
+  it('reports Jorudan\'s error when the feed cannot answer either', async () => {
+    simulator.setFaults({ rejectFingerprint: true });
+    const { statusCode, body } = await transit('from=渋谷&to=吉祥寺&date=2026-10-20&time=12:00&limit=2');
+    assert.deepStrictEqual([statusCode, body.code], [502, 'BOT_CHECK_REJECTED']);
+  });
+
+  it('does not fall back when Jorudan finds no routes', async () => {
+    simulator.setFaults({ results: 'no-routes' });
+    const { statusCode, body } = await transit(`${query}&limit=4`);
+    assert.deepStrictEqual([statusCode, body.code], [404, 'NO_ROUTES']);
+  });
+
+  it('asks only the provider named by ?source=, and rejects an unknown one', async () => {
+    let fetched = 0;
+    globalThis.fetch = async (...args) => {
+      fetched++;
+      return simulator.fetch(...args);
+    };
+    const gtfs = await transit(`${query}&limit=5&source=gtfs`);
+    assert.deepStrictEqual([gtfs.statusCode, gtfs.body.routes[0].source, fetched], [200, 'gtfs', 0]);
+
+    simulator.setFaults({ rejectFingerprint: true });
+    const jorudan = await transit(`${query}&limit=5&source=jorudan`);
+    assert.deepStrictEqual([jorudan.statusCode, jorudan.body.code], [502, 'BOT_CHECK_REJECTED']);
+
+    const unknown = await transit(`${query}&source=navitime`);
+    assert.deepStrictEqual(
+      [unknown.statusCode, unknown.body.error],
+      [400, 'Invalid source (expected one of jorudan, gtfs)'],
+    );
+  });
+});
@@ -1,6 +1,25 @@
-import { describe, it, mock } from 'node:test';
+import { describe, it, mock, beforeEach } from 'node:test';
 import assert from 'node:assert';
-import { getSummary, getRoute, splitRoutes, handler, extractJsRedirect, isAllowedUrl } from '../src/index.mjs';
+import {
+  getSummary, getRoute, splitRoutes, handler, extractJsRedirect, isAllowedUrl,
+  validateStationName, buildSearchUrl, parseStationQuery, parseSearchTime, parsePaging,
+  parseDurationMinutes, parseLegs, parseCandidate,
+  parseFareSections, parseCommuterPass, parseFare, parseProfiles, parseOperationInfo, lineKey,
+  CookieJar, clearBotSessions, clearResponseCache, clearDeepCheckCache, clearCircuitBreakers, clearOperationInfoCache,
+  TransitError, UpstreamTimeoutError, UpstreamUnavailableError, BotCheckRejectedError,
+  StructureChangedError, NoRoutesError, SsrfBlockedError, ERROR_STATUS_BY_CODE,
+} from '../src/index.mjs';
+import { createJorudanSimulator, BROKEN_ORIGIN_PAGE } from '../src/jorudan-simulator.mjs';
+
+// Bot-check sessions, cached responses, the deep check and circuit breakers persist at module scope across
+// handler calls; start every test cold.
+beforeEach(() => {
+  clearBotSessions();
+  clearResponseCache();
+  clearDeepCheckCache();
+  clearCircuitBreakers();
+  clearOperationInfoCache();
+});
 
 // Mock HTML block matching real Jorudan format (■ for terminal, ◇ for transfer stations)
 const mockBlock = `発着時間：06:30～08:45\r\n所要時間：2時間15分\r\n乗換回数：2回\r\n\r\n■六本木一丁目    1番線発\r\n｜ 　東京メトロ南北線(浦和美園行)   3.1km\r\n｜06:30-06:36［6分］\r\n｜178円\r\n◇永田町    3番線着・1番線発 ［乗換4分+待ち4分］\r\n｜ 　東京メトロ半蔵門線(中央林間行)   5.7km\r\n｜06:44-06:53［9分］\r\n｜ ↓\r\n◇渋谷    1番線着・1番線発 ［乗換6分+待ち4分］\r\n｜ 　京王井の頭線(吉祥寺行)   12.5km\r\n｜07:03-07:20［17分］\r\n｜230円\r\n■つつじヶ丘（東京）    1・2番線着`;
@@ -159,6 +178,216 @@ describe('splitRoutes', () => {
   });
 });
 
+describe('parseDurationMinutes', () => {
+  it('should convert hours and minutes', () => {
+    assert.strictEqual(parseDurationMinutes('2時間15分'), 135);
+    assert.strictEqual(parseDurationMinutes('49分'), 49);
+    assert.strictEqual(parseDurationMinutes('2時間'), 120);
+  });
+
+  it('should return null for empty or unrecognized text', () => {
+    assert.strictEqual(parseDurationMinutes(''), null);
+    assert.strictEqual(parseDurationMinutes('about an hour'), null);
+  });
+});
+
+describe('parseLegs', () => {
+  it('should produce one leg per station with the line ridden from it', () => {
+    const legs = parseLegs(getRoute(mockBlock));
+    assert.deepStrictEqual(legs.map(l => l.station), ['六本木一丁目', '永田町', '渋谷', 'つつじヶ丘（東京）']);
+    assert.deepStrictEqual(legs.map(l => l.isTerminal), [true, false, false, true]);
+    assert.strictEqual(legs[0].line, '東京メトロ南北線(浦和美園行)', 'distance should be stripped');
+    assert.strictEqual(legs[3].line, null, 'arrival station has no outgoing line');
+  });
+
+  it('should return an empty array for an empty route', () => {
+    assert.deepStrictEqual(parseLegs(''), []);
+  });
+
+  it('should attach per-station times, platforms and transfer waits from the raw route', () => {
+    const legs = parseLegs(mockBlock.split('\r\n\r\n')[1]);
+    assert.deepStrictEqual(legs[0], {
+      station: '六本木一丁目', line: '東京メトロ南北線(浦和美園行)', isTerminal: true,
+      arrivalTime: null, departureTime: '06:30',
+      arrivalPlatform: null, departurePlatform: '1番線',
+      transferMinutes: null, waitMinutes: null,
+    });
+    assert.deepStrictEqual(legs[1], {
+      station: '永田町', line: '東京メトロ半蔵門線(中央林間行)', isTerminal: false,
+      arrivalTime: '06:36', departureTime: '06:44',
+      arrivalPlatform: '3番線', departurePlatform: '1番線',
+      transferMinutes: 4, waitMinutes: 4,
+    });
+    assert.strictEqual(legs[3].arrivalTime, '07:20');
+    assert.strictEqual(legs[3].arrivalPlatform, '1・2番線');
+    assert.strictEqual(legs[3].departureTime, null);
+  });
+
+  it('should leave times null when given getRoute() output (times filtered out)', () => {
+    const legs = parseLegs(getRoute(mockBlock));
+    assert.ok(legs.every(l => l.arrivalTime === null && l.departureTime === null));
+    assert.strictEqual(legs[1].transferMinutes, 4, 'station details survive getRoute()');
+  });
+});
+
+describe('parseCandidate', () => {
+  it('should emit typed times, duration and transfer count', () => {
+    const candidate = parseCandidate(mockBlock);
+    assert.strictEqual(candidate.departureTime, '06:30');
+    assert.strictEqual(candidate.arrivalTime, '08:45');
+    assert.strictEqual(candidate.durationMinutes, 135);
+    assert.strictEqual(candidate.transferCount, 2);
+    assert.strictEqual(candidate.legs.length, 4);
+  });
+
+  it('should accept the 発/着 arrow time form', () => {
+    const block = '発着時間：18:49発 → 19:38着\r\n所要時間：49分\r\n乗換回数：1回\r\n\r\n■六本木一丁目';
+    const candidate = parseCandidate(block);
+    assert.strictEqual(candidate.departureTime, '18:49');
+    assert.strictEqual(candidate.arrivalTime, '19:38');
+  });
+
+  it('should use null for fields it cannot parse', () => {
+    const candidate = parseCandidate('');
+    assert.deepStrictEqual(candidate, {
+      departureTime: null, arrivalTime: null, durationMinutes: null, transferCount: null, legs: [],
+      fare: { ic: null, ticket: null, sections: [], outOfPocket: null },
+    });
+  });
+});
+
+describe('parseFareSections', () => {
+  it('should carry a fare across the ↓ legs it still covers', () => {
+    assert.deepStrictEqual(parseFareSections(mockBlock), [
+      { from: '六本木一丁目', to: '渋谷', amount: 178 },
+      { from: '渋谷', to: 'つつじヶ丘（東京）', amount: 230 },
+    ]);
+  });
+
+  it('should read comma-grouped and full-width amounts', () => {
+    const block = 'summary\r\n\r\n■東京\r\n｜ 　東海道新幹線\r\n｜１,４５０円\r\n■品川';
+    assert.deepStrictEqual(parseFareSections(block), [{ from: '東京', to: '品川', amount: 1450 }]);
+  });
+
+  it('should return no sections when the route prints no fares', () => {
+    assert.deepStrictEqual(parseFareSections(mockBlock3), []);
+  });
+});
+
+describe('parseCommuterPass', () => {
+  it('should return no segments for an unset or blank definition', () => {
+    assert.deepStrictEqual(parseCommuterPass(undefined), []);
+    assert.deepStrictEqual(parseCommuterPass('  '), []);
+  });
+
+  it('should split segments and their stations', () => {
+    assert.deepStrictEqual(parseCommuterPass('六本木一丁目:永田町:渋谷,明大前:つつじヶ丘（東京）'), [
+      ['六本木一丁目', '永田町', '渋谷'],
+      ['明大前', 'つつじヶ丘（東京）'],
+    ]);
+  });
+
+  it('should throw on a one-station segment or an invalid station name', () => {
+    assert.throws(() => parseCommuterPass('渋谷'), /COMMUTER_PASS/);
+    assert.throws(() => parseCommuterPass('渋谷:<x>'), /COMMUTER_PASS/);
+  });
+
+  it('should load the module with COMMUTER_PASS set and deduct the pass by default', async () => {
+    process.env.COMMUTER_PASS = '六本木一丁目:永田町:渋谷';
+    try {
+      // A fresh module instance, so the top-level parse runs under the pass
+      const withPass = await import('../src/index.mjs?commuter-pass');
+      assert.strictEqual(withPass.parseFare(mockBlock).outOfPocket, 230);
+    } finally {
+      delete process.env.COMMUTER_PASS;
+    }
+  });
+
+  it('should fail the module at cold start when COMMUTER_PASS is invalid', async () => {
+    process.env.COMMUTER_PASS = '渋谷';
+    try {
+      await assert.rejects(import('../src/index.mjs?bad-commuter-pass'), /Invalid COMMUTER_PASS segment/);
+    } finally {
+      delete process.env.COMMUTER_PASS;
+    }
+  });
+});
+
+describe('parseFare', () => {
+  it('should total the sections as the ticket fare when the summary has none', () => {
+    const fare = parseFare(mockBlock, []);
+    assert.strictEqual(fare.ticket, 408);
+    assert.strictEqual(fare.ic, null);
+    assert.strictEqual(fare.outOfPocket, 408);
+  });
+
+  it('should read IC and ticket totals from the summary and prefer IC for out-of-pocket', () => {
+    const block = mockBlock.replace('乗換回数：2回', '乗換回数：2回\r\n運賃：ＩＣ 402円 / 切符 410円');
+    const fare = parseFare(block, []);
+    assert.strictEqual(fare.ic, 402);
+    assert.strictEqual(fare.ticket, 410);
+    assert.strictEqual(fare.outOfPocket, 402);
+  });
+
+  it('should deduct sections that lie entirely inside a pass segment', () => {
+    const fare = parseFare(mockBlock, [['六本木一丁目', '永田町', '渋谷']]);
+    assert.strictEqual(fare.outOfPocket, 230);
+  });
+
+  it('should charge a section that only partly overlaps the pass in full', () => {
+    const fare = parseFare(mockBlock, [['六本木一丁目', '永田町']]);
+    assert.strictEqual(fare.outOfPocket, 408);
+  });
+
+  it('should use null amounts when nothing is priced', () => {
+    assert.deepStrictEqual(parseFare(mockBlock3, []), { ic: null, ticket: null, sections: [], outOfPocket: null });
+  });
+});
+
+describe('parseOperationInfo', () => {
+  const page = rows => `<html><body><h1>運行情報</h1><table class="unk_table">
+<tr><th>路線</th><th>状況</th><th>詳細</th></tr>
+${rows}
+</table></body></html>`;
+
+  it('reads each listed line\'s status wording and notice', () => {
+    const lines = parseOperationInfo(page([
+      '<tr><td class="line"><a href="/unk/">東京メトロ南北線</a></td><td>運転見合わせ</td><td>人身事故の影響で&amp;運転を見合わせています。</td></tr>',
+      '<tr><td class="line">ＪＲ山手線</td><td><span>遅延</span></td><td>  信号確認の影響で\r\n遅れがでています。</td></tr>',
+      '<tr><td class="line">京王線</td><td>平常運転</td><td></td></tr>',
+      '<tr><td class="line">東急東横線</td><td>ダイヤ乱れ</td><td>車両点検の影響。</td></tr>',
+    ].join('\n')));
+    assert.deepStrictEqual([...lines], [
+      ['東京メトロ南北線', { status: 'suspended', notice: '人身事故の影響で&運転を見合わせています。' }],
+      ['JR山手線', { status: 'delayed', notice: '信号確認の影響で 遅れがでています。' }],
+      ['京王線', { status: 'normal', notice: null }],
+      ['東急東横線', { status: 'delayed', notice: '車両点検の影響。' }],
+    ]);
+  });
+
+  it('reads a page listing no lines as every line running normally', () => {
+    assert.strictEqual(parseOperationInfo(page('')).size, 0);
+  });
+
+  it('throws StructureChangedError without the status table', () => {
+    assert.throws(() => parseOperationInfo('<html><body>運行情報</body></html>'), StructureChangedError);
+  });
+
+  it('throws StructureChangedError for a table without the line and status headings', () => {
+    const notice = '<html><body><a href="/unk/">運行情報</a><table class="unk_table"><tr><td>ただいまメンテナンス中です</td></tr></table></body></html>';
+    assert.throws(() => parseOperationInfo(notice), /no line and status headings/);
+  });
+});
+
+describe('lineKey', () => {
+  it('matches a leg\'s line to the operation info page\'s', () => {
+    assert.strictEqual(lineKey('東京メトロ南北線(浦和美園行)'), '東京メトロ南北線');
+    assert.strictEqual(lineKey('ＪＲ山手線 (外回り)'), 'JR山手線');
+    assert.strictEqual(lineKey('シミュレータ線(つつじヶ丘（東京）行)'), 'シミュレータ線');
+    assert.strictEqual(lineKey('京王線'), '京王線');
+  });
+});
+
 describe('extractJsRedirect', () => {
   const JID = 'https://jid.jorudan.co.jp/jrd_uuid/?returl=abc';
 
@@ -246,6 +475,284 @@ describe('isAllowedUrl SSRF guard', () => {
   });
 });
 
+describe('validateStationName', () => {
+  it('should accept kanji, kana and full-width disambiguation parentheses', () => {
+    assert.strictEqual(validateStationName('つつじヶ丘（東京）'), 'つつじヶ丘（東京）');
+    assert.strictEqual(validateStationName('六本木一丁目'), '六本木一丁目');
+  });
+
+  it('should trim surrounding whitespace', () => {
+    assert.strictEqual(validateStationName('  神谷町 '), '神谷町');
+  });
+
+  it('should reject empty, non-string and over-long names', () => {
+    assert.strictEqual(validateStationName(''), null);
+    assert.strictEqual(validateStationName('   '), null);
+    assert.strictEqual(validateStationName(undefined), null);
+    assert.strictEqual(validateStationName('駅'.repeat(31)), null);
+  });
+
+  it('should reject URL and HTML metacharacters', () => {
+    for (const name of ['渋谷&eki2=x', '渋谷=1', '渋%41谷', '<script>', '渋 谷', 'a/b', 'https://evil.com']) {
+      assert.strictEqual(validateStationName(name), null, `${name} should be rejected`);
+    }
+  });
+});
+
+describe('buildSearchUrl', () => {
+  it('should reproduce the legacy hard-coded 六本木一丁目 URL byte for byte', () => {
+    assert.strictEqual(
+      buildSearchUrl('六本木一丁目', 'つつじヶ丘（東京）'),
+      'https://www.jorudan.co.jp/norikae/cgi/nori.cgi?rf=top&eok1=R-&eok2=R-&pg=0&eki1=%E5%85%AD%E6%9C%AC%E6%9C%A8%E4%B8%80%E4%B8%81%E7%9B%AE&Cmap1=&eki2=%E3%81%A4%E3%81%A4%E3%81%98%E3%83%B6%E4%B8%98%EF%BC%88%E6%9D%B1%E4%BA%AC%EF%BC%89&Cway=0&Cfp=1&Czu=2&S=%E6%A4%9C%E7%B4%A2&Csg=1&type=t',
+    );
+  });
+
+  it('should produce a URL that passes the SSRF guard', () => {
+    assert.ok(isAllowedUrl(buildSearchUrl('渋谷', '新宿')));
+  });
+
+  it('should map a search time onto Dym/Ddd/Hh/Mn1/Mn2 and the mode onto Cway', () => {
+    const url = new URL(buildSearchUrl('渋谷', '新宿', { date: '2026-03-05', time: '09:30', mode: 'arrive' }));
+    assert.strictEqual(url.searchParams.get('Dym'), '202603');
+    assert.strictEqual(url.searchParams.get('Ddd'), '5');
+    assert.strictEqual(url.searchParams.get('Hh'), '9');
+    assert.strictEqual(url.searchParams.get('Mn1'), '3');
+    assert.strictEqual(url.searchParams.get('Mn2'), '0');
+    assert.strictEqual(url.searchParams.get('Cway'), '1');
+    assert.ok(url.search.indexOf('eki2=') < url.search.indexOf('Dym='), 'date fields follow the stations');
+  });
+
+  it('should send the results page as pg', () => {
+    assert.strictEqual(new URL(buildSearchUrl('渋谷', '新宿', null, 3)).searchParams.get('pg'), '3');
+  });
+
+  it('should use Cway 2 and 3 for first and last trains', () => {
+    const first = new URL(buildSearchUrl('渋谷', '新宿', { date: '2026-03-05', time: '00:00', mode: 'first' }));
+    const last = new URL(buildSearchUrl('渋谷', '新宿', { date: '2026-03-05', time: '00:00', mode: 'last' }));
+    assert.strictEqual(first.searchParams.get('Cway'), '2');
+    assert.strictEqual(last.searchParams.get('Cway'), '3');
+  });
+});
+
+describe('parsePaging', () => {
+  // 2026-03-05 23:10 UTC is 2026-03-06 08:10 in Japan
+  const NOW = new Date('2026-03-05T23:10:00Z');
+  const paging = (query, search = null) => parsePaging(new URLSearchParams(query), search, 2, NOW);
+
+  it('defaults to the profile limit on the first page', () => {
+    assert.deepStrictEqual(paging(''), { limit: 2, page: 0, after: null, search: null });
+  });
+
+  it('accepts a limit from 1 to 5 and a page cursor from 0 to 9', () => {
+    assert.deepStrictEqual(paging('limit=5&cursor=9'), { limit: 5, page: 9, after: null, search: null });
+    for (const bad of ['limit=0', 'limit=6', 'limit=2.5', 'limit=', 'limit=-1']) {
+      assert.match(paging(bad).error, /^Invalid limit/, bad);
+    }
+    assert.match(paging('cursor=10').error, /^Invalid cursor \(page 0-9\)/);
+  });
+
+  it('turns after:HH:MM into a departing search on the search date, or today in Japan', () => {
+    assert.deepStrictEqual(paging('cursor=after:9:05'), {
+      limit: 2, page: 0, after: { time: '09:05', seen: 1 }, search: { date: '2026-03-06', time: '09:05', mode: 'depart' },
+    });
+    const search = { date: '2026-03-10', time: '07:00', mode: 'depart' };
+    assert.deepStrictEqual(paging('cursor=after:07:42', search).search, { date: '2026-03-10', time: '07:42', mode: 'depart' });
+  });
+
+  it('takes the after: cursor\'s own date over the search date, and the trains it has seen', () => {
+    const search = { date: '2026-03-10', time: '23:50', mode: 'depart' };
+    assert.deepStrictEqual(paging('cursor=after:2026-03-11T00:05~2', search), {
+      limit: 2, page: 0, after: { time: '00:05', seen: 2 }, search: { date: '2026-03-11', time: '00:05', mode: 'depart' },
+    });
+  });
+
+  it('rejects after:HH:MM with another mode, an impossible time and anything else', () => {
+    assert.match(paging('cursor=after:07:42', { date: '2026-03-10', time: '07:00', mode: 'arrive' }).error, /needs mode=depart/);
+    for (const bad of [
+      'cursor=after:25:00', 'cursor=after:0742', 'cursor=next', 'cursor=',
+      'cursor=after:2026-02-30T07:42', 'cursor=after:07:42~0', 'cursor=after:07:42~',
+    ]) {
+      assert.match(paging(bad).error, /^Invalid cursor \(expected a page number or after:HH:MM\)/, bad);
+    }
+  });
+});
+
+describe('parseSearchTime', () => {
+  // 2026-03-05 23:10 UTC is 2026-03-06 08:10 in Japan
+  const NOW = new Date('2026-03-05T23:10:00Z');
+
+  it('should leave the search at Jorudan\'s "now" when no parameter is given', () => {
+    assert.deepStrictEqual(parseSearchTime(new URLSearchParams(), NOW), { search: null });
+  });
+
+  it('should accept an explicit date, time and mode', () => {
+    const result = parseSearchTime(new URLSearchParams('date=2026-03-07&time=9:30&mode=arrive'), NOW);
+    assert.deepStrictEqual(result, { search: { date: '2026-03-07', time: '09:30', mode: 'arrive' } });
+  });
+
+  it('should fill a missing date or time from the current time in Japan', () => {
+    assert.deepStrictEqual(
+      parseSearchTime(new URLSearchParams('time=22:00'), NOW).search,
+      { date: '2026-03-06', time: '22:00', mode: 'depart' },
+    );
+    assert.deepStrictEqual(
+      parseSearchTime(new URLSearchParams('mode=last'), NOW).search,
+      { date: '2026-03-06', time: '08:10', mode: 'last' },
+    );
+  });
+
+  it('should reject unknown modes, malformed or impossible dates and out-of-range times', () => {
+    assert.ok(parseSearchTime(new URLSearchParams('mode=soon'), NOW).error);
+    assert.ok(parseSearchTime(new URLSearchParams('mode=toString'), NOW).error);
+    assert.ok(parseSearchTime(new URLSearchParams('date=2026/03/07'), NOW).error);
+    assert.ok(parseSearchTime(new URLSearchParams('date=2026-02-30'), NOW).error);
+    assert.ok(parseSearchTime(new URLSearchParams('time=24:00'), NOW).error);
+    assert.ok(parseSearchTime(new URLSearchParams('time=9:5'), NOW).error);
+  });
+});
+
+describe('CookieJar', () => {
+  const NOW = Date.parse('2026-10-19T00:00:00Z');
+  const headers = (...lines) => ({ getSetCookie: () => lines });
+
+  it('scopes Domain cookies to subdomains and keeps the rest host-only', () => {
+    const jar = new CookieJar();
+    jar.store(headers('a=1; Domain=.jorudan.co.jp', 'b=2'), 'jid.jorudan.co.jp', NOW);
+    assert.strictEqual(jar.headerFor('www.jorudan.co.jp', NOW), 'a=1');
+    assert.strictEqual(jar.headerFor('jid.jorudan.co.jp', NOW), 'a=1; b=2');
+  });
+
+  it('expires cookies by Max-Age, which wins over Expires', () => {
+    const jar = new CookieJar();
+    jar.store(headers('a=1; Max-Age=60; Expires=Wed, 01 Jan 2031 00:00:00 GMT'), 'www.jorudan.co.jp', NOW);
+    assert.strictEqual(jar.headerFor('www.jorudan.co.jp', NOW + 59_000), 'a=1');
+    assert.strictEqual(jar.headerFor('www.jorudan.co.jp', NOW + 60_000), '');
+    assert.strictEqual(jar.size(NOW + 60_000), 0);
+  });
+
+  it('expires cookies by Expires and keeps session cookies', () => {
+    const jar = new CookieJar();
+    jar.store(headers('a=1; Expires=Mon, 19 Oct 2026 01:00:00 GMT', 'b=2'), 'www.jorudan.co.jp', NOW);
+    assert.strictEqual(jar.size(NOW), 2);
+    assert.strictEqual(jar.headerFor('www.jorudan.co.jp', NOW + 2 * 3600_000), 'b=2');
+  });
+
+  it('deletes a cookie the server expires with Max-Age=0', () => {
+    const jar = new CookieJar();
+    jar.store(headers('a=1'), 'www.jorudan.co.jp', NOW);
+    jar.store(headers('a=gone; Max-Age=0'), 'www.jorudan.co.jp', NOW);
+    assert.strictEqual(jar.size(NOW), 0);
+  });
+
+  it('round-trips through JSON, expiry included', () => {
+    const jar = new CookieJar();
+    jar.store(headers('a=1; Domain=.jorudan.co.jp; Max-Age=60', 'b=2'), 'jid.jorudan.co.jp', NOW);
+    const copy = CookieJar.fromJSON(JSON.parse(JSON.stringify(jar)));
+    assert.deepStrictEqual(copy.toJSON(), jar.toJSON());
+    assert.strictEqual(copy.headerFor('jid.jorudan.co.jp', NOW), 'a=1; b=2');
+    assert.strictEqual(copy.headerFor('jid.jorudan.co.jp', NOW + 60_000), 'b=2');
+  });
+
+  it('ignores malformed serialized entries', () => {
+    const jar = CookieJar.fromJSON({ cookies: [null, { name: 'a' }, { name: 'b', value: '2', host: 'x.example' }] });
+    assert.strictEqual(jar.size(NOW), 1);
+    assert.strictEqual(CookieJar.fromJSON('garbage').size(NOW), 0);
+  });
+});
+
+describe('parseProfiles', () => {
+  const valid = () => ({
+    defaultProfile: 'to-home',
+    profiles: {
+      'to-home': { origins: ['六本木一丁目', '神谷町'], destination: 'つつじヶ丘（東京）' },
+      gym: { origins: ['渋谷'], destination: '恵比寿', maxCandidates: 4 },
+    },
+  });
+
+  it('should key profiles by name and default maxCandidates to 2', () => {
+    const { defaultProfile, profiles } = parseProfiles(valid());
+    assert.strictEqual(defaultProfile, 'to-home');
+    assert.deepStrictEqual([...profiles.keys()], ['to-home', 'gym']);
+    assert.strictEqual(profiles.get('to-home').maxCandidates, 2);
+    assert.deepStrictEqual(profiles.get('gym'), { name: 'gym', origins: ['渋谷'], destination: '恵比寿', maxCandidates: 4 });
+  });
+
+  it('should accept the bundled profiles.json', async () => {
+    const { readFile } = await import('node:fs/promises');
+    const config = JSON.parse(await readFile(new URL('../src/profiles.json', import.meta.url), 'utf8'));
+    assert.ok(parseProfiles(config).profiles.has(config.defaultProfile));
+  });
+
+  it('should reject malformed configs with a message naming the problem', () => {
+    const cases = [
+      [null, /expected an object/],
+      [{ defaultProfile: 'x', profiles: [] }, /"profiles" must be an object/],
+      [{ ...valid(), defaultProfile: 'missing' }, /"defaultProfile"/],
+      [{ ...valid(), profiles: { 'To Home': valid().profiles['to-home'] } }, /profile name "To Home"/],
+      [{ ...valid(), profiles: { ...valid().profiles, ics: { origins: ['渋谷'], destination: '恵比寿' } } }, /profile name "ics" is reserved/],
+      [{ ...valid(), profiles: { ...valid().profiles, gym: { origins: [], destination: '恵比寿' } } }, /profile "gym" needs 1-5 origins/],
+      [{ ...valid(), profiles: { ...valid().profiles, gym: { origins: ['渋谷&x'], destination: '恵比寿' } } }, /invalid or duplicate origin/],
+      [{ ...valid(), profiles: { ...valid().profiles, gym: { origins: ['渋谷'], destination: '渋谷' } } }, /invalid destination/],
+      [{ ...valid(), profiles: { ...valid().profiles, gym: { origins: ['渋谷'], destination: '恵比寿', maxCandidates: 9 } } }, /maxCandidates/],
+    ];
+    for (const [config, message] of cases) {
+      assert.throws(() => parseProfiles(config), message);
+    }
+  });
+
+  it('should fail the module at cold start when TRANSIT_PROFILES is invalid', async () => {
+    const saved = process.env.TRANSIT_PROFILES;
+    process.env.TRANSIT_PROFILES = '{"defaultProfile": "nope", "profiles": {}}';
+    try {
+      // A fresh module instance, so the top-level load runs again under the bad env
+      await assert.rejects(import('../src/index.mjs?bad-profiles'), /Invalid profile config/);
+    } finally {
+      if (saved === undefined) delete process.env.TRANSIT_PROFILES;
+      else process.env.TRANSIT_PROFILES = saved;
+    }
+  });
+});
+
+describe('parseStationQuery', () => {
+  it('should default to the three-origin commute when no parameters are given', () => {
+    const result = parseStationQuery(new URLSearchParams());
+    assert.deepStrictEqual(result, {
+      origins: ['六本木一丁目', '神谷町', '麻布十番'],
+      destination: 'つつじヶ丘（東京）',
+    });
+  });
+
+  it('should accept repeated from and a single to', () => {
+    const result = parseStationQuery(new URLSearchParams('from=渋谷&from=新宿&to=吉祥寺'));
+    assert.deepStrictEqual(result, { origins: ['渋谷', '新宿'], destination: '吉祥寺' });
+  });
+
+  it('should collapse duplicate origins', () => {
+    const result = parseStationQuery(new URLSearchParams('from=渋谷&from=渋谷'));
+    assert.deepStrictEqual(result.origins, ['渋谷']);
+  });
+
+  it('should keep the default origins when only to is given', () => {
+    const result = parseStationQuery(new URLSearchParams('to=吉祥寺'));
+    assert.strictEqual(result.origins.length, 3);
+    assert.strictEqual(result.destination, '吉祥寺');
+  });
+
+  it('should fall back to the given profile instead of the default commute', () => {
+    const profile = { origins: ['渋谷'], destination: '恵比寿' };
+    assert.deepStrictEqual(parseStationQuery(new URLSearchParams(), profile), { origins: ['渋谷'], destination: '恵比寿' });
+    assert.deepStrictEqual(parseStationQuery(new URLSearchParams('to=目黒'), profile), { origins: ['渋谷'], destination: '目黒' });
+  });
+
+  it('should reject invalid names, too many origins and origin === destination', () => {
+    assert.ok(parseStationQuery(new URLSearchParams('from=a%26b')).error);
+    assert.ok(parseStationQuery(new URLSearchParams('to=')).error);
+    assert.ok(parseStationQuery(new URLSearchParams('from=a&from=b&from=c&from=d&from=e&from=f')).error);
+    assert.ok(parseStationQuery(new URLSearchParams('from=渋谷&to=渋谷')).error);
+    assert.ok(parseStationQuery(new URLSearchParams('to=神谷町')).error);
+  });
+});
+
 describe('handler', () => {
   // Helper to build HTML with route blocks
   function buildHtml(routeContent) {
@@ -273,18 +780,28 @@ describe('handler', () => {
 
     await runWithMockedFetch(createMockResponse(redirectPage), async () => {
       const result = await handler({}, {});
-      assert.strictEqual(result.statusCode, 500, 'Should return status 500 on bot detection');
+      assert.strictEqual(result.statusCode, 502, 'Should return status 502 on bot detection');
       const body = JSON.parse(result.body);
       assert.ok(body.error, 'Should have error in response');
+      assert.strictEqual(body.code, 'BOT_CHECK_REJECTED');
     });
   });
 
-  it('should return statusCode 500 on unexpected HTML structure', async () => {
-    await runWithMockedFetch(createMockResponse('only one block'), async () => {
+  it('should return statusCode 502 STRUCTURE_CHANGED on unexpected HTML structure', async () => {
+    await runWithMockedFetch(createMockResponse('only one block<hr size="1" color="black" />two'), async () => {
       const result = await handler({}, {});
-      assert.strictEqual(result.statusCode, 500, 'Should return status 500');
+      assert.strictEqual(result.statusCode, 502, 'Should return status 502');
       const body = JSON.parse(result.body);
       assert.ok(body.error, 'Should have error in response');
+      assert.strictEqual(body.code, 'STRUCTURE_CHANGED');
+    });
+  });
+
+  it('should return statusCode 502 BOT_CHECK_REJECTED for a page with neither results nor a redirect', async () => {
+    await runWithMockedFetch(createMockResponse('only one block'), async () => {
+      const result = await handler({}, {});
+      assert.strictEqual(result.statusCode, 502);
+      assert.strictEqual(JSON.parse(result.body).code, 'BOT_CHECK_REJECTED');
     });
   });
 
@@ -300,9 +817,10 @@ describe('handler', () => {
 
     await runWithMockedFetch(createMockResponse(ssrfRedirectPage), async () => {
       const result = await handler({}, {});
-      assert.strictEqual(result.statusCode, 500, 'Should return status 500 on SSRF attempt');
+      assert.strictEqual(result.statusCode, 502, 'Should return status 502 on SSRF attempt');
       const body = JSON.parse(result.body);
       assert.ok(body.error, 'Should have error in response');
+      assert.strictEqual(body.code, 'SSRF_BLOCKED');
     });
   });
 
@@ -323,7 +841,7 @@ describe('handler', () => {
 
     await runWithSequencedFetch([response1, response2], async () => {
       const result = await handler({}, {});
-      assert.strictEqual(result.statusCode, 500, 'Should return status 500 on SSRF attempt via Location header');
+      assert.strictEqual(result.statusCode, 502, 'Should return status 502 on SSRF attempt via Location header');
       const body = JSON.parse(result.body);
       assert.ok(body.error, 'Should have error in response');
     });
@@ -339,7 +857,7 @@ describe('handler', () => {
 
     await runWithMockedFetch(errorResponse, async () => {
       const result = await handler({}, {});
-      assert.strictEqual(result.statusCode, 500, 'Should return status 500 on HTTP error');
+      assert.strictEqual(result.statusCode, 502, 'Should return status 502 on HTTP error');
     });
   });
 
@@ -367,9 +885,10 @@ describe('handler', () => {
   it('should return error when no transit routes found', async () => {
     await runWithMockedFetch(createMockResponse(buildHtml('no routes here')), async () => {
       const result = await handler({}, {});
-      assert.strictEqual(result.statusCode, 500, 'Should return status 500 when no routes found');
+      assert.strictEqual(result.statusCode, 404, 'Should return status 404 when no routes found');
       const body = JSON.parse(result.body);
       assert.ok(body.error, 'Should have error in response');
+      assert.strictEqual(body.code, 'NO_ROUTES');
     });
   });
 
@@ -378,9 +897,10 @@ describe('handler', () => {
 
     await runWithMockedFetch(createMockResponse(buildHtml(malformedBlock)), async () => {
       const result = await handler({}, {});
-      assert.strictEqual(result.statusCode, 500, 'Should return status 500 for malformed route data');
+      assert.strictEqual(result.statusCode, 502, 'Should return status 502 for malformed route data');
       const body = JSON.parse(result.body);
       assert.ok(body.error, 'Should have error in response');
+      assert.strictEqual(body.code, 'STRUCTURE_CHANGED');
     });
   });
 
@@ -410,57 +930,133 @@ describe('handler', () => {
       assert.strictEqual(body.routes[2].origin, '麻布十番');
     });
   });
+  it('should query Jorudan for the from/to parameters (HTTP API v2 rawQueryString)', async () => {
+    const fetchMock = mock.fn(async () => createMockResponse(validHtml));
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = fetchMock;
+    try {
+      const rawQueryString = new URLSearchParams([['from', '渋谷'], ['from', '新宿'], ['to', '吉祥寺']]).toString();
+      const result = await handler({ path: '/transit', rawQueryString }, {});
+      assert.strictEqual(result.statusCode, 200);
+      const body = JSON.parse(result.body);
+      assert.deepStrictEqual(body.routes.map(r => r.origin), ['渋谷', '新宿']);
+      assert.ok(body.routes.every(r => r.destination === '吉祥寺'));
+      const urls = fetchMock.mock.calls.map(c => c.arguments[0]);
+      assert.deepStrictEqual(urls, [buildSearchUrl('渋谷', '吉祥寺'), buildSearchUrl('新宿', '吉祥寺')]);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('should read repeated from values from REST API v1 multiValueQueryStringParameters', async () => {
+    await runWithMockedFetch(createMockResponse(validHtml), async () => {
+      const result = await handler({
+        path: '/transit',
+        queryStringParameters: { from: '新宿' },
+        multiValueQueryStringParameters: { from: ['渋谷', '新宿'] },
+      }, {});
+      const body = JSON.parse(result.body);
+      assert.deepStrictEqual(body.routes.map(r => r.origin), ['渋谷', '新宿']);
+    });
+  });
+
+  it('should return the typed v2 shape on /v2/transit', async () => {
+    await runWithMockedFetch(createMockResponse(buildHtml(mockMultipleBlocks)), async () => {
+      const result = await handler({ path: '/api/v2/transit' }, {});
+      assert.strictEqual(result.statusCode, 200);
+      const body = JSON.parse(result.body);
+      assert.strictEqual(body.version, 2);
+      assert.strictEqual(body.routes.length, 3);
+      const [first, second] = body.routes[0].candidates;
+      assert.strictEqual(body.routes[0].transfers, undefined, 'v2 must not carry v1 tuples');
+      assert.strictEqual(first.departureTime, '06:30');
+      assert.strictEqual(first.transferCount, 2);
+      assert.strictEqual(second.durationMinutes, 120);
+      assert.strictEqual(second.legs[0].station, '新宿');
+      assert.strictEqual(second.legs[0].departureTime, '07:00');
+      assert.strictEqual(second.legs[1].arrivalTime, '07:20');
+      assert.strictEqual(first.fare.ticket, 408);
+      assert.strictEqual(second.fare.outOfPocket, 230);
+    });
+  });
+
+  it('should return the v2 shape for ?v=2 and keep v1 tuples otherwise', async () => {
+    await runWithMockedFetch(createMockResponse(validHtml), async () => {
+      const v2 = JSON.parse((await handler({ path: '/transit', queryStringParameters: { v: '2' } }, {})).body);
+      assert.ok(Array.isArray(v2.routes[0].candidates));
+      const v1 = JSON.parse((await handler({ path: '/transit' }, {})).body);
+      assert.strictEqual(v1.version, undefined);
+      assert.ok(Array.isArray(v1.routes[0].transfers[0]));
+    });
+  });
+
+  it('should pass date, time and mode through to the Jorudan search URL', async () => {
+    const fetchMock = mock.fn(async () => createMockResponse(validHtml));
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = fetchMock;
+    try {
+      const rawQueryString = 'from=%E6%B8%8B%E8%B0%B7&date=2026-03-07&time=09:30&mode=arrive';
+      const result = await handler({ path: '/transit', rawQueryString }, {});
+      assert.strictEqual(result.statusCode, 200);
+      const url = new URL(fetchMock.mock.calls[0].arguments[0]);
+      assert.strictEqual(url.searchParams.get('Dym'), '202603');
+      assert.strictEqual(url.searchParams.get('Ddd'), '7');
+      assert.strictEqual(url.searchParams.get('Cway'), '1');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('should return 400 without fetching when the search time is invalid', async () => {
+    const fetchMock = mock.fn(async () => createMockResponse(validHtml));
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = fetchMock;
+    try {
+      const result = await handler({ path: '/transit', queryStringParameters: { time: '25:00' } }, {});
+      assert.strictEqual(result.statusCode, 400);
+      assert.match(JSON.parse(result.body).error, /time/);
+      assert.strictEqual(fetchMock.mock.callCount(), 0);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('should return 400 without fetching when a station name is invalid', async () => {
+    const fetchMock = mock.fn(async () => createMockResponse(validHtml));
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = fetchMock;
+    try {
+      const result = await handler({ path: '/transit', queryStringParameters: { to: '<script>' } }, {});
+      assert.strictEqual(result.statusCode, 400);
+      assert.ok(JSON.parse(result.body).error);
+      assert.strictEqual(fetchMock.mock.callCount(), 0, 'Jorudan must not be contacted');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
 });
 
-describe('handler — full jrd_uuid handshake (URL-keyed cookie-stateful router mock)', () => {
-  const JID = 'https://jid.jorudan.co.jp/jrd_uuid/?returl=https%3A%2F%2Fwww.jorudan.co.jp%2Fwebuser%2Fredirect2.cgi%3Furl%3Dx';
-  const REDIRECT2 = 'https://www.jorudan.co.jp/webuser/redirect2.cgi?url=%2Fnorikae%2Fcgi%2Fnori.cgi%3Ffinal%3D1';
-  const ROPPONGI_EKI1 = '%E5%85%AD%E6%9C%AC%E6%9C%A8'; // unique to the 六本木一丁目 origin
-  const redirectPage = `<!DOCTYPE html><script>function rdr(){window.location.href='${JID}';}rdr();</script>`;
+describe('handler — full jrd_uuid handshake (Jorudan simulator)', () => {
   const transitHtml = `block0<hr size="1" color="black" />block1<hr size="1" color="black" />${mockBlock}<hr size="1" color="black" />block3`;
 
-  function res({ status = 200, body = '', setCookie = [], location = null }) {
-    return {
-      ok: status >= 200 && status < 300,
-      status,
-      headers: {
-        get: (k) => (k.toLowerCase() === 'location' ? location : null),
-        getSetCookie: () => setCookie,
-      },
-      text: async () => body,
-    };
-  }
-
-  function makeRouter(calls, opts = {}) {
-    const verifyBody = opts.verifyBody ?? REDIRECT2;
+  // The simulator on Jorudan's real hosts, recording each call; `faults` as in DEFAULT_FAULTS
+  function makeRouter(calls, faults = {}) {
+    const simulator = createJorudanSimulator({
+      jidOrigin: 'https://jid.jorudan.co.jp',
+      cookieDomain: '.jorudan.co.jp',
+      resultsHtml: transitHtml,
+      faults,
+    });
     return mock.fn(async (url, init = {}) => {
-      const cookie = (init.headers && init.headers.Cookie) || '';
-      const method = init.method || 'GET';
-      calls.push({ url, method, headers: init.headers || {}, body: init.body });
-      if (url.includes('set_uuid.cgi')) {
-        // Jorudan answers a non-POST (no fingerprint body) with 403 ("./error.html").
-        if (method !== 'POST') return res({ status: 403, body: './error.html' });
-        return res({ setCookie: ['jrd_cuid=CUID;path=/jrd_uuid/;max-age=30;Domain=jid.jorudan.co.jp;Secure;HttpOnly'] });
-      }
-      if (url.includes('verify_uuid.cgi')) {
-        if (method !== 'POST') return res({ status: 403, body: './error.html' });
-        if (!cookie.includes('jrd_cuid')) return res({ body: './error.html' });
-        return res({ body: verifyBody, setCookie: ['jrd_uuid=UUID;path=/;max-age=31536000;Domain=.jorudan.co.jp;Secure;HttpOnly'] });
-      }
-      if (url.includes('/jrd_uuid/')) return res({ body: '<html>jid page</html>' }); // hop 2
-      if (url.includes('redirect2.cgi')) return res({ status: 302, location: '/norikae/cgi/nori.cgi?final=1' });
-      // nori.cgi: hop 1 (no jrd_uuid) returns the redirect page; hop 6 (jrd_uuid present) returns transit data
-      if (opts.failOrigin && url.includes(opts.failOrigin) && !cookie.includes('jrd_uuid')) {
-        return res({ body: 'broken: no redirect and no transit data' });
-      }
-      return cookie.includes('jrd_uuid') ? res({ body: transitHtml }) : res({ body: redirectPage });
+      calls.push({ url, method: init.method || 'GET', headers: init.headers || {}, body: init.body });
+      return simulator.fetch(url, init);
     });
   }
 
-  async function withRouter(opts, testFn) {
+  async function withRouter(faults, testFn) {
     const calls = [];
     const original = globalThis.fetch;
-    globalThis.fetch = makeRouter(calls, opts);
+    globalThis.fetch = makeRouter(calls, faults);
     try {
       return await testFn(calls);
     } finally {
@@ -521,12 +1117,12 @@ describe('handler — full jrd_uuid handshake (URL-keyed cookie-stateful router
     });
   });
 
-  it('returns 500 when set_uuid is issued as GET at every origin (regression lock)', async () => {
+  it('returns 502 BOT_CHECK_REJECTED when set_uuid is issued as GET at every origin (regression lock)', async () => {
     // Force every set_uuid to be a GET by patching fetch to drop the method,
     // proving the mock's 403-on-GET guard surfaces as an all-origins failure.
     const calls = [];
     const original = globalThis.fetch;
-    const router = makeRouter(calls, {});
+    const router = makeRouter(calls);
     globalThis.fetch = mock.fn((url, init = {}) => {
       if (typeof url === 'string' && (url.includes('set_uuid.cgi') || url.includes('verify_uuid.cgi'))) {
         return router(url, { ...init, method: 'GET' });
@@ -535,7 +1131,8 @@ describe('handler — full jrd_uuid handshake (URL-keyed cookie-stateful router
     });
     try {
       const result = await handler({ path: '/transit' }, {});
-      assert.strictEqual(result.statusCode, 500, 'GET-based AJAX hops must fail every origin -> 500');
+      assert.strictEqual(result.statusCode, 502, 'GET-based AJAX hops must fail every origin -> 502');
+      assert.strictEqual(JSON.parse(result.body).code, 'BOT_CHECK_REJECTED');
     } finally {
       globalThis.fetch = original;
     }
@@ -544,29 +1141,468 @@ describe('handler — full jrd_uuid handshake (URL-keyed cookie-stateful router
   it('sends domain-scoped jrd_uuid to the final www request but never the jid-only jrd_cuid', async () => {
     await withRouter({}, async (calls) => {
       await handler({ path: '/transit' }, {});
-      const finalCall = calls.find(c => c.url.includes('nori.cgi?final=1'));
+      const finalCall = calls.find(c => new URL(c.url).pathname.endsWith('/nori.cgi') && c.headers.Cookie);
       assert.ok(finalCall, 'final nori.cgi should be called');
       assert.ok(finalCall.headers.Cookie.includes('jrd_uuid'), 'shared parent-domain cookie should reach www');
       assert.ok(!finalCall.headers.Cookie.includes('jrd_cuid'), 'jid-host-scoped cookie must not leak to www');
     });
   });
 
-  it('returns 200 with the surviving origins when one origin fails (partial success)', async () => {
-    await withRouter({ failOrigin: ROPPONGI_EKI1 }, async () => {
+  it('returns 200 with the failed origin in place when one origin fails (partial success)', async () => {
+    await withRouter({ brokenOrigins: ['六本木一丁目'] }, async () => {
       const result = await handler({ path: '/transit' }, {});
       assert.strictEqual(result.statusCode, 200);
       const data = JSON.parse(result.body);
-      assert.strictEqual(data.routes.length, 2, 'two origins should still succeed');
-      assert.ok(!data.routes.some(r => r.origin === '六本木一丁目'), 'failed origin should be absent');
+      assert.deepStrictEqual(data.routes.map(r => [r.origin, r.status]), [
+        ['六本木一丁目', 'error'], ['神谷町', 'ok'], ['麻布十番', 'ok'],
+      ]);
+      assert.deepStrictEqual(data.routes[0], {
+        origin: '六本木一丁目',
+        destination: 'つつじヶ丘（東京）',
+        status: 'error',
+        code: 'BOT_CHECK_REJECTED',
+        retryAfterSeconds: 300,
+        transfers: [],
+      });
+      assert.ok(data.routes[1].transfers.length > 0, 'surviving origins keep their routes');
+    });
+  });
+
+  it('reports a failed origin with empty candidates and its retry hint on v2', async () => {
+    await withRouter({ delays: { verify_uuid: 5000 } }, async (calls) => {
+      // Only the second origin reaches the slow hop cold: the first is served from a warm session
+      await withRouter({}, () => handler({ path: '/transit', rawQueryString: 'from=渋谷' }, {}));
+      calls.length = 0;
+      const result = await handler({ path: '/v2/transit', rawQueryString: 'from=渋谷&from=新宿' }, {});
+      assert.strictEqual(result.statusCode, 200);
+      const [ok, failed] = JSON.parse(result.body).routes;
+      assert.strictEqual(ok.status, 'ok');
+      assert.ok(ok.candidates.length > 0);
+      assert.deepStrictEqual(
+        [failed.origin, failed.status, failed.code, failed.retryAfterSeconds, failed.candidates],
+        ['新宿', 'error', 'UPSTREAM_TIMEOUT', 30, []],
+      );
     });
   });
 
-  it('rejects an off-allowlist verify_uuid result (SSRF to metadata IP) -> 500', async () => {
+  it('gives no retry hint when retrying cannot help', async () => {
     await withRouter({ verifyBody: 'http://169.254.169.254/latest/meta-data/' }, async () => {
+      await withRouter({}, () => handler({ path: '/transit', rawQueryString: 'from=渋谷' }, {}));
+      const result = await handler({ path: '/transit', rawQueryString: 'from=渋谷&from=新宿' }, {});
+      const failed = JSON.parse(result.body).routes[1];
+      assert.deepStrictEqual([failed.code, failed.retryAfterSeconds], ['SSRF_BLOCKED', null]);
+    });
+  });
+
+  it('reuses the session on the next invocation: one hop per origin', async () => {
+    await withRouter({}, async (calls) => {
+      await handler({ path: '/transit' }, {});
+      assert.strictEqual(calls.length, 18, 'cold: six hops for each of 3 origins');
+      calls.length = 0;
+      clearResponseCache(); // force an upstream fetch; only the session should carry over
       const result = await handler({ path: '/transit' }, {});
-      assert.strictEqual(result.statusCode, 500, 'metadata-IP final URL must be rejected at every origin');
+      assert.strictEqual(result.statusCode, 200);
+      assert.strictEqual(calls.length, 3, 'warm: hop 1 only');
+      assert.ok(calls.every(c => c.headers.Cookie === 'jrd_uuid=UUID'), 'warm hop 1 carries the cached jrd_uuid');
+    });
+  });
+
+  it('discards a session Jorudan bounces back to the jid page and redoes the handshake', async () => {
+    await withRouter({}, async (calls) => {
+      await handler({ path: '/transit', queryStringParameters: { from: '渋谷' } }, {});
+      calls.length = 0;
+      clearResponseCache();
+      // Jorudan revokes jrd_uuid: nori.cgi answers the redirect page even with the cookie
+      const router = globalThis.fetch;
+      let revoked = true;
+      globalThis.fetch = mock.fn(async (url, init = {}) => {
+        if (revoked && url.includes('nori.cgi')) {
+          revoked = false;
+          const headers = { ...init.headers };
+          delete headers.Cookie;
+          return router(url, { ...init, headers });
+        }
+        return router(url, init);
+      });
+      const result = await handler({ path: '/transit', queryStringParameters: { from: '渋谷' } }, {});
+      assert.strictEqual(result.statusCode, 200);
+      assert.strictEqual(calls.length, 6, 'the bounce is followed by the remaining five hops');
+      const setUuid = calls.find(c => c.url.includes('set_uuid.cgi'));
+      assert.strictEqual(setUuid.headers.Cookie, undefined, 'the stale jar is not carried into the new handshake');
+    });
+  });
+
+  it('does not reuse a session whose cookies have expired', async () => {
+    await withRouter({}, async (calls) => {
+      await handler({ path: '/transit', queryStringParameters: { from: '渋谷' } }, {});
+      calls.length = 0;
+      const realNow = Date.now;
+      Date.now = () => realNow() + 366 * 24 * 60 * 60 * 1000; // past jrd_uuid's max-age of one year
+      try {
+        await handler({ path: '/transit', queryStringParameters: { from: '渋谷' } }, {});
+      } finally {
+        Date.now = realNow;
+      }
+      assert.strictEqual(calls.length, 6, 'full handshake again');
+      assert.strictEqual(calls[0].headers.Cookie, undefined, 'no expired cookie is sent');
     });
   });
+
+  it('logs a failed origin as one JSON line carrying a redacted per-hop trace', async () => {
+    const logged = mock.method(console, 'error', () => {});
+    try {
+      await withRouter({ brokenOrigins: ['六本木一丁目'] }, async () => {
+        await handler({ path: '/transit' }, {});
+      });
+      const lines = logged.mock.calls.map(c => JSON.parse(c.arguments[0]));
+      const failure = lines.find(l => l.message === 'Partial origin fetch failure');
+      assert.strictEqual(failure.origin, '六本木一丁目');
+      assert.strictEqual(failure.errorMessage, 'Bot check: no valid jid redirect');
+      assert.deepStrictEqual(failure.trace.map(h => [h.hop, h.method, h.status]), [[1, 'GET', 200]]);
+      const [hop] = failure.trace;
+      assert.strictEqual(hop.url, 'www.jorudan.co.jp/norikae/cgi/nori.cgi?rf&eok1&eok2&pg&eki1&Cmap1&eki2&Cway&Cfp&Czu&S&Csg&type');
+      assert.strictEqual(hop.bytes, Buffer.byteLength(BROKEN_ORIGIN_PAGE));
+      assert.ok(Number.isInteger(hop.durationMs));
+    } finally {
+      logged.mock.restore();
+    }
+  });
+
+  it('returns the six-hop trace on ?debug=1 with the admin token, bypassing the cache', async () => {
+    process.env.ADMIN_TOKEN = 's3cret';
+    try {
+      await withRouter({}, async (calls) => {
+        await handler({ path: '/transit', queryStringParameters: { from: '渋谷' } }, {});
+        calls.length = 0;
+        const result = await handler({
+          path: '/transit',
+          queryStringParameters: { from: '渋谷', debug: '1' },
+          headers: { 'X-Admin-Token': 's3cret' },
+        }, {});
+        assert.strictEqual(result.statusCode, 200);
+        assert.strictEqual(result.headers['Cache-Control'], 'no-store');
+        assert.strictEqual(calls.length, 1, 'a live (warm-session) fetch, not the cached response');
+        const { routes, debug } = JSON.parse(result.body);
+        assert.strictEqual(routes.length, 1);
+        assert.deepStrictEqual(debug.origins.map(o => [o.origin, o.status, o.trace.length]), [['渋谷', 'ok', 1]]);
+      });
+      clearBotSessions();
+      await withRouter({}, async () => {
+        const result = await handler({
+          path: '/transit',
+          queryStringParameters: { from: '渋谷', debug: '1' },
+          headers: { 'x-admin-token': 's3cret' },
+        }, {});
+        const [{ trace }] = JSON.parse(result.body).debug.origins;
+        assert.deepStrictEqual(trace.map(h => h.method), ['GET', 'GET', 'POST', 'POST', 'GET', 'GET']);
+        assert.deepStrictEqual(trace[2].setCookies, ['jrd_cuid']);
+        assert.deepStrictEqual(trace[3].setCookies, ['jrd_uuid']);
+        assert.strictEqual(trace[4].status, 302);
+        assert.ok(trace.every(h => !h.url.includes('=')), 'no query value survives redaction');
+      });
+    } finally {
+      delete process.env.ADMIN_TOKEN;
+    }
+  });
+
+  it('refuses ?debug=1 without a matching admin token, or when none is configured', async () => {
+    await withRouter({}, async (calls) => {
+      const debugEvent = headers => ({ path: '/transit', queryStringParameters: { debug: '1' }, headers });
+      assert.strictEqual((await handler(debugEvent({ 'X-Admin-Token': 'anything' }), {})).statusCode, 403);
+      process.env.ADMIN_TOKEN = 's3cret';
+      try {
+        assert.strictEqual((await handler(debugEvent(undefined), {})).statusCode, 403);
+        assert.strictEqual((await handler(debugEvent({ 'X-Admin-Token': 's3cre' }), {})).statusCode, 403);
+      } finally {
+        delete process.env.ADMIN_TOKEN;
+      }
+      assert.strictEqual(calls.length, 0, 'Jorudan is not contacted');
+    });
+  });
+
+  it('rejects an off-allowlist verify_uuid result (SSRF to metadata IP) -> 502 SSRF_BLOCKED', async () => {
+    await withRouter({ verifyBody: 'http://169.254.169.254/latest/meta-data/' }, async () => {
+      const result = await handler({ path: '/transit' }, {});
+      assert.strictEqual(result.statusCode, 502, 'metadata-IP final URL must be rejected at every origin');
+      assert.strictEqual(JSON.parse(result.body).code, 'SSRF_BLOCKED');
+    });
+  });
+
+  it('returns 504 UPSTREAM_TIMEOUT when a hop outlives the per-hop timeout', async () => {
+    await withRouter({ delays: { verify_uuid: 5000 } }, async () => {
+      const result = await handler({ path: '/transit', queryStringParameters: { from: '渋谷' } }, {});
+      assert.strictEqual(result.statusCode, 504);
+      assert.deepStrictEqual(JSON.parse(result.body), { error: 'Failed to fetch transit information', code: 'UPSTREAM_TIMEOUT' });
+    });
+  });
+
+  it('logs the code of a partial failure and reports it per origin on ?debug=1', async () => {
+    process.env.ADMIN_TOKEN = 's3cret';
+    const logged = mock.method(console, 'error', () => {});
+    try {
+      await withRouter({ brokenOrigins: ['六本木一丁目'] }, async () => {
+        const result = await handler({
+          path: '/transit',
+          queryStringParameters: { debug: '1' },
+          headers: { 'X-Admin-Token': 's3cret' },
+        }, {});
+        assert.strictEqual(result.statusCode, 200);
+        const failed = JSON.parse(result.body).debug.origins.find(o => o.status === 'error');
+        assert.deepStrictEqual([failed.origin, failed.code], ['六本木一丁目', 'BOT_CHECK_REJECTED']);
+      });
+      const failure = logged.mock.calls.map(c => JSON.parse(c.arguments[0])).find(l => l.message === 'Partial origin fetch failure');
+      assert.strictEqual(failure.errorCode, 'BOT_CHECK_REJECTED');
+    } finally {
+      logged.mock.restore();
+      delete process.env.ADMIN_TOKEN;
+    }
+  });
+
+  it('returns the error code alongside the debug diagnostics when every origin fails', async () => {
+    process.env.ADMIN_TOKEN = 's3cret';
+    try {
+      await withRouter({ rejectFingerprint: true }, async () => {
+        const result = await handler({
+          path: '/transit',
+          queryStringParameters: { from: '渋谷', debug: '1' },
+          headers: { 'X-Admin-Token': 's3cret' },
+        }, {});
+        assert.strictEqual(result.statusCode, 502);
+        const body = JSON.parse(result.body);
+        assert.strictEqual(body.code, 'BOT_CHECK_REJECTED');
+        assert.deepStrictEqual(body.debug.origins.map(o => [o.origin, o.code]), [['渋谷', 'BOT_CHECK_REJECTED']]);
+      });
+    } finally {
+      delete process.env.ADMIN_TOKEN;
+    }
+  });
+});
+
+describe('error taxonomy', () => {
+  it('gives each TransitError subclass a stable code, HTTP status and retry hint', () => {
+    const cases = [
+      [UpstreamTimeoutError, 'UPSTREAM_TIMEOUT', 504, 30],
+      [UpstreamUnavailableError, 'UPSTREAM_UNAVAILABLE', 502, 60],
+      [BotCheckRejectedError, 'BOT_CHECK_REJECTED', 502, 300],
+      [StructureChangedError, 'STRUCTURE_CHANGED', 502, null],
+      [NoRoutesError, 'NO_ROUTES', 404, null],
+      [SsrfBlockedError, 'SSRF_BLOCKED', 502, null],
+    ];
+    for (const [ErrorClass, code, statusCode, retryAfterSeconds] of cases) {
+      const error = new ErrorClass('boom', { cause: 'why' });
+      assert.ok(error instanceof TransitError);
+      assert.deepStrictEqual(
+        [error.name, error.code, error.statusCode, error.retryAfterSeconds, error.message, error.cause],
+        [ErrorClass.name, code, statusCode, retryAfterSeconds, 'boom', 'why'],
+      );
+    }
+  });
+
+  it('maps every code to its status, CIRCUIT_OPEN included', () => {
+    assert.deepStrictEqual(ERROR_STATUS_BY_CODE, {
+      INTERNAL_ERROR: 500,
+      UPSTREAM_TIMEOUT: 504,
+      UPSTREAM_UNAVAILABLE: 502,
+      BOT_CHECK_REJECTED: 502,
+      STRUCTURE_CHANGED: 502,
+      NO_ROUTES: 404,
+      CIRCUIT_OPEN: 503,
+      SSRF_BLOCKED: 502,
+    });
+  });
+
+  it('tags request errors with a code', async () => {
+    const invalid = await handler({ path: '/transit', queryStringParameters: { from: '<script>' } }, {});
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(JSON.parse(invalid.body).code, 'INVALID_REQUEST');
+
+    const unknown = await handler({ path: '/transit/nope' }, {});
+    assert.strictEqual(unknown.statusCode, 404);
+    assert.strictEqual(JSON.parse(unknown.body).code, 'UNKNOWN_PROFILE');
+
+    const forbidden = await handler({ path: '/transit', queryStringParameters: { debug: '1' } }, {});
+    assert.strictEqual(forbidden.statusCode, 403);
+    assert.strictEqual(JSON.parse(forbidden.body).code, 'FORBIDDEN');
+  });
+
+  it('answers an unreachable Jorudan as 502 UPSTREAM_UNAVAILABLE', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = mock.fn(async () => {
+      throw new TypeError('fetch failed');
+    });
+    try {
+      const result = await handler({ path: '/transit', queryStringParameters: { from: '渋谷' } }, {});
+      assert.strictEqual(result.statusCode, 502);
+      assert.strictEqual(JSON.parse(result.body).code, 'UPSTREAM_UNAVAILABLE');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
+
+describe('response cache', () => {
+  const html = `block0<hr size="1" color="black" />block1<hr size="1" color="black" />${mockBlock}<hr size="1" color="black" />block3`;
+  const event = (extra = {}) => ({ path: '/transit', queryStringParameters: { from: '渋谷' }, ...extra });
+
+  async function withFetch(impl, testFn) {
+    const fetchMock = mock.fn(impl);
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = fetchMock;
+    try {
+      return await testFn(fetchMock);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  }
+
+  /** Run `fn` with Date.now() shifted forward by `offsetMs`. */
+  async function later(offsetMs, fn) {
+    const realNow = Date.now;
+    Date.now = () => realNow() + offsetMs;
+    try {
+      return await fn();
+    } finally {
+      Date.now = realNow;
+    }
+  }
+
+  it('should answer a repeated query from the cache with Cache-Control and ETag', async () => {
+    await withFetch(async () => createMockResponse(html), async (fetchMock) => {
+      const first = await handler(event(), {});
+      const second = await handler(event(), {});
+      assert.strictEqual(fetchMock.mock.callCount(), 1, 'one upstream fetch for both requests');
+      assert.strictEqual(second.body, first.body);
+      assert.match(first.headers['Cache-Control'], /^public, max-age=60, stale-while-revalidate=300$/);
+      assert.match(first.headers.ETag, /^"[\w-]{27}"$/);
+      assert.strictEqual(second.headers.ETag, first.headers.ETag);
+    });
+  });
+
+  it('should key the cache by origins, destination, time and version', async () => {
+    await withFetch(async () => createMockResponse(html), async (fetchMock) => {
+      await handler(event(), {});
+      await handler(event({ queryStringParameters: { from: '渋谷', to: '吉祥寺' } }), {});
+      await handler(event({ queryStringParameters: { from: '渋谷', time: '09:30' } }), {});
+      await handler(event({ path: '/v2/transit' }), {});
+      assert.strictEqual(fetchMock.mock.callCount(), 4);
+    });
+  });
+
+  it('should answer 304 with no body when If-None-Match matches', async () => {
+    await withFetch(async () => createMockResponse(html), async () => {
+      const { headers } = await handler(event(), {});
+      const notModified = await handler(event({ headers: { 'If-None-Match': `W/${headers.ETag}` } }), {});
+      assert.strictEqual(notModified.statusCode, 304);
+      assert.strictEqual(notModified.body, '');
+      assert.strictEqual(notModified.headers.ETag, headers.ETag);
+      const changed = await handler(event({ headers: { 'if-none-match': '"other"' } }), {});
+      assert.strictEqual(changed.statusCode, 200);
+    });
+  });
+
+  it('should serve a stale entry at once and refresh it in the background', async () => {
+    let html2 = html;
+    await withFetch(async () => createMockResponse(html2), async (fetchMock) => {
+      const first = await handler(event(), {});
+      html2 = html.replace('06:30～08:45', '06:40～08:55');
+      await later(90_000, async () => {
+        const stale = await handler(event(), {});
+        assert.strictEqual(stale.body, first.body, 'the stale body is served without waiting');
+        assert.match(stale.headers['Cache-Control'], /max-age=0,/);
+        await new Promise(resolve => setImmediate(resolve));
+        const refreshed = await handler(event(), {});
+        assert.notStrictEqual(refreshed.body, first.body, 'the background refresh replaced the entry');
+      });
+      assert.strictEqual(fetchMock.mock.callCount(), 2);
+    });
+  });
+
+  it('should fall back to the last good result marked stale when every origin fails', async () => {
+    let failing = false;
+    await withFetch(async () => (failing ? Promise.reject(new Error('down')) : createMockResponse(html)), async () => {
+      const good = JSON.parse((await handler(event(), {})).body);
+      failing = true;
+      const result = await later(3_600_000, () => handler(event(), {}));
+      assert.strictEqual(result.statusCode, 200);
+      assert.strictEqual(result.headers['Cache-Control'], 'no-cache');
+      assert.deepStrictEqual(JSON.parse(result.body), { ...good, stale: true });
+    });
+  });
+
+  it('should answer the error once the last good result is older than CACHE_MAX_STALE_SECONDS', async () => {
+    let failing = false;
+    await withFetch(async () => (failing ? Promise.reject(new Error('down')) : createMockResponse(html)), async () => {
+      await handler(event(), {});
+      failing = true;
+      const result = await later(10_800_000, () => handler(event(), {}));
+      assert.strictEqual(result.statusCode, 502);
+      assert.strictEqual(JSON.parse(result.body).stale, undefined);
+    });
+  });
+
+  it('should share one upstream fetch between concurrent misses', async () => {
+    await withFetch(async () => createMockResponse(html), async (fetchMock) => {
+      const [a, b] = await Promise.all([handler(event(), {}), handler(event(), {})]);
+      assert.strictEqual(fetchMock.mock.callCount(), 1);
+      assert.strictEqual(a.body, b.body);
+    });
+  });
+
+  it('should fail the module at cold start when CACHE_TTL_SECONDS is invalid', async () => {
+    process.env.CACHE_TTL_SECONDS = '1m';
+    try {
+      await assert.rejects(import('../src/index.mjs?bad-cache-ttl'), /Invalid CACHE_TTL_SECONDS/);
+    } finally {
+      delete process.env.CACHE_TTL_SECONDS;
+    }
+  });
+});
+
+describe('commute profiles', () => {
+  it('should list the configured profiles on /profiles', async () => {
+    const result = await handler({ path: '/api/profiles' }, {});
+    assert.strictEqual(result.statusCode, 200);
+    const body = JSON.parse(result.body);
+    assert.strictEqual(body.defaultProfile, 'to-home');
+    assert.deepStrictEqual(body.profiles.map(p => p.name), ['to-home', 'to-office']);
+    assert.deepStrictEqual(body.profiles[1], {
+      name: 'to-office', origins: ['つつじヶ丘（東京）'], destination: '六本木一丁目', maxCandidates: 3,
+    });
+  });
+
+  it('should search the profile\'s commute on /transit/:profile with its candidate limit', async () => {
+    const html = `block0<hr size="1" color="black" />block1<hr size="1" color="black" />${mockThreeBlocks}<hr size="1" color="black" />block3`;
+    const fetchMock = mock.fn(async () => createMockResponse(html));
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = fetchMock;
+    try {
+      const result = await handler({ path: '/api/v2/transit/to-office' }, {});
+      assert.strictEqual(result.statusCode, 200);
+      const body = JSON.parse(result.body);
+      assert.strictEqual(body.version, 2);
+      assert.deepStrictEqual(body.routes.map(r => [r.origin, r.destination]), [['つつじヶ丘（東京）', '六本木一丁目']]);
+      assert.strictEqual(body.routes[0].candidates.length, 3);
+      assert.deepStrictEqual(fetchMock.mock.calls.map(c => c.arguments[0]), [buildSearchUrl('つつじヶ丘（東京）', '六本木一丁目')]);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('should return 404 without fetching for an unknown profile', async () => {
+    const fetchMock = mock.fn(async () => createMockResponse(''));
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = fetchMock;
+    try {
+      for (const path of ['/transit/gym', '/transit/constructor', '/transit/__proto__']) {
+        const result = await handler({ path }, {});
+        assert.strictEqual(result.statusCode, 404, path);
+        assert.strictEqual(JSON.parse(result.body).error, 'Unknown profile');
+      }
+      assert.strictEqual(fetchMock.mock.callCount(), 0);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
 });
 
 describe('/status endpoint', () => {
@@ -589,6 +1625,14 @@ describe('/status endpoint', () => {
     assert.ok(!isNaN(Date.parse(body.timestamp)), 'Timestamp should be valid ISO date');
   });
 
+  it('should report a closed circuit breaker for each upstream host', async () => {
+    const { circuitBreakers } = JSON.parse((await handler({ path: '/status' }, {})).body);
+    assert.deepStrictEqual(circuitBreakers, {
+      'www.jorudan.co.jp': { state: 'closed', consecutiveFailures: 0 },
+      'jid.jorudan.co.jp': { state: 'closed', consecutiveFailures: 0 },
+    });
+  });
+
   it('should handle rawPath for API Gateway v2', async () => {
     const result = await handler({ rawPath: '/status' }, {});
     assert.strictEqual(result.statusCode, 200, 'Should return status 200');
@@ -597,6 +1641,119 @@ describe('/status endpoint', () => {
   });
 });
 
+describe('/status/deep endpoint', () => {
+  const html = routeContent =>
+    `block0<hr size="1" color="black" />block1<hr size="1" color="black" />${routeContent}<hr size="1" color="black" />block3`;
+
+  async function deepStatus(responseHtml, event = { path: '/status/deep' }) {
+    return runWithMockedFetch(createMockResponse(responseHtml), async () => {
+      const result = await handler(event, {});
+      return { result, body: JSON.parse(result.body) };
+    });
+  }
+
+  it('should pass every stage for a well-formed results page', async () => {
+    const { result, body } = await deepStatus(html(mockMultipleBlocks));
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(body.status, 'ok');
+    assert.strictEqual(body.origin, '六本木一丁目');
+    assert.strictEqual(body.destination, 'つつじヶ丘（東京）');
+    assert.ok(!isNaN(Date.parse(body.checkedAt)));
+    assert.deepStrictEqual(body.stages.map(s => s.stage), ['handshake', 'blocks', 'routes', 'summary', 'route']);
+    for (const stage of body.stages) {
+      assert.strictEqual(stage.ok, true, stage.stage);
+      assert.strictEqual(typeof stage.latencyMs, 'number');
+      assert.strictEqual(stage.invariant, undefined);
+    }
+    assert.strictEqual(body.stages[0].detail, '1 hop(s)');
+    assert.strictEqual(body.stages[2].detail, '2 route(s)');
+  });
+
+  it('should also answer /status?deep=1 and the /api prefix', async () => {
+    const viaQuery = await deepStatus(html(mockBlock), { path: '/status', rawQueryString: 'deep=1' });
+    assert.strictEqual(viaQuery.body.stages.length, 5);
+    clearDeepCheckCache();
+    const viaApi = await deepStatus(html(mockBlock), { path: '/api/status/deep' });
+    assert.strictEqual(viaApi.body.status, 'ok');
+  });
+
+  it('should report a failed handshake as 503 with the error', async () => {
+    const redirectPage = '<!DOCTYPE html><script>function rdr(){window.location.href="//evil.com/steal"}</script>';
+    const { result, body } = await deepStatus(redirectPage);
+    assert.strictEqual(result.statusCode, 503);
+    assert.strictEqual(body.status, 'error');
+    assert.strictEqual(body.stages.length, 1);
+    assert.strictEqual(body.stages[0].stage, 'handshake');
+    assert.strictEqual(body.stages[0].ok, false);
+    assert.strictEqual(body.stages[0].invariant, 'request succeeds');
+    assert.ok(body.stages[0].detail);
+  });
+
+  it('should name the block count invariant when the page has too few blocks', async () => {
+    const { result, body } = await deepStatus('block0<hr size="1" color="black" />block1');
+    assert.strictEqual(result.statusCode, 503);
+    const failed = body.stages.at(-1);
+    assert.deepStrictEqual(
+      { stage: failed.stage, ok: failed.ok, invariant: failed.invariant, detail: failed.detail },
+      { stage: 'blocks', ok: false, invariant: 'block count >= 3', detail: 'got 2' },
+    );
+  });
+
+  it('should name the route marker invariant when no 発着時間： marker is found', async () => {
+    const { body } = await deepStatus(html('結果がありません'));
+    assert.deepStrictEqual(body.stages.map(s => s.ok), [true, true, false]);
+    assert.match(body.stages[2].invariant, /route markers/);
+  });
+
+  it('should name the summary format invariant when the header fields changed', async () => {
+    const renamed = mockBlock.replace('所要時間', '所要').replace('乗換回数', '乗換');
+    const { body } = await deepStatus(html(renamed));
+    const failed = body.stages.at(-1);
+    assert.strictEqual(failed.stage, 'summary');
+    assert.match(failed.invariant, /summary format/);
+    assert.strictEqual(failed.detail, 'route 1: 06:30～08:45()()');
+  });
+
+  it('should name the route invariant when a route lists no stations', async () => {
+    const noStations = mockBlock.replace(/\r\n\r\n[\s\S]*$/, '\r\n\r\nno stations');
+    const { body } = await deepStatus(html(noStations));
+    const failed = body.stages.at(-1);
+    assert.strictEqual(failed.stage, 'route');
+    assert.strictEqual(failed.detail, 'route 1 is empty');
+  });
+
+  it('should serve a cached result without contacting Jorudan again', async () => {
+    const mockFetch = mock.fn(async () => createMockResponse(html(mockBlock)));
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = mockFetch;
+    try {
+      const [first, second] = await Promise.all([
+        handler({ path: '/status/deep' }, {}),
+        handler({ path: '/status/deep' }, {}),
+      ]);
+      const third = await handler({ path: '/status/deep' }, {});
+      assert.strictEqual(mockFetch.mock.callCount(), 1, 'concurrent and later checks share one handshake');
+      assert.strictEqual(second.body, first.body);
+      assert.strictEqual(third.body, first.body);
+      assert.match(third.headers['Cache-Control'], /^public, max-age=(59|60)$/);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('should leave the shallow /status check offline', async () => {
+    const mockFetch = mock.fn(async () => createMockResponse(html(mockBlock)));
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = mockFetch;
+    try {
+      await handler({ path: '/status' }, {});
+      assert.strictEqual(mockFetch.mock.callCount(), 0);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
+
 describe('CORS headers', () => {
   it('should advertise only Content-Type in Access-Control-Allow-Headers', async () => {
     const result = await handler({ path: '/status' }, {});
@@ -0,0 +1,270 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { aggregateHistory, departureDate, median, tripRecords } from '../src/history.mjs';
+import { handler } from '../src/index.mjs';
+import { createJorudanSimulator } from '../src/jorudan-simulator.mjs';
+
+/**
+ * A history record with the fields aggregateHistory() reads.
+ * @param {string} date - `YYYY-MM-DD`
+ * @param {string} weekday - e.g. `tue`
+ * @param {string} departureTime - `HH:MM`
+ * @param {number} durationMinutes
+ * @param {number|null} transferCount
+ */
+const trip = (date, weekday, departureTime, durationMinutes, transferCount) =>
+  ({ date, weekday, departureTime, durationMinutes, transferCount });
+
+describe('departureDate', () => {
+  it('moves a train across midnight the way the search mode lists trains', () => {
+    assert.strictEqual(departureDate({ date: '2026-10-20', time: '23:50', mode: 'depart' }, '23:55'), '2026-10-20');
+    assert.strictEqual(departureDate({ date: '2026-10-20', time: '23:50', mode: 'depart' }, '00:05'), '2026-10-21');
+    assert.strictEqual(departureDate({ date: '2026-10-01', time: '00:20', mode: 'arrive' }, '23:40'), '2026-09-30');
+    assert.strictEqual(departureDate({ date: '2026-12-31', time: '00:00', mode: 'last' }, '00:31'), '2027-01-01');
+    assert.strictEqual(departureDate({ date: '2026-10-20', time: '12:00', mode: 'first' }, '05:02'), '2026-10-20');
+  });
+
+  it('compares a single-digit hour as the time it is, not as text', () => {
+    assert.strictEqual(departureDate({ date: '2026-10-20', time: '10:00', mode: 'depart' }, '9:05'), '2026-10-21');
+    assert.strictEqual(departureDate({ date: '2026-10-20', time: '8:50', mode: 'depart' }, '9:05'), '2026-10-20');
+    assert.strictEqual(departureDate({ date: '2026-10-20', time: '10:00', mode: 'arrive' }, '9:05'), '2026-10-20');
+    assert.strictEqual(departureDate({ date: '2026-10-20', time: '00:00', mode: 'last' }, '0:31'), '2026-10-21');
+  });
+});
+
+describe('tripRecords', () => {
+  it('keeps one record per train, keyed by its times and lines, skipping unparsed summaries', () => {
+    const leg = line => ({ line, lineStatus: null });
+    const records = tripRecords({
+      origin: '六本木一丁目',
+      destination: 'つつじヶ丘（東京）',
+      search: { date: '2026-10-20', time: '18:00', mode: 'depart' },
+      source: 'jorudan',
+      lineName: name => name.replace(/\(.*\)$/, ''),
+      journeys: [
+        { candidate: { departureTime: '18:49', arrivalTime: '19:38', durationMinutes: 49, transferCount: 1, legs: [leg('東京メトロ南北線(浦和美園行)'), leg(null), leg('京王線(高尾山口行)')] } },
+        { candidate: { departureTime: null, arrivalTime: null, durationMinutes: null, transferCount: null, legs: [] } },
+      ],
+    });
+    assert.deepStrictEqual(records, [{
+      date: '2026-10-20',
+      id: '18:49#19:38#東京メトロ南北線#京王線',
+      record: {
+        origin: '六本木一丁目',
+        destination: 'つつじヶ丘（東京）',
+        date: '2026-10-20',
+        weekday: 'tue',
+        departureTime: '18:49',
+        arrivalTime: '19:38',
+        durationMinutes: 49,
+        transferCount: 1,
+        lines: ['東京メトロ南北線', '京王線'],
+        source: 'jorudan',
+      },
+    }]);
+  });
+
+  it('stores a single-digit hour zero-padded, so the train keeps one id', () => {
+    const [{ id, record }] = tripRecords({
+      origin: '渋谷',
+      destination: '吉祥寺',
+      search: { date: '2026-10-20', time: '08:50', mode: 'depart' },
+      source: 'jorudan',
+      lineName: name => name,
+      journeys: [{ candidate: { departureTime: '9:05', arrivalTime: '9:47', durationMinutes: 42, transferCount: 0, legs: [] } }],
+    });
+    assert.deepStrictEqual([id, record.date, record.departureTime, record.arrivalTime], ['09:05#09:47', '2026-10-20', '09:05', '09:47']);
+  });
+});
+
+describe('aggregateHistory', () => {
+  it('takes medians overall, per departure hour and per weekday and hour', () => {
+    assert.strictEqual(median([50, 40, 45]), 45);
+    assert.strictEqual(median([40, 49, 45, 51]), 47);
+
+    const result = aggregateHistory([
+      trip('2026-10-20', 'tue', '18:05', 49, 1),
+      trip('2026-10-20', 'tue', '18:35', 51, 1),
+      trip('2026-10-21', 'wed', '18:20', 45, 2),
+      trip('2026-10-21', 'wed', '08:10', 40, 1),
+    ]);
+    assert.deepStrictEqual([result.trips, result.medianDurationMinutes], [4, 47]);
+    assert.deepStrictEqual(result.byTransfers, [
+      { transfers: 1, trips: 3, medianDurationMinutes: 49 },
+      { transfers: 2, trips: 1, medianDurationMinutes: 45 },
+    ]);
+    assert.deepStrictEqual(result.byHour.map(h => [h.hour, h.trips, h.medianDurationMinutes]), [[8, 1, 40], [18, 3, 49]]);
+    assert.deepStrictEqual(
+      result.byWeekdayHour.map(b => [b.weekday, b.hour, b.trips, b.medianDurationMinutes]),
+      [['tue', 18, 2, 50], ['wed', 8, 1, 40], ['wed', 18, 1, 45]],
+    );
+  });
+
+  it('counts the hours in which more transfers got there faster, ties going to fewer', () => {
+    const { transferWins } = aggregateHistory([
+      // 18:xx on the Tuesday: 2 transfers in 44 beats the fastest 1-transfer 49
+      trip('2026-10-20', 'tue', '18:05', 49, 1),
+      trip('2026-10-20', 'tue', '18:30', 52, 1),
+      trip('2026-10-20', 'tue', '18:12', 44, 2),
+      // 18:xx on the Wednesday: a tie
+      trip('2026-10-21', 'wed', '18:05', 47, 1),
+      trip('2026-10-21', 'wed', '18:09', 47, 2),
+      // 19:xx on the Wednesday: 1 transfer only, so nothing to compare
+      trip('2026-10-21', 'wed', '19:00', 48, 1),
+      // A summary without a transfer count is left out of the comparison
+      trip('2026-10-21', 'wed', '19:10', 30, null),
+    ]);
+    assert.deepStrictEqual(transferWins, [{ transfers: 2, against: 1, slots: 2, wins: 1 }]);
+  });
+
+  it('reads the hour of a single-digit departure', () => {
+    const result = aggregateHistory([
+      trip('2026-10-20', 'tue', '9:05', 42, 0),
+      trip('2026-10-20', 'tue', '09:40', 44, 1),
+      trip('2026-10-20', 'tue', '10:00', 50, 0),
+    ]);
+    assert.deepStrictEqual(result.byHour.map(h => [h.hour, h.trips]), [[9, 2], [10, 1]]);
+    assert.deepStrictEqual(result.byWeekdayHour.map(b => [b.weekday, b.hour, b.trips]), [['tue', 9, 2], ['tue', 10, 1]]);
+    assert.deepStrictEqual(result.transferWins, [{ transfers: 1, against: 0, slots: 1, wins: 0 }]);
+  });
+
+  it('reports zero trips without medians', () => {
+    assert.deepStrictEqual(aggregateHistory([]), { trips: 0, byHour: [], byWeekdayHour: [], transferWins: [] });
+  });
+});
+
+describe('/history (HISTORY_STORE)', () => {
+  // Tuesday 2026-10-20, 08:00 in Japan
+  const TUESDAY_8AM = Date.parse('2026-10-19T23:00:00Z');
+  let historyModule;
+  let originalFetch;
+  let now;
+
+  before(async () => {
+    process.env.HISTORY_STORE = 'memory';
+    try {
+      historyModule = await import('../src/index.mjs?history');
+    } finally {
+      delete process.env.HISTORY_STORE;
+    }
+  });
+
+  beforeEach(() => {
+    historyModule.clearBotSessions();
+    historyModule.clearResponseCache();
+    historyModule.clearCircuitBreakers();
+    originalFetch = globalThis.fetch;
+    const simulator = createJorudanSimulator({ jidOrigin: 'https://jid.jorudan.co.jp', cookieDomain: '.jorudan.co.jp' });
+    globalThis.fetch = simulator.fetch;
+    now = TUESDAY_8AM;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    mock.restoreAll();
+  });
+
+  const request = async (path, rawQueryString = '') => {
+    const result = await historyModule.handler({ path, rawQueryString }, {});
+    return { statusCode: result.statusCode, headers: result.headers, body: JSON.parse(result.body) };
+  };
+
+  it('aggregates the trains live searches answered, each counted once', async () => {
+    await request('/v2/transit', 'from=六本木一丁目');
+    historyModule.clearResponseCache();
+    await request('/v2/transit', 'from=六本木一丁目');  // the same trains again
+    await request('/v2/transit', 'from=六本木一丁目&date=2026-10-21&time=18:30');
+
+    const { statusCode, headers, body } = await request('/history', 'from=六本木一丁目&days=7');
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(headers['Cache-Control'], 'public, max-age=300');
+    assert.deepStrictEqual([body.destination, body.days, body.since, body.until], ['つつじヶ丘（東京）', 7, '2026-10-14', '2026-10-20']);
+    // Only the days up to today count: the Wednesday search is not in the window yet
+    const [origin] = body.origins;
+    assert.deepStrictEqual([origin.origin, origin.trips, origin.medianDurationMinutes], ['六本木一丁目', 2, 42]);
+    assert.deepStrictEqual(origin.byWeekdayHour.map(b => [b.weekday, b.hour, b.trips]), [['tue', 8, 2]]);
+    assert.deepStrictEqual(origin.byTransfers, [{ transfers: 0, trips: 2, medianDurationMinutes: 42 }]);
+
+    now = TUESDAY_8AM + 24 * 60 * 60 * 1000;
+    const { body: later } = await request('/history', 'from=六本木一丁目&days=7');
+    assert.deepStrictEqual(later.origins[0].byHour.map(h => [h.hour, h.trips]), [[8, 2], [18, 2]]);
+  });
+
+  it('reads a profile\'s stations from /history/<profile>', async () => {
+    await request('/v2/transit/to-office');
+    const { body } = await request('/history/to-office');
+    assert.deepStrictEqual([body.destination, body.days], ['六本木一丁目', 28]);
+    assert.deepStrictEqual(body.origins.map(o => [o.origin, o.trips]), [['つつじヶ丘（東京）', 3]]);
+  });
+
+  it('rejects a bad days or profile, and answers 404 without HISTORY_STORE', async () => {
+    for (const days of ['0', '91', 'week']) {
+      const { statusCode, body } = await request('/history', `days=${days}`);
+      assert.deepStrictEqual([statusCode, body.code], [400, 'INVALID_REQUEST'], days);
+    }
+    assert.strictEqual((await request('/history/gym')).statusCode, 404);
+
+    const result = await handler({ path: '/history' }, {});
+    assert.deepStrictEqual([result.statusCode, JSON.parse(result.body).code], [404, 'HISTORY_DISABLED']);
+  });
+
+  it('still answers the search when the history cannot be written', async () => {
+    // A file where the store's directory should be: every write fails
+    const blocked = join(mkdtempSync(join(tmpdir(), 'history-')), 'blocked');
+    writeFileSync(blocked, '');
+    process.env.HISTORY_STORE = `file:${blocked}`;
+    let broken;
+    try {
+      broken = await import('../src/index.mjs?history-broken');
+    } finally {
+      delete process.env.HISTORY_STORE;
+    }
+    const logged = mock.method(console, 'error', () => {});
+
+    const result = await broken.handler({ path: '/v2/transit', rawQueryString: 'from=六本木一丁目' }, {});
+    assert.strictEqual(JSON.parse(result.body).routes[0].status, 'ok');
+    await broken.settleHistoryWrites();
+    const warning = logged.mock.calls.map(c => JSON.parse(c.arguments[0])).find(l => l.message === 'History write failed');
+    assert.deepStrictEqual([warning.level, warning.store, warning.origin], ['warn', 'file', '六本木一丁目']);
+  });
+
+  it('answers the search without waiting for the history write', async () => {
+    // A DynamoDB endpoint that never answers: each write waits out the store's 1s budget
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+      HISTORY_STORE: 'dynamodb:history',
+      AWS_REGION: 'ap-northeast-1',
+      DYNAMODB_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+      AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+      AWS_SECRET_ACCESS_KEY: 'secret',
+    });
+    let slow;
+    try {
+      slow = await import('../src/index.mjs?history-slow');
+    } finally {
+      for (const name of ['HISTORY_STORE', 'AWS_REGION', 'DYNAMODB_ENDPOINT', 'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY']) delete process.env[name];
+    }
+    const logged = mock.method(console, 'error', () => {});
+    // Only the function's JSON lines (the SDK may warn about the Node version through the same console)
+    const failures = () => logged.mock.calls.map(c => c.arguments[0]).filter(line => line.startsWith('{'))
+      .map(line => JSON.parse(line)).filter(l => l.message === 'History write failed');
+
+    try {
+      const result = await slow.handler({ path: '/v2/transit', rawQueryString: 'from=六本木一丁目' }, {});
+      assert.strictEqual(JSON.parse(result.body).routes[0].status, 'ok');
+      assert.strictEqual(failures().length, 0);
+      await slow.settleHistoryWrites();
+      assert.match(failures()[0].errorMessage, /DynamoDB PutItem failed \(no response\): AbortError/);
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+});
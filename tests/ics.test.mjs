@@ -0,0 +1,147 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { escapeIcsText, foldIcsLine, buildIcsEvent } from '../src/ics.mjs';
+import {
+  handler, clearBotSessions, clearResponseCache, clearCircuitBreakers, clearOperationInfoCache,
+} from '../src/index.mjs';
+import { createJorudanSimulator } from '../src/jorudan-simulator.mjs';
+
+// Unfold (RFC 5545 §3.1) and split into content lines
+const contentLines = ics => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('escapeIcsText', () => {
+  it('escapes backslashes, semicolons, commas and newlines', () => {
+    assert.strictEqual(escapeIcsText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+  });
+});
+
+describe('foldIcsLine', () => {
+  it('leaves a short line alone', () => {
+    assert.strictEqual(foldIcsLine('SUMMARY:渋谷 → 吉祥寺'), 'SUMMARY:渋谷 → 吉祥寺');
+  });
+
+  it('folds at 75 octets without splitting a character', () => {
+    const line = `DESCRIPTION:${'■六本木一丁目'.repeat(12)}`;
+    const folded = foldIcsLine(line);
+    const chunks = folded.split('\r\n');
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(Buffer.byteLength(chunk) <= 75, `${Buffer.byteLength(chunk)} octets`);
+      assert.ok(!chunk.includes('�'));
+    }
+    assert.ok(chunks.slice(1).every(chunk => chunk.startsWith(' ')));
+    assert.strictEqual(folded.replace(/\r\n /g, ''), line);
+  });
+});
+
+describe('buildIcsEvent', () => {
+  const event = {
+    uid: 'abc@lambda-function-transit',
+    origin: '渋谷',
+    destination: '吉祥寺',
+    date: '2026-10-20',
+    departureTime: '09:12',
+    arrivalTime: '09:54',
+    durationMinutes: 42,
+    description: '09:12発 → 09:54着(42分)(0回)\n\n■渋谷\n｜京王井の頭線(吉祥寺行)\n■吉祥寺',
+    now: new Date('2026-10-19T00:00:00Z'),
+  };
+
+  it('writes one VEVENT in Asia/Tokyo local time with CRLF line endings', () => {
+    const ics = buildIcsEvent(event);
+    assert.ok(ics.endsWith('\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics), 'bare LF');
+    const lines = contentLines(ics);
+    for (const expected of [
+      'BEGIN:VCALENDAR', 'TZID:Asia/Tokyo', 'TZOFFSETTO:+0900', 'UID:abc@lambda-function-transit',
+      'DTSTAMP:20261019T000000Z',
+      'DTSTART;TZID=Asia/Tokyo:20261020T091200', 'DTEND;TZID=Asia/Tokyo:20261020T095400',
+      'SUMMARY:渋谷 → 吉祥寺', 'LOCATION:渋谷 → 吉祥寺',
+      'DESCRIPTION:09:12発 → 09:54着(42分)(0回)\\n\\n■渋谷\\n｜京王井の頭線(吉祥寺行)\\n■吉祥寺',
+    ]) {
+      assert.ok(lines.includes(expected), expected);
+    }
+    assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+    assert.ok(!lines.includes('BEGIN:VALARM'));
+  });
+
+  it('ends on the next day past midnight, from the arrival when there is no duration', () => {
+    const lines = contentLines(buildIcsEvent({
+      ...event, departureTime: '23:50', arrivalTime: '00:32', durationMinutes: null,
+    }));
+    assert.ok(lines.includes('DTSTART;TZID=Asia/Tokyo:20261020T235000'));
+    assert.ok(lines.includes('DTEND;TZID=Asia/Tokyo:20261021T003200'));
+  });
+
+  it('adds a VALARM the given minutes before departure', () => {
+    const lines = contentLines(buildIcsEvent({ ...event, alarmMinutes: 5 }));
+    const alarm = lines.slice(lines.indexOf('BEGIN:VALARM'), lines.indexOf('END:VALARM') + 1);
+    assert.deepStrictEqual(alarm, [
+      'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:09:12 渋谷 → 吉祥寺', 'TRIGGER:-PT5M', 'END:VALARM',
+    ]);
+  });
+});
+
+describe('/transit/ics', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    clearBotSessions();
+    clearResponseCache();
+    clearCircuitBreakers();
+    clearOperationInfoCache();
+    originalFetch = globalThis.fetch;
+    const simulator = createJorudanSimulator({ jidOrigin: 'https://jid.jorudan.co.jp', cookieDomain: '.jorudan.co.jp' });
+    globalThis.fetch = simulator.fetch;
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const ics = rawQueryString => handler({ path: '/transit/ics', rawQueryString }, {});
+
+  it('exports the train departing at the given time as a calendar download', async () => {
+    const result = await ics('from=渋谷&to=吉祥寺&date=2026-10-20&departure=09:12&alarm=5');
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(result.headers['Content-Type'], 'text/calendar; charset=utf-8');
+    assert.strictEqual(result.headers['Content-Disposition'], 'attachment; filename="transit-20261020-0912.ics"');
+    assert.strictEqual(result.headers['Cache-Control'], 'no-store');
+
+    const lines = contentLines(result.body);
+    assert.ok(lines.includes('DTSTART;TZID=Asia/Tokyo:20261020T091200'));
+    assert.ok(lines.includes('DTEND;TZID=Asia/Tokyo:20261020T095400'));
+    assert.ok(lines.includes('LOCATION:渋谷 → 吉祥寺'));
+    assert.ok(lines.includes('TRIGGER:-PT5M'));
+    const description = lines.find(line => line.startsWith('DESCRIPTION:09:12発'));
+    assert.match(description, /\\n\\n■渋谷 +1番線発\\n｜シミュレータ線\(吉祥寺行\)/);
+
+    // The same train keeps its UID, so importing it again updates the event
+    const again = await ics('from=渋谷&to=吉祥寺&date=2026-10-20&departure=09:12');
+    const uid = body => contentLines(body).find(line => line.startsWith('UID:'));
+    assert.strictEqual(uid(again.body), uid(result.body));
+  });
+
+  it('answers 404 when no train leaves at that time', async () => {
+    const result = await ics('from=渋谷&to=吉祥寺&date=2026-10-20&departure=09:12&arrival=10:00');
+    assert.strictEqual(result.statusCode, 404);
+    assert.strictEqual(JSON.parse(result.body).code, 'NO_ROUTES');
+  });
+
+  it('rejects a request that does not name one train, before fetching', async () => {
+    globalThis.fetch = () => assert.fail('fetched');
+    const cases = [
+      ['from=渋谷&to=吉祥寺&departure=09:12', 'An .ics export needs date and departure'],
+      ['from=渋谷&from=新宿&to=吉祥寺&date=2026-10-20&departure=09:12', 'An .ics export takes exactly one from'],
+      ['from=渋谷&to=吉祥寺&date=2026-10-20&departure=25:00', 'Invalid departure (expected HH:MM)'],
+      ['from=渋谷&to=吉祥寺&date=2026-02-30&departure=09:12', 'Invalid date (expected YYYY-MM-DD)'],
+      ['from=渋谷&to=吉祥寺&date=2026-10-20&departure=09:12&alarm=121', 'Invalid alarm (expected 0-120 minutes)'],
+      ['from=渋谷&to=吉祥寺&date=2026-10-20&departure=09:12&alarm=-5', 'Invalid alarm (expected 0-120 minutes)'],
+    ];
+    for (const [query, error] of cases) {
+      const result = await ics(query);
+      assert.strictEqual(result.statusCode, 400, query);
+      assert.deepStrictEqual(JSON.parse(result.body), { error, code: 'INVALID_REQUEST' });
+    }
+  });
+});
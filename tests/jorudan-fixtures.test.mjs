@@ -0,0 +1,208 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  handler, clearBotSessions, clearResponseCache, clearDeepCheckCache, clearCircuitBreakers, clearOperationInfoCache,
+} from '../src/index.mjs';
+import { REDACTED, exchangeKey, createRecordingFetch, createReplayFetch } from '../src/jorudan-fixtures.mjs';
+
+/** A committed session: one origin's six hops, replayed in CI. */
+const SESSION_DIR = fileURLToPath(new URL('./fixtures/jorudan/roppongi-itchome', import.meta.url));
+
+const JID = 'https://jid.jorudan.co.jp/jrd_uuid/?returl=https%3A%2F%2Fwww.jorudan.co.jp%2Fwebuser%2Fredirect2.cgi%3Furl%3Dx';
+const REDIRECT2 = 'https://www.jorudan.co.jp/webuser/redirect2.cgi?url=%2Fnorikae%2Fcgi%2Fnori.cgi%3Ffinal%3D1';
+const redirectPage = `<!DOCTYPE html><script>function rdr(){window.location.href='${JID}';}rdr();</script>`;
+const routeBlock = '発着時間：06:30～07:15\r\n所要時間：45分\r\n乗換回数：0回\r\n\r\n■六本木一丁目    1番線発\r\n｜ 　東京メトロ南北線(浦和美園行)   3.1km\r\n｜06:30-07:15［45分］\r\n｜178円\r\n■つつじヶ丘（東京）    1番線着';
+const transitHtml = `block0<hr size="1" color="black" />block1<hr size="1" color="black" />${routeBlock}<hr size="1" color="black" />block3`;
+
+/**
+ * Stand-in for live Jorudan built from real Response objects, so the
+ * recorder sees genuine Headers (several Set-Cookie lines included).
+ */
+function fakeJorudan() {
+  return mock.fn(async (url, init = {}) => {
+    const cookie = init.headers?.Cookie ?? '';
+    if (url.includes('set_uuid.cgi')) {
+      return new Response('', { headers: [['set-cookie', 'jrd_cuid=CUID;path=/jrd_uuid/;max-age=30;Domain=jid.jorudan.co.jp'], ['set-cookie', 'other=1;path=/']] });
+    }
+    if (url.includes('verify_uuid.cgi')) {
+      return new Response(REDIRECT2, { headers: [['set-cookie', 'jrd_uuid=UUID;path=/;max-age=31536000;Domain=.jorudan.co.jp']] });
+    }
+    if (url.includes('/jrd_uuid/')) return new Response('<html>jid page</html>');
+    if (url.includes('redirect2.cgi')) return new Response(null, { status: 302, headers: { location: '/norikae/cgi/nori.cgi?final=1' } });
+    return new Response(cookie.includes('jrd_uuid') ? transitHtml : redirectPage);
+  });
+}
+
+describe('exchangeKey', () => {
+  it('drops the ts stamp and sorts the remaining query', () => {
+    assert.strictEqual(
+      exchangeKey('post', 'https://jid.jorudan.co.jp/jrd_uuid/set_uuid.cgi?ts=123&returl=x&a=1'),
+      'POST jid.jorudan.co.jp/jrd_uuid/set_uuid.cgi?a=1&returl=x',
+    );
+    assert.strictEqual(
+      exchangeKey('GET', 'https://www.jorudan.co.jp/norikae/cgi/nori.cgi?eki1=A&ts=1'),
+      exchangeKey('GET', 'https://www.jorudan.co.jp/norikae/cgi/nori.cgi?ts=2&eki1=A'),
+    );
+  });
+});
+
+describe('record and replay', () => {
+  let dir;
+  let originalFetch;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'jorudan-fixtures-'));
+    originalFetch = globalThis.fetch;
+    clearBotSessions();
+    clearResponseCache();
+    clearDeepCheckCache();
+    clearCircuitBreakers();
+    clearOperationInfoCache();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function record() {
+    const upstream = fakeJorudan();
+    globalThis.fetch = createRecordingFetch(dir, upstream);
+    const result = await handler({ path: '/v2/transit', rawQueryString: 'from=六本木一丁目' }, {});
+    clearBotSessions();
+    clearResponseCache();
+    return { result, upstream };
+  }
+
+  it('writes one fixture per hop with the request, Set-Cookie lines and body', async () => {
+    const { result, upstream } = await record();
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(upstream.mock.callCount(), 6);
+
+    const files = readdirSync(dir).sort();
+    assert.strictEqual(files.length, 6);
+    assert.match(files[0], /^0001-GET-www\.jorudan\.co\.jp-norikae-cgi-nori\.cgi\.json$/);
+    assert.match(files[2], /^0003-POST-jid\.jorudan\.co\.jp-jrd_uuid-set_uuid\.cgi\.json$/);
+
+    const setUuid = JSON.parse(readFileSync(join(dir, files[2]), 'utf8'));
+    assert.strictEqual(setUuid.request.method, 'POST');
+    assert.match(setUuid.request.body, /tz=/);
+    assert.strictEqual(setUuid.request.headers.referer, 'https://jid.jorudan.co.jp/');
+    assert.deepStrictEqual(
+      setUuid.response.headers.filter(([name]) => name === 'set-cookie').map(([, value]) => value.split('=')[0]),
+      ['jrd_cuid', 'other'],
+    );
+    assert.doesNotMatch(setUuid.key, /ts=/);
+
+    // Cookie values are redacted in the file, names and attributes kept
+    assert.deepStrictEqual(
+      setUuid.response.headers.filter(([name]) => name === 'set-cookie').map(([, value]) => value.split(';')[0]),
+      [`jrd_cuid=${REDACTED}`, `other=${REDACTED}`],
+    );
+    const verify = JSON.parse(readFileSync(join(dir, files[3]), 'utf8'));
+    assert.strictEqual(verify.request.headers.cookie, `jrd_cuid=${REDACTED}; other=${REDACTED}`);
+    assert.doesNotMatch(readdirSync(dir).map(name => readFileSync(join(dir, name), 'utf8')).join(''), /CUID|=UUID/);
+
+    const results = JSON.parse(readFileSync(join(dir, files[5]), 'utf8'));
+    assert.strictEqual(results.response.body, transitHtml);
+  });
+
+  it('numbers a second recording after the fixtures already in the directory', async () => {
+    await record();
+    await record();
+    const files = readdirSync(dir).sort();
+    assert.strictEqual(files.length, 12);
+    assert.match(files[11], /^0012-/);
+  });
+
+  it('replays a recording through the handler with no network', async () => {
+    const { result: recorded } = await record();
+    const network = mock.fn(async () => {
+      throw new Error('network used during replay');
+    });
+    globalThis.fetch = createReplayFetch(dir, network);
+
+    const replayed = await handler({ path: '/v2/transit', rawQueryString: 'from=六本木一丁目' }, {});
+    assert.strictEqual(replayed.statusCode, 200);
+    assert.strictEqual(replayed.body, recorded.body);
+    assert.strictEqual(network.mock.callCount(), 0);
+  });
+
+  it('replays the committed session through the handshake and parser', async () => {
+    const network = mock.fn(async () => {
+      throw new Error('network used during replay');
+    });
+    globalThis.fetch = createReplayFetch(SESSION_DIR, network);
+
+    const v2 = await handler({ path: '/v2/transit', rawQueryString: 'from=六本木一丁目' }, {});
+    assert.strictEqual(v2.statusCode, 200);
+    const [route] = JSON.parse(v2.body).routes;
+    assert.strictEqual(route.status, 'ok');
+    assert.match(route.nextCursor, /^after:\d{4}-\d{2}-\d{2}T18:55$/, 'a "now" search dates it by the clock');
+    assert.deepStrictEqual(route.candidates.map(c => [c.departureTime, c.arrivalTime, c.durationMinutes, c.transferCount]), [
+      ['18:49', '19:38', 49, 3],
+      ['18:55', '19:45', 50, 1],
+    ]);
+    const [first] = route.candidates;
+    assert.deepStrictEqual(first.legs.map(leg => leg.station), ['六本木一丁目', '永田町', '渋谷', '明大前', 'つつじヶ丘（東京）']);
+    assert.deepStrictEqual(first.legs[1], {
+      station: '永田町',
+      line: '東京メトロ半蔵門線(中央林間行)',
+      isTerminal: false,
+      arrivalTime: '18:52',
+      departureTime: '19:00',
+      arrivalPlatform: '3番線',
+      departurePlatform: '1番線',
+      transferMinutes: 4,
+      waitMinutes: 4,
+    });
+    assert.deepStrictEqual(first.fare.sections, [
+      { from: '六本木一丁目', to: '渋谷', amount: 178 },
+      { from: '渋谷', to: 'つつじヶ丘（東京）', amount: 310 },
+    ]);
+
+    clearResponseCache();
+    const v1 = await handler({ path: '/transit', rawQueryString: 'from=六本木一丁目' }, {});
+    assert.deepStrictEqual(JSON.parse(v1.body).routes[0].transfers.map(([summary]) => summary), [
+      '18:49～19:38(49分)(3回)',
+      '18:55～19:45(50分)(1回)',
+    ]);
+    assert.strictEqual(network.mock.callCount(), 0);
+  });
+
+  it('rejects a request that was never recorded, like an unreachable host', async () => {
+    await record();
+    globalThis.fetch = createReplayFetch(dir);
+    await assert.rejects(
+      fetch('https://www.jorudan.co.jp/norikae/cgi/nori.cgi?eki1=other'),
+      /No recorded exchange for GET www\.jorudan\.co\.jp\/norikae\/cgi\/nori\.cgi\?eki1=other/,
+    );
+  });
+
+  it('serves repeated requests in recorded order, then repeats the last', async () => {
+    globalThis.fetch = createRecordingFetch(dir, fakeJorudan());
+    const query = { path: '/v2/transit', rawQueryString: 'from=六本木一丁目' };
+    await handler(query, {});
+    clearResponseCache();
+    await handler(query, {});  // warm session: hop 1 now answers with the results page
+    assert.strictEqual(readdirSync(dir).length, 7);
+
+    const hop1 = JSON.parse(readFileSync(join(dir, readdirSync(dir).sort()[0]), 'utf8')).request.url;
+    globalThis.fetch = createReplayFetch(dir);
+    const bodies = [];
+    for (let i = 0; i < 3; i++) bodies.push(await (await fetch(hop1)).text());
+    assert.deepStrictEqual(bodies, [redirectPage, transitHtml, transitHtml]);
+  });
+
+  it('passes requests for other hosts to the wrapped fetch', async () => {
+    const passthrough = mock.fn(async () => new Response('elsewhere'));
+    const replay = createReplayFetch(dir, passthrough);
+    const res = await replay('http://localhost:9000/2015-03-31/functions/function/invocations', { method: 'POST' });
+    assert.strictEqual(await res.text(), 'elsewhere');
+    assert.strictEqual(passthrough.mock.callCount(), 1);
+  });
+});
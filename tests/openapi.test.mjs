@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { schemaErrors as checkSchema } from '../src/json-schema.mjs';
+import { OPENAPI, schemaErrors } from '../src/openapi.mjs';
+import {
+  clearBotSessions, clearCircuitBreakers, clearDeepCheckCache, clearOperationInfoCache, clearResponseCache, handler,
+} from '../src/index.mjs';
+import { createJorudanSimulator } from '../src/jorudan-simulator.mjs';
+
+/**
+ * Resolve `{$ref}` objects of the document, as deep as they chain.
+ * @param {Object} node
+ */
+const deref = node => (node?.$ref ? deref(node.$ref.slice(2).split('/').reduce((n, key) => n[key], OPENAPI)) : node);
+
+/**
+ * The JSON schema the contract gives a path's response with this status.
+ * @param {string} path - Request path, `/api` prefix optional
+ * @param {number} statusCode
+ */
+function responseSchema(path, statusCode) {
+  const bare = path.replace(/^\/api/, '');
+  const template = Object.keys(OPENAPI.paths)
+    .find(key => new RegExp(`^${key.replace(/\{[^}]+\}/g, '[^/]+')}$`).test(bare));
+  assert.ok(template, `${path} is not in the contract`);
+  const response = deref(OPENAPI.paths[template].get.responses[statusCode]);
+  assert.ok(response, `${template} documents no ${statusCode}`);
+  return response.content['application/json'].schema;
+}
+
+/**
+ * Call the handler and assert its JSON body conforms to the contract for the path and status.
+ * @param {string} path
+ * @param {string} [rawQueryString]
+ * @returns {Promise<{statusCode: number, data: Object}>}
+ */
+async function conformingRequest(path, rawQueryString = '') {
+  const result = await handler({ path, rawQueryString }, {});
+  const data = JSON.parse(result.body);
+  assert.deepStrictEqual(schemaErrors(responseSchema(path, result.statusCode), data), [], `${path}?${rawQueryString} (${result.statusCode})`);
+  return { statusCode: result.statusCode, data };
+}
+
+/**
+ * Every `$ref` under a node, with where it was found.
+ * @param {unknown} node
+ * @param {string} [at]
+ * @returns {{ref: string, at: string}[]}
+ */
+function collectRefs(node, at = '') {
+  if (node === null || typeof node !== 'object') return [];
+  return Object.entries(node).flatMap(([key, value]) => (key === '$ref' ? [{ ref: value, at }] : collectRefs(value, `${at}/${key}`)));
+}
+
+describe('OpenAPI document', () => {
+  it('resolves every $ref and lists every required property', () => {
+    for (const { ref, at } of collectRefs(OPENAPI)) {
+      assert.ok(ref.startsWith('#/components/'), `${at}: ${ref} is not local`);
+      assert.ok(deref({ $ref: ref }), `${at}: ${ref} does not resolve`);
+    }
+    for (const [name, schema] of Object.entries(OPENAPI.components.schemas)) {
+      for (const property of schema.required ?? []) assert.ok(property in schema.properties, `${name}.${property}`);
+    }
+  });
+
+  it('reports where a body drifts from it', () => {
+    const v2 = OPENAPI.components.schemas.TransitResponseV2;
+    assert.deepStrictEqual(schemaErrors(v2, { version: 2, routes: [] }), []);
+    assert.deepStrictEqual(schemaErrors(v2, { version: 2, routes: [], cachedAt: 'now' }), ['/cachedAt: not in the schema']);
+    assert.deepStrictEqual(
+      schemaErrors(OPENAPI.components.schemas.TransitResponse, { transfers: [['18:49発 → 19:38着(49分)(1回)', '■六本木一丁目']] }),
+      ['/routes: required', '/transfers: not in the schema'],
+    );
+    const [error] = schemaErrors(v2, { version: 2, routes: [{ origin: 'A', destination: 'B', status: 'error', code: 'NO_ROUTES', candidates: [] }] });
+    assert.match(error, /^\/routes\/0: matches no oneOf schema \(.*\/routes\/0\/retryAfterSeconds: required/);
+  });
+
+  it('shares its checker with the frontend, which keeps objects open', () => {
+    const document = OPENAPI;
+    const v2 = OPENAPI.components.schemas.TransitResponseV2;
+    assert.deepStrictEqual(checkSchema(v2, { version: 2, routes: [], cachedAt: 'now' }, { document, open: true }), []);
+    assert.deepStrictEqual(checkSchema(v2, { version: 2, routes: [], cachedAt: undefined }, { document }), []);
+
+    // Open or closed, a value is checked the same way
+    for (const open of [false, true]) {
+      assert.deepStrictEqual(checkSchema({ type: 'number' }, Number.NaN, { document, open }), ['/: expected number, got non-finite']);
+      assert.deepStrictEqual(checkSchema({ type: 'string', format: 'date' }, '2026-10-20', { document, open }), []);
+      assert.deepStrictEqual(checkSchema({ type: 'string', format: 'date' }, '2026-13-01', { document, open }), ['/: not a YYYY-MM-DD date']);
+    }
+  });
+});
+
+describe('handler output against the OpenAPI document', () => {
+  let simulator;
+  let originalFetch;
+
+  beforeEach(() => {
+    clearBotSessions();
+    clearResponseCache();
+    clearDeepCheckCache();
+    clearCircuitBreakers();
+    clearOperationInfoCache();
+    originalFetch = globalThis.fetch;
+    simulator = createJorudanSimulator({ jidOrigin: 'https://jid.jorudan.co.jp', cookieDomain: '.jorudan.co.jp' });
+    globalThis.fetch = simulator.fetch;
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    mock.restoreAll();
+  });
+
+  it('answers v1 and v2 transit as documented', async () => {
+    const v1 = await conformingRequest('/transit');
+    assert.strictEqual(v1.data.routes.length, 3);
+    await conformingRequest('/api/transit/to-home', 'v=2&limit=1');
+
+    simulator.setFaults({ disruptions: { シミュレータ線: { status: '運転見合わせ', notice: '人身事故の影響' } } });
+    const v2 = await conformingRequest('/v2/transit', 'from=神谷町&lineStatus=1');
+    assert.strictEqual(v2.data.routes[0].candidates[0].legs[0].lineStatus.status, 'suspended');
+  });
+
+  it('documents a failed origin in place, in both versions', async () => {
+    simulator.setFaults({ brokenOrigins: ['六本木一丁目'] });
+    const v1 = await conformingRequest('/transit');
+    const v2 = await conformingRequest('/v2/transit');
+    assert.strictEqual(v1.data.routes[0].status, 'error');
+    assert.strictEqual(v2.data.routes[0].status, 'error');
+  });
+
+  it('documents the error bodies', async () => {
+    assert.strictEqual((await conformingRequest('/transit', 'time=25:00')).statusCode, 400);
+    assert.strictEqual((await conformingRequest('/v2/transit/nowhere')).statusCode, 404);
+    simulator.setFaults({ results: 'no-routes' });
+    assert.strictEqual((await conformingRequest('/transit', 'from=神谷町')).data.code, 'NO_ROUTES');
+  });
+
+  it('answers /status and both outcomes of /status/deep as documented', async () => {
+    await conformingRequest('/status');
+    assert.strictEqual((await conformingRequest('/status/deep')).statusCode, 200);
+
+    clearDeepCheckCache();
+    simulator.setFaults({ results: 'fewer-blocks' });
+    const failed = await conformingRequest('/status', 'deep=1');
+    assert.strictEqual(failed.statusCode, 503);
+    assert.strictEqual(failed.data.stages.at(-1).ok, false);
+  });
+
+  it('serves the document itself at /openapi.json', async () => {
+    const result = await handler({ path: '/api/openapi.json' }, {});
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(result.headers['Content-Type'], 'application/json');
+    assert.strictEqual(result.headers['Cache-Control'], 'public, max-age=3600');
+    assert.deepStrictEqual(JSON.parse(result.body), OPENAPI);
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { FORMATS, displayWidth, selectFormat } from '../src/render.mjs';
+import { clearBotSessions, clearCircuitBreakers, clearResponseCache, handler } from '../src/index.mjs';
+import { createJorudanSimulator } from '../src/jorudan-simulator.mjs';
+
+/**
+ * A v2 candidate with the fields the renderers read.
+ * @param {string|null} departureTime
+ * @param {string|null} arrivalTime
+ * @param {number|null} durationMinutes
+ * @param {number|null} transferCount
+ * @param {(string|null)[]} lines - Line of each leg
+ * @param {number|null} [outOfPocket]
+ */
+const candidate = (departureTime, arrivalTime, durationMinutes, transferCount, lines, outOfPocket = null) => ({
+  departureTime,
+  arrivalTime,
+  durationMinutes,
+  transferCount,
+  legs: lines.map(line => ({ line })),
+  fare: { ic: outOfPocket, ticket: null, sections: [], outOfPocket },
+});
+
+const RESULTS = {
+  version: 2,
+  routes: [
+    {
+      origin: '六本木一丁目',
+      destination: 'つつじヶ丘（東京）',
+      status: 'ok',
+      source: 'jorudan',
+      candidates: [
+        candidate('18:49', '19:38', 49, 1, ['東京メトロ南北線', '京王線', null], 1230),
+        candidate('18:55', '20:00', 65, null, ['東京メトロ南北線', '東京メトロ南北線']),
+      ],
+    },
+    {
+      origin: '明大前',
+      destination: 'つつじヶ丘（東京）',
+      status: 'ok',
+      source: 'gtfs',
+      candidates: [candidate('19:01', '19:10', 9, 0, ['京王線|各停'])],
+    },
+    { origin: '神谷町', destination: 'つつじヶ丘（東京）', status: 'error', code: 'UPSTREAM_TIMEOUT', retryAfterSeconds: 30, candidates: [] },
+  ],
+};
+
+describe('selectFormat', () => {
+  it('takes ?format= over Accept, and rejects an unknown one', () => {
+    assert.strictEqual(selectFormat('markdown', 'text/plain').format, FORMATS.markdown);
+    assert.match(selectFormat('xml', undefined).error, /expected one of json, text, markdown, compact/);
+    assert.ok(selectFormat('toString', undefined).error);
+  });
+
+  it('picks the most preferred renderable range of Accept', () => {
+    const pick = accept => Object.keys(FORMATS).find(name => FORMATS[name] === selectFormat(null, accept).format);
+    assert.strictEqual(pick('text/plain'), 'text');
+    assert.strictEqual(pick('Text/Markdown; charset=utf-8'), 'markdown');
+    assert.strictEqual(pick('text/plain;q=0.5, application/x-ndjson'), 'compact');
+    assert.strictEqual(pick('text/*'), 'text');
+    assert.strictEqual(pick('text/html, */*;q=0.8'), 'json');
+    assert.strictEqual(pick('text/plain;q=0, image/png'), 'json');
+    assert.strictEqual(pick(undefined), 'json');
+  });
+});
+
+describe('displayWidth', () => {
+  it('counts Japanese and fullwidth characters as two columns', () => {
+    assert.strictEqual(displayWidth('08:00'), 5);
+    assert.strictEqual(displayWidth('乗換1回'), 7);
+    assert.strictEqual(displayWidth('つつじヶ丘（東京）'), 18);
+  });
+});
+
+describe('renderers', () => {
+  it('renders aligned plain text, flagging the timetable and a failed origin', () => {
+    assert.strictEqual(FORMATS.text.render(RESULTS), [
+      '六本木一丁目 → つつじヶ丘（東京）',
+      '  18:49 → 19:38  49分      乗換1回  1,230円  東京メトロ南北線 / 京王線',
+      '  18:55 → 20:00  1時間5分  --       --       東京メトロ南北線',
+      '',
+      '明大前 → つつじヶ丘（東京） (timetable)',
+      '  19:01 → 19:10  9分       乗換0回  --       京王線|各停',
+      '',
+      '神谷町 → つつじヶ丘（東京）',
+      '  unavailable (UPSTREAM_TIMEOUT)',
+      '',
+    ].join('\n'));
+  });
+
+  it('renders a Markdown table per origin, escaping the cells', () => {
+    const markdown = FORMATS.markdown.render({ ...RESULTS, stale: true });
+    assert.ok(markdown.startsWith('_Last good result: the live search failed_\n\n### 六本木一丁目 → つつじヶ丘（東京）\n\n| Departs |'));
+    assert.ok(markdown.includes('| 19:01 | 19:10 | 9分 | 乗換0回 | -- | 京王線\\|各停 |'));
+    assert.ok(markdown.endsWith('### 神谷町 → つつじヶ丘（東京）\n\nUnavailable (`UPSTREAM_TIMEOUT`)\n'));
+  });
+
+  it('renders one compact JSON object per train and per failed origin', () => {
+    const records = FORMATS.compact.render(RESULTS).trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(records.length, 4);
+    assert.deepStrictEqual(records[0], {
+      origin: '六本木一丁目',
+      destination: 'つつじヶ丘（東京）',
+      status: 'ok',
+      source: 'jorudan',
+      departureTime: '18:49',
+      arrivalTime: '19:38',
+      durationMinutes: 49,
+      transferCount: 1,
+      fare: 1230,
+      lines: ['東京メトロ南北線', '京王線'],
+    });
+    assert.deepStrictEqual(records[3], {
+      origin: '神谷町', destination: 'つつじヶ丘（東京）', status: 'error', code: 'UPSTREAM_TIMEOUT', retryAfterSeconds: 30,
+    });
+  });
+
+  it('renders an error body in each format', () => {
+    const error = { error: 'Invalid time (expected HH:MM)', code: 'INVALID_REQUEST' };
+    assert.strictEqual(FORMATS.text.renderError(error), 'Invalid time (expected HH:MM) (INVALID_REQUEST)\n');
+    assert.strictEqual(FORMATS.markdown.renderError(error), '**Invalid time (expected HH:MM)** (`INVALID_REQUEST`)\n');
+    assert.deepStrictEqual(JSON.parse(FORMATS.compact.renderError(error)), error);
+  });
+});
+
+describe('/transit formats', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    clearBotSessions();
+    clearResponseCache();
+    clearCircuitBreakers();
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = createJorudanSimulator({ jidOrigin: 'https://jid.jorudan.co.jp', cookieDomain: '.jorudan.co.jp' }).fetch;
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    mock.restoreAll();
+  });
+
+  const request = (rawQueryString, headers = {}) => handler({ path: '/transit', rawQueryString, headers }, {});
+
+  it('answers in the format Accept asks for, varying on it', async () => {
+    const result = await request('from=六本木一丁目', { Accept: 'text/plain' });
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(result.headers['Content-Type'], 'text/plain; charset=utf-8');
+    assert.strictEqual(result.headers.Vary, 'Accept');
+    assert.match(result.body, /^六本木一丁目 → つつじヶ丘（東京）\n {2}08:00 → 08:42 {2}42分/);
+
+    const json = await request('from=六本木一丁目');
+    assert.strictEqual(json.headers['Content-Type'], 'application/json');
+    assert.strictEqual(json.headers.Vary, 'Accept');
+    assert.ok(Array.isArray(JSON.parse(json.body).routes[0].transfers));
+  });
+
+  it('keeps an ETag per format, so a conditional request only matches its own', async () => {
+    const markdown = await request('from=六本木一丁目&format=markdown');
+    const json = await request('from=六本木一丁目&v=2');
+    assert.notStrictEqual(markdown.headers.ETag, json.headers.ETag);
+
+    const again = await request('from=六本木一丁目&format=markdown', { 'If-None-Match': markdown.headers.ETag });
+    assert.strictEqual(again.statusCode, 304);
+    const other = await request('from=六本木一丁目&format=compact', { 'If-None-Match': markdown.headers.ETag });
+    assert.strictEqual(other.statusCode, 200);
+    assert.strictEqual(other.body.trimEnd().split('\n').length, 2);
+  });
+
+  it('renders errors in the requested format, and an unknown format as JSON', async () => {
+    const invalid = await request('time=25:00&format=text');
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.headers['Content-Type'], 'text/plain; charset=utf-8');
+    assert.match(invalid.body, /\(INVALID_REQUEST\)\n$/);
+
+    const unknown = await request('format=xml');
+    assert.strictEqual(unknown.statusCode, 400);
+    assert.strictEqual(JSON.parse(unknown.body).code, 'INVALID_REQUEST');
+  });
+});
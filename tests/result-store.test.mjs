@@ -0,0 +1,362 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { mkdtempSync, readdirSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  createMemoryStore, createFileStore, createDynamoDbStore, parseResultStore,
+  createMemoryHistoryStore, createFileHistoryStore, createDynamoDbHistoryStore, parseHistoryStore,
+} from '../src/result-store.mjs';
+import { parseCommuteWindows } from '../src/index.mjs';
+import { createJorudanSimulator } from '../src/jorudan-simulator.mjs';
+
+const CREDENTIALS = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' };
+
+describe('memory and file stores', () => {
+  const backends = [
+    ['memory', () => createMemoryStore()],
+    ['file', () => createFileStore(join(mkdtempSync(join(tmpdir(), 'result-store-')), 'nested'))],
+  ];
+  for (const [name, create] of backends) {
+    it(`${name}: answers null for a missing key and a JSON copy of what was put`, async () => {
+      const store = create();
+      assert.strictEqual(await store.get('results#渋谷#吉祥寺'), null);
+      const value = { fetchedAt: 1, journeys: [{ summary: '08:00発', when: undefined }] };
+      await store.put('results#渋谷#吉祥寺', value);
+      value.journeys.push('mutated after put');
+      assert.deepStrictEqual(await store.get('results#渋谷#吉祥寺'), { fetchedAt: 1, journeys: [{ summary: '08:00発' }] });
+      await store.put('results#渋谷#吉祥寺', { fetchedAt: 2 });
+      assert.deepStrictEqual(await store.get('results#渋谷#吉祥寺'), { fetchedAt: 2 });
+    });
+  }
+
+  it('file: keeps one file per key and no temporaries', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'result-store-'));
+    const store = createFileStore(dir);
+    await store.put('a', 1);
+    await store.put('b', 2);
+    await store.put('a', 3);
+    assert.strictEqual(readdirSync(dir).filter(f => f.endsWith('.json')).length, 2);
+    assert.deepStrictEqual(readdirSync(dir).filter(f => f.endsWith('.tmp')), []);
+  });
+});
+
+describe('memory and file history stores', () => {
+  const backends = [
+    ['memory', () => createMemoryHistoryStore()],
+    ['file', () => createFileHistoryStore(join(mkdtempSync(join(tmpdir(), 'history-store-')), 'nested'))],
+  ];
+  for (const [name, create] of backends) {
+    it(`${name}: lists a partition's items, an item added twice once`, async () => {
+      const store = create();
+      assert.deepStrictEqual(await store.list('history#渋谷#吉祥寺#2026-10-20'), []);
+      await store.add('history#渋谷#吉祥寺#2026-10-20', '08:00#08:42', { durationMinutes: 42 });
+      await store.add('history#渋谷#吉祥寺#2026-10-20', '08:07#08:49', { durationMinutes: 42 });
+      await store.add('history#渋谷#吉祥寺#2026-10-20', '08:00#08:42', { durationMinutes: 41 });
+      await store.add('history#渋谷#吉祥寺#2026-10-21', '08:00#08:42', { durationMinutes: 40 });
+      const items = await store.list('history#渋谷#吉祥寺#2026-10-20');
+      assert.deepStrictEqual(items.map(i => i.durationMinutes).sort(), [41, 42]);
+    });
+
+    it(`${name}: lists only the ids in a range, bounds included`, async () => {
+      const store = create();
+      for (const id of ['2026-10-19#08:00', '2026-10-20#08:00', '2026-10-20#18:00', '2026-10-21#08:00']) {
+        await store.add('history#渋谷#吉祥寺', id, { id });
+      }
+      const items = await store.list('history#渋谷#吉祥寺', { from: '2026-10-20', to: '2026-10-21' });
+      assert.deepStrictEqual(items.map(i => i.id).sort(), ['2026-10-20#08:00', '2026-10-20#18:00']);
+      assert.strictEqual((await store.list('history#渋谷#吉祥寺', { from: '2026-10-19#08:00', to: '2026-10-19#08:00' })).length, 1);
+    });
+  }
+});
+
+describe('DynamoDB store', () => {
+  let server;
+  let endpoint;
+  let requests;
+  const items = new Map();
+
+  // Answers GetItem and PutItem like DynamoDB's JSON API, never for the table "slow", and a 400 for any other
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        requests.push({
+          target: req.headers['x-amz-target'],
+          authorization: req.headers.authorization,
+          securityToken: req.headers['x-amz-security-token'],
+          payload,
+        });
+        if (payload.TableName === 'slow') return;
+        res.setHeader('Content-Type', 'application/x-amz-json-1.0');
+        if (payload.TableName !== 'results') {
+          res.writeHead(400);
+          res.end(JSON.stringify({ __type: 'com.amazonaws.dynamodb.v20120810#ResourceNotFoundException' }));
+          return;
+        }
+        if (req.headers['x-amz-target'] === 'DynamoDB_20120810.PutItem') {
+          items.set(payload.Item.pk.S, payload.Item);
+          res.end('{}');
+          return;
+        }
+        const item = items.get(payload.Key.pk.S);
+        res.end(JSON.stringify(item ? { Item: item } : {}));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  beforeEach(() => {
+    requests = [];
+    items.clear();
+  });
+
+  it('puts and gets items keyed by pk, signed, with an expiry for the table TTL', async () => {
+    const store = createDynamoDbStore({ tableName: 'results', region: 'ap-northeast-1', credentials: CREDENTIALS, endpoint, ttlSeconds: 60 });
+    assert.strictEqual(await store.get('results#渋谷#吉祥寺'), null);
+    await store.put('results#渋谷#吉祥寺', { fetchedAt: 1, journeys: [] });
+    assert.deepStrictEqual(await store.get('results#渋谷#吉祥寺'), { fetchedAt: 1, journeys: [] });
+
+    assert.deepStrictEqual(requests.map(r => r.target), [
+      'DynamoDB_20120810.GetItem', 'DynamoDB_20120810.PutItem', 'DynamoDB_20120810.GetItem',
+    ]);
+    assert.ok(requests.every(r => r.authorization.startsWith('AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/')));
+    assert.match(requests[0].authorization, /\/ap-northeast-1\/dynamodb\/aws4_request, /);
+    const { expiresAt } = items.get('results#渋谷#吉祥寺');
+    assert.ok(Math.abs(Number(expiresAt.N) - (Date.now() / 1000 + 60)) < 5);
+  });
+
+  it('fails with DynamoDB\'s error type', async () => {
+    const store = createDynamoDbStore({ tableName: 'missing', region: 'ap-northeast-1', credentials: CREDENTIALS, endpoint });
+    await assert.rejects(store.get('k'), /DynamoDB GetItem failed \(400\): ResourceNotFoundException/);
+  });
+
+  it('gives up on a store that does not answer within a second', async () => {
+    const store = createDynamoDbStore({ tableName: 'slow', region: 'ap-northeast-1', credentials: CREDENTIALS, endpoint });
+    const started = Date.now();
+    await assert.rejects(store.get('k'), /DynamoDB GetItem failed \(no response\): AbortError/);
+    assert.ok(Date.now() - started < 3000);
+  });
+
+  it('signs the session token of temporary credentials', async () => {
+    const credentials = { ...CREDENTIALS, sessionToken: 'token' };
+    const store = createDynamoDbStore({ tableName: 'results', region: 'ap-northeast-1', credentials, endpoint });
+    await store.get('k');
+    assert.strictEqual(requests[0].securityToken, 'token');
+    assert.match(requests[0].authorization, /SignedHeaders=[^,]*x-amz-security-token/);
+  });
+});
+
+describe('DynamoDB history store', () => {
+  let server;
+  let endpoint;
+  let requests;
+  const items = new Map();
+
+  // Answers PutItem, and Query one item per page so every page but the last has a LastEvaluatedKey
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        requests.push({ target: req.headers['x-amz-target'], payload });
+        res.setHeader('Content-Type', 'application/x-amz-json-1.0');
+        if (req.headers['x-amz-target'] === 'DynamoDB_20120810.PutItem') {
+          items.set(`${payload.Item.pk.S}|${payload.Item.sk.S}`, payload.Item);
+          res.end('{}');
+          return;
+        }
+        const { ':pk': pk, ':from': from, ':to': to } = payload.ExpressionAttributeValues;
+        const partition = [...items.values()]
+          .filter(item => item.pk.S === pk.S && (!from || (item.sk.S >= from.S && item.sk.S <= to.S)))
+          .sort((a, b) => (a.sk.S < b.sk.S ? -1 : 1));
+        const start = payload.ExclusiveStartKey ? partition.findIndex(i => i.sk.S === payload.ExclusiveStartKey.sk.S) + 1 : 0;
+        const page = partition.slice(start, start + 1);
+        const last = start + 1 < partition.length ? { LastEvaluatedKey: { pk: page[0].pk, sk: page[0].sk } } : {};
+        res.end(JSON.stringify({ Items: page, ...last }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    items.clear();
+  });
+
+  it('adds items under pk and sk, and lists a partition across Query pages', async () => {
+    const store = createDynamoDbHistoryStore({ tableName: 'history', region: 'ap-northeast-1', credentials: CREDENTIALS, endpoint });
+    await store.add('history#渋谷#吉祥寺#2026-10-20', '08:00', { departureTime: '08:00' });
+    await store.add('history#渋谷#吉祥寺#2026-10-20', '08:07', { departureTime: '08:07' });
+    await store.add('history#渋谷#吉祥寺#2026-10-21', '08:00', { departureTime: '08:00' });
+
+    const listed = await store.list('history#渋谷#吉祥寺#2026-10-20');
+    assert.deepStrictEqual(listed, [{ departureTime: '08:00' }, { departureTime: '08:07' }]);
+    const queries = requests.filter(r => r.target === 'DynamoDB_20120810.Query');
+    assert.strictEqual(queries.length, 2);
+    assert.deepStrictEqual(queries[1].payload.ExclusiveStartKey.sk, { S: '08:00' });
+    const { expiresAt } = items.get('history#渋谷#吉祥寺#2026-10-20|08:00');
+    assert.ok(Math.abs(Number(expiresAt.N) - (Date.now() / 1000 + 90 * 24 * 60 * 60)) < 5);
+  });
+
+  it('lists a range of ids with one Query on the sort key', async () => {
+    const store = createDynamoDbHistoryStore({ tableName: 'history', region: 'ap-northeast-1', credentials: CREDENTIALS, endpoint });
+    await store.add('history#渋谷#吉祥寺', '2026-10-19#08:00', { date: '2026-10-19' });
+    await store.add('history#渋谷#吉祥寺', '2026-10-20#08:00', { date: '2026-10-20' });
+
+    const listed = await store.list('history#渋谷#吉祥寺', { from: '2026-10-20', to: '2026-10-21' });
+    assert.deepStrictEqual(listed, [{ date: '2026-10-20' }]);
+    const [query] = requests.filter(r => r.target === 'DynamoDB_20120810.Query');
+    assert.strictEqual(query.payload.KeyConditionExpression, 'pk = :pk AND sk BETWEEN :from AND :to');
+    assert.deepStrictEqual(query.payload.ExpressionAttributeValues[':to'], { S: '2026-10-21' });
+  });
+});
+
+describe('parseResultStore', () => {
+  it('picks the backend named by RESULT_STORE', () => {
+    assert.strictEqual(parseResultStore(undefined), null);
+    assert.strictEqual(parseResultStore('memory').name, 'memory');
+    assert.strictEqual(parseResultStore('file:.transit-store').name, 'file');
+    assert.strictEqual(parseResultStore('dynamodb:results', { AWS_REGION: 'ap-northeast-1', ...CREDENTIALS }).name, 'dynamodb');
+  });
+
+  it('rejects unknown backends and incomplete DynamoDB settings', () => {
+    assert.throws(() => parseResultStore('redis://localhost'), /Invalid RESULT_STORE: expected memory, file:<dir> or dynamodb:<table>/);
+    assert.throws(() => parseResultStore('dynamodb:results', {}), /needs AWS_REGION/);
+    assert.throws(
+      () => parseResultStore('dynamodb:results', { AWS_REGION: 'ap-northeast-1', DYNAMODB_ENDPOINT: 'http://dynamodb.example' }),
+      /Invalid DYNAMODB_ENDPOINT: https required/,
+    );
+  });
+});
+
+describe('parseHistoryStore', () => {
+  it('takes the backends RESULT_STORE takes, named in its errors', () => {
+    assert.strictEqual(parseHistoryStore(undefined), null);
+    assert.strictEqual(parseHistoryStore('memory').name, 'memory');
+    assert.strictEqual(parseHistoryStore('dynamodb:history', { AWS_REGION: 'ap-northeast-1', ...CREDENTIALS }).name, 'dynamodb');
+    assert.throws(() => parseHistoryStore('sqlite:history.db'), /Invalid HISTORY_STORE/);
+    assert.throws(() => parseHistoryStore('dynamodb:history', {}), /Invalid HISTORY_STORE: dynamodb needs AWS_REGION/);
+  });
+});
+
+describe('parseCommuteWindows', () => {
+  it('reads comma-separated HH:MM-HH:MM ranges as minutes, and nothing for empty', () => {
+    assert.deepStrictEqual(parseCommuteWindows('07:00-10:00, 17:30-24:00'), [{ start: 420, end: 600 }, { start: 1050, end: 1440 }]);
+    assert.deepStrictEqual(parseCommuteWindows(''), []);
+  });
+
+  it('rejects malformed and backwards windows', () => {
+    for (const raw of ['7:00-10:00', '10:00-07:00', '07:00-07:60', '07:00']) {
+      assert.throws(() => parseCommuteWindows(raw), /Invalid PRECOMPUTE_WINDOWS/, raw);
+    }
+  });
+});
+
+describe('precomputed results (RESULT_STORE)', () => {
+  // Tuesday 2026-10-20, 08:00 in Japan: inside the default morning window
+  const TUESDAY_8AM = Date.parse('2026-10-19T23:00:00Z');
+  const PRECOMPUTE_EVENT = { source: 'aws.events', 'detail-type': 'Scheduled Event', detail: { task: 'precompute' } };
+  let precomputeModule;
+  let simulator;
+  let originalFetch;
+  let fetched;
+  let now;
+
+  before(async () => {
+    process.env.RESULT_STORE = 'memory';
+    try {
+      precomputeModule = await import('../src/index.mjs?precompute');
+    } finally {
+      delete process.env.RESULT_STORE;
+    }
+  });
+
+  beforeEach(() => {
+    precomputeModule.clearBotSessions();
+    precomputeModule.clearResponseCache();
+    precomputeModule.clearCircuitBreakers();
+    originalFetch = globalThis.fetch;
+    simulator = createJorudanSimulator({ jidOrigin: 'https://jid.jorudan.co.jp', cookieDomain: '.jorudan.co.jp' });
+    fetched = 0;
+    globalThis.fetch = async (...args) => {
+      fetched++;
+      return simulator.fetch(...args);
+    };
+    now = TUESDAY_8AM;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    mock.restoreAll();
+  });
+
+  const transit = async (rawQueryString = '') => {
+    const result = await precomputeModule.handler({ path: '/v2/transit', rawQueryString }, {});
+    return JSON.parse(result.body);
+  };
+
+  it('refreshes every profile origin in a commute window, and nothing outside one', async () => {
+    now = Date.parse('2026-10-20T03:00:00Z');  // 12:00 on the Tuesday
+    assert.deepStrictEqual(await precomputeModule.handler(PRECOMPUTE_EVENT, {}), { refreshed: 0, failed: 0 });
+    now = Date.parse('2026-10-24T00:00:00Z');  // 09:00 on a Saturday
+    assert.deepStrictEqual(await precomputeModule.handler(PRECOMPUTE_EVENT, {}), { refreshed: 0, failed: 0 });
+    assert.strictEqual(fetched, 0);
+
+    now = TUESDAY_8AM;
+    assert.deepStrictEqual(await precomputeModule.handler(PRECOMPUTE_EVENT, {}), { refreshed: 4, failed: 0 });
+  });
+
+  it('answers "now" from the store with its age, dropping trains that have left', async () => {
+    await precomputeModule.handler(PRECOMPUTE_EVENT, {});
+    now = TUESDAY_8AM + 60_000;  // 08:01: the 08:00 train has gone
+    fetched = 0;
+
+    const body = await transit();
+    assert.strictEqual(fetched, 0);
+    assert.deepStrictEqual(
+      body.routes.map(r => [r.origin, r.fetchedAt, r.candidates.map(c => c.departureTime), r.nextCursor]),
+      ['六本木一丁目', '神谷町', '麻布十番'].map(origin => [origin, '2026-10-19T23:00:00.000Z', ['08:07', '08:15'], 'after:2026-10-20T08:15']),
+    );
+  });
+
+  it('searches live once the data is older than PRECOMPUTE_MAX_AGE_SECONDS', async () => {
+    await precomputeModule.handler(PRECOMPUTE_EVENT, {});
+    now = TUESDAY_8AM + 181_000;
+    fetched = 0;
+
+    const body = await transit('from=六本木一丁目');
+    assert.ok(fetched > 0);
+    assert.strictEqual(body.routes[0].fetchedAt, undefined);
+  });
+
+  it('searches live for a time, a cursor, a source or more trains than are left', async () => {
+    await precomputeModule.handler(PRECOMPUTE_EVENT, {});
+    for (const query of [
+      'from=六本木一丁目&date=2026-10-20&time=08:00',
+      'from=六本木一丁目&cursor=after:08:07',
+      'from=六本木一丁目&source=jorudan',
+      'from=六本木一丁目&limit=5',
+    ]) {
+      precomputeModule.clearResponseCache();
+      fetched = 0;
+      const body = await transit(query);
+      assert.ok(fetched > 0, query);
+      assert.strictEqual(body.routes[0].fetchedAt, undefined, query);
+    }
+  });
+});